@@ -8,8 +8,8 @@ _greener_provision()
     cur="${COMP_WORDS[COMP_CWORD]}"
     prev="${COMP_WORDS[COMP_CWORD-1]}"
 
-    opts="--help -h --version --repos -r --interactive -i --non-interactive -n \
-          --yes -y --worker-url -w --config -c --verbose -v --quiet -q"
+    opts="provision deprovision status --help -h --version --repos -r --interactive -i --non-interactive -n \
+          --yes -y --worker-url -w --template -t --environment -e --stores -s --dry-run --output -o --mode -m --max-age --secrets --prefix --config -c --verbose -v --quiet -q"
 
     case "$prev" in
         -r|--repos)
@@ -17,7 +17,23 @@ _greener_provision()
             COMPREPLY=()
             return 0
             ;;
-        -w|--worker-url|-c|--config)
+        -t|--template)
+            COMPREPLY=( $(compgen -W "default api-token database staging" -- ${cur}) )
+            return 0
+            ;;
+        -s|--stores)
+            COMPREPLY=( $(compgen -W "actions dependabot codespaces actions,dependabot" -- ${cur}) )
+            return 0
+            ;;
+        -m|--mode)
+            COMPREPLY=( $(compgen -W "create-only overwrite rotate-if-older-than" -- ${cur}) )
+            return 0
+            ;;
+        -o|--output)
+            COMPREPLY=( $(compgen -W "pretty json" -- ${cur}) )
+            return 0
+            ;;
+        -w|--worker-url|-e|--environment|--max-age|--secrets|--prefix|-c|--config)
             COMPREPLY=()
             return 0
             ;;
@@ -0,0 +1,157 @@
+/**
+ * Local notification receiver
+ * A stand-in for Slack, Teams and webhook endpoints, so notifications can be
+ * tested offline against `wrangler dev`
+ *
+ * Runs in Node, outside the worker, so nothing it keeps ships to production:
+ *
+ *   NOTIFICATION_RECEIVER_SECRET=local-receiver-secret npm run dev:notifications
+ *
+ * POST records a delivery. `?fail=N` answers 503 to the first N attempts of
+ * each delivery and `?status=S` always answers S. GET lists deliveries and
+ * DELETE clears them.
+ */
+
+import { createServer } from 'node:http';
+import { pathToFileURL } from 'node:url';
+import { verifyWebhookSignature } from '../utils/webhook.js';
+
+const DEFAULT_PORT = 8788;
+const MAX_RECEIVED = 50;
+const MAX_TRACKED_ATTEMPTS = 1000;
+
+/**
+ * Parses an integer query parameter
+ * @returns {number|null} - Value, or null when absent
+ * @throws {Response} - 400 if it is not an integer in range
+ */
+function parseIntParam(params, name, min, max) {
+  const raw = params.get(name);
+  if (raw === null) return null;
+  const value = Number(raw);
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw new Response(`${name} must be an integer between ${min} and ${max}`, { status: 400 });
+  }
+  return value;
+}
+
+/**
+ * Creates a receiver
+ * @param {object} options - { secret } to check X-Greener-Signature-256 with
+ * @returns {{handle: Function, received: object[]}} - handle(Request) returns a Response
+ */
+export function createNotificationReceiver({ secret = null } = {}) {
+  const received = [];
+  // Retries resend the same body, and webhooks the same delivery id
+  const attempts = new Map();
+
+  async function receive(request, params) {
+    const failFirst = parseIntParam(params, 'fail', 0, 10) || 0;
+    const forcedStatus = parseIntParam(params, 'status', 200, 599);
+
+    const body = new Uint8Array(await request.arrayBuffer());
+    const text = new TextDecoder().decode(body);
+    const signature = request.headers.get('X-Greener-Signature-256');
+    let signatureStatus = 'unsigned';
+    if (signature) {
+      signatureStatus = secret
+        ? (await verifyWebhookSignature(body, signature, [secret]) ? 'valid' : 'invalid')
+        : 'unchecked';
+    }
+
+    const attemptKey = request.headers.get('X-Greener-Delivery') || text;
+    if (attempts.size >= MAX_TRACKED_ATTEMPTS) attempts.clear();
+    const attempt = (attempts.get(attemptKey) || 0) + 1;
+    attempts.set(attemptKey, attempt);
+
+    let status = forcedStatus || (attempt <= failFirst ? 503 : 200);
+    if (signatureStatus === 'invalid') status = 401;
+
+    let payload;
+    try {
+      payload = JSON.parse(text);
+    } catch (error) {
+      payload = text.slice(0, 2000);
+    }
+    const format = request.headers.get('X-Greener-Event') ? 'webhook'
+      : payload && payload.blocks ? 'slack'
+        : payload && payload.attachments ? 'teams'
+          : 'unknown';
+
+    received.push({
+      receivedAt: new Date().toISOString(),
+      format,
+      event: request.headers.get('X-Greener-Event'),
+      attempt,
+      signature: signatureStatus,
+      status,
+      payload
+    });
+    if (received.length > MAX_RECEIVED) received.shift();
+    console.log(`${format} notification, attempt ${attempt}, signature ${signatureStatus}: ${status}`);
+
+    if (signatureStatus === 'invalid') {
+      return new Response('Invalid signature', { status });
+    }
+    return new Response(status < 400 ? 'ok' : 'Simulated failure', { status });
+  }
+
+  async function handle(request) {
+    const url = new URL(request.url);
+
+    try {
+      switch (request.method) {
+        case 'POST':
+          return await receive(request, url.searchParams);
+        case 'DELETE':
+          received.length = 0;
+          attempts.clear();
+          // Falls through to list the (now empty) deliveries
+        case 'GET':
+          return Response.json({ received });
+        default:
+          return new Response('Method not allowed', { status: 405 });
+      }
+    } catch (error) {
+      if (error instanceof Response) return error;
+      throw error;
+    }
+  }
+
+  return { handle, received };
+}
+
+/**
+ * Serves a receiver over HTTP
+ * @param {object} options - { port, secret }
+ * @returns {import('node:http').Server}
+ */
+export function startNotificationReceiver({ port = DEFAULT_PORT, secret = null } = {}) {
+  const receiver = createNotificationReceiver({ secret });
+
+  const server = createServer(async (req, res) => {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    const request = new Request(`http://localhost:${port}${req.url}`, {
+      method: req.method,
+      headers: req.headers,
+      body: ['GET', 'HEAD'].includes(req.method) ? undefined : Buffer.concat(chunks)
+    });
+
+    const response = await receiver.handle(request);
+    res.writeHead(response.status, Object.fromEntries(response.headers));
+    res.end(Buffer.from(await response.arrayBuffer()));
+  });
+
+  server.listen(port, () => {
+    console.log(`Notification receiver listening on http://localhost:${port}`);
+  });
+  return server;
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  startNotificationReceiver({
+    port: Number(process.env.PORT) || DEFAULT_PORT,
+    secret: process.env.NOTIFICATION_RECEIVER_SECRET || null
+  });
+}
@@ -0,0 +1,122 @@
+/**
+ * Tests for the hash-chained audit log
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  appendAuditEntry,
+  listAuditEntries,
+  verifyAuditLog,
+  hashAuditEntry,
+  auditOutcome,
+  AuditLog
+} from '../utils/audit.js';
+import { createKV, createDurableObjectNamespace } from './helpers.js';
+
+function createEnv() {
+  const env = { GREENER_KV: createKV() };
+  env.AUDIT_LOG = createDurableObjectNamespace(AuditLog, env);
+  return env;
+}
+
+const fields = (n) => ({
+  requestId: `req-${n}`,
+  action: 'provision',
+  method: 'POST',
+  route: '/api/provision',
+  actor: 'octocat',
+  outcome: 'success',
+  status: 200,
+  details: { repos: [`greener-labs/repo-${n}`] }
+});
+
+function storedEntry(env, seq) {
+  return JSON.parse(env.GREENER_KV.entries.get(`audit:${String(seq).padStart(12, '0')}`).value);
+}
+
+test('chains each entry to the one before it', async () => {
+  const env = createEnv();
+  const first = await appendAuditEntry(env, fields(1));
+  const second = await appendAuditEntry(env, fields(2));
+
+  assert.equal(first.seq, 1);
+  assert.equal(first.prevHash, '0'.repeat(64));
+  assert.equal(first.hash, await hashAuditEntry(first));
+  assert.equal(second.seq, 2);
+  assert.equal(second.prevHash, first.hash);
+
+  const verification = await verifyAuditLog(env);
+  assert.equal(verification.valid, true);
+  assert.equal(verification.entries, 2);
+  assert.deepEqual(verification.head, { seq: 2, hash: second.hash });
+});
+
+test('concurrent appends through the Durable Object get distinct sequence numbers', async () => {
+  const env = createEnv();
+  const entries = await Promise.all(Array.from({ length: 20 }, (_, n) => appendAuditEntry(env, fields(n))));
+
+  assert.deepEqual(entries.map(entry => entry.seq).sort((a, b) => a - b), Array.from({ length: 20 }, (_, n) => n + 1));
+  const verification = await verifyAuditLog(env);
+  assert.equal(verification.valid, true);
+  assert.equal(verification.entries, 20);
+});
+
+test('the Durable Object continues a chain already in KV', async () => {
+  const env = { GREENER_KV: createKV() };
+  const existing = await appendAuditEntry(env, fields(1));
+
+  env.AUDIT_LOG = createDurableObjectNamespace(AuditLog, env);
+  const next = await appendAuditEntry(env, fields(2));
+
+  assert.equal(next.seq, 2);
+  assert.equal(next.prevHash, existing.hash);
+  assert.equal((await verifyAuditLog(env)).valid, true);
+});
+
+test('verification reports modified, missing and truncated entries', async () => {
+  const env = createEnv();
+  for (let n = 1; n <= 4; n++) await appendAuditEntry(env, fields(n));
+
+  const modified = storedEntry(env, 2);
+  modified.actor = 'mallory';
+  await env.GREENER_KV.put('audit:000000000002', JSON.stringify(modified));
+  await env.GREENER_KV.delete('audit:000000000003');
+  await env.GREENER_KV.delete('audit:000000000004');
+
+  const { valid, problems } = await verifyAuditLog(env);
+  assert.equal(valid, false);
+  assert.deepEqual(problems.map(problem => problem.seq), [2, 2]);
+  assert.match(problems[0].reason, /modified/);
+  assert.match(problems[1].reason, /head does not match/);
+
+  await appendAuditEntry(env, fields(5));
+  const gap = await verifyAuditLog(env);
+  assert.ok(gap.problems.some(problem => /entries 3-4 are missing/.test(problem.reason)));
+});
+
+test('lists entries in pages', async () => {
+  const env = createEnv();
+  for (let n = 1; n <= 5; n++) await appendAuditEntry(env, fields(n));
+
+  const page = await listAuditEntries(env, { after: 1, limit: 2 });
+  assert.deepEqual(page.entries.map(entry => entry.seq), [2, 3]);
+  assert.equal(page.nextAfter, 3);
+  assert.equal(page.head.seq, 5);
+
+  const last = await listAuditEntries(env, { after: 3 });
+  assert.deepEqual(last.entries.map(entry => entry.seq), [4, 5]);
+  assert.equal(last.nextAfter, null);
+});
+
+test('is a no-op without KV', async () => {
+  assert.equal(await appendAuditEntry({}, fields(1)), null);
+  assert.deepEqual(await listAuditEntries({}), { entries: [], head: null, nextAfter: null });
+  assert.equal((await verifyAuditLog({})).valid, true);
+});
+
+test('maps response statuses to outcomes', () => {
+  assert.equal(auditOutcome(200), 'success');
+  assert.equal(auditOutcome(207), 'partial');
+  assert.equal(auditOutcome(403), 'failure');
+});
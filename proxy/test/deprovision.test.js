@@ -0,0 +1,79 @@
+/**
+ * Tests for secret deprovisioning
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseSecretSelector, matchesSelector, deprovisionTarget } from '../utils/deprovision.js';
+import { REPOSITORY_TARGET } from '../utils/secretTargets.js';
+import { jsonResponse, mockFetch } from './helpers.js';
+
+const REPO = 'greener-labs/api';
+const EXISTING = ['GREENER_CI_KEY', 'GREENER_API_TOKEN', 'NPM_TOKEN'];
+
+const rejectsWith400 = (fn) => assert.throws(fn, response => response instanceof Response && response.status === 400);
+
+/**
+ * GitHub stand-in holding EXISTING in every store; `deleteStatus` answers deletes by name
+ */
+function mockStores(t, deleteStatus = {}) {
+  return mockFetch(t, (url, init) => {
+    if (init.method === 'DELETE') {
+      const status = deleteStatus[url.pathname.split('/').pop()] || 204;
+      return status === 204 ? new Response(null, { status }) : jsonResponse({ message: 'Failed' }, status);
+    }
+    return jsonResponse({ total_count: EXISTING.length, secrets: EXISTING.map(name => ({ name })) });
+  });
+}
+
+test('selects the GREENER_ prefix by default', () => {
+  const selector = parseSecretSelector(undefined, undefined);
+  assert.deepEqual(selector, { secrets: null, prefix: 'GREENER_' });
+  assert.equal(matchesSelector(selector, 'GREENER_CI_KEY'), true);
+  assert.equal(matchesSelector(selector, 'NPM_TOKEN'), false);
+});
+
+test('selects exact names or a prefix, upper-cased like GitHub stores them', () => {
+  assert.deepEqual(parseSecretSelector(['npm_token', 'NPM_TOKEN'], null), { secrets: ['NPM_TOKEN'], prefix: null });
+  assert.deepEqual(parseSecretSelector(null, 'staging_'), { secrets: null, prefix: 'STAGING_' });
+});
+
+test('rejects selectors that are ambiguous or too broad', () => {
+  rejectsWith400(() => parseSecretSelector(['A'], 'GREENER_'));
+  rejectsWith400(() => parseSecretSelector([], null));
+  rejectsWith400(() => parseSecretSelector(['BAD-NAME'], null));
+  rejectsWith400(() => parseSecretSelector(null, ''));
+  rejectsWith400(() => parseSecretSelector(null, 'A*'));
+});
+
+test('removes only the selected secrets from every store', async (t) => {
+  const calls = mockStores(t);
+  const result = await deprovisionTarget('ghs_test', {
+    repo: REPO,
+    target: REPOSITORY_TARGET,
+    stores: ['actions', 'dependabot'],
+    selector: parseSecretSelector(undefined, undefined)
+  });
+
+  assert.equal(result.ok, true);
+  assert.deepEqual(result.stores.map(entry => [entry.store, entry.removed]), [
+    ['actions', ['GREENER_CI_KEY', 'GREENER_API_TOKEN']],
+    ['dependabot', ['GREENER_CI_KEY', 'GREENER_API_TOKEN']]
+  ]);
+  assert.ok(!calls.some(call => call.init.method === 'DELETE' && call.url.pathname.endsWith('/NPM_TOKEN')));
+});
+
+test('reports failed deletes and keeps going', async (t) => {
+  mockStores(t, { GREENER_CI_KEY: 403, GREENER_API_TOKEN: 404 });
+  const result = await deprovisionTarget('ghs_test', {
+    repo: REPO,
+    target: REPOSITORY_TARGET,
+    stores: ['actions'],
+    selector: parseSecretSelector(undefined, undefined)
+  });
+
+  assert.equal(result.ok, false);
+  // A secret that is already gone counts as removed
+  assert.deepEqual(result.stores[0].removed, ['GREENER_API_TOKEN']);
+  assert.deepEqual(result.stores[0].failed.map(failure => [failure.name, failure.status]), [['GREENER_CI_KEY', 403]]);
+});
@@ -0,0 +1,137 @@
+/**
+ * Tests for GitHub App authentication
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createPrivateKey, generateKeyPairSync, verify } from 'node:crypto';
+import { createAppJwt, getInstallationToken, pemToPkcs8 } from '../utils/githubApp.js';
+import { jsonResponse, mockFetch } from './helpers.js';
+
+const { privateKey, publicKey } = generateKeyPairSync('rsa', { modulusLength: 2048 });
+const PKCS1_PEM = privateKey.export({ type: 'pkcs1', format: 'pem' });
+const PKCS8_PEM = privateKey.export({ type: 'pkcs8', format: 'pem' });
+const PKCS8_DER = privateKey.export({ type: 'pkcs8', format: 'der' });
+const NOW_SEC = 1760000000;
+
+function createEnv() {
+  return { GITHUB_APP_ID: '12345', GITHUB_PRIVATE_KEY: PKCS1_PEM };
+}
+
+function decodeSegment(segment) {
+  return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+}
+
+/**
+ * Stand-in for the access token exchange; answers each call with the next of `tokens`
+ * (`{ token, expiresAt }`, or a status for an error)
+ */
+function mockTokenExchange(t, tokens) {
+  return mockFetch(t, (url, init) => {
+    assert.match(url.pathname, /^\/app\/installations\/\d+\/access_tokens$/);
+    assert.equal(init.method, 'POST');
+    const next = tokens.shift();
+    if (typeof next === 'number') return jsonResponse({ message: 'Not Found' }, next);
+    return jsonResponse({ token: next.token, expires_at: new Date(next.expiresAt).toISOString() }, 201);
+  });
+}
+
+test('pemToPkcs8 wraps a PKCS#1 key into the PKCS#8 encoding', () => {
+  assert.deepEqual(Buffer.from(pemToPkcs8(PKCS1_PEM)), PKCS8_DER);
+
+  const key = createPrivateKey({ key: Buffer.from(pemToPkcs8(PKCS1_PEM)), format: 'der', type: 'pkcs8' });
+  assert.equal(key.asymmetricKeyType, 'rsa');
+});
+
+test('pemToPkcs8 passes a PKCS#8 key through', () => {
+  assert.deepEqual(Buffer.from(pemToPkcs8(PKCS8_PEM)), PKCS8_DER);
+});
+
+test('pemToPkcs8 accepts keys with escaped newlines', () => {
+  assert.deepEqual(Buffer.from(pemToPkcs8(PKCS1_PEM.replace(/\n/g, '\\n'))), PKCS8_DER);
+  assert.deepEqual(Buffer.from(pemToPkcs8(PKCS8_PEM.replace(/\n/g, '\\n'))), PKCS8_DER);
+});
+
+test('pemToPkcs8 rejects anything that is not a PEM private key', () => {
+  assert.throws(() => pemToPkcs8('not a key'), /not a PEM private key/);
+  assert.throws(
+    () => pemToPkcs8(publicKey.export({ type: 'spki', format: 'pem' })),
+    /not a PEM private key/
+  );
+});
+
+test('createAppJwt signs backdated, nine minute claims with RS256', async () => {
+  for (const pem of [PKCS1_PEM, PKCS8_PEM]) {
+    const jwt = await createAppJwt(12345, pem, NOW_SEC);
+    const [header, claims, signature] = jwt.split('.');
+
+    assert.deepEqual(decodeSegment(header), { alg: 'RS256', typ: 'JWT' });
+    assert.deepEqual(decodeSegment(claims), { iat: NOW_SEC - 60, exp: NOW_SEC + 540, iss: '12345' });
+    assert.ok(verify('RSA-SHA256', Buffer.from(`${header}.${claims}`), publicKey, Buffer.from(signature, 'base64url')));
+  }
+});
+
+test('createAppJwt signatures do not verify under another key', async () => {
+  const other = generateKeyPairSync('rsa', { modulusLength: 2048 }).publicKey;
+  const [header, claims, signature] = (await createAppJwt('12345', PKCS8_PEM, NOW_SEC)).split('.');
+
+  assert.equal(verify('RSA-SHA256', Buffer.from(`${header}.${claims}`), other, Buffer.from(signature, 'base64url')), false);
+});
+
+// The token cache lives for the module, so each test below uses its own installation
+
+test('getInstallationToken exchanges an app JWT and caches the token', async (t) => {
+  const now = Date.now();
+  t.mock.method(Date, 'now', () => now);
+  const calls = mockTokenExchange(t, [{ token: 'ghs_first', expiresAt: now + 60 * 60 * 1000 }]);
+
+  assert.equal(await getInstallationToken(createEnv(), 1001), 'ghs_first');
+  assert.equal(await getInstallationToken(createEnv(), 1001), 'ghs_first');
+
+  assert.equal(calls.length, 1);
+  assert.equal(calls[0].url.pathname, '/app/installations/1001/access_tokens');
+  const [header, claims, signature] = calls[0].init.headers.Authorization.replace(/^Bearer /, '').split('.');
+  assert.equal(decodeSegment(claims).iss, '12345');
+  assert.ok(verify('RSA-SHA256', Buffer.from(`${header}.${claims}`), publicKey, Buffer.from(signature, 'base64url')));
+});
+
+test('getInstallationToken refreshes tokens within five minutes of expiry', async (t) => {
+  let now = Date.now();
+  t.mock.method(Date, 'now', () => now);
+  const expiresAt = now + 60 * 60 * 1000;
+  const calls = mockTokenExchange(t, [
+    { token: 'ghs_first', expiresAt },
+    { token: 'ghs_second', expiresAt: expiresAt + 60 * 60 * 1000 }
+  ]);
+
+  assert.equal(await getInstallationToken(createEnv(), 1002), 'ghs_first');
+
+  now = expiresAt - 5 * 60 * 1000 - 1;
+  assert.equal(await getInstallationToken(createEnv(), 1002), 'ghs_first');
+  assert.equal(calls.length, 1);
+
+  now = expiresAt - 5 * 60 * 1000;
+  assert.equal(await getInstallationToken(createEnv(), 1002), 'ghs_second');
+  assert.equal(calls.length, 2);
+});
+
+test('getInstallationToken drops the cached token when a refresh fails', async (t) => {
+  let now = Date.now();
+  t.mock.method(Date, 'now', () => now);
+  const expiresAt = now + 60 * 60 * 1000;
+  const calls = mockTokenExchange(t, [
+    { token: 'ghs_first', expiresAt },
+    404,
+    { token: 'ghs_second', expiresAt: expiresAt + 60 * 60 * 1000 }
+  ]);
+
+  assert.equal(await getInstallationToken(createEnv(), 1003), 'ghs_first');
+
+  now = expiresAt - 60 * 1000;
+  await assert.rejects(getInstallationToken(createEnv(), 1003), { status: 404 });
+
+  // Back before the refresh window, the dropped token is not served again
+  now = expiresAt - 60 * 60 * 1000;
+  assert.equal(await getInstallationToken(createEnv(), 1003), 'ghs_second');
+  assert.equal(calls.length, 3);
+});
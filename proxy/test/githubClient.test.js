@@ -0,0 +1,126 @@
+/**
+ * Tests for the shared GitHub API client
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  githubRequest,
+  githubPaginate,
+  getNextPageUrl,
+  githubErrorStatus,
+  GitHubApiError,
+  GitHubAuthError,
+  GitHubPermissionError,
+  GitHubNotFoundError,
+  GitHubRateLimitError
+} from '../utils/githubClient.js';
+import { jsonResponse, mockFetch } from './helpers.js';
+
+/**
+ * Answers calls in order, repeating the last answer
+ */
+function mockSequence(t, responses) {
+  // No jitter, so retries do not wait
+  t.mock.method(Math, 'random', () => 0);
+  return mockFetch(t, () => {
+    const next = responses.length > 1 ? responses.shift() : responses[0];
+    if (next instanceof Error) throw next;
+    return next();
+  });
+}
+
+test('sends the token and parses JSON, or null for empty bodies', async (t) => {
+  const calls = mockSequence(t, [() => jsonResponse({ login: 'octocat' }), () => new Response(null, { status: 204 })]);
+
+  assert.deepEqual(await githubRequest('/user', { token: 'ghs_send' }), { login: 'octocat' });
+  assert.equal(await githubRequest('/repos/o/r/actions/secrets/A', { token: 'ghs_send', method: 'DELETE' }), null);
+  assert.equal(calls[0].url.href, 'https://api.github.com/user');
+  assert.equal(calls[0].init.headers.Authorization, 'Bearer ghs_send');
+  assert.equal(calls[1].init.method, 'DELETE');
+});
+
+test('retries server errors and network failures, then succeeds', async (t) => {
+  const calls = mockSequence(t, [
+    () => jsonResponse({ message: 'Server Error' }, 502),
+    new TypeError('fetch failed'),
+    () => jsonResponse({ ok: true })
+  ]);
+
+  assert.deepEqual(await githubRequest('/user', { token: 'ghs_retry' }), { ok: true });
+  assert.equal(calls.length, 3);
+});
+
+test('gives up on server errors after the retry budget', async (t) => {
+  const calls = mockSequence(t, [() => jsonResponse({ message: 'Server Error' }, 500)]);
+
+  await assert.rejects(githubRequest('/user', { token: 'ghs_budget', retries: 2 }), (error) => {
+    assert.ok(error instanceof GitHubApiError);
+    assert.equal(error.status, 500);
+    assert.equal(error.githubMessage, 'Server Error');
+    assert.equal(githubErrorStatus(error), 502);
+    return true;
+  });
+  assert.equal(calls.length, 3);
+});
+
+test('maps client errors to typed errors without retrying', async (t) => {
+  let status;
+  const calls = mockSequence(t, [() => jsonResponse({ message: 'No' }, status)]);
+
+  for (const [code, ErrorClass] of [[401, GitHubAuthError], [403, GitHubPermissionError], [404, GitHubNotFoundError]]) {
+    status = code;
+    await assert.rejects(githubRequest('/repos/o/r', { token: 'ghs_typed' }), (error) => {
+      assert.ok(error instanceof ErrorClass);
+      assert.equal(error.path, '/repos/o/r');
+      assert.equal(githubErrorStatus(error), code);
+      return true;
+    });
+  }
+  assert.equal(calls.length, 3);
+});
+
+test('waits out a short secondary rate limit and retries', async (t) => {
+  const calls = mockSequence(t, [
+    () => jsonResponse({ message: 'You have exceeded a secondary rate limit' }, 403, { 'retry-after': '0' }),
+    () => jsonResponse({ ok: true })
+  ]);
+
+  assert.deepEqual(await githubRequest('/user', { token: 'ghs_secondary' }), { ok: true });
+  assert.equal(calls.length, 2);
+});
+
+test('an exhausted primary rate limit fails fast, then skips GitHub until it resets', async (t) => {
+  const reset = Math.floor(Date.now() / 1000) + 3600;
+  const calls = mockSequence(t, [() => jsonResponse({ message: 'API rate limit exceeded' }, 403, {
+    'x-ratelimit-remaining': '0',
+    'x-ratelimit-reset': String(reset)
+  })]);
+
+  await assert.rejects(githubRequest('/user', { token: 'ghs_exhausted' }), (error) => {
+    assert.ok(error instanceof GitHubRateLimitError);
+    assert.ok(error.retryAfter > 3500);
+    assert.equal(githubErrorStatus(error), 429);
+    return true;
+  });
+  await assert.rejects(githubRequest('/user', { token: 'ghs_exhausted' }), GitHubRateLimitError);
+  assert.equal(calls.length, 1);
+});
+
+test('follows Link headers across pages', async (t) => {
+  mockSequence(t, [
+    () => jsonResponse({ repositories: [{ id: 1 }] }, 200, {
+      link: '<https://api.github.com/installation/repositories?page=2>; rel="next", <https://api.github.com/installation/repositories?page=2>; rel="last"'
+    }),
+    () => jsonResponse({ repositories: [{ id: 2 }] })
+  ]);
+
+  const repos = await githubPaginate('/installation/repositories', { token: 'ghs_pages', itemsKey: 'repositories' });
+  assert.deepEqual(repos.map(repo => repo.id), [1, 2]);
+});
+
+test('reads the next page from a Link header', () => {
+  assert.equal(getNextPageUrl('<https://a.test/?page=3>; rel="prev", <https://a.test/?page=5>; rel="next"'), 'https://a.test/?page=5');
+  assert.equal(getNextPageUrl('<https://a.test/?page=1>; rel="first"'), null);
+  assert.equal(getNextPageUrl(null), null);
+});
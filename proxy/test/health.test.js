@@ -0,0 +1,185 @@
+/**
+ * Tests for the readiness checks and who may see their details
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import worker, { AuditLog, IdempotencyKeys, ProvisioningJobRunner, RateLimiter } from '../worker.js';
+import { checkReadiness, summarizeReadiness } from '../utils/health.js';
+import {
+  createKV,
+  createDurableObjectNamespace,
+  createExecutionContext,
+  jsonResponse,
+  mockFetch,
+  sessionRequest,
+  LOGIN_ENV
+} from './helpers.js';
+
+const AUDIT_TOKEN = 'audit-test-token';
+let clockOffset = 0;
+
+/**
+ * Moves the clock past the readiness cache, so each test runs the checks afresh
+ */
+function skipReadinessCache(t) {
+  clockOffset += 60 * 1000;
+  const now = Date.now.bind(Date);
+  const offset = clockOffset;
+  t.mock.method(Date, 'now', () => now() + offset);
+}
+
+function mockRateLimit(t, { remaining = 4870, scopes = 'repo, read:org' } = {}) {
+  return mockFetch(t, (url) => {
+    if (url.pathname === '/rate_limit') {
+      return jsonResponse({ resources: { core: { limit: 5000, remaining, reset: 1736938800 } } }, 200, { 'x-oauth-scopes': scopes });
+    }
+    return jsonResponse({ message: 'Not Found' }, 404);
+  });
+}
+
+function createEnv(overrides = {}) {
+  const env = { GITHUB_TOKEN: 'ghp_test', GREENER_KV: createKV(), AUDIT_TOKEN, ...LOGIN_ENV, ...overrides };
+  env.RATE_LIMITER = createDurableObjectNamespace(RateLimiter, env);
+  env.JOB_RUNNER = createDurableObjectNamespace(ProvisioningJobRunner, env);
+  env.AUDIT_LOG = createDurableObjectNamespace(AuditLog, env);
+  env.IDEMPOTENCY = createDurableObjectNamespace(IdempotencyKeys, env);
+  return env;
+}
+
+test('a missing KV binding degrades the worker without failing it', async (t) => {
+  skipReadinessCache(t);
+  mockRateLimit(t);
+
+  const readiness = await checkReadiness({ GITHUB_TOKEN: 'ghp_test' });
+
+  assert.equal(readiness.ready, true);
+  assert.equal(readiness.status, 'degraded');
+  assert.equal(readiness.checks.kv.status, 'warn');
+  assert.match(readiness.checks.kv.message, /GREENER_KV is not bound/);
+  assert.equal(readiness.checks.rateLimiter.status, 'warn');
+  assert.equal(readiness.checks.appJwt.status, 'skipped');
+});
+
+test('unbound Durable Objects degrade the worker and say what is off', async (t) => {
+  skipReadinessCache(t);
+  mockRateLimit(t);
+
+  const readiness = await checkReadiness({ GITHUB_TOKEN: 'ghp_test', GREENER_KV: createKV() });
+
+  assert.equal(readiness.status, 'degraded');
+  assert.match(readiness.checks.jobRunner.message, /JOB_RUNNER is not bound/);
+  assert.match(readiness.checks.auditLog.message, /AUDIT_LOG is not bound/);
+  assert.match(readiness.checks.idempotency.message, /IDEMPOTENCY is not bound/);
+});
+
+test('the Durable Object probes leave no state behind', async (t) => {
+  skipReadinessCache(t);
+  mockRateLimit(t);
+  const env = createEnv();
+
+  const readiness = await checkReadiness(env);
+
+  assert.equal(readiness.status, 'ok');
+  for (const name of ['jobRunner', 'auditLog', 'idempotency']) {
+    assert.equal(readiness.checks[name].status, 'ok', name);
+  }
+  for (const namespace of [env.JOB_RUNNER, env.AUDIT_LOG, env.IDEMPOTENCY]) {
+    const [instance] = namespace.instances.values();
+    assert.equal(instance.state.storage.data.size, 0);
+    assert.equal(instance.state.storage.alarm, null);
+  }
+});
+
+test('a Durable Object that errors fails the worker', async (t) => {
+  skipReadinessCache(t);
+  mockRateLimit(t);
+  const env = createEnv();
+  env.AUDIT_LOG = {
+    idFromName: name => name,
+    get: () => ({ fetch: async () => new Response('Internal error', { status: 500 }) })
+  };
+
+  const readiness = await checkReadiness(env);
+
+  assert.equal(readiness.ready, false);
+  assert.equal(readiness.checks.auditLog.error, 'Audit log answered 500');
+});
+
+test('a token without the repo scope fails the worker', async (t) => {
+  skipReadinessCache(t);
+  mockRateLimit(t, { scopes: 'read:org' });
+
+  const readiness = await checkReadiness(createEnv());
+
+  assert.equal(readiness.ready, false);
+  assert.equal(readiness.checks.github.status, 'fail');
+  assert.match(readiness.checks.github.error, /missing the repo scope/);
+});
+
+test('the summary keeps only each check\'s status', () => {
+  const summary = summarizeReadiness({
+    ready: false,
+    status: 'fail',
+    checks: { github: { status: 'fail', error: 'Token is missing the repo scope', scopes: [], latencyMs: 3 } },
+    checkedAt: '2025-01-15T10:30:00.000Z'
+  });
+
+  assert.deepEqual(summary, {
+    ready: false,
+    status: 'fail',
+    checks: { github: { status: 'fail' } },
+    checkedAt: '2025-01-15T10:30:00.000Z'
+  });
+});
+
+test('anonymous callers get pass/fail only', async (t) => {
+  skipReadinessCache(t);
+  mockRateLimit(t, { remaining: 10 });
+
+  const response = await worker.fetch(new Request('https://worker.test/health/ready'), createEnv(), createExecutionContext());
+  const body = await response.json();
+
+  assert.equal(response.status, 200);
+  assert.equal(body.status, 'degraded');
+  assert.deepEqual(body.checks, {
+    github: { status: 'warn' },
+    kv: { status: 'ok' },
+    rateLimiter: { status: 'ok' },
+    jobRunner: { status: 'ok' },
+    auditLog: { status: 'ok' },
+    idempotency: { status: 'ok' },
+    appJwt: { status: 'skipped' }
+  });
+});
+
+test('the audit token shows check details', async (t) => {
+  skipReadinessCache(t);
+  mockRateLimit(t);
+  const request = new Request('https://worker.test/health/ready', { headers: { Authorization: `Bearer ${AUDIT_TOKEN}` } });
+
+  const body = await (await worker.fetch(request, createEnv(), createExecutionContext())).json();
+
+  assert.deepEqual(body.checks.github.scopes, ['repo', 'read:org']);
+  assert.equal(body.checks.github.rateLimit.remaining, 4870);
+  assert.equal(typeof body.checks.kv.latencyMs, 'number');
+});
+
+test('a wrong token is treated as anonymous', async (t) => {
+  skipReadinessCache(t);
+  mockRateLimit(t);
+  const request = new Request('https://worker.test/health/ready', { headers: { Authorization: 'Bearer guess' } });
+
+  const body = await (await worker.fetch(request, createEnv(), createExecutionContext())).json();
+
+  assert.deepEqual(body.checks.github, { status: 'ok' });
+});
+
+test('a signed-in user sees check details', async (t) => {
+  skipReadinessCache(t);
+  mockRateLimit(t);
+
+  const body = await (await worker.fetch(await sessionRequest('GET', '/health/ready'), createEnv(), createExecutionContext())).json();
+
+  assert.equal(body.checks.github.rateLimit.limit, 5000);
+});
@@ -0,0 +1,253 @@
+/**
+ * Test helpers
+ * In-memory stand-ins for Workers bindings and recorded GitHub payloads
+ */
+
+import { readFileSync } from 'node:fs';
+import { hmacSha256Hex } from '../utils/webhook.js';
+import { signValue, SESSION_COOKIE } from '../utils/session.js';
+
+/**
+ * Creates an in-memory KV namespace with get/put/delete/list and metadata
+ * @returns {object} - KV binding; `entries` is the backing Map
+ */
+export function createKV() {
+  const entries = new Map();
+
+  return {
+    entries,
+    async get(key, type) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      return type === 'json' ? JSON.parse(entry.value) : entry.value;
+    },
+    async put(key, value, options = {}) {
+      entries.set(key, { value: String(value), metadata: options.metadata, options });
+    },
+    async delete(key) {
+      entries.delete(key);
+    },
+    async list({ prefix = '', cursor, limit = 1000 } = {}) {
+      const names = [...entries.keys()].filter(name => name.startsWith(prefix)).sort();
+      const start = cursor ? Number(cursor) : 0;
+      const page = names.slice(start, start + limit);
+      const complete = start + limit >= names.length;
+      return {
+        keys: page.map(name => ({ name, metadata: entries.get(name).metadata })),
+        list_complete: complete,
+        cursor: complete ? undefined : String(start + limit)
+      };
+    }
+  };
+}
+
+/**
+ * Creates in-memory Durable Object state: storage with get/put/delete/list,
+ * deleteAll and a single alarm
+ * @returns {object} - `state` for a Durable Object constructor; `storage.data` and `storage.alarm` are inspectable
+ */
+export function createDurableObjectState() {
+  const data = new Map();
+  const clone = value => (value === undefined ? undefined : structuredClone(value));
+
+  const storage = {
+    data,
+    alarm: null,
+    async get(key) {
+      if (Array.isArray(key)) {
+        return new Map(key.filter(name => data.has(name)).map(name => [name, clone(data.get(name))]));
+      }
+      return clone(data.get(key));
+    },
+    async put(key, value) {
+      const entries = typeof key === 'string' ? { [key]: value } : key;
+      for (const [name, item] of Object.entries(entries)) data.set(name, clone(item));
+    },
+    async delete(key) {
+      return data.delete(key);
+    },
+    async list({ prefix = '', start, limit } = {}) {
+      let names = [...data.keys()].filter(name => name.startsWith(prefix)).sort();
+      if (start) names = names.filter(name => name >= start);
+      if (limit) names = names.slice(0, limit);
+      return new Map(names.map(name => [name, clone(data.get(name))]));
+    },
+    async deleteAll() {
+      data.clear();
+      storage.alarm = null;
+    },
+    async setAlarm(time) {
+      storage.alarm = typeof time === 'number' ? time : time.getTime();
+    },
+    async getAlarm() {
+      return storage.alarm;
+    }
+  };
+
+  return { storage };
+}
+
+/**
+ * Creates a Durable Object namespace binding backed by in-memory instances
+ * @param {Function} ObjectClass - Durable Object class
+ * @param {object} env - Environment passed to each instance
+ * @returns {object} - Binding with idFromName/get; `instances` maps names to objects
+ */
+export function createDurableObjectNamespace(ObjectClass, env = {}) {
+  const instances = new Map();
+
+  return {
+    instances,
+    idFromName(name) {
+      return name;
+    },
+    get(id) {
+      if (!instances.has(id)) {
+        instances.set(id, new ObjectClass(createDurableObjectState(), env));
+      }
+      const instance = instances.get(id);
+      return {
+        fetch: (input, init) => instance.fetch(new Request(input, init))
+      };
+    }
+  };
+}
+
+/**
+ * Runs a Durable Object's alarms until none is set
+ * @param {object} instance - Durable Object
+ * @param {number} maxRuns - Guard against an alarm that always reschedules
+ * @returns {Promise<number>} - Alarms run
+ */
+export async function runAlarms(instance, maxRuns = 1000) {
+  let runs = 0;
+  while (instance.state.storage.alarm !== null && instance.state.storage.alarm <= Date.now() && runs < maxRuns) {
+    instance.state.storage.alarm = null;
+    await instance.alarm();
+    runs++;
+  }
+  return runs;
+}
+
+/**
+ * Loads a recorded webhook payload from fixtures/webhooks
+ * @param {string} name - Fixture name, e.g. 'installation.created'
+ * @returns {object} - Parsed payload (a fresh copy per call)
+ */
+export function loadWebhookFixture(name) {
+  return JSON.parse(readFileSync(new URL(`./fixtures/webhooks/${name}.json`, import.meta.url), 'utf8'));
+}
+
+/**
+ * Builds a signed webhook delivery request
+ * @param {string} event - X-GitHub-Event value
+ * @param {object|string} payload - Body
+ * @param {string} secret - Webhook secret
+ * @param {string} deliveryId - X-GitHub-Delivery value
+ * @returns {Promise<Request>}
+ */
+export async function signedWebhookRequest(event, payload, secret, deliveryId = crypto.randomUUID()) {
+  const body = typeof payload === 'string' ? payload : JSON.stringify(payload);
+  const signature = await hmacSha256Hex(secret, new TextEncoder().encode(body));
+
+  return new Request('https://worker.test/', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-GitHub-Event': event,
+      'X-GitHub-Delivery': deliveryId,
+      'X-Hub-Signature-256': `sha256=${signature}`
+    },
+    body
+  });
+}
+
+/**
+ * Creates an execution context that collects waitUntil promises
+ * @returns {{waitUntil: Function, settle: Function}} - settle() awaits everything deferred so far
+ */
+export function createExecutionContext() {
+  const pending = [];
+  return {
+    waitUntil(promise) {
+      pending.push(promise);
+    },
+    async settle() {
+      while (pending.length > 0) {
+        await pending.shift();
+      }
+    }
+  };
+}
+
+/**
+ * Replaces global fetch with a handler for the duration of a test
+ * @param {object} t - node:test context
+ * @param {Function} handler - (url: URL, init: object) => Response | Promise<Response>
+ * @returns {Array<{url: URL, init: object}>} - Calls made
+ */
+export function mockFetch(t, handler) {
+  const original = globalThis.fetch;
+  const calls = [];
+
+  globalThis.fetch = async (input, init = {}) => {
+    const url = new URL(typeof input === 'string' ? input : input.url);
+    calls.push({ url, init });
+    return handler(url, init);
+  };
+  t.after(() => {
+    globalThis.fetch = original;
+  });
+
+  return calls;
+}
+
+/**
+ * JSON response shorthand for fetch mocks
+ */
+export function jsonResponse(body, status = 200, headers = {}) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json', ...headers }
+  });
+}
+
+export const SESSION_SECRET = 'test-session-secret';
+
+/**
+ * Environment variables that turn on dashboard login
+ */
+export const LOGIN_ENV = {
+  CLIENT_ID: 'client-id',
+  CLIENT_SECRET: 'client-secret',
+  SESSION_SECRET
+};
+
+/**
+ * Builds a dashboard API request from a signed-in user, with a CSRF token
+ * @param {string} method - HTTP method
+ * @param {string} path - Path and query
+ * @param {object|null} body - JSON body
+ * @param {object} session - { login, userId, installations, teams }
+ * @returns {Promise<Request>}
+ */
+export async function sessionRequest(method, path, body = null, session = {}) {
+  const cookie = await signValue(SESSION_SECRET, {
+    login: 'octocat',
+    userId: 583231,
+    installations: [51234567],
+    teams: [],
+    ...session,
+    exp: Math.floor(Date.now() / 1000) + 3600
+  });
+
+  return new Request(`https://worker.test${path}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      'X-CSRF-Token': 'csrf-token',
+      Cookie: `${SESSION_COOKIE}=${cookie}; csrf=csrf-token`
+    },
+    body: body === null ? undefined : JSON.stringify(body)
+  });
+}
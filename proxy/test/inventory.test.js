@@ -0,0 +1,97 @@
+/**
+ * Tests for the secret inventory and drift report
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compareSecrets, inventoryScope, summarizeInventory, inventoryToCsv } from '../utils/inventory.js';
+import { getTemplate } from '../utils/templates.js';
+import { NEXT_SUFFIX } from '../utils/rotation.js';
+import { REPOSITORY_TARGET } from '../utils/secretTargets.js';
+import { jsonResponse, mockFetch } from './helpers.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = Date.parse('2026-06-01T00:00:00Z');
+const REPO = 'greener-labs/api';
+const TEMPLATE = getTemplate({}, 'default');
+
+const daysAgo = days => new Date(NOW - days * DAY_MS).toISOString();
+
+test('classifies secrets as present, stale, missing or extra', () => {
+  const existing = [
+    { name: 'GREENER_CI_KEY', updated_at: daysAgo(100) },
+    { name: 'GREENER_CI_SECRET', updated_at: daysAgo(10) },
+    { name: 'GREENER_APP_ID', updated_at: daysAgo(400) },
+    { name: 'GREENER_LEGACY_TOKEN', updated_at: daysAgo(5) },
+    { name: 'NPM_TOKEN', updated_at: daysAgo(5) }
+  ];
+
+  const { present, missing, extra } = compareSecrets(existing, TEMPLATE, { rotateDays: 90, now: NOW });
+
+  assert.deepEqual(present.map(secret => [secret.name, secret.stale]), [
+    ['GREENER_CI_KEY', true],
+    ['GREENER_CI_SECRET', false],
+    // Context secrets are never regenerated, so never stale
+    ['GREENER_APP_ID', false]
+  ]);
+  assert.deepEqual(missing, ['GREENER_API_TOKEN', 'GREENER_INSTALLATION_ID']);
+  // Secrets outside the GREENER_ namespace are not ours to report
+  assert.deepEqual(extra.map(secret => secret.name), ['GREENER_LEGACY_TOKEN']);
+});
+
+test('staged rotation copies are extra only outside a rotation', () => {
+  const existing = [{ name: `GREENER_CI_KEY${NEXT_SUFFIX}`, updated_at: daysAgo(1) }];
+
+  assert.equal(compareSecrets(existing, TEMPLATE, { rotateDays: 90, now: NOW }).extra.length, 1);
+  assert.equal(compareSecrets(existing, TEMPLATE, { rotateDays: 90, staged: true, now: NOW }).extra.length, 0);
+});
+
+test('inventories each store and reports the ones it cannot read', async (t) => {
+  mockFetch(t, (url) => {
+    if (url.pathname.includes('/codespaces/')) return jsonResponse({ message: 'Forbidden' }, 403);
+    return jsonResponse({ total_count: 1, secrets: [{ name: 'GREENER_CI_KEY', updated_at: daysAgo(1) }] });
+  });
+
+  const entry = await inventoryScope('ghs_test', {
+    repo: REPO,
+    scope: REPO,
+    target: REPOSITORY_TARGET,
+    stores: ['actions', 'codespaces'],
+    template: TEMPLATE,
+    provisioned: true,
+    rotateDays: 90,
+    now: NOW
+  });
+
+  assert.equal(entry.template, 'default');
+  assert.equal(entry.stores[0].present.length, 1);
+  assert.equal(entry.stores[0].missing.length, 4);
+  assert.match(entry.stores[1].error, /403/);
+  assert.deepEqual(summarizeInventory([entry]), { scopes: 1, present: 1, missing: 4, extra: 0, stale: 0, errors: 1 });
+});
+
+test('exports one CSV row per secret and guards against formulas', () => {
+  const csv = inventoryToCsv([{
+    repo: REPO,
+    scope: REPO,
+    template: 'default',
+    stores: [
+      {
+        store: 'actions',
+        present: [{ name: 'GREENER_CI_KEY', updated_at: '2026-05-01T00:00:00Z', stale: false }],
+        missing: ['GREENER_API_TOKEN'],
+        extra: [],
+        error: null
+      },
+      { store: 'codespaces', present: [], missing: [], extra: [], error: '=HYPERLINK("https://evil.test"), denied' }
+    ]
+  }]);
+
+  assert.deepEqual(csv.split('\r\n'), [
+    'repo,scope,template,store,secret,status,updated_at,stale,error',
+    `${REPO},${REPO},default,actions,GREENER_CI_KEY,present,2026-05-01T00:00:00Z,false,`,
+    `${REPO},${REPO},default,actions,GREENER_API_TOKEN,missing,,,`,
+    `${REPO},${REPO},default,codespaces,,error,,,"'=HYPERLINK(""https://evil.test""), denied"`,
+    ''
+  ]);
+});
@@ -0,0 +1,199 @@
+/**
+ * Tests for bulk provisioning jobs and their Durable Object runner
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  JobRunner,
+  DEFAULT_REPO_SUBREQUESTS,
+  MAX_JOB_BATCH_SIZE,
+  estimateRepoSubrequests,
+  getJobBatchSize,
+  createJob,
+  getJob,
+  getJobProgress,
+  followJob,
+  describeJob
+} from '../utils/jobs.js';
+import { createDurableObjectNamespace, runAlarms } from './helpers.js';
+
+/**
+ * Runner that records provisioned repositories; repos named `*-fail` throw
+ */
+class TestRunner extends JobRunner {
+  async provisionRepo(job, repo) {
+    TestRunner.calls.push(repo);
+    if (repo.endsWith('-fail')) throw new Error('Forbidden');
+    return { repo, status: 'success', secrets: ['GREENER_CI_KEY'] };
+  }
+
+  async onComplete(job, results) {
+    TestRunner.completed.push({ job, results });
+  }
+}
+
+function setup() {
+  TestRunner.calls = [];
+  TestRunner.completed = [];
+  const env = {};
+  env.JOB_RUNNER = createDurableObjectNamespace(TestRunner, env);
+  return env;
+}
+
+const repoList = count => Array.from({ length: count }, (_, i) => `org/repo-${i}`);
+const runner = (env, job) => env.JOB_RUNNER.instances.get(job.id);
+
+test('creating a job starts it without any client connected', async () => {
+  const env = setup();
+  const job = await createJob(env, { installationId: 1, repos: repoList(3), createdBy: 'octocat' });
+
+  assert.equal(job.status, 'pending');
+  assert.equal(describeJob(job).pending, 3);
+  assert.ok(runner(env, job).state.storage.alarm !== null);
+
+  await runAlarms(runner(env, job));
+  assert.deepEqual(TestRunner.calls, repoList(3));
+  assert.equal((await getJob(env, job.id)).status, 'completed');
+});
+
+test('runs one batch per alarm invocation', async () => {
+  const env = setup();
+  const batchSize = getJobBatchSize(DEFAULT_REPO_SUBREQUESTS);
+  const total = batchSize * 2 + 5;
+  const job = await createJob(env, { installationId: 1, repos: repoList(total) });
+  const instance = runner(env, job);
+
+  instance.state.storage.alarm = null;
+  await instance.alarm();
+  assert.equal(TestRunner.calls.length, batchSize);
+  assert.equal((await getJob(env, job.id)).completed, batchSize);
+  assert.ok(instance.state.storage.alarm !== null, 'next batch is scheduled');
+
+  assert.equal(await runAlarms(instance), 2);
+  assert.equal(TestRunner.calls.length, total);
+  assert.equal(new Set(TestRunner.calls).size, total, 'no repository runs twice');
+});
+
+test('batches are sized to the estimated subrequests per repository', async () => {
+  // One secret in one store, overwritten: a public key fetch and a PUT
+  assert.equal(estimateRepoSubrequests({ secrets: 1, stores: 1, listsExisting: false }), 2);
+  assert.equal(estimateRepoSubrequests({ secrets: 5, stores: 3, checksPermission: true }), 34);
+
+  assert.equal(getJobBatchSize(2), MAX_JOB_BATCH_SIZE);
+  assert.equal(getJobBatchSize(34), 26);
+  assert.equal(getJobBatchSize(5000), 1);
+
+  class CostlyRunner extends TestRunner {
+    estimateSubrequests() {
+      return 300;
+    }
+  }
+  TestRunner.calls = [];
+  const env = {};
+  env.JOB_RUNNER = createDurableObjectNamespace(CostlyRunner, env);
+  const job = await createJob(env, { installationId: 1, repos: repoList(7) });
+  const instance = runner(env, job);
+
+  instance.state.storage.alarm = null;
+  await instance.alarm();
+  assert.equal(TestRunner.calls.length, 3);
+  assert.equal(await runAlarms(instance), 2);
+  assert.equal(TestRunner.calls.length, 7);
+});
+
+test('records failures and notifies once on completion', async () => {
+  const env = setup();
+  const job = await createJob(env, { installationId: 1, repos: ['org/a', 'org/b-fail', 'org/c'] });
+  await runAlarms(runner(env, job));
+
+  const progress = await getJobProgress(env, job.id);
+  assert.equal(progress.job.failed, 1);
+  assert.deepEqual(progress.results.map(result => result.status).sort(), ['error', 'success', 'success']);
+  assert.equal(progress.results.find(result => result.status === 'error').error, 'Forbidden');
+
+  assert.equal(TestRunner.completed.length, 1);
+  assert.equal(TestRunner.completed[0].results.length, 3);
+});
+
+test('resumes an interrupted batch with only the unfinished repositories', async () => {
+  const env = setup();
+  const job = await createJob(env, { installationId: 1, repos: repoList(4) });
+  const instance = runner(env, job);
+
+  // A crash after two repositories of the first batch finished
+  const stored = await instance.state.storage.get('job');
+  await instance.state.storage.put({
+    job: { ...stored, status: 'running', completed: 2, batch: { start: 0, end: 4, done: [0, 1] } },
+    'result:000001': { index: 0, repo: 'org/repo-0', status: 'success' },
+    'result:000002': { index: 1, repo: 'org/repo-1', status: 'success' }
+  });
+
+  await runAlarms(instance);
+  assert.deepEqual(TestRunner.calls, ['org/repo-2', 'org/repo-3']);
+  assert.equal((await getJobProgress(env, job.id)).results.length, 4);
+});
+
+test('progress replays only results after the given event id', async () => {
+  const env = setup();
+  const job = await createJob(env, { installationId: 1, repos: repoList(5) });
+  await runAlarms(runner(env, job));
+
+  const progress = await getJobProgress(env, job.id, 3);
+  assert.equal(progress.results.length, 2);
+});
+
+test('followJob emits stored results with their event ids until completion', async () => {
+  const env = setup();
+  const job = await createJob(env, { installationId: 1, repos: repoList(3) });
+  await runAlarms(runner(env, job));
+
+  const events = [];
+  const final = await followJob(env, job.id, { afterId: 1, emit: (eventId, result) => events.push([eventId, result.repo]) });
+
+  assert.equal(final.status, 'completed');
+  assert.deepEqual(events.map(([eventId]) => eventId), [2, 3]);
+});
+
+test('a completed job expires after seven days', async () => {
+  const env = setup();
+  const job = await createJob(env, { installationId: 1, repos: repoList(1) });
+  const instance = runner(env, job);
+  await runAlarms(instance);
+
+  const { alarm } = instance.state.storage;
+  assert.ok(alarm - Date.now() > 6 * 24 * 60 * 60 * 1000);
+
+  // Early alarms (a retry) only re-arm expiry
+  instance.state.storage.alarm = null;
+  await instance.alarm();
+  assert.ok(await getJob(env, job.id));
+
+  const realNow = Date.now;
+  Date.now = () => alarm + 1;
+  try {
+    await instance.alarm();
+  } finally {
+    Date.now = realNow;
+  }
+  assert.equal(await getJob(env, job.id), null);
+});
+
+test('a job cannot be started twice', async () => {
+  const env = setup();
+  const job = await createJob(env, { installationId: 1, repos: repoList(1) });
+
+  const response = await env.JOB_RUNNER.get(job.id).fetch('https://job-runner/start', {
+    method: 'POST',
+    body: JSON.stringify({ job, repos: repoList(1) })
+  });
+  assert.equal(response.status, 409);
+});
+
+test('unknown jobs are null and jobs need the binding', async () => {
+  const env = setup();
+  assert.equal(await getJob(env, crypto.randomUUID()), null);
+
+  await assert.rejects(createJob({}, { installationId: 1, repos: ['org/a'] }),
+    response => response instanceof Response && response.status === 503);
+});
@@ -0,0 +1,117 @@
+/**
+ * Tests for the provisioning ledger and its cached summaries
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  recordProvisioning,
+  listProvisioning,
+  summarizeProvisioning,
+  getProvisioningSummary
+} from '../utils/ledger.js';
+import { createKV } from './helpers.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Counts ledger list() calls so tests can tell a cache hit from a scan
+ */
+function countLedgerScans(env) {
+  const list = env.GREENER_KV.list;
+  let scans = 0;
+  env.GREENER_KV.list = async (options) => {
+    if (options.prefix === 'ledger:') scans++;
+    return list(options);
+  };
+  return () => scans;
+}
+
+test('records an attempt with key metadata for list()', async () => {
+  const env = { GREENER_KV: createKV() };
+  const record = await recordProvisioning(env, {
+    repo: 'org/api', actor: 'octocat', secrets: ['GREENER_CI_KEY'], result: 'success', installationId: 7
+  });
+
+  assert.equal(record.action, 'provision');
+  const [key] = (await env.GREENER_KV.list({ prefix: 'ledger:' })).keys;
+  assert.deepEqual(key.metadata, record);
+  assert.equal(env.GREENER_KV.entries.get(key.name).options.expirationTtl, 365 * 24 * 60 * 60);
+});
+
+test('filters by installation, repository and date', async () => {
+  const env = { GREENER_KV: createKV() };
+  await recordProvisioning(env, { repo: 'org/api', result: 'success', installationId: 1 });
+  await recordProvisioning(env, { repo: 'org/web', result: 'error', installationId: 1 });
+  await recordProvisioning(env, { repo: 'other/api', result: 'success', installationId: 2 });
+
+  assert.equal((await listProvisioning(env, { installationId: 1 })).length, 2);
+  assert.equal((await listProvisioning(env, { installationIds: [1, 2] })).length, 3);
+  assert.equal((await listProvisioning(env, { repo: 'org/web' })).length, 1);
+  assert.equal((await listProvisioning(env, { since: Date.now() + DAY_MS })).length, 0);
+});
+
+test('summarizes attempts per repository, net of removed secrets', () => {
+  const now = Date.parse('2024-06-10T12:00:00Z');
+  const records = [
+    { repo: 'org/api', secrets: ['A', 'B'], result: 'success', timestamp: '2024-06-08T10:00:00Z' },
+    { repo: 'org/api', secrets: ['C'], result: 'error', timestamp: '2024-06-09T10:00:00Z' },
+    { repo: 'org/web', secrets: ['A'], result: 'success', timestamp: '2024-06-10T10:00:00Z' },
+    { action: 'deprovision', repo: 'org/api', secrets: ['A'], result: 'success', timestamp: '2024-06-10T11:00:00Z' }
+  ];
+
+  const summary = summarizeProvisioning(records, now);
+  assert.equal(summary.totalRepos, 2);
+  assert.equal(summary.totalProvisions, 3);
+  assert.equal(summary.totalSecrets, 3);
+  assert.equal(summary.lastProvision, '2024-06-10T10:00:00Z');
+  assert.deepEqual(summary.weeklyProvisions, [0, 0, 0, 0, 1, 1, 1]);
+  assert.deepEqual(summary.topRepos[0], {
+    name: 'org/api', provisions: 2, failures: 1, secrets: 2, lastProvision: '2024-06-09T10:00:00Z'
+  });
+});
+
+test('serves repeat summaries from the cache without scanning the ledger', async () => {
+  const env = { GREENER_KV: createKV() };
+  const scans = countLedgerScans(env);
+  await recordProvisioning(env, { repo: 'org/api', result: 'success', installationId: 1 });
+
+  const first = await getProvisioningSummary(env, { installationIds: [1] });
+  const second = await getProvisioningSummary(env, { installationIds: [1] });
+
+  assert.equal(scans(), 1);
+  assert.deepEqual(second, first);
+  assert.equal(second.totalProvisions, 1);
+});
+
+test('a new record invalidates the installation\'s cached summaries', async () => {
+  const env = { GREENER_KV: createKV() };
+  const scans = countLedgerScans(env);
+  await recordProvisioning(env, { repo: 'org/api', result: 'success', installationId: 1 });
+  await getProvisioningSummary(env, { installationIds: [1, 2] });
+
+  // Another installation's write changes a summary that covers it
+  await recordProvisioning(env, { repo: 'other/api', result: 'success', installationId: 2 });
+  const summary = await getProvisioningSummary(env, { installationIds: [1, 2] });
+
+  assert.equal(scans(), 2);
+  assert.equal(summary.totalProvisions, 2);
+});
+
+test('caches each filter set separately', async () => {
+  const env = { GREENER_KV: createKV() };
+  await recordProvisioning(env, { repo: 'org/api', result: 'success', installationId: 1 });
+  await recordProvisioning(env, { repo: 'org/web', result: 'success', installationId: 1 });
+
+  const all = await getProvisioningSummary(env, { installationIds: [1] });
+  const one = await getProvisioningSummary(env, { installationIds: [1], repo: 'org/web' });
+
+  assert.equal(all.totalRepos, 2);
+  assert.equal(one.totalRepos, 1);
+});
+
+test('returns an empty summary without KV', async () => {
+  const summary = await getProvisioningSummary({}, { installationIds: [1] });
+  assert.equal(summary.totalProvisions, 0);
+  assert.equal(await recordProvisioning({}, { repo: 'org/api' }), null);
+});
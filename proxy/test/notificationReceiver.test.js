@@ -0,0 +1,100 @@
+/**
+ * Tests for the local notification receiver, driven by the worker's own
+ * notification delivery
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createNotificationReceiver } from '../dev/notification-receiver.js';
+import { buildNotification, deliverNotification } from '../utils/notifications.js';
+
+const SECRET = 'local-receiver-secret';
+
+const notification = () => buildNotification('provisioning.succeeded', {
+  installationId: 51234567,
+  source: 'dashboard',
+  actor: 'octocat',
+  results: [{ repo: 'greener-labs/api', status: 'success' }]
+});
+
+/**
+ * Routes the worker's notification requests to a receiver
+ */
+function routeTo(t, receiver) {
+  const original = globalThis.fetch;
+  globalThis.fetch = async (input, init) => receiver.handle(new Request(input, init));
+  t.after(() => {
+    globalThis.fetch = original;
+  });
+}
+
+test('records a signed webhook delivery and checks its signature', async (t) => {
+  const receiver = createNotificationReceiver({ secret: SECRET });
+  routeTo(t, receiver);
+  const sent = notification();
+
+  const result = await deliverNotification({ type: 'webhook', url: 'http://localhost:8788/', secret: SECRET }, sent);
+
+  assert.deepEqual(result, { ok: true, attempts: 1, status: 200, error: null });
+  assert.equal(receiver.received.length, 1);
+  const [delivery] = receiver.received;
+  assert.equal(delivery.format, 'webhook');
+  assert.equal(delivery.event, 'provisioning.succeeded');
+  assert.equal(delivery.signature, 'valid');
+  assert.equal(delivery.payload.id, sent.id);
+});
+
+test('rejects a delivery signed with another secret', async (t) => {
+  const receiver = createNotificationReceiver({ secret: SECRET });
+  routeTo(t, receiver);
+
+  const result = await deliverNotification(
+    { type: 'webhook', url: 'http://localhost:8788/', secret: 'some-other-secret-value' },
+    notification()
+  );
+
+  assert.equal(result.ok, false);
+  assert.equal(result.status, 401);
+  assert.equal(result.attempts, 1);
+  assert.equal(receiver.received[0].signature, 'invalid');
+});
+
+test('fails the first attempts of a delivery with ?fail=N', async (t) => {
+  const receiver = createNotificationReceiver({ secret: SECRET });
+  routeTo(t, receiver);
+
+  const result = await deliverNotification({ type: 'webhook', url: 'http://localhost:8788/?fail=1', secret: SECRET }, notification());
+
+  assert.equal(result.ok, true);
+  assert.equal(result.attempts, 2);
+  assert.deepEqual(receiver.received.map(delivery => [delivery.attempt, delivery.status]), [[1, 503], [2, 200]]);
+});
+
+test('recognizes Slack and Teams payloads', async (t) => {
+  const receiver = createNotificationReceiver();
+  routeTo(t, receiver);
+
+  await deliverNotification({ type: 'slack', url: 'http://localhost:8788/' }, notification());
+  await deliverNotification({ type: 'teams', url: 'http://localhost:8788/' }, notification());
+
+  assert.deepEqual(receiver.received.map(delivery => [delivery.format, delivery.signature]), [
+    ['slack', 'unsigned'],
+    ['teams', 'unsigned']
+  ]);
+});
+
+test('lists, clears and validates over HTTP methods', async () => {
+  const receiver = createNotificationReceiver();
+  await receiver.handle(new Request('http://localhost:8788/', { method: 'POST', body: 'plain text' }));
+
+  const listed = await (await receiver.handle(new Request('http://localhost:8788/'))).json();
+  assert.equal(listed.received.length, 1);
+  assert.equal(listed.received[0].format, 'unknown');
+
+  const cleared = await (await receiver.handle(new Request('http://localhost:8788/', { method: 'DELETE' }))).json();
+  assert.deepEqual(cleared.received, []);
+
+  const invalid = await receiver.handle(new Request('http://localhost:8788/?status=99', { method: 'POST', body: '{}' }));
+  assert.equal(invalid.status, 400);
+  assert.equal((await receiver.handle(new Request('http://localhost:8788/', { method: 'PUT', body: '{}' }))).status, 405);
+});
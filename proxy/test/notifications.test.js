@@ -0,0 +1,121 @@
+/**
+ * Tests for outbound notifications: targets, payload formats, signing,
+ * retries and dead letters
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  getNotificationTargets,
+  buildNotification,
+  buildDelivery,
+  toSlackPayload,
+  toTeamsPayload,
+  sendNotification,
+  listDeadLetters,
+  provisioningEvent
+} from '../utils/notifications.js';
+import { hmacSha256Hex, verifyWebhookSignature } from '../utils/webhook.js';
+import { createKV, mockFetch } from './helpers.js';
+
+const SECRET = 'notification-test-secret';
+
+const provisioning = (results) => buildNotification(provisioningEvent(results), {
+  installationId: 51234567,
+  source: 'dashboard',
+  actor: 'octocat',
+  template: 'default',
+  results
+});
+
+test('validates NOTIFICATION_TARGETS', () => {
+  const targets = (value) => () => getNotificationTargets({ NOTIFICATION_TARGETS: JSON.stringify(value) });
+
+  assert.deepEqual(getNotificationTargets({}), []);
+  assert.throws(() => getNotificationTargets({ NOTIFICATION_TARGETS: '[' }), /Server misconfiguration: NOTIFICATION_TARGETS is not valid JSON/);
+  assert.throws(targets([{ type: 'email', url: 'https://x.test' }]), /needs a type/);
+  assert.throws(targets([{ type: 'slack', url: 'http://hooks.test' }]), /needs an https url/);
+  assert.throws(targets([{ type: 'webhook', url: 'https://hooks.test', secret: 'short' }]), /secret of at least 16/);
+  assert.throws(targets([{ type: 'slack', url: 'https://hooks.test', events: ['nope'] }]), /events must be a subset/);
+  assert.equal(targets([{ type: 'slack', url: 'http://localhost:8788/' }])().length, 1);
+});
+
+test('signs webhook deliveries over the exact body', async () => {
+  const notification = provisioning([{ repo: 'greener-labs/api', status: 'success' }]);
+  const { body, headers } = await buildDelivery({ type: 'webhook', url: 'https://hooks.test', secret: SECRET }, notification);
+
+  const expected = await hmacSha256Hex(SECRET, new TextEncoder().encode(body));
+  assert.equal(headers['X-Greener-Signature-256'], `sha256=${expected}`);
+  assert.equal(headers['X-Greener-Delivery'], notification.id);
+  assert.equal(headers['X-Greener-Event'], 'provisioning.succeeded');
+  assert.equal(await verifyWebhookSignature(new TextEncoder().encode(body), headers['X-Greener-Signature-256'], [SECRET]), true);
+  assert.deepEqual(JSON.parse(body), notification);
+});
+
+test('does not sign chat payloads', async () => {
+  const notification = provisioning([{ repo: 'greener-labs/api', status: 'success' }]);
+  const { headers } = await buildDelivery({ type: 'slack', url: 'https://hooks.test' }, notification);
+
+  assert.equal(headers['X-Greener-Signature-256'], undefined);
+});
+
+test('builds Slack blocks with escaped text and a capped item list', () => {
+  const results = Array.from({ length: 12 }, (_, n) => ({ repo: `greener-labs/repo-${n}`, status: 'error', error: '<denied> & more' }));
+  const payload = toSlackPayload(provisioning(results));
+
+  assert.equal(payload.blocks[0].text.text, 'Provisioning partly failed (installation 51234567)');
+  const items = payload.blocks[2].text.text.split('\n');
+  assert.equal(items.length, 11);
+  assert.equal(items[0], '• greener-labs/repo-0: error - &lt;denied&gt; &amp; more');
+  assert.equal(items[10], '• …and 2 more');
+  assert.match(payload.text, /0 of 12 repositories succeeded/);
+});
+
+test('builds a Teams Adaptive Card', () => {
+  const payload = toTeamsPayload(provisioning([{ repo: 'greener-labs/api', status: 'success' }]));
+  const card = payload.attachments[0].content;
+
+  assert.equal(payload.attachments[0].contentType, 'application/vnd.microsoft.card.adaptive');
+  assert.equal(card.version, '1.4');
+  assert.equal(card.body[0].text, 'Secrets provisioned (installation 51234567)');
+  assert.deepEqual(card.body.at(-1).facts[0], { title: 'Event', value: 'provisioning.succeeded' });
+});
+
+test('sends only to targets subscribed to the event', async (t) => {
+  const calls = mockFetch(t, () => new Response('ok'));
+  const env = {
+    NOTIFICATION_TARGETS: JSON.stringify([
+      { type: 'slack', url: 'https://hooks.test/all' },
+      { type: 'teams', url: 'https://hooks.test/drift', events: ['drift.detected'] }
+    ])
+  };
+
+  const results = await sendNotification(env, 'provisioning.succeeded', {
+    source: 'cli', results: [{ repo: 'greener-labs/api', status: 'success' }]
+  });
+
+  assert.deepEqual(results.map(result => [result.host, result.ok]), [['hooks.test', true]]);
+  assert.deepEqual(calls.map(call => call.url.pathname), ['/all']);
+});
+
+test('dead-letters a notification the target rejects, without its URL', async (t) => {
+  mockFetch(t, () => new Response('nope', { status: 400 }));
+  const env = {
+    GREENER_KV: createKV(),
+    NOTIFICATION_TARGETS: JSON.stringify([{ type: 'slack', url: 'https://hooks.test/services/T000/SECRET' }])
+  };
+
+  const [result] = await sendNotification(env, 'provisioning.partial', {
+    source: 'cli', results: [{ repo: 'greener-labs/api', status: 'error' }]
+  });
+
+  assert.deepEqual({ ok: result.ok, attempts: result.attempts, status: result.status }, { ok: false, attempts: 1, status: 400 });
+  const [deadLetter] = await listDeadLetters(env);
+  assert.deepEqual(deadLetter.target, { type: 'slack', host: 'hooks.test' });
+  assert.equal(deadLetter.notification.event, 'provisioning.partial');
+  assert.ok(!JSON.stringify(deadLetter).includes('SECRET'));
+});
+
+test('never throws, even with invalid targets', async () => {
+  assert.deepEqual(await sendNotification({ NOTIFICATION_TARGETS: '[' }, 'provisioning.succeeded', { results: [] }), []);
+});
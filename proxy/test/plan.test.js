@@ -0,0 +1,87 @@
+/**
+ * Tests for dry-run provisioning plans
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { planProvisioning } from '../utils/plan.js';
+import { parseProvisionMode } from '../utils/provisionMode.js';
+import { REPOSITORY_TARGET } from '../utils/secretTargets.js';
+import { jsonResponse, mockFetch } from './helpers.js';
+
+const REPO = 'greener-labs/api';
+const SECRET_NAMES = ['GREENER_CI_KEY', 'GREENER_API_TOKEN'];
+const EXISTING = [
+  { name: 'GREENER_CI_KEY', created_at: '2020-01-01T00:00:00Z', updated_at: '2020-01-01T00:00:00Z' },
+  { name: 'NPM_TOKEN', created_at: '2020-01-01T00:00:00Z', updated_at: '2020-01-01T00:00:00Z' }
+];
+
+/**
+ * GitHub stand-in that fails the given paths and answers reads otherwise
+ */
+function mockStores(t, failures = {}) {
+  return mockFetch(t, (url) => {
+    if (failures[url.pathname]) return jsonResponse({ message: 'Forbidden' }, failures[url.pathname]);
+    if (url.pathname.endsWith('/public-key')) return jsonResponse({ key_id: 'k', key: 'a2V5' });
+    return jsonResponse({ total_count: EXISTING.length, secrets: EXISTING });
+  });
+}
+
+test('splits template secrets into create, skip and unchanged without writing', async (t) => {
+  const calls = mockStores(t);
+  const plan = await planProvisioning('ghs_test', { repo: REPO, target: REPOSITORY_TARGET, stores: ['actions'], secretNames: SECRET_NAMES });
+
+  assert.deepEqual(plan, {
+    repo: REPO,
+    ok: true,
+    stores: [{
+      store: 'actions',
+      create: ['GREENER_API_TOKEN'],
+      update: [],
+      skip: [{ name: 'GREENER_CI_KEY', reason: 'exists' }],
+      unchanged: ['NPM_TOKEN'],
+      problems: []
+    }]
+  });
+  assert.ok(calls.every(call => (call.init.method || 'GET') === 'GET'));
+});
+
+test('overwrite and rotation plan updates to existing secrets', async (t) => {
+  mockStores(t);
+  const options = { repo: REPO, target: REPOSITORY_TARGET, stores: ['actions'], secretNames: SECRET_NAMES };
+
+  const overwrite = await planProvisioning('ghs_test', { ...options, mode: parseProvisionMode('overwrite') });
+  assert.deepEqual(overwrite.stores[0].update, ['GREENER_CI_KEY']);
+  const rotate = await planProvisioning('ghs_test', { ...options, mode: parseProvisionMode('rotate-if-older-than', 30) });
+  assert.deepEqual(rotate.stores[0].update, ['GREENER_CI_KEY']);
+  assert.deepEqual(rotate.stores[0].create, ['GREENER_API_TOKEN']);
+});
+
+test('reports unreadable stores as problems, per store', async (t) => {
+  mockStores(t, {
+    [`/repos/${REPO}/dependabot/secrets/public-key`]: 403,
+    [`/repos/${REPO}/codespaces/secrets`]: 403
+  });
+  const plan = await planProvisioning('ghs_test', {
+    repo: REPO,
+    target: REPOSITORY_TARGET,
+    stores: ['actions', 'dependabot', 'codespaces'],
+    secretNames: SECRET_NAMES
+  });
+
+  assert.equal(plan.ok, false);
+  const [actions, dependabot, codespaces] = plan.stores;
+  assert.deepEqual(actions.problems, []);
+  assert.deepEqual(dependabot.problems.map(problem => [problem.step, problem.status]), [['public-key', 403]]);
+  // The existing secrets are still known, so the plan is still made
+  assert.deepEqual(dependabot.create, ['GREENER_API_TOKEN']);
+  assert.deepEqual(codespaces.problems.map(problem => [problem.step, problem.status]), [['list-secrets', 403]]);
+  assert.deepEqual(codespaces.create, []);
+});
+
+test('demo mode without a token plans every secret as a create', async () => {
+  const plan = await planProvisioning(null, { repo: REPO, target: REPOSITORY_TARGET, stores: ['actions'], secretNames: SECRET_NAMES });
+
+  assert.equal(plan.ok, true);
+  assert.deepEqual(plan.stores[0].create, SECRET_NAMES);
+});
@@ -0,0 +1,116 @@
+/**
+ * Tests for the access policy
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  getAccessPolicy,
+  resolveRole,
+  checkAccess,
+  checkRepoPermission,
+  matchesRepoGlob,
+  permissionLevel,
+  provisioningAction,
+  getCollaboratorPermissions
+} from '../utils/policy.js';
+import { parseProvisionMode } from '../utils/provisionMode.js';
+import { jsonResponse, mockFetch } from './helpers.js';
+
+const POLICY = {
+  roles: {
+    admin: { users: ['hubot'], teams: ['greener-labs/platform'] },
+    provisioner: { teams: ['greener-labs/developers'] },
+    viewer: { users: ['*'] }
+  },
+  templates: {
+    database: { allow: ['greener-labs/db-*'], deny: ['greener-labs/db-legacy'], role: 'admin' },
+    '*': { allow: ['greener-labs/*'] }
+  }
+};
+
+const WRITE = { pull: true, triage: true, push: true, maintain: false, admin: false };
+const ADMIN = { ...WRITE, maintain: true, admin: true };
+
+test('rejects an invalid ACCESS_POLICY as a server misconfiguration', () => {
+  assert.throws(() => getAccessPolicy({ ACCESS_POLICY: '{' }), /Server misconfiguration: ACCESS_POLICY is not valid JSON/);
+  assert.throws(() => getAccessPolicy({ ACCESS_POLICY: '{"roles":{"owner":{}}}' }), /unknown role: owner/);
+  assert.throws(
+    () => getAccessPolicy({ ACCESS_POLICY: JSON.stringify({ roles: {}, templates: { x: { allow: ['no-slash'] } } }) }),
+    /allow must be an array of owner\/repo globs/
+  );
+  assert.equal(getAccessPolicy({}), null);
+});
+
+test('resolves the highest matching role', () => {
+  assert.equal(resolveRole(POLICY, 'HUBOT'), 'admin');
+  assert.equal(resolveRole(POLICY, 'octocat', ['Greener-Labs/Developers']), 'provisioner');
+  assert.equal(resolveRole(POLICY, 'octocat'), 'viewer');
+  assert.equal(resolveRole(null, 'octocat'), 'admin');
+  assert.equal(resolveRole({ roles: { admin: { users: ['hubot'] } } }, 'octocat'), null);
+});
+
+test('applies template rules, with deny winning over allow', () => {
+  const access = { action: 'provision', login: 'hubot', role: 'admin', template: 'database' };
+
+  assert.equal(checkAccess(POLICY, { ...access, repository: 'greener-labs/db-main' }), null);
+  assert.match(checkAccess(POLICY, { ...access, repository: 'greener-labs/db-legacy' }), /denied by greener-labs\/db-legacy/);
+  assert.match(checkAccess(POLICY, { ...access, repository: 'greener-labs/api' }), /not allowed on greener-labs\/api/);
+  assert.match(
+    checkAccess(POLICY, { ...access, role: 'provisioner', login: 'octocat', repository: 'greener-labs/db-main' }),
+    /template database requires the admin role; octocat has the provisioner role/
+  );
+  assert.match(checkAccess(POLICY, { ...access, template: 'default', repository: 'other/api' }), /not allowed/);
+});
+
+test('checks repository permissions when they are given', () => {
+  const access = { action: 'deprovision', login: 'octocat', role: 'admin', repository: 'greener-labs/api' };
+
+  assert.equal(checkAccess(null, access), null);
+  assert.match(checkAccess(null, { ...access, permissions: WRITE }), /requires admin permission on greener-labs\/api; octocat has push/);
+  assert.equal(checkAccess(null, { ...access, permissions: ADMIN }), null);
+  assert.match(checkAccess(null, { ...access, action: 'provision', permissions: null }), /requires push permission.*has none/);
+  assert.equal(checkRepoPermission({ action: 'provision', login: 'octocat', repository: 'greener-labs/api', permissions: WRITE }), null);
+});
+
+test('denies callers without a role', () => {
+  assert.match(checkAccess(POLICY, { action: 'view', login: null, role: null }), /This caller has no role/);
+});
+
+test('classifies every mode that replaces existing values as overwrite', () => {
+  assert.equal(provisioningAction(parseProvisionMode('create-only')), 'provision');
+  assert.equal(provisioningAction(parseProvisionMode('overwrite')), 'overwrite');
+  assert.equal(provisioningAction(parseProvisionMode('rotate-if-older-than', 30)), 'overwrite');
+  assert.equal(provisioningAction(parseProvisionMode('overwrite'), true), 'plan');
+});
+
+test('matches globs within one path segment', () => {
+  assert.equal(matchesRepoGlob('greener-labs/db-*', 'Greener-Labs/db-main'), true);
+  assert.equal(matchesRepoGlob('greener-labs/*', 'greener-labs/api'), true);
+  assert.equal(matchesRepoGlob('*', 'greener-labs/api'), false);
+  assert.equal(matchesRepoGlob('greener-labs/a.i', 'greener-labs/abi'), false);
+});
+
+test('reports the highest permission level', () => {
+  assert.equal(permissionLevel(ADMIN), 'admin');
+  assert.equal(permissionLevel({ pull: true }), 'pull');
+  assert.equal(permissionLevel(null), 'none');
+});
+
+test('reads collaborator permissions, falling back to the role name', async (t) => {
+  const calls = mockFetch(t, (url) => {
+    if (url.pathname.includes('/greener-labs/api/')) {
+      return jsonResponse({ permission: 'write', role_name: 'write', user: { login: 'octocat', permissions: WRITE } });
+    }
+    if (url.pathname.includes('/greener-labs/docs/')) {
+      return jsonResponse({ permission: 'admin', role_name: 'maintain' });
+    }
+    return jsonResponse({ message: 'Not Found' }, 404);
+  });
+
+  assert.deepEqual(await getCollaboratorPermissions('ghs_test', 'greener-labs/api', 'octocat'), WRITE);
+  assert.deepEqual(await getCollaboratorPermissions('ghs_test', 'greener-labs/docs', 'octocat'), { maintain: true });
+  assert.equal(await getCollaboratorPermissions('ghs_test', 'greener-labs/gone', 'octocat'), null);
+  assert.equal(calls[0].url.pathname, '/repos/greener-labs/api/collaborators/octocat/permission');
+  assert.equal(calls[0].init.headers.Authorization, 'Bearer ghs_test');
+});
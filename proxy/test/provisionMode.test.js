@@ -0,0 +1,189 @@
+/**
+ * Tests for provisioning modes and Idempotency-Key replay
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseProvisionMode, needsExistingSecrets, selectSecrets } from '../utils/provisionMode.js';
+import { withIdempotency, IdempotencyKeys } from '../utils/idempotency.js';
+import { createDurableObjectNamespace, createKV, runAlarms } from './helpers.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = Date.parse('2026-06-01T00:00:00Z');
+
+function provisionRequest(body, headers = {}) {
+  return new Request('https://worker.test/api/provision', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: 'Bearer ghp_caller', ...headers },
+    body: JSON.stringify(body)
+  });
+}
+
+/**
+ * Handler that mints a new value per call, like provisioning does
+ */
+function countingHandler(status = 200) {
+  const handler = async () => {
+    handler.calls++;
+    return Response.json({ success: status < 400, value: `value-${handler.calls}` }, { status });
+  };
+  handler.calls = 0;
+  return handler;
+}
+
+test('validates the mode and its age threshold', () => {
+  assert.deepEqual(parseProvisionMode(undefined), { mode: 'create-only', maxAgeDays: null });
+  assert.deepEqual(parseProvisionMode('overwrite'), { mode: 'overwrite', maxAgeDays: null });
+  assert.deepEqual(parseProvisionMode('rotate-if-older-than', 90), { mode: 'rotate-if-older-than', maxAgeDays: 90 });
+
+  for (const [mode, maxAgeDays] of [['replace', undefined], ['rotate-if-older-than', undefined], ['rotate-if-older-than', 0], ['rotate-if-older-than', 1.5], ['overwrite', 30]]) {
+    assert.throws(() => parseProvisionMode(mode, maxAgeDays), response => response.status === 400);
+  }
+});
+
+test('create-only writes only missing secrets', () => {
+  const mode = parseProvisionMode('create-only');
+  assert.equal(needsExistingSecrets(mode), true);
+  assert.deepEqual(selectSecrets(mode, ['A', 'B'], [{ name: 'A', updated_at: '2020-01-01T00:00:00Z' }], NOW), {
+    write: ['B'],
+    skip: [{ name: 'A', reason: 'exists' }]
+  });
+});
+
+test('overwrite writes every secret without listing the store', () => {
+  const mode = parseProvisionMode('overwrite');
+  assert.equal(needsExistingSecrets(mode), false);
+  assert.deepEqual(selectSecrets(mode, ['A', 'B'], [], NOW), { write: ['A', 'B'], skip: [] });
+});
+
+test('rotate-if-older-than replaces secrets past the threshold', () => {
+  const mode = parseProvisionMode('rotate-if-older-than', 30);
+  const existing = [
+    { name: 'OLD', updated_at: new Date(NOW - 31 * DAY_MS).toISOString() },
+    { name: 'FRESH', updated_at: new Date(NOW - 29 * DAY_MS).toISOString() }
+  ];
+
+  assert.deepEqual(selectSecrets(mode, ['OLD', 'FRESH', 'NEW'], existing, NOW), {
+    write: ['OLD', 'NEW'],
+    skip: [{ name: 'FRESH', reason: 'fresh' }]
+  });
+});
+
+test('a retried key replays the stored response without running the handler again', async () => {
+  const env = { GREENER_KV: createKV() };
+  const handler = countingHandler();
+  const headers = { 'Idempotency-Key': 'retry-1' };
+
+  const first = await withIdempotency(provisionRequest({ repo: 'o/r' }, headers), env, handler);
+  const replayed = await withIdempotency(provisionRequest({ repo: 'o/r' }, headers), env, handler);
+
+  assert.equal(handler.calls, 1);
+  assert.equal(replayed.headers.get('Idempotent-Replayed'), 'true');
+  assert.deepEqual(await replayed.json(), await first.json());
+});
+
+test('keys are bound to the body and scoped to the caller', async () => {
+  const env = { GREENER_KV: createKV() };
+  const handler = countingHandler();
+  const headers = { 'Idempotency-Key': 'retry-2' };
+  await withIdempotency(provisionRequest({ repo: 'o/r' }, headers), env, handler);
+
+  const changed = await withIdempotency(provisionRequest({ repo: 'o/other' }, headers), env, handler);
+  assert.equal(changed.status, 422);
+
+  const otherCaller = await withIdempotency(provisionRequest({ repo: 'o/r' }, { ...headers, Authorization: 'Bearer ghp_other' }), env, handler);
+  assert.equal(otherCaller.headers.get('Idempotent-Replayed'), null);
+  assert.equal(handler.calls, 2);
+});
+
+test('a concurrent retry gets 409 while the first request runs', async () => {
+  const env = { GREENER_KV: createKV() };
+  const headers = { 'Idempotency-Key': 'retry-3' };
+  let concurrent;
+
+  await withIdempotency(provisionRequest({ repo: 'o/r' }, headers), env, async () => {
+    concurrent = await withIdempotency(provisionRequest({ repo: 'o/r' }, headers), env, countingHandler());
+    return Response.json({ success: true });
+  });
+
+  assert.equal(concurrent.status, 409);
+  assert.equal(concurrent.headers.get('Retry-After'), '5');
+});
+
+test('retryable failures and thrown errors release the key', async () => {
+  const env = { GREENER_KV: createKV() };
+  const headers = { 'Idempotency-Key': 'retry-4' };
+
+  await withIdempotency(provisionRequest({ repo: 'o/r' }, headers), env, countingHandler(503));
+  await assert.rejects(withIdempotency(provisionRequest({ repo: 'o/r' }, headers), env, async () => {
+    throw new Error('boom');
+  }), /boom/);
+
+  const handler = countingHandler();
+  const response = await withIdempotency(provisionRequest({ repo: 'o/r' }, headers), env, handler);
+  assert.equal(response.status, 200);
+  assert.equal(handler.calls, 1);
+});
+
+test('rejects malformed keys and passes through without KV', async () => {
+  const handler = countingHandler();
+  const invalid = await withIdempotency(provisionRequest({}, { 'Idempotency-Key': 'has space' }), { GREENER_KV: createKV() }, handler);
+  assert.equal(invalid.status, 400);
+
+  await withIdempotency(provisionRequest({}, { 'Idempotency-Key': 'retry-5' }), {}, handler);
+  await withIdempotency(provisionRequest({}, { 'Idempotency-Key': 'retry-5' }), {}, handler);
+  assert.equal(handler.calls, 2);
+});
+
+test('keys claimed in the Durable Object run once for retries that arrive together', async () => {
+  const env = { IDEMPOTENCY: createDurableObjectNamespace(IdempotencyKeys) };
+  const headers = { 'Idempotency-Key': 'retry-6' };
+  // The handler finishes only once every request has run it or been answered
+  let answered = 0;
+  let release;
+  const everyoneIn = new Promise(resolve => { release = resolve; });
+  const checkIn = () => {
+    if (handler.calls + answered === 3) release();
+  };
+  const handler = async () => {
+    handler.calls++;
+    checkIn();
+    await everyoneIn;
+    return Response.json({ success: true, value: `value-${handler.calls}` });
+  };
+  handler.calls = 0;
+
+  const responses = await Promise.all([1, 2, 3].map(async () => {
+    const response = await withIdempotency(provisionRequest({ repo: 'o/r' }, headers), env, handler);
+    answered++;
+    checkIn();
+    return response;
+  }));
+  const statuses = responses.map(response => response.status).sort();
+
+  assert.equal(handler.calls, 1);
+  assert.deepEqual(statuses, [200, 409, 409]);
+
+  const replayed = await withIdempotency(provisionRequest({ repo: 'o/r' }, headers), env, handler);
+  assert.equal(replayed.headers.get('Idempotent-Replayed'), 'true');
+  assert.equal((await replayed.json()).value, 'value-1');
+});
+
+test('Durable Object keys are released on retryable failures and expire', async (t) => {
+  const env = { IDEMPOTENCY: createDurableObjectNamespace(IdempotencyKeys) };
+  const headers = { 'Idempotency-Key': 'retry-7' };
+
+  await withIdempotency(provisionRequest({ repo: 'o/r' }, headers), env, countingHandler(503));
+  const handler = countingHandler();
+  await withIdempotency(provisionRequest({ repo: 'o/r' }, headers), env, handler);
+  assert.equal(handler.calls, 1);
+
+  const [instance] = env.IDEMPOTENCY.instances.values();
+  const now = Date.now();
+  t.mock.method(Date, 'now', () => now + DAY_MS);
+  assert.equal(await runAlarms(instance), 1);
+  assert.equal(instance.state.storage.data.size, 0);
+
+  await withIdempotency(provisionRequest({ repo: 'o/r' }, headers), env, handler);
+  assert.equal(handler.calls, 2);
+});
@@ -0,0 +1,142 @@
+/**
+ * Tests for the Durable Object rate limiter and its route policies
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import worker from '../worker.js';
+import {
+  RateLimiter,
+  checkRateLimit,
+  enforceRateLimit,
+  getRoutePolicy,
+  getRoutePolicies,
+  RateLimitError
+} from '../utils/rateLimit.js';
+import { createDurableObjectNamespace, createDurableObjectState, createExecutionContext } from './helpers.js';
+
+function createEnv(overrides = {}) {
+  const env = { GITHUB_TOKEN: 'ghp_test', ...overrides };
+  env.RATE_LIMITER = createDurableObjectNamespace(RateLimiter, env);
+  return env;
+}
+
+function request(path, { method = 'GET', ip = '203.0.113.7' } = {}) {
+  return new Request(`https://worker.test${path}`, { method, headers: { 'cf-connecting-ip': ip } });
+}
+
+async function take(limiter, limit = 2, windowSec = 60) {
+  const response = await limiter.fetch(new Request('https://rate-limiter/take', {
+    method: 'POST',
+    body: JSON.stringify({ limit, windowSec })
+  }));
+  return response.json();
+}
+
+test('a bucket allows its limit, then refills continuously', async (t) => {
+  let now = 1_700_000_000_000;
+  t.mock.method(Date, 'now', () => now);
+  const limiter = new RateLimiter(createDurableObjectState());
+
+  assert.deepEqual(await take(limiter), { allowed: true, remaining: 1, reset: Math.ceil((now + 30000) / 1000), retryAfter: 0 });
+  assert.equal((await take(limiter)).allowed, true);
+  const denied = await take(limiter);
+  assert.equal(denied.allowed, false);
+  assert.equal(denied.retryAfter, 30);
+
+  // One token per 30 seconds at 2 per minute
+  now += 30000;
+  assert.equal((await take(limiter)).allowed, true);
+  assert.equal((await take(limiter)).allowed, false);
+});
+
+test('a refilled bucket is dropped by its alarm', async () => {
+  const state = createDurableObjectState();
+  const limiter = new RateLimiter(state);
+  await take(limiter);
+
+  assert.ok(state.storage.alarm > Date.now());
+  await limiter.alarm();
+  assert.equal(state.storage.data.size, 0);
+  assert.equal((await take(limiter)).remaining, 1);
+});
+
+test('concurrent takes cannot exceed the limit', async () => {
+  const limiter = new RateLimiter(createDurableObjectState());
+  const results = await Promise.all(Array.from({ length: 10 }, () => take(limiter, 5)));
+
+  assert.equal(results.filter(result => result.allowed).length, 5);
+});
+
+test('matches routes to policies, first match wins', () => {
+  const env = {};
+  assert.equal(getRoutePolicy(env, request('/health')).name, 'static');
+  assert.equal(getRoutePolicy(env, request('/health/ready')).name, 'health');
+  assert.equal(getRoutePolicy(env, request('/', { method: 'POST' })).name, 'webhook');
+  assert.equal(getRoutePolicy(env, request('/api/provision', { method: 'POST' })).name, 'write');
+  assert.equal(getRoutePolicy(env, request('/api/provision', { method: 'GET' })).name, 'api');
+  assert.equal(getRoutePolicy(env, request('/configure')).name, 'default');
+});
+
+test('RATE_LIMITS overrides policies and rejects bad values', () => {
+  const policies = getRoutePolicies({ RATE_LIMITS: JSON.stringify({ api: { ip: { limit: 5, windowSec: 10 }, identity: null } }) });
+  const api = policies.find(policy => policy.name === 'api');
+  assert.deepEqual(api.ip, { limit: 5, windowSec: 10 });
+  assert.equal(api.identity, null);
+
+  assert.throws(() => getRoutePolicies({ RATE_LIMITS: '{' }), /Server misconfiguration: RATE_LIMITS is not valid JSON/);
+  assert.throws(() => getRoutePolicies({ RATE_LIMITS: '{"nope":{}}' }), /unknown route policy: nope/);
+  assert.throws(() => getRoutePolicies({ RATE_LIMITS: '{"api":{"ip":{"limit":0,"windowSec":60}}}' }), /api\.ip needs an integer limit/);
+});
+
+test('identity buckets apply per caller, alongside the IP bucket', async () => {
+  const env = createEnv({ RATE_LIMITS: JSON.stringify({ cli: { ip: { limit: 100, windowSec: 60 }, identity: { limit: 1, windowSec: 60 } } }) });
+  const cli = () => request('/api/cli-provision', { method: 'POST' });
+
+  assert.equal((await checkRateLimit(env, cli(), 'token:a')).allowed, true);
+  const second = await checkRateLimit(env, cli(), 'token:a');
+  assert.equal(second.allowed, false);
+  assert.equal(second.scope, 'identity');
+  assert.equal((await checkRateLimit(env, cli(), 'token:b')).allowed, true);
+
+  // Identities are hashed before they name a bucket
+  assert.ok(![...env.RATE_LIMITER.instances.keys()].some(key => key.includes('token:a')));
+});
+
+test('enforceRateLimit throws a RateLimitError with the bucket info', async () => {
+  const env = createEnv({ RATE_LIMITS: JSON.stringify({ default: { ip: { limit: 1, windowSec: 60 } } }) });
+  await enforceRateLimit(env, request('/configure'));
+
+  await assert.rejects(enforceRateLimit(env, request('/configure')), (error) => {
+    assert.ok(error instanceof RateLimitError);
+    assert.equal(error.status, 429);
+    assert.equal(error.info.scope, 'ip');
+    return true;
+  });
+});
+
+test('is a no-op without the binding and fails open when the limiter errors', async () => {
+  assert.equal(await checkRateLimit({}, request('/configure')), null);
+
+  const env = {
+    RATE_LIMITER: {
+      idFromName: name => name,
+      get: () => ({ fetch: async () => { throw new Error('Durable Object unavailable'); } })
+    }
+  };
+  assert.equal(await checkRateLimit(env, request('/configure')), null);
+});
+
+test('limited requests get 429 with Retry-After and rate limit headers', async () => {
+  const env = createEnv({ RATE_LIMITS: JSON.stringify({ health: { ip: { limit: 1, windowSec: 60 } } }) });
+  const fetchReady = () => worker.fetch(request('/health/ready', { ip: '198.51.100.9' }), env, createExecutionContext());
+
+  await fetchReady();
+  const limited = await fetchReady();
+
+  assert.equal(limited.status, 429);
+  assert.equal(limited.headers.get('Retry-After'), '60');
+  assert.equal(limited.headers.get('X-RateLimit-Limit'), '1');
+  assert.equal(limited.headers.get('X-RateLimit-Remaining'), '0');
+  assert.equal(limited.headers.get('X-RateLimit-Scope'), 'ip');
+});
@@ -0,0 +1,136 @@
+/**
+ * Tests for scheduled secret rotation
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getRotationPolicy, recordProvisioned, rotateRepo, runRotation } from '../utils/rotation.js';
+import { createKV } from './helpers.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Rotation dependencies that record the secrets written and deleted
+ */
+function createDeps() {
+  const calls = { set: [], delete: [] };
+  return {
+    calls,
+    generateSecrets: () => ({ GREENER_CI_KEY: `key-${calls.set.length}` }),
+    async setRepoSecret(env, installationId, repo, name, value) {
+      calls.set.push({ repo, name, value });
+    },
+    async deleteRepoSecret(env, installationId, repo, name) {
+      calls.delete.push({ repo, name });
+    }
+  };
+}
+
+async function provision(env, count, at) {
+  for (let i = 0; i < count; i++) {
+    await recordProvisioned(env, { installationId: 1, repo: `org/repo-${String(i).padStart(3, '0')}` }, at);
+  }
+}
+
+test('reads the rotation age from app-installations.json', () => {
+  assert.equal(getRotationPolicy({}).rotateDays, 30);
+  assert.equal(getRotationPolicy({}, { auto_rotate_days: 7 }).rotateDays, 7);
+  assert.equal(getRotationPolicy({}, { auto_rotate_days: 0 }).rotateDays, 30);
+  assert.equal(getRotationPolicy({}, {}).rotateDays, 30);
+  // The old environment knob is no longer read
+  assert.equal(getRotationPolicy({ AUTO_ROTATE_DAYS: '1' }, { auto_rotate_days: 14 }).rotateDays, 14);
+});
+
+test('reads the overlap window and batch size from the environment', () => {
+  assert.deepEqual(getRotationPolicy({}, {}), { rotateDays: 30, overlapHours: 24, batchSize: 50 });
+  assert.deepEqual(
+    getRotationPolicy({ ROTATION_OVERLAP_HOURS: '0', ROTATION_BATCH_SIZE: '10' }, {}),
+    { rotateDays: 30, overlapHours: 0, batchSize: 10 }
+  );
+  assert.equal(getRotationPolicy({ ROTATION_BATCH_SIZE: '2.5' }, {}).batchSize, 50);
+});
+
+test('leaves repositories younger than the rotation age alone', async () => {
+  const env = { GREENER_KV: createKV() };
+  const deps = createDeps();
+  const now = Date.now();
+  await provision(env, 1, now - 29 * DAY_MS);
+
+  const record = await env.GREENER_KV.get('provisioned:org/repo-000', 'json');
+  assert.equal(await rotateRepo(env, record, deps, getRotationPolicy(env), now), null);
+  assert.equal(deps.calls.set.length, 0);
+});
+
+test('stages _NEXT values, then promotes them after the overlap window', async () => {
+  const env = { GREENER_KV: createKV(), ROTATION_KEY: 'rotation-key' };
+  const deps = createDeps();
+  const policy = getRotationPolicy(env);
+  const now = Date.now();
+  await provision(env, 1, now - 31 * DAY_MS);
+
+  let record = await env.GREENER_KV.get('provisioned:org/repo-000', 'json');
+  const staged = await rotateRepo(env, record, deps, policy, now);
+  assert.equal(staged.status, 'staged');
+  assert.deepEqual(deps.calls.set, [{ repo: 'org/repo-000', name: 'GREENER_CI_KEY_NEXT', value: 'key-0' }]);
+  // Sealed, not stored in the clear
+  assert.ok(!env.GREENER_KV.entries.get('rotation:org/repo-000').value.includes('key-0'));
+
+  record = await env.GREENER_KV.get('provisioned:org/repo-000', 'json');
+  assert.equal(await rotateRepo(env, record, deps, policy, now + HOUR_MS), null);
+
+  const promoted = await rotateRepo(env, record, deps, policy, now + 25 * HOUR_MS);
+  assert.equal(promoted.status, 'rotated');
+  assert.deepEqual(deps.calls.set[1], { repo: 'org/repo-000', name: 'GREENER_CI_KEY', value: 'key-0' });
+  assert.deepEqual(deps.calls.delete, [{ repo: 'org/repo-000', name: 'GREENER_CI_KEY_NEXT' }]);
+  assert.equal(env.GREENER_KV.entries.has('rotation:org/repo-000'), false);
+});
+
+test('skips staging without ROTATION_KEY', async () => {
+  const env = { GREENER_KV: createKV() };
+  const now = Date.now();
+  await provision(env, 1, now - 31 * DAY_MS);
+
+  const record = await env.GREENER_KV.get('provisioned:org/repo-000', 'json');
+  const result = await rotateRepo(env, record, createDeps(), getRotationPolicy(env), now);
+  assert.equal(result.status, 'skipped');
+});
+
+test('examines one batch per run and resumes from the saved cursor', async () => {
+  const env = { GREENER_KV: createKV(), ROTATION_OVERLAP_HOURS: '0', ROTATION_BATCH_SIZE: '2' };
+  const deps = createDeps();
+  const now = Date.now();
+  await provision(env, 5, now - 31 * DAY_MS);
+
+  const runs = [];
+  for (let i = 0; i < 3; i++) {
+    runs.push((await runRotation(env, deps, now)).map(result => result.repo));
+  }
+
+  assert.deepEqual(runs, [
+    ['org/repo-000', 'org/repo-001'],
+    ['org/repo-002', 'org/repo-003'],
+    ['org/repo-004']
+  ]);
+  // The walk reached the end, so the next run starts over
+  assert.equal(env.GREENER_KV.entries.has('rotation-cursor'), false);
+  assert.deepEqual(await runRotation(env, deps, now), []);
+});
+
+test('one failing repository does not stop the batch', async () => {
+  const env = { GREENER_KV: createKV(), ROTATION_OVERLAP_HOURS: '0' };
+  const deps = createDeps();
+  deps.setRepoSecret = async (e, id, repo) => {
+    if (repo === 'org/repo-000') throw new Error('Forbidden');
+  };
+  const now = Date.now();
+  await provision(env, 2, now - 31 * DAY_MS);
+
+  const results = await runRotation(env, deps, now);
+  assert.deepEqual(results.map(result => result.status), ['error', 'rotated']);
+  assert.equal(results[0].error, 'Forbidden');
+});
+
+test('does nothing without KV', async () => {
+  assert.deepEqual(await runRotation({}, createDeps()), []);
+});
@@ -0,0 +1,116 @@
+/**
+ * Tests for repository, environment and organization secret targets
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'node:module';
+import {
+  parseSecretTarget,
+  parseSecretStores,
+  getTargetScope,
+  getSecretsPath,
+  withStores,
+  listTargetSecrets,
+  putTargetSecret,
+  deleteTargetSecret,
+  REPOSITORY_TARGET
+} from '../utils/secretTargets.js';
+import { bytesToBase64, base64ToBytes } from '../utils/sodium.js';
+import { jsonResponse, mockFetch } from './helpers.js';
+
+// The ESM build of libsodium-wrappers is broken on Node; load the CommonJS one
+const sodium = createRequire(import.meta.url)('libsodium-wrappers');
+await sodium.ready;
+
+const REPO = 'greener-labs/api';
+const RECIPIENT = sodium.crypto_box_keypair();
+
+const rejectsWith400 = (fn) => assert.throws(fn, response => response instanceof Response && response.status === 400);
+
+test('parses each target type', () => {
+  assert.equal(parseSecretTarget(undefined), REPOSITORY_TARGET);
+  assert.equal(parseSecretTarget({ type: 'repository' }), REPOSITORY_TARGET);
+  assert.deepEqual(parseSecretTarget({ type: 'environment', environment: ' production ' }), { type: 'environment', environment: 'production' });
+  assert.deepEqual(parseSecretTarget({ type: 'organization' }), {
+    type: 'organization', org: null, visibility: 'private', selected_repository_ids: null
+  });
+  assert.deepEqual(parseSecretTarget({ type: 'organization', org: 'greener-labs', visibility: 'selected', selected_repository_ids: [1, 2] }), {
+    type: 'organization', org: 'greener-labs', visibility: 'selected', selected_repository_ids: [1, 2]
+  });
+});
+
+test('rejects invalid targets', () => {
+  rejectsWith400(() => parseSecretTarget('repository'));
+  rejectsWith400(() => parseSecretTarget({ type: 'team' }));
+  rejectsWith400(() => parseSecretTarget({ type: 'environment', environment: '  ' }));
+  rejectsWith400(() => parseSecretTarget({ type: 'organization', org: '../admin' }));
+  rejectsWith400(() => parseSecretTarget({ type: 'organization', visibility: 'public' }));
+  rejectsWith400(() => parseSecretTarget({ type: 'organization', visibility: 'selected' }));
+  rejectsWith400(() => parseSecretTarget({ type: 'organization', visibility: 'selected', selected_repository_ids: [0] }));
+});
+
+test('parses stores, which environments limit to actions', () => {
+  assert.deepEqual(parseSecretStores(undefined, REPOSITORY_TARGET), ['actions']);
+  assert.deepEqual(parseSecretStores(['dependabot', 'actions', 'dependabot'], REPOSITORY_TARGET), ['dependabot', 'actions']);
+  rejectsWith400(() => parseSecretStores([], REPOSITORY_TARGET));
+  rejectsWith400(() => parseSecretStores(['packages'], REPOSITORY_TARGET));
+  rejectsWith400(() => parseSecretStores(['codespaces'], { type: 'environment', environment: 'production' }));
+});
+
+test('resolves scopes and API paths per target and store', () => {
+  const environment = { type: 'environment', environment: 'prod/eu' };
+  const organization = { type: 'organization', org: null, visibility: 'private' };
+
+  assert.equal(getTargetScope(REPOSITORY_TARGET, REPO), REPO);
+  assert.equal(getTargetScope(environment, REPO), `${REPO}:env:prod/eu`);
+  assert.equal(getTargetScope(organization, REPO), 'org:greener-labs');
+
+  assert.deepEqual(withStores(REPOSITORY_TARGET, ['actions', 'codespaces']).map(target => getSecretsPath(target, REPO)), [
+    `/repos/${REPO}/actions/secrets`,
+    `/repos/${REPO}/codespaces/secrets`
+  ]);
+  assert.equal(getSecretsPath(environment, REPO), `/repos/${REPO}/environments/prod%2Feu/secrets`);
+  assert.equal(getSecretsPath({ ...organization, org: 'other-org', store: 'dependabot' }, REPO), '/orgs/other-org/dependabot/secrets');
+});
+
+test('seals values with the target\'s public key and sends org visibility', async (t) => {
+  const calls = mockFetch(t, (url, init) => {
+    if (url.pathname.endsWith('/public-key')) {
+      return jsonResponse({ key_id: 'org-key', key: bytesToBase64(RECIPIENT.publicKey) });
+    }
+    return new Response(null, { status: 201 });
+  });
+  const target = { type: 'organization', org: null, visibility: 'selected', selected_repository_ids: [7], store: 'dependabot' };
+
+  await putTargetSecret('ghs_test', target, REPO, 'GREENER_API_TOKEN', 'plaintext-value', 'test-agent');
+
+  const put = calls.find(call => call.init.method === 'PUT');
+  assert.equal(put.url.pathname, '/orgs/greener-labs/dependabot/secrets/GREENER_API_TOKEN');
+  const body = JSON.parse(put.init.body);
+  assert.equal(body.key_id, 'org-key');
+  assert.equal(body.visibility, 'selected');
+  assert.deepEqual(body.selected_repository_ids, [7]);
+  const opened = sodium.crypto_box_seal_open(base64ToBytes(body.encrypted_value), RECIPIENT.publicKey, RECIPIENT.privateKey);
+  assert.equal(new TextDecoder().decode(opened), 'plaintext-value');
+});
+
+test('lists secret names and timestamps only', async (t) => {
+  mockFetch(t, () => jsonResponse({
+    total_count: 1,
+    secrets: [{ name: 'GREENER_CI_KEY', created_at: '2026-01-01T00:00:00Z', updated_at: '2026-02-01T00:00:00Z', visibility: 'all' }]
+  }));
+
+  assert.deepEqual(await listTargetSecrets('ghs_test', REPOSITORY_TARGET, REPO, 'test-agent'), [
+    { name: 'GREENER_CI_KEY', created_at: '2026-01-01T00:00:00Z', updated_at: '2026-02-01T00:00:00Z' }
+  ]);
+});
+
+test('deleting a missing secret succeeds; other failures do not', async (t) => {
+  let status = 404;
+  mockFetch(t, () => jsonResponse({ message: 'Not Found' }, status));
+
+  await deleteTargetSecret('ghs_test', REPOSITORY_TARGET, REPO, 'GREENER_CI_KEY', 'test-agent');
+  status = 403;
+  await assert.rejects(deleteTargetSecret('ghs_test', REPOSITORY_TARGET, REPO, 'GREENER_CI_KEY', 'test-agent'), { status: 403 });
+});
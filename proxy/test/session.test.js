@@ -0,0 +1,143 @@
+/**
+ * Tests for signed session cookies and the GitHub OAuth login flow
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  SESSION_COOKIE,
+  signValue,
+  verifyValue,
+  getSession,
+  safeReturnTo,
+  beginLogin,
+  completeLogin
+} from '../utils/session.js';
+import { LOGIN_ENV, SESSION_SECRET, jsonResponse, mockFetch } from './helpers.js';
+
+const NOW_SEC = 1_700_000_000;
+
+/**
+ * Collects a response's Set-Cookie values by name
+ */
+function setCookies(response) {
+  return Object.fromEntries(response.headers.getSetCookie().map((header) => {
+    const [pair] = header.split(';');
+    const index = pair.indexOf('=');
+    return [pair.slice(0, index), pair.slice(index + 1)];
+  }));
+}
+
+function mockOAuth(t, { tokenBody = { access_token: 'gho_user' } } = {}) {
+  return mockFetch(t, async (url) => {
+    if (url.host === 'github.com') return jsonResponse(tokenBody);
+    if (url.pathname === '/user') return jsonResponse({ login: 'octocat', id: 583231 });
+    if (url.pathname === '/user/installations') {
+      return jsonResponse({ total_count: 2, installations: [{ id: 51234567 }, { id: 76543210 }] });
+    }
+    return jsonResponse({ message: 'Not Found' }, 404);
+  });
+}
+
+test('signed values verify until they expire', async () => {
+  const value = await signValue(SESSION_SECRET, { login: 'octocat', exp: NOW_SEC + 60 });
+
+  assert.deepEqual(await verifyValue(SESSION_SECRET, value, NOW_SEC), { login: 'octocat', exp: NOW_SEC + 60 });
+  assert.equal(await verifyValue(SESSION_SECRET, value, NOW_SEC + 60), null);
+  assert.equal(await verifyValue('another-secret', value, NOW_SEC), null);
+});
+
+test('rejects tampered, malformed and unbounded values', async () => {
+  const value = await signValue(SESSION_SECRET, { login: 'octocat', exp: NOW_SEC + 60 });
+  const [, signature] = value.split('.');
+  const forged = Buffer.from(JSON.stringify({ login: 'admin', exp: NOW_SEC + 60 })).toString('base64url');
+
+  assert.equal(await verifyValue(SESSION_SECRET, `${forged}.${signature}`, NOW_SEC), null);
+  assert.equal(await verifyValue(SESSION_SECRET, `${value}.extra`, NOW_SEC), null);
+  assert.equal(await verifyValue(SESSION_SECRET, 'not-signed', NOW_SEC), null);
+  assert.equal(await verifyValue(SESSION_SECRET, '%%%.%%%', NOW_SEC), null);
+  assert.equal(await verifyValue(SESSION_SECRET, null, NOW_SEC), null);
+  // Every signed value needs an expiry
+  assert.equal(await verifyValue(SESSION_SECRET, await signValue(SESSION_SECRET, { login: 'octocat' }), NOW_SEC), null);
+});
+
+test('return paths stay on this origin', () => {
+  assert.equal(safeReturnTo('/configure?installation_id=1'), '/configure?installation_id=1');
+  assert.equal(safeReturnTo('https://evil.test/'), '/configure');
+  assert.equal(safeReturnTo('//evil.test/'), '/configure');
+  assert.equal(safeReturnTo('/\\evil.test/'), '/configure');
+  assert.equal(safeReturnTo(null), '/configure');
+});
+
+test('return paths with control characters or dot segments cannot leave the origin', async () => {
+  // Browsers strip the tab, leaving `//evil.com`
+  assert.equal(safeReturnTo('/\t/evil.com'), '/configure');
+  assert.equal(safeReturnTo('/\n/evil.com'), '/configure');
+  assert.equal(safeReturnTo('/ /evil.com'), '/configure');
+  assert.equal(safeReturnTo('/.//evil.com'), '/configure');
+  assert.equal(safeReturnTo('/admin/../configure?installation_id=1'), '/configure?installation_id=1');
+  // Still encoded, it names a path on this origin
+  assert.equal(safeReturnTo('/%09/evil.com'), '/%09/evil.com');
+
+  // The query string decodes %09 to a tab before it reaches safeReturnTo
+  const started = await beginLogin(new Request('https://worker.test/login?return_to=/%09/evil.com'), LOGIN_ENV,
+    new URL('https://worker.test/login?return_to=/%09/evil.com').searchParams.get('return_to'));
+  const pending = await verifyValue(SESSION_SECRET, setCookies(started).greener_oauth_state);
+  assert.equal(pending.returnTo, '/configure');
+});
+
+test('login signs the user in with the installations their account can access', async (t) => {
+  mockOAuth(t);
+  const started = await beginLogin(new Request('https://worker.test/login'), LOGIN_ENV, '/configure?installation_id=51234567');
+
+  const authorizeUrl = new URL(started.headers.get('Location'));
+  assert.equal(authorizeUrl.origin, 'https://github.com');
+  assert.equal(authorizeUrl.searchParams.get('redirect_uri'), 'https://worker.test/callback');
+  const state = authorizeUrl.searchParams.get('state');
+  const stateCookie = setCookies(started).greener_oauth_state;
+
+  const completed = await completeLogin(new Request(`https://worker.test/callback?code=abc&state=${state}`, {
+    headers: { Cookie: `greener_oauth_state=${stateCookie}` }
+  }), LOGIN_ENV);
+
+  assert.equal(completed.status, 302);
+  assert.equal(completed.headers.get('Location'), '/configure?installation_id=51234567');
+  const cookies = setCookies(completed);
+  assert.equal(cookies.greener_oauth_state, '');
+
+  const session = await getSession(new Request('https://worker.test/configure', {
+    headers: { Cookie: `${SESSION_COOKIE}=${cookies[SESSION_COOKIE]}` }
+  }), LOGIN_ENV);
+  assert.equal(session.login, 'octocat');
+  assert.equal(session.userId, 583231);
+  assert.deepEqual(session.installations, [51234567, 76543210]);
+  // The OAuth token is never kept
+  assert.ok(!JSON.stringify(session).includes('gho_user'));
+});
+
+test('a callback whose state does not match the login cookie is refused', async (t) => {
+  const calls = mockOAuth(t);
+  const started = await beginLogin(new Request('https://worker.test/login'), LOGIN_ENV, null);
+  const stateCookie = setCookies(started).greener_oauth_state;
+
+  await assert.rejects(completeLogin(new Request('https://worker.test/callback?code=abc&state=attacker-state', {
+    headers: { Cookie: `greener_oauth_state=${stateCookie}` }
+  }), LOGIN_ENV), response => response.status === 400);
+  await assert.rejects(completeLogin(new Request('https://worker.test/callback?code=abc&state=any'), LOGIN_ENV),
+    response => response.status === 400);
+  assert.equal(calls.length, 0);
+});
+
+test('a code GitHub rejects fails the login with 401', async (t) => {
+  mockOAuth(t, { tokenBody: { error: 'bad_verification_code', error_description: 'The code passed is incorrect or expired.' } });
+  const started = await beginLogin(new Request('https://worker.test/login'), LOGIN_ENV, null);
+  const state = new URL(started.headers.get('Location')).searchParams.get('state');
+
+  const rejection = await completeLogin(new Request(`https://worker.test/callback?code=old&state=${state}`, {
+    headers: { Cookie: `greener_oauth_state=${setCookies(started).greener_oauth_state}` }
+  }), LOGIN_ENV).catch(error => error);
+
+  assert.ok(rejection instanceof Response);
+  assert.equal(rejection.status, 401);
+  assert.match(await rejection.text(), /incorrect or expired/);
+});
@@ -0,0 +1,92 @@
+/**
+ * Tests for sealed box encryption
+ * Known answers come from libsodium, which GitHub uses to open secrets
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'node:module';
+import {
+  sealBox,
+  encryptSecret,
+  scalarMultBase,
+  blake2b,
+  base64ToBytes,
+  bytesToBase64
+} from '../utils/sodium.js';
+
+// The ESM build of libsodium-wrappers is broken on Node; load the CommonJS one
+const sodium = createRequire(import.meta.url)('libsodium-wrappers');
+await sodium.ready;
+
+const hex = value => Buffer.from(value).toString('hex');
+const fromHex = value => new Uint8Array(Buffer.from(value, 'hex'));
+
+const RECIPIENT_SECRET = fromHex('0102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f20');
+const RECIPIENT_PUBLIC = fromHex('07a37cbc142093c8b755dc1b10e86cb426374ad16aa853ed0bdfc0b2b86d1c7c');
+const EPHEMERAL_SECRET = fromHex('fffefdfcfbfaf9f8f7f6f5f4f3f2f1f0efeeedecebeae9e8e7e6e5e4e3e2e1e0');
+const MESSAGE = new TextEncoder().encode('greener-secret-value');
+const SEALED = '3ebcb692149344dc54e58160cf90bed9eea1dd14e81c8e91de557af7d7afd915'
+  + 'a15d9a984e2d1b16372f33d981c0b31ee9695e400da2438ab3fdcab5640dbc2ca4e3c00e';
+
+test('derives the X25519 public key libsodium derives', () => {
+  assert.equal(hex(scalarMultBase(RECIPIENT_SECRET)), hex(RECIPIENT_PUBLIC));
+  assert.equal(hex(scalarMultBase(RECIPIENT_SECRET)), hex(sodium.crypto_scalarmult_base(RECIPIENT_SECRET)));
+});
+
+test('hashes the RFC 7693 BLAKE2b-512 vector', () => {
+  assert.equal(
+    hex(blake2b(new TextEncoder().encode('abc'))),
+    'ba80a53f981c4d0d6a2797b69f12f6e94c212f14685ac4b74b12bb6fdbffa2d1'
+      + '7d87c5392aab792dc252d5de4533cc9518d38aa8dbf1925ab92386edd4009923'
+  );
+});
+
+test('seals a fixed message to the known answer', () => {
+  assert.equal(hex(sealBox(MESSAGE, RECIPIENT_PUBLIC, EPHEMERAL_SECRET)), SEALED);
+});
+
+test('known answer opens with crypto_box_seal_open', () => {
+  const opened = sodium.crypto_box_seal_open(fromHex(SEALED), RECIPIENT_PUBLIC, RECIPIENT_SECRET);
+  assert.deepEqual(opened, MESSAGE);
+});
+
+test('random sealed boxes open with crypto_box_seal_open', () => {
+  const { publicKey, privateKey } = sodium.crypto_box_keypair();
+
+  for (const value of ['', 'x', 'a'.repeat(64), 'ünïcødé ✓', 'z'.repeat(1000)]) {
+    const sealed = base64ToBytes(encryptSecret(value, bytesToBase64(publicKey)));
+    assert.equal(sealed.length, 48 + new TextEncoder().encode(value).length);
+    assert.equal(sodium.to_string(sodium.crypto_box_seal_open(sealed, publicKey, privateKey)), value);
+  }
+});
+
+test('uses a fresh ephemeral key for every seal', () => {
+  const a = sealBox(MESSAGE, RECIPIENT_PUBLIC);
+  const b = sealBox(MESSAGE, RECIPIENT_PUBLIC);
+  assert.notEqual(hex(a), hex(b));
+});
+
+test('rejects public keys that are not 32 bytes', () => {
+  for (const key of [new Uint8Array(31), new Uint8Array(33), new Uint8Array(0), 'not-bytes', null]) {
+    assert.throws(() => sealBox(MESSAGE, key), /Invalid public key/);
+  }
+  assert.throws(() => encryptSecret('value', bytesToBase64(new Uint8Array(16))), /Invalid public key/);
+});
+
+test('rejects ephemeral keys that are not 32 bytes', () => {
+  assert.throws(() => sealBox(MESSAGE, RECIPIENT_PUBLIC, new Uint8Array(16)), /Invalid ephemeral key/);
+});
+
+test('truncated or tampered sealed boxes do not open', () => {
+  const sealed = fromHex(SEALED);
+
+  // Shorter than ephemeral key + MAC
+  assert.throws(() => sodium.crypto_box_seal_open(sealed.subarray(0, 47), RECIPIENT_PUBLIC, RECIPIENT_SECRET));
+  // Ciphertext cut short
+  assert.throws(() => sodium.crypto_box_seal_open(sealed.subarray(0, sealed.length - 1), RECIPIENT_PUBLIC, RECIPIENT_SECRET));
+
+  const tampered = sealed.slice();
+  tampered[tampered.length - 1] ^= 1;
+  assert.throws(() => sodium.crypto_box_seal_open(tampered, RECIPIENT_PUBLIC, RECIPIENT_SECRET));
+});
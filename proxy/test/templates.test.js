@@ -0,0 +1,95 @@
+/**
+ * Tests for secret templates
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  generateSecret,
+  getTemplates,
+  getTemplate,
+  getTemplateSecretNames,
+  renderTemplate
+} from '../utils/templates.js';
+
+test('generates secrets of the requested length from the alphabet', () => {
+  const secret = generateSecret(500, 'ab');
+  assert.equal(secret.length, 500);
+  assert.match(secret, /^[ab]+$/);
+  assert.match(generateSecret(32), /^[a-z0-9]{32}$/);
+  assert.notEqual(generateSecret(32), generateSecret(32));
+});
+
+test('renders the default template from the provisioning context', () => {
+  const template = getTemplate({}, null);
+  const secrets = renderTemplate(template, { appId: 12345, installationId: 51234567 });
+
+  assert.equal(template.id, 'default');
+  assert.deepEqual(Object.keys(secrets), getTemplateSecretNames(template));
+  assert.match(secrets.GREENER_CI_KEY, /^[a-z0-9]{32}$/);
+  assert.equal(secrets.GREENER_CI_SECRET.length, 64);
+  assert.equal(secrets.GREENER_APP_ID, '12345');
+  assert.equal(secrets.GREENER_INSTALLATION_ID, '51234567');
+});
+
+test('rotation regenerates only random secrets, under the template prefix', () => {
+  const template = getTemplate({}, 'staging');
+  assert.deepEqual(getTemplateSecretNames(template, { rotatingOnly: true }), [
+    'STAGING_GREENER_CI_KEY',
+    'STAGING_GREENER_CI_SECRET',
+    'STAGING_GREENER_API_TOKEN'
+  ]);
+  assert.deepEqual(Object.keys(renderTemplate(getTemplate({}, 'default'), {}, { rotatingOnly: true })), [
+    'GREENER_CI_KEY',
+    'GREENER_CI_SECRET',
+    'GREENER_API_TOKEN'
+  ]);
+});
+
+test('SECRET_TEMPLATES adds and replaces templates', () => {
+  const env = {
+    SECRET_TEMPLATES: JSON.stringify({
+      payments: {
+        prefix: 'PAY_',
+        secrets: [
+          { name: 'KEY', type: 'random', length: 16, alphabet: 'hex' },
+          { name: 'REGION', type: 'static', value: 'eu-west-1' }
+        ]
+      },
+      default: { secrets: [{ name: 'ONLY', type: 'static', value: 'one' }] }
+    })
+  };
+
+  const secrets = renderTemplate(getTemplate(env, 'payments'));
+  assert.match(secrets.PAY_KEY, /^[0-9a-f]{16}$/);
+  assert.equal(secrets.PAY_REGION, 'eu-west-1');
+  assert.deepEqual(renderTemplate(getTemplate(env, null)), { ONLY: 'one' });
+  assert.ok(getTemplates(env)['api-token']);
+});
+
+test('unknown templates are a 400', () => {
+  assert.throws(() => getTemplate({}, 'missing'), response => response.status === 400);
+});
+
+test('invalid SECRET_TEMPLATES is a server misconfiguration', () => {
+  const invalid = [
+    ['{', /is not valid JSON/],
+    [{ bad: { secrets: [] } }, /"bad" must define a non-empty secrets array/],
+    [{ bad: { secrets: [{ name: 'lower', type: 'static', value: 'x' }] } }, /invalid secret name: lower/],
+    [{ bad: { secrets: [{ name: 'GITHUB_TOKEN', type: 'static', value: 'x' }] } }, /invalid secret name: GITHUB_TOKEN/],
+    [{ bad: { prefix: 'bad-', secrets: [{ name: 'A', type: 'static', value: 'x' }] } }, /invalid prefix/],
+    [{ bad: { secrets: [{ name: 'A', type: 'random', length: 0 }] } }, /invalid length for A/],
+    [{ bad: { secrets: [{ name: 'A', type: 'random', length: 8, alphabet: 'a' }] } }, /invalid alphabet for A/],
+    [{ bad: { secrets: [{ name: 'A', type: 'context', value: 'token' }] } }, /unknown context value for A/],
+    [{ bad: { secrets: [{ name: 'A', type: 'env' }] } }, /unknown type for A/]
+  ];
+
+  for (const [templates, message] of invalid) {
+    const env = { SECRET_TEMPLATES: typeof templates === 'string' ? templates : JSON.stringify(templates) };
+    assert.throws(() => getTemplates(env), (error) => {
+      assert.match(error.message, /^Server misconfiguration: /);
+      assert.match(error.message, message);
+      return true;
+    });
+  }
+});
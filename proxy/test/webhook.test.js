@@ -0,0 +1,168 @@
+/**
+ * Tests for webhook signature verification and replay protection
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'node:crypto';
+import {
+  timingSafeEqual,
+  hmacSha256Hex,
+  sha256Hex,
+  getWebhookSecrets,
+  verifyWebhookSignature,
+  getMaxDeliveryAge,
+  getEventTimestamp,
+  isStaleDelivery,
+  isDuplicateDelivery,
+  markDeliveryPending,
+  releaseDelivery,
+  recordDelivery
+} from '../utils/webhook.js';
+import { createKV, loadWebhookFixture } from './helpers.js';
+
+const encode = value => new TextEncoder().encode(value);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+test('computes the HMAC-SHA256 from GitHub\'s documentation example', async () => {
+  // https://docs.github.com/en/webhooks/using-webhooks/validating-webhook-deliveries
+  assert.equal(
+    await hmacSha256Hex("It's a Secret to Everybody", encode('Hello, World!')),
+    '757107ea0eb2509fc211221cce984b8a37570b6d7586c22c46f4379c8b043e17'
+  );
+});
+
+test('computes SHA-256 digests of UTF-8 text', async () => {
+  // FIPS 180-2 example
+  assert.equal(await sha256Hex('abc'), 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+  assert.equal(await sha256Hex('é'), createHash('sha256').update('é', 'utf8').digest('hex'));
+});
+
+test('verifies a signature made with the secret', async () => {
+  const body = encode('{"zen":"Keep it logically awesome."}');
+  const signature = `sha256=${await hmacSha256Hex('secret', body)}`;
+
+  assert.equal(await verifyWebhookSignature(body, signature, ['secret']), true);
+  assert.equal(await verifyWebhookSignature(body, signature.toUpperCase().replace('SHA256=', 'sha256='), ['secret']), true);
+});
+
+test('rejects missing, malformed and mismatched signatures', async () => {
+  const body = encode('{}');
+  const signature = `sha256=${await hmacSha256Hex('secret', body)}`;
+
+  assert.equal(await verifyWebhookSignature(body, null, ['secret']), false);
+  assert.equal(await verifyWebhookSignature(body, signature.slice(7), ['secret']), false);
+  assert.equal(await verifyWebhookSignature(body, `sha1=${signature.slice(7)}`, ['secret']), false);
+  assert.equal(await verifyWebhookSignature(body, signature, ['other']), false);
+  assert.equal(await verifyWebhookSignature(encode('{ }'), signature, ['secret']), false);
+  assert.equal(await verifyWebhookSignature(body, signature, []), false);
+});
+
+test('accepts the previous secret only until it expires', async () => {
+  const now = Date.parse('2024-06-01T00:00:00Z');
+  const env = {
+    WEBHOOK_SECRET: 'new',
+    WEBHOOK_SECRET_PREVIOUS: 'old',
+    WEBHOOK_SECRET_PREVIOUS_EXPIRES: '2024-06-02T00:00:00Z'
+  };
+  const body = encode('{}');
+  const oldSignature = `sha256=${await hmacSha256Hex('old', body)}`;
+
+  assert.deepEqual(getWebhookSecrets(env, now), ['new', 'old']);
+  assert.equal(await verifyWebhookSignature(body, oldSignature, getWebhookSecrets(env, now)), true);
+
+  const later = now + 2 * DAY_MS;
+  assert.deepEqual(getWebhookSecrets(env, later), ['new']);
+  assert.equal(await verifyWebhookSignature(body, oldSignature, getWebhookSecrets(env, later)), false);
+});
+
+test('compares strings in constant time without short-circuiting on length', () => {
+  assert.equal(timingSafeEqual('abc', 'abc'), true);
+  assert.equal(timingSafeEqual('abc', 'abd'), false);
+  assert.equal(timingSafeEqual('abc', 'abcd'), false);
+  assert.equal(timingSafeEqual('abc', null), false);
+});
+
+test('reads the replay window from WEBHOOK_MAX_AGE_SECONDS', () => {
+  assert.equal(getMaxDeliveryAge({}), 3 * 24 * 60 * 60);
+  assert.equal(getMaxDeliveryAge({ WEBHOOK_MAX_AGE_SECONDS: '600' }), 600);
+  assert.equal(getMaxDeliveryAge({ WEBHOOK_MAX_AGE_SECONDS: 'soon' }), 3 * 24 * 60 * 60);
+});
+
+test('dates only the events whose payload says when they happened', () => {
+  assert.equal(getEventTimestamp('installation', loadWebhookFixture('installation.created')),
+    Date.parse('2024-05-02T09:20:11.000Z'));
+  assert.equal(getEventTimestamp('repository', loadWebhookFixture('repository.created')),
+    Date.parse('2024-05-21T10:11:12Z'));
+
+  // Resource timestamps, not event times
+  assert.equal(getEventTimestamp('ping', loadWebhookFixture('ping')), null);
+  assert.equal(getEventTimestamp('installation', loadWebhookFixture('installation.deleted')), null);
+  assert.equal(getEventTimestamp('installation_repositories', loadWebhookFixture('installation_repositories.added')), null);
+  assert.equal(getEventTimestamp('repository', loadWebhookFixture('repository.archived')), null);
+  assert.equal(getEventTimestamp('push', {}), null);
+});
+
+test('old creation events are stale', () => {
+  const payload = loadWebhookFixture('installation.created');
+  const createdAt = Date.parse(payload.installation.created_at);
+
+  assert.equal(isStaleDelivery({}, 'installation', payload, createdAt + DAY_MS), false);
+  assert.equal(isStaleDelivery({}, 'installation', payload, createdAt + 4 * DAY_MS), true);
+});
+
+test('creation events without a signed timestamp are stale', () => {
+  const payload = loadWebhookFixture('installation.created');
+  delete payload.installation.created_at;
+
+  assert.equal(isStaleDelivery({}, 'installation', payload), true);
+  assert.equal(isStaleDelivery({}, 'repository', { action: 'created', repository: {} }), true);
+});
+
+test('deliveries about long-unchanged resources are not stale', () => {
+  const years = 2 * 365 * DAY_MS;
+  for (const name of ['ping', 'installation.deleted', 'installation_repositories.removed', 'repository.archived']) {
+    const payload = loadWebhookFixture(name);
+    const event = name.split('.')[0];
+    assert.equal(isStaleDelivery({}, event, payload, Date.now() + years), false, name);
+  }
+  assert.equal(isStaleDelivery({}, 'repository', { action: 'deleted', repository: { updated_at: '2019-01-01T00:00:00Z' } }), false);
+  assert.equal(isStaleDelivery({}, 'push', {}), false);
+});
+
+test('a pending delivery is already a duplicate', async () => {
+  const env = { GREENER_KV: createKV() };
+
+  assert.equal(await isDuplicateDelivery(env, 'guid-1'), false);
+  await markDeliveryPending(env, 'guid-1', 'repository');
+  assert.equal(await isDuplicateDelivery(env, 'guid-1'), true);
+
+  const pending = env.GREENER_KV.entries.get('delivery:guid-1');
+  assert.equal(JSON.parse(pending.value).status, 'pending');
+  assert.equal(pending.options.expirationTtl, 300);
+});
+
+test('processed deliveries are kept for the replay window', async () => {
+  const env = { GREENER_KV: createKV(), WEBHOOK_MAX_AGE_SECONDS: '3600' };
+
+  await markDeliveryPending(env, 'guid-2', 'ping');
+  await recordDelivery(env, 'guid-2', 'ping');
+
+  const processed = env.GREENER_KV.entries.get('delivery:guid-2');
+  assert.equal(JSON.parse(processed.value).status, 'processed');
+  assert.equal(processed.options.expirationTtl, 3600);
+});
+
+test('a released delivery can be processed again', async () => {
+  const env = { GREENER_KV: createKV() };
+
+  await markDeliveryPending(env, 'guid-3', 'repository');
+  await releaseDelivery(env, 'guid-3');
+  assert.equal(await isDuplicateDelivery(env, 'guid-3'), false);
+});
+
+test('replay protection is off without KV', async () => {
+  assert.equal(await isDuplicateDelivery({}, 'guid-4'), false);
+  await markDeliveryPending({}, 'guid-4', 'ping');
+  await recordDelivery({}, 'guid-4', 'ping');
+});
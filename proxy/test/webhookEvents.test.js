@@ -0,0 +1,160 @@
+/**
+ * Tests for webhook event dispatch, driven by recorded payloads
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { dispatchWebhookEvent } from '../utils/webhookEvents.js';
+import { loadWebhookFixture } from './helpers.js';
+
+/**
+ * Dispatcher context that records provisioning, cleanup and forget calls
+ */
+function createContext({ autoProvision = true, autoDeprovision = true } = {}) {
+  const calls = { provision: [], cleanup: [], forget: [] };
+
+  return {
+    calls,
+    env: {},
+    async provisionSecrets(env, installationId, repos, options) {
+      calls.provision.push({ installationId, repos, options });
+      return repos.map(repo => ({ repo, status: 'success', secrets: ['GREENER_CI_KEY'] }));
+    },
+    async cleanupRepos(env, installationId, repos, options) {
+      calls.cleanup.push({ installationId, repos, options });
+      return repos.map(repo => ({ repo, status: 'success', removed: ['GREENER_CI_KEY'] }));
+    },
+    async forgetInstallation(env, installationId) {
+      calls.forget.push(installationId);
+      return 3;
+    },
+    isAutoProvisionEnabled: async () => autoProvision,
+    isAutoDeprovisionEnabled: async () => autoDeprovision
+  };
+}
+
+test('ping is acknowledged with the hook id', async () => {
+  const context = createContext();
+  const result = await dispatchWebhookEvent('ping', loadWebhookFixture('ping'), context);
+
+  assert.equal(result.handled, true);
+  assert.equal(result.hookId, 478214032);
+  assert.equal(result.zen, 'Design for failure.');
+  assert.equal(context.calls.provision.length, 0);
+});
+
+test('installation.created provisions every repository in the installation', async () => {
+  const context = createContext();
+  const result = await dispatchWebhookEvent('installation', loadWebhookFixture('installation.created'), context);
+
+  assert.equal(result.installationId, 51234567);
+  assert.deepEqual(result.repos, ['greener-labs/api', 'greener-labs/web']);
+  assert.equal(result.provisioned.length, 2);
+  assert.deepEqual(context.calls.provision, [{
+    installationId: 51234567,
+    repos: ['greener-labs/api', 'greener-labs/web'],
+    options: { actor: 'octocat', source: 'webhook' }
+  }]);
+});
+
+test('hands provisioning to a bulk job when the context can start one', async () => {
+  const context = createContext();
+  const started = [];
+  context.startJob = async (installationId, repos, options) => {
+    started.push({ installationId, repos, options });
+    return { id: 'job-1' };
+  };
+
+  const result = await dispatchWebhookEvent('installation', loadWebhookFixture('installation.created'), context);
+
+  assert.equal(result.jobId, 'job-1');
+  assert.deepEqual(result.provisioned, []);
+  assert.deepEqual(started, [{
+    installationId: 51234567,
+    repos: ['greener-labs/api', 'greener-labs/web'],
+    options: { actor: 'octocat', source: 'webhook' }
+  }]);
+  assert.equal(context.calls.provision.length, 0);
+});
+
+test('installation.created does nothing when auto-provision is off', async () => {
+  const context = createContext({ autoProvision: false });
+  const result = await dispatchWebhookEvent('installation', loadWebhookFixture('installation.created'), context);
+
+  assert.equal(result.skipped, 'auto-provision disabled');
+  assert.deepEqual(result.provisioned, []);
+  assert.equal(context.calls.provision.length, 0);
+});
+
+test('installation.deleted stops rotation without calling GitHub to clean up', async () => {
+  const context = createContext();
+  const result = await dispatchWebhookEvent('installation', loadWebhookFixture('installation.deleted'), context);
+
+  assert.deepEqual(result.repos, ['greener-labs/api', 'greener-labs/web']);
+  assert.deepEqual(result.deprovisioned, []);
+  assert.equal(result.forgotten, 3);
+  assert.deepEqual(context.calls.forget, [51234567]);
+  assert.equal(context.calls.cleanup.length, 0);
+});
+
+test('installation_repositories.added provisions only the added repositories', async () => {
+  const context = createContext();
+  const result = await dispatchWebhookEvent('installation_repositories',
+    loadWebhookFixture('installation_repositories.added'), context);
+
+  assert.deepEqual(result.repos, ['greener-labs/worker']);
+  assert.deepEqual(context.calls.provision.map(call => call.repos), [['greener-labs/worker']]);
+});
+
+test('installation_repositories.removed cleans up only the removed repositories', async () => {
+  const context = createContext();
+  const result = await dispatchWebhookEvent('installation_repositories',
+    loadWebhookFixture('installation_repositories.removed'), context);
+
+  assert.deepEqual(result.repos, ['greener-labs/web']);
+  assert.deepEqual(context.calls.cleanup, [{
+    installationId: 51234567,
+    repos: ['greener-labs/web'],
+    options: { actor: 'octocat' }
+  }]);
+});
+
+test('repository.created provisions the new repository', async () => {
+  const context = createContext();
+  const result = await dispatchWebhookEvent('repository', loadWebhookFixture('repository.created'), context);
+
+  assert.deepEqual(result.repos, ['greener-labs/docs']);
+  assert.equal(result.provisioned[0].status, 'success');
+});
+
+test('other repository actions are acknowledged but not handled', async () => {
+  const context = createContext();
+  const result = await dispatchWebhookEvent('repository', loadWebhookFixture('repository.archived'), context);
+
+  assert.equal(result.handled, false);
+  assert.equal(result.reason, 'unsupported action: archived');
+  assert.equal(context.calls.provision.length, 0);
+});
+
+test('unsupported events are acknowledged but not handled', async () => {
+  const context = createContext();
+  const result = await dispatchWebhookEvent('push', { installation: { id: 1 } }, context);
+
+  assert.deepEqual(result, {
+    event: 'push',
+    action: null,
+    installationId: 1,
+    handled: false,
+    reason: 'unsupported event: push'
+  });
+});
+
+test('events without an installation are not provisioned', async () => {
+  const context = createContext();
+  const payload = loadWebhookFixture('repository.created');
+  delete payload.installation;
+
+  const result = await dispatchWebhookEvent('repository', payload, context);
+  assert.equal(result.skipped, 'missing installation id');
+  assert.equal(context.calls.provision.length, 0);
+});
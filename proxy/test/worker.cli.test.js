@@ -0,0 +1,130 @@
+/**
+ * Tests for CLI provisioning notifications and ledger records
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateKeyPairSync } from 'node:crypto';
+import worker from '../worker.js';
+import { listProvisioning } from '../utils/ledger.js';
+import { bytesToBase64, scalarMultBase } from '../utils/sodium.js';
+import { createKV, createExecutionContext, jsonResponse, mockFetch } from './helpers.js';
+
+const INSTALLATION_ID = 51234567;
+const REPOSITORY = 'greener-labs/api';
+const PUBLIC_KEY = bytesToBase64(scalarMultBase(new Uint8Array(32).fill(7)));
+const TARGET_SECRET = 'notification-test-secret';
+const PRIVATE_KEY = generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey
+  .export({ type: 'pkcs8', format: 'pem' });
+
+function createEnv(overrides = {}) {
+  return {
+    GITHUB_TOKEN: 'ghp_test',
+    GITHUB_APP_ID: '12345',
+    GITHUB_PRIVATE_KEY: PRIVATE_KEY,
+    GREENER_KV: createKV(),
+    NOTIFICATION_TARGETS: JSON.stringify([{ type: 'webhook', url: 'https://hooks.test/greener', secret: TARGET_SECRET }]),
+    ...overrides
+  };
+}
+
+/**
+ * GitHub stand-in for a CLI caller with admin access; `putStatus` answers every secret write
+ */
+function mockCliApi(t, { putStatus = 201, installation = INSTALLATION_ID } = {}) {
+  const notifications = [];
+  const calls = mockFetch(t, async (url, init) => {
+    if (url.host === 'hooks.test') {
+      notifications.push(JSON.parse(init.body));
+      return new Response('ok');
+    }
+    if (url.pathname === `/repos/${REPOSITORY}`) {
+      return jsonResponse({ full_name: REPOSITORY, permissions: { admin: true, push: true, pull: true } });
+    }
+    if (url.pathname === '/user') return jsonResponse({ login: 'octocat' });
+    if (url.pathname === `/repos/${REPOSITORY}/installation`) {
+      return installation ? jsonResponse({ id: installation }) : jsonResponse({ message: 'Not Found' }, 404);
+    }
+    if (url.pathname.endsWith('/public-key')) return jsonResponse({ key_id: 'key-1', key: PUBLIC_KEY });
+    if (init.method === 'PUT') {
+      return putStatus < 300 ? new Response(null, { status: putStatus }) : jsonResponse({ message: 'Forbidden' }, putStatus);
+    }
+    return jsonResponse({ total_count: 0, secrets: [] });
+  });
+  return { calls, notifications };
+}
+
+function cliRequest() {
+  return new Request('https://worker.test/api/cli-provision', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: 'Bearer ghp_user' },
+    body: JSON.stringify({ repository: REPOSITORY })
+  });
+}
+
+test('reports CLI provisioning under the repository\'s installation', async (t) => {
+  const { calls, notifications } = mockCliApi(t);
+  const ctx = createExecutionContext();
+
+  const response = await worker.fetch(cliRequest(), createEnv(), ctx);
+  await ctx.settle();
+
+  assert.equal(response.status, 200);
+  assert.equal(notifications.length, 1);
+  assert.equal(notifications[0].event, 'provisioning.succeeded');
+  assert.equal(notifications[0].installationId, INSTALLATION_ID);
+  assert.deepEqual(notifications[0].data.results, [{ repo: REPOSITORY, status: 'success', error: null }]);
+  const lookup = calls.find(call => call.url.pathname === `/repos/${REPOSITORY}/installation`);
+  assert.match(lookup.init.headers.Authorization, /^Bearer eyJ/);
+});
+
+test('records CLI provisioning under the repository\'s installation', async (t) => {
+  mockCliApi(t);
+  const env = createEnv();
+  const ctx = createExecutionContext();
+
+  await worker.fetch(cliRequest(), env, ctx);
+  await ctx.settle();
+
+  const records = await listProvisioning(env, { installationId: INSTALLATION_ID });
+  assert.equal(records.length, 1);
+  assert.equal(records[0].repo, REPOSITORY);
+  assert.equal(records[0].source, 'cli');
+  assert.equal(records[0].installationId, INSTALLATION_ID);
+});
+
+test('reports a CLI run that wrote nothing as an error', async (t) => {
+  const { notifications } = mockCliApi(t, { putStatus: 403 });
+  const ctx = createExecutionContext();
+
+  const response = await worker.fetch(cliRequest(), createEnv(), ctx);
+  await ctx.settle();
+
+  assert.equal(response.status, 207);
+  assert.equal(notifications[0].event, 'provisioning.partial');
+  assert.equal(notifications[0].data.results[0].status, 'error');
+  assert.match(notifications[0].summary, /^0 of 1 repositories succeeded/);
+});
+
+test('honours the installation\'s notification setting', async (t) => {
+  const { notifications } = mockCliApi(t);
+  const env = createEnv();
+  await env.GREENER_KV.put(`settings:${INSTALLATION_ID}`, JSON.stringify({ settings: { webhookNotifications: false } }));
+  const ctx = createExecutionContext();
+
+  await worker.fetch(cliRequest(), env, ctx);
+  await ctx.settle();
+
+  assert.equal(notifications.length, 0);
+});
+
+test('notifies without an installation when the app is not installed on the repository', async (t) => {
+  const { notifications } = mockCliApi(t, { installation: null });
+  const ctx = createExecutionContext();
+
+  await worker.fetch(cliRequest(), createEnv(), ctx);
+  await ctx.settle();
+
+  assert.equal(notifications.length, 1);
+  assert.equal(notifications[0].installationId, null);
+});
@@ -0,0 +1,264 @@
+/**
+ * Tests for the dashboard provisioning APIs
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import worker, { ProvisioningJobRunner } from '../worker.js';
+import { bytesToBase64, scalarMultBase } from '../utils/sodium.js';
+import {
+  createKV,
+  createDurableObjectNamespace,
+  createDurableObjectState,
+  createExecutionContext,
+  jsonResponse,
+  mockFetch,
+  runAlarms,
+  sessionRequest,
+  LOGIN_ENV
+} from './helpers.js';
+
+const INSTALLATION_ID = 51234567;
+const PUBLIC_KEY = bytesToBase64(scalarMultBase(new Uint8Array(32).fill(7)));
+
+function createEnv(overrides = {}) {
+  return {
+    GITHUB_TOKEN: 'ghp_test',
+    GREENER_KV: createKV(),
+    ...LOGIN_ENV,
+    ...overrides
+  };
+}
+
+const repoList = count => Array.from({ length: count }, (_, i) => `greener-labs/repo-${i}`);
+
+test('POST /api/provision sends more than 100 repositories to /api/jobs', async (t) => {
+  const calls = mockFetch(t, () => jsonResponse({}));
+  const request = await sessionRequest('POST', '/api/provision', {
+    installation_id: INSTALLATION_ID,
+    repos: repoList(101)
+  });
+
+  const response = await worker.fetch(request, createEnv(), createExecutionContext());
+  const body = await response.json();
+
+  assert.equal(response.status, 413);
+  assert.match(body.error, /use POST \/api\/jobs/);
+  assert.equal(calls.length, 0);
+});
+
+test('/configure submits large selections as a job', async (t) => {
+  mockFetch(t, (url) => jsonResponse({ total_count: 0, repositories: [], secrets: [] }));
+  const request = await sessionRequest('GET', `/configure?installation_id=${INSTALLATION_ID}`);
+
+  const response = await worker.fetch(request, createEnv(), createExecutionContext());
+  const html = await response.text();
+
+  assert.equal(response.status, 200);
+  assert.match(html, /More than 100 repositories are selected/);
+  assert.match(html, /const maxProvisionRepos = 100;/);
+  assert.match(html, /fetch\('\/api\/jobs'/);
+  assert.match(html, new RegExp(`installation_id: ${INSTALLATION_ID},`));
+});
+
+/**
+ * GitHub stand-in: the installation can access `installed`, the signed-in user
+ * has `roleName` on each repository, and secrets writes succeed
+ */
+function mockInstallationApi(t, installed, roleName = 'admin') {
+  return mockFetch(t, (url, init) => {
+    if (url.pathname.endsWith('/collaborators/octocat/permission')) {
+      return jsonResponse({ permission: roleName === 'maintain' ? 'write' : roleName, role_name: roleName });
+    }
+    if (url.pathname === `/user/installations/${INSTALLATION_ID}/repositories`) {
+      return jsonResponse({
+        total_count: installed.length,
+        repositories: installed.map(fullName => ({ full_name: fullName, name: fullName.split('/')[1], private: true }))
+      });
+    }
+    if (url.pathname.endsWith('/public-key')) {
+      return jsonResponse({ key_id: 'key-1', key: PUBLIC_KEY });
+    }
+    if (init.method === 'PUT' || init.method === 'DELETE') {
+      return new Response(null, { status: init.method === 'PUT' ? 201 : 204 });
+    }
+    return jsonResponse({ total_count: 0, secrets: [] });
+  });
+}
+
+const secretWrites = calls => calls.filter(call => call.init.method === 'PUT' || call.init.method === 'DELETE');
+
+test('POST /api/provision rejects repositories outside the installation', async (t) => {
+  const calls = mockInstallationApi(t, ['greener-labs/api']);
+  const request = await sessionRequest('POST', '/api/provision', {
+    installation_id: INSTALLATION_ID,
+    repos: ['greener-labs/api', 'someone-else/private']
+  });
+
+  const response = await worker.fetch(request, createEnv(), createExecutionContext());
+
+  assert.equal(response.status, 403);
+  assert.match(await response.text(), /Not in installation 51234567: someone-else\/private/);
+  assert.equal(secretWrites(calls).length, 0);
+});
+
+test('POST /api/provision refreshes a stale repository list before rejecting', async (t) => {
+  const calls = mockInstallationApi(t, ['greener-labs/api', 'greener-labs/new-repo']);
+  const env = createEnv();
+  await env.GREENER_KV.put(`repos:${INSTALLATION_ID}`, JSON.stringify([{ full_name: 'greener-labs/api', name: 'api' }]));
+  const request = await sessionRequest('POST', '/api/provision', {
+    installation_id: INSTALLATION_ID,
+    repos: ['greener-labs/new-repo']
+  });
+
+  const response = await worker.fetch(request, env, createExecutionContext());
+
+  assert.equal(response.status, 200);
+  assert.ok(secretWrites(calls).every(call => call.url.pathname.startsWith('/repos/greener-labs/new-repo/')));
+  assert.ok(secretWrites(calls).length > 0);
+});
+
+test('POST /api/provision uses the cached list without calling GitHub for it', async (t) => {
+  const calls = mockInstallationApi(t, []);
+  const env = createEnv();
+  await env.GREENER_KV.put(`repos:${INSTALLATION_ID}`, JSON.stringify([{ full_name: 'greener-labs/api', name: 'api' }]));
+  const request = await sessionRequest('POST', '/api/provision', {
+    installation_id: INSTALLATION_ID,
+    repos: ['Greener-Labs/API'],
+    dryRun: true
+  });
+
+  const response = await worker.fetch(request, env, createExecutionContext());
+
+  assert.equal(response.status, 200);
+  assert.ok(!calls.some(call => call.url.pathname.includes('/installations/')));
+});
+
+test('DELETE /api/provision rejects repositories outside the installation', async (t) => {
+  const calls = mockInstallationApi(t, ['greener-labs/api']);
+  const request = await sessionRequest('DELETE', '/api/provision', {
+    installation_id: INSTALLATION_ID,
+    repos: ['someone-else/private'],
+    prefix: 'GREENER_'
+  });
+
+  const response = await worker.fetch(request, createEnv(), createExecutionContext());
+
+  assert.equal(response.status, 403);
+  assert.equal(secretWrites(calls).length, 0);
+});
+
+test('POST /api/jobs rejects repositories outside the installation', async (t) => {
+  mockInstallationApi(t, ['greener-labs/api']);
+  const env = createEnv();
+  env.JOB_RUNNER = createDurableObjectNamespace(ProvisioningJobRunner, env);
+  const request = await sessionRequest('POST', '/api/jobs', {
+    installation_id: INSTALLATION_ID,
+    repos: ['greener-labs/api', 'someone-else/private']
+  });
+
+  const response = await worker.fetch(request, env, createExecutionContext());
+
+  assert.equal(response.status, 403);
+  assert.equal(env.JOB_RUNNER.instances.size, 0);
+});
+
+test('POST /api/provision requires the user\'s own push permission on each repository', async (t) => {
+  const calls = mockInstallationApi(t, ['greener-labs/api'], 'read');
+  const request = await sessionRequest('POST', '/api/provision', {
+    installation_id: INSTALLATION_ID,
+    repos: ['greener-labs/api']
+  });
+
+  const response = await worker.fetch(request, createEnv(), createExecutionContext());
+
+  assert.equal(response.status, 403);
+  assert.match(await response.text(), /requires push permission on greener-labs\/api; octocat has pull/);
+  assert.equal(secretWrites(calls).length, 0);
+});
+
+test('DELETE /api/provision requires admin permission without an access policy', async (t) => {
+  const calls = mockInstallationApi(t, ['greener-labs/api'], 'write');
+  const request = await sessionRequest('DELETE', '/api/provision', {
+    installation_id: INSTALLATION_ID,
+    repos: ['greener-labs/api'],
+    prefix: 'GREENER_'
+  });
+
+  const response = await worker.fetch(request, createEnv(), createExecutionContext());
+
+  assert.equal(response.status, 403);
+  assert.match(await response.text(), /requires admin permission/);
+  assert.equal(secretWrites(calls).length, 0);
+});
+
+test('rotate-if-older-than needs the admin role', async (t) => {
+  mockInstallationApi(t, ['greener-labs/api']);
+  const env = createEnv({
+    ACCESS_POLICY: JSON.stringify({ roles: { provisioner: { users: ['octocat'] } } })
+  });
+  const request = await sessionRequest('POST', '/api/provision', {
+    installation_id: INSTALLATION_ID,
+    repos: ['greener-labs/api'],
+    mode: 'rotate-if-older-than',
+    maxAgeDays: 30
+  });
+
+  const response = await worker.fetch(request, env, createExecutionContext());
+
+  assert.equal(response.status, 403);
+  assert.match(await response.text(), /requires the admin role/);
+});
+
+test('bulk jobs check the creator\'s permission on each repository as they run', async (t) => {
+  const calls = mockFetch(t, (url, init) => {
+    if (url.pathname === `/user/installations/${INSTALLATION_ID}/repositories`) {
+      return jsonResponse({ total_count: 2, repositories: [{ full_name: 'greener-labs/api' }, { full_name: 'greener-labs/docs' }] });
+    }
+    if (url.pathname.endsWith('/collaborators/octocat/permission')) {
+      const roleName = url.pathname.startsWith('/repos/greener-labs/api/') ? 'write' : 'read';
+      return jsonResponse({ role_name: roleName, user: { login: 'octocat', permissions: { pull: true, push: roleName === 'write' } } });
+    }
+    if (url.pathname.endsWith('/public-key')) return jsonResponse({ key_id: 'key-1', key: PUBLIC_KEY });
+    if (init.method === 'PUT') return new Response(null, { status: 201 });
+    return jsonResponse({ total_count: 0, secrets: [] });
+  });
+  const env = createEnv();
+  env.JOB_RUNNER = createDurableObjectNamespace(ProvisioningJobRunner, env);
+  const request = await sessionRequest('POST', '/api/jobs', {
+    installation_id: INSTALLATION_ID,
+    repos: ['greener-labs/api', 'greener-labs/docs']
+  });
+
+  const response = await worker.fetch(request, env, createExecutionContext());
+  assert.equal(response.status, 202);
+  const { job } = await response.json();
+  assert.equal(job.action, 'provision');
+
+  const runner = env.JOB_RUNNER.instances.get(job.id);
+  await runAlarms(runner);
+  const results = [...(await runner.state.storage.list({ prefix: 'result:' })).values()];
+
+  assert.deepEqual(results.map(result => [result.repo, result.status]).sort(), [
+    ['greener-labs/api', 'success'],
+    ['greener-labs/docs', 'error']
+  ]);
+  assert.match(results.find(result => result.repo === 'greener-labs/docs').error, /requires push permission/);
+  assert.ok(!secretWrites(calls).some(call => call.url.pathname.startsWith('/repos/greener-labs/docs/')));
+});
+
+test('provisioning jobs estimate their cost from the template, stores and mode', () => {
+  const runner = new ProvisioningJobRunner(createDurableObjectState(), createEnv());
+
+  // Five secrets in one store, listed first (create-only), plus the permission check
+  assert.equal(runner.estimateSubrequests({ templateId: null, stores: null, mode: null, action: 'provision' }), 12);
+  // One secret overwritten in three stores
+  assert.equal(runner.estimateSubrequests({
+    templateId: 'database',
+    stores: ['actions', 'dependabot', 'codespaces'],
+    mode: { mode: 'overwrite', maxAgeDays: null },
+    action: null
+  }), 6);
+  // Every repository fails on an unknown template; the default estimate stands in
+  assert.equal(runner.estimateSubrequests({ templateId: 'missing', stores: null, mode: null, action: null }), 36);
+});
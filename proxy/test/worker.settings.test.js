@@ -0,0 +1,139 @@
+/**
+ * Tests for installation settings and the log level they control
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateKeyPairSync } from 'node:crypto';
+import worker from '../worker.js';
+import { getLogLevel } from '../utils/logger.js';
+import { createKV, createExecutionContext, sessionRequest, jsonResponse, mockFetch, LOGIN_ENV } from './helpers.js';
+
+const INSTALLATION_ID = 51234567;
+const PRIVATE_KEY = generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey
+  .export({ type: 'pkcs8', format: 'pem' });
+
+function createEnv(overrides = {}) {
+  return {
+    GITHUB_TOKEN: 'ghp_test',
+    GITHUB_APP_ID: '12345',
+    GITHUB_PRIVATE_KEY: PRIVATE_KEY,
+    GREENER_KV: createKV(),
+    ...LOGIN_ENV,
+    ...overrides
+  };
+}
+
+/**
+ * GitHub stand-in for an installation on `account`, where the signed-in user
+ * has `membership` ({ state, role }, or null for none)
+ */
+function mockInstallationAccount(t, { account = { login: 'greener-labs', type: 'Organization' }, membership = { state: 'active', role: 'admin' } } = {}) {
+  return mockFetch(t, (url) => {
+    if (url.pathname === `/app/installations/${INSTALLATION_ID}`) return jsonResponse({ id: INSTALLATION_ID, account });
+    if (url.pathname === `/app/installations/${INSTALLATION_ID}/access_tokens`) {
+      return jsonResponse({ token: 'ghs_installation', expires_at: new Date(Date.now() + 3600 * 1000).toISOString() }, 201);
+    }
+    if (url.pathname === `/orgs/${account.login}/memberships/octocat` && membership) return jsonResponse(membership);
+    return jsonResponse({ message: 'Not Found' }, 404);
+  });
+}
+
+function putSettings(update) {
+  return sessionRequest('PUT', `/api/settings?installation_id=${INSTALLATION_ID}`, update);
+}
+
+test('the log level comes only from LOG_LEVEL', async () => {
+  const env = createEnv({ LOG_LEVEL: 'warn' });
+  await env.GREENER_KV.put('config:log_level', 'debug');
+
+  assert.equal(getLogLevel(env), 'warn');
+  assert.equal(getLogLevel({ LOG_LEVEL: 'verbose' }), 'info');
+});
+
+test('there is no worker-wide log level endpoint', async () => {
+  const env = createEnv();
+  const request = await sessionRequest('PUT', '/api/logging', { level: 'debug' });
+
+  const response = await worker.fetch(request, env, createExecutionContext());
+
+  assert.equal(response.status, 404);
+  assert.equal(await env.GREENER_KV.get('config:log_level'), null);
+});
+
+test('PUT /api/settings turns on debug logging for one installation', async (t) => {
+  const env = createEnv();
+  mockInstallationAccount(t);
+  const request = await putSettings({ debugLogging: true });
+
+  const response = await worker.fetch(request, env, createExecutionContext());
+  const body = await response.json();
+
+  assert.equal(response.status, 200);
+  assert.equal(body.settings.debugLogging, true);
+  assert.equal(body.updatedBy, 'octocat');
+  assert.equal((await env.GREENER_KV.get(`settings:${INSTALLATION_ID}`, 'json')).settings.debugLogging, true);
+});
+
+test('PUT /api/settings needs the admin role', async () => {
+  const env = createEnv({ ACCESS_POLICY: JSON.stringify({ roles: { viewer: { users: ['*'] } } }) });
+  const request = await putSettings({ debugLogging: true });
+
+  const response = await worker.fetch(request, env, createExecutionContext());
+
+  assert.equal(response.status, 403);
+  assert.equal(await env.GREENER_KV.get(`settings:${INSTALLATION_ID}`), null);
+});
+
+test('PUT /api/settings needs an admin of the installation\'s organization, even without a policy', async (t) => {
+  for (const membership of [{ state: 'active', role: 'member' }, { state: 'pending', role: 'admin' }, null]) {
+    const env = createEnv();
+    mockInstallationAccount(t, { membership });
+
+    const response = await worker.fetch(await putSettings({ autoProvision: false }), env, createExecutionContext());
+
+    assert.equal(response.status, 403);
+    assert.match(await response.text(), /Changing settings requires admin permission on greener-labs/);
+    assert.equal(await env.GREENER_KV.get(`settings:${INSTALLATION_ID}`), null);
+  }
+});
+
+test('PUT /api/settings on a user account is for its owner only', async (t) => {
+  const env = createEnv();
+  mockInstallationAccount(t, { account: { login: 'someone-else', type: 'User' } });
+  assert.equal((await worker.fetch(await putSettings({ autoProvision: false }), env, createExecutionContext())).status, 403);
+
+  mockInstallationAccount(t, { account: { login: 'Octocat', type: 'User' } });
+  assert.equal((await worker.fetch(await putSettings({ autoProvision: false }), env, createExecutionContext())).status, 200);
+});
+
+test('PUT /api/settings is refused when the installation\'s admins cannot be looked up', async () => {
+  const env = createEnv({ GITHUB_APP_ID: undefined, GITHUB_PRIVATE_KEY: undefined });
+
+  const response = await worker.fetch(await putSettings({ autoProvision: false }), env, createExecutionContext());
+
+  assert.equal(response.status, 403);
+  assert.match(await response.text(), /needs the GitHub App/);
+});
+
+test('the admin page shows settings read-only to non-admins', async (t) => {
+  mockInstallationAccount(t, { membership: { state: 'active', role: 'member' } });
+  const request = await sessionRequest('GET', `/admin?installation_id=${INSTALLATION_ID}`);
+
+  const response = await worker.fetch(request, createEnv(), createExecutionContext());
+  const html = await response.text();
+
+  assert.equal(response.status, 200);
+  assert.match(html, /id="autoProvision"[^>]*disabled/);
+  assert.match(html, /requires admin permission on greener-labs/);
+});
+
+test('PUT /api/settings rejects unknown fields', async (t) => {
+  mockInstallationAccount(t);
+  const request = await putSettings({ logLevel: 'debug' });
+
+  const response = await worker.fetch(request, createEnv(), createExecutionContext());
+
+  assert.equal(response.status, 400);
+  assert.match(await response.text(), /Unknown settings: logLevel/);
+});
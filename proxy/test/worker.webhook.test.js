@@ -0,0 +1,259 @@
+/**
+ * Tests for the webhook endpoint: verification, acknowledgement and
+ * background processing
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateKeyPairSync } from 'node:crypto';
+import worker, { ProvisioningJobRunner } from '../worker.js';
+import { recordProvisioned } from '../utils/rotation.js';
+import { bytesToBase64, scalarMultBase } from '../utils/sodium.js';
+import {
+  createKV,
+  createDurableObjectNamespace,
+  createExecutionContext,
+  runAlarms,
+  jsonResponse,
+  loadWebhookFixture,
+  mockFetch,
+  signedWebhookRequest
+} from './helpers.js';
+
+const SECRET = 'webhook-test-secret';
+const PUBLIC_KEY = bytesToBase64(scalarMultBase(new Uint8Array(32).fill(7)));
+const APP_PRIVATE_KEY = generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey
+  .export({ type: 'pkcs8', format: 'pem' });
+
+function createEnv(overrides = {}) {
+  return {
+    GITHUB_TOKEN: 'ghp_test',
+    WEBHOOK_SECRET: SECRET,
+    AUTO_PROVISION: 'true',
+    GREENER_KV: createKV(),
+    ...overrides
+  };
+}
+
+/**
+ * A recorded payload whose signed timestamps are current
+ */
+function freshFixture(name) {
+  const payload = loadWebhookFixture(name);
+  const now = new Date().toISOString();
+  if (payload.installation) Object.assign(payload.installation, { created_at: now, updated_at: now });
+  if (payload.repository) payload.repository.created_at = now;
+  return payload;
+}
+
+/**
+ * GitHub secrets API stand-in; `gate` delays every call until it resolves
+ */
+function mockSecretsApi(t, gate = Promise.resolve()) {
+  return mockFetch(t, async (url, init) => {
+    await gate;
+    if (url.pathname.endsWith('/public-key')) {
+      return jsonResponse({ key_id: 'key-1', key: PUBLIC_KEY });
+    }
+    if (init.method === 'PUT') {
+      return new Response(null, { status: 201 });
+    }
+    return jsonResponse({ total_count: 0, secrets: [] });
+  });
+}
+
+test('rejects deliveries with a bad signature', async () => {
+  const request = await signedWebhookRequest('ping', freshFixture('ping'), 'wrong-secret');
+  const response = await worker.fetch(request, createEnv(), createExecutionContext());
+
+  assert.equal(response.status, 401);
+});
+
+test('acknowledges before provisioning finishes', async (t) => {
+  let release;
+  const calls = mockSecretsApi(t, new Promise(resolve => { release = resolve; }));
+  const env = createEnv();
+  const ctx = createExecutionContext();
+
+  const request = await signedWebhookRequest('installation_repositories',
+    freshFixture('installation_repositories.added'), SECRET, 'delivery-1');
+  const response = await worker.fetch(request, env, ctx);
+  const body = await response.json();
+
+  assert.equal(response.status, 202);
+  assert.equal(body.accepted, true);
+  assert.equal(body.deliveryId, 'delivery-1');
+  const delivery = () => JSON.parse(env.GREENER_KV.entries.get('delivery:delivery-1').value).status;
+  assert.equal(delivery(), 'pending');
+
+  release();
+  await ctx.settle();
+
+  const written = calls.filter(call => call.init.method === 'PUT').map(call => call.url.pathname);
+  assert.ok(written.includes('/repos/greener-labs/worker/actions/secrets/GREENER_CI_KEY'));
+  assert.equal(delivery(), 'processed');
+});
+
+test('a failed background run is not recorded, so redelivery retries it', async (t) => {
+  mockFetch(t, () => jsonResponse({ message: 'Server Error' }, 500));
+  const env = createEnv({ GREENER_KV: createKV() });
+  // The second settings read (auto-provision) fails, after the acknowledgement
+  let settingsReads = 0;
+  env.GREENER_KV.get = async (key) => {
+    if (key.startsWith('settings:') && ++settingsReads > 1) throw new Error('KV unavailable');
+    return null;
+  };
+  const ctx = createExecutionContext();
+
+  const request = await signedWebhookRequest('repository', freshFixture('repository.created'), SECRET, 'delivery-2');
+  const response = await worker.fetch(request, env, ctx);
+  assert.equal(response.status, 202);
+
+  await ctx.settle();
+  assert.equal(env.GREENER_KV.entries.has('delivery:delivery-2'), false);
+});
+
+test('a processed delivery is acknowledged as a duplicate and not run again', async (t) => {
+  const calls = mockSecretsApi(t);
+  const env = createEnv();
+  const payload = freshFixture('repository.created');
+
+  const first = createExecutionContext();
+  await worker.fetch(await signedWebhookRequest('repository', payload, SECRET, 'delivery-3'), env, first);
+  await first.settle();
+  const writes = calls.length;
+
+  const second = createExecutionContext();
+  const response = await worker.fetch(await signedWebhookRequest('repository', payload, SECRET, 'delivery-3'), env, second);
+  await second.settle();
+
+  assert.equal(response.status, 200);
+  assert.equal((await response.json()).duplicate, true);
+  assert.equal(calls.length, writes);
+});
+
+test('a redelivery while the first is still running is a duplicate', async (t) => {
+  let release;
+  const calls = mockSecretsApi(t, new Promise(resolve => { release = resolve; }));
+  const env = createEnv();
+  const payload = freshFixture('installation_repositories.added');
+
+  const first = createExecutionContext();
+  await worker.fetch(await signedWebhookRequest('installation_repositories', payload, SECRET, 'delivery-4'), env, first);
+
+  const second = createExecutionContext();
+  const response = await worker.fetch(
+    await signedWebhookRequest('installation_repositories', payload, SECRET, 'delivery-4'), env, second);
+  assert.equal((await response.json()).duplicate, true);
+
+  release();
+  await first.settle();
+  await second.settle();
+
+  // One provisioning run of the default template's five secrets
+  assert.equal(calls.filter(call => call.init.method === 'PUT').length, 5);
+});
+
+test('an old creation event replayed under a new delivery GUID is rejected', async (t) => {
+  const calls = mockSecretsApi(t);
+  const env = createEnv();
+  const payload = loadWebhookFixture('installation.created');
+
+  const response = await worker.fetch(
+    await signedWebhookRequest('installation', payload, SECRET, crypto.randomUUID()),
+    env, createExecutionContext());
+
+  assert.equal(response.status, 400);
+  assert.equal(calls.length, 0);
+});
+
+test('a fresh delivery about a long-unchanged resource is processed', async (t) => {
+  const calls = mockFetch(t, (url, init) => (init.method === 'DELETE'
+    ? new Response(null, { status: 204 })
+    : jsonResponse({ total_count: 1, secrets: [{ name: 'GREENER_CI_KEY' }] })));
+  const env = createEnv();
+  const ctx = createExecutionContext();
+
+  // The recorded installation was last updated in 2024
+  const request = await signedWebhookRequest('installation_repositories',
+    loadWebhookFixture('installation_repositories.removed'), SECRET, 'delivery-old-resource');
+  const response = await worker.fetch(request, env, ctx);
+  await ctx.settle();
+
+  assert.equal(response.status, 202);
+  assert.ok(calls.some(call => call.init.method === 'DELETE' && call.url.pathname === '/repos/greener-labs/web/actions/secrets/GREENER_CI_KEY'));
+  assert.equal(JSON.parse(env.GREENER_KV.entries.get('delivery:delivery-old-resource').value).status, 'processed');
+});
+
+test('a ping from a hook created long ago is acknowledged', async () => {
+  const request = await signedWebhookRequest('ping', loadWebhookFixture('ping'), SECRET, 'delivery-old-ping');
+  const response = await worker.fetch(request, createEnv(), createExecutionContext());
+
+  assert.equal(response.status, 202);
+});
+
+/**
+ * Environment acting as the app installation, with secrets recorded for both fixture repositories
+ */
+async function createUninstalledAppEnv() {
+  const env = createEnv({ GITHUB_APP_ID: '12345', GITHUB_PRIVATE_KEY: APP_PRIVATE_KEY });
+  for (const repo of ['greener-labs/api', 'greener-labs/web']) {
+    await recordProvisioned(env, { installationId: 51234567, repo });
+  }
+  return env;
+}
+
+test('an uninstall stops rotation without calling GitHub', async (t) => {
+  const calls = mockFetch(t, () => jsonResponse({ message: 'Not Found' }, 404));
+  const env = await createUninstalledAppEnv();
+  const ctx = createExecutionContext();
+
+  const request = await signedWebhookRequest('installation', loadWebhookFixture('installation.deleted'), SECRET, 'delivery-uninstall');
+  assert.equal((await worker.fetch(request, env, ctx)).status, 202);
+  await ctx.settle();
+
+  assert.equal(calls.length, 0);
+  assert.equal([...env.GREENER_KV.entries.keys()].filter(key => key.startsWith('provisioned:')).length, 0);
+  assert.equal(JSON.parse(env.GREENER_KV.entries.get('delivery:delivery-uninstall').value).status, 'processed');
+});
+
+test('a cleanup whose token exchange fails is logged and still stops rotation', async (t) => {
+  const warnings = [];
+  t.mock.method(console, 'warn', line => warnings.push(JSON.parse(line)));
+  mockFetch(t, () => jsonResponse({ message: 'Not Found' }, 404));
+  const env = await createUninstalledAppEnv();
+  const ctx = createExecutionContext();
+
+  const request = await signedWebhookRequest('installation_repositories',
+    loadWebhookFixture('installation_repositories.removed'), SECRET, 'delivery-revoked');
+  assert.equal((await worker.fetch(request, env, ctx)).status, 202);
+  await ctx.settle();
+
+  const failure = warnings.find(line => line.message === 'Deprovisioning failed');
+  assert.equal(failure.repo, 'greener-labs/web');
+  assert.ok(env.GREENER_KV.entries.has('provisioned:greener-labs/api'));
+  assert.ok(!env.GREENER_KV.entries.has('provisioned:greener-labs/web'));
+  assert.equal(JSON.parse(env.GREENER_KV.entries.get('delivery:delivery-revoked').value).status, 'processed');
+});
+
+test('with JOB_RUNNER bound, webhook provisioning runs as a bulk job', async (t) => {
+  const calls = mockSecretsApi(t);
+  const env = createEnv();
+  env.JOB_RUNNER = createDurableObjectNamespace(ProvisioningJobRunner, env);
+  const ctx = createExecutionContext();
+
+  const request = await signedWebhookRequest('installation', freshFixture('installation.created'), SECRET, 'delivery-5');
+  assert.equal((await worker.fetch(request, env, ctx)).status, 202);
+  await ctx.settle();
+
+  assert.equal(calls.length, 0, 'nothing is provisioned in the webhook invocation');
+  const [runner] = env.JOB_RUNNER.instances.values();
+  const job = await runner.state.storage.get('job');
+  assert.equal(job.createdBy, 'octocat');
+  assert.equal(job.source, 'webhook');
+  assert.equal(job.total, 2);
+
+  await runAlarms(runner);
+  const written = calls.filter(call => call.init.method === 'PUT').map(call => call.url.pathname.split('/')[3]);
+  assert.deepEqual([...new Set(written)].sort(), ['api', 'web']);
+});
@@ -0,0 +1,281 @@
+/**
+ * Audit log utilities for Cloudflare Workers
+ * Append-only, hash-chained record of state-changing requests
+ *
+ * Entries are stored as `audit:{seq}` (zero-padded so KV lists them in order)
+ * and `audit:head` holds the latest sequence number and hash. Each entry's hash
+ * covers its fields and the previous entry's hash, so editing an entry breaks
+ * its own hash, deleting one leaves a gap in the sequence, and dropping entries
+ * from the end no longer matches the head.
+ *
+ * KV has no transactions, so two requests that read the same head would both
+ * write the next sequence number. Appends therefore go through the AuditLog
+ * Durable Object, which handles them one at a time and keeps the head in its
+ * own storage. Without the AUDIT_LOG binding, appends fall back to writing KV
+ * directly, re-reading the head and retrying when the sequence number is taken;
+ * that narrows the race but does not close it.
+ */
+
+import { log } from './logger.js';
+import { sha256Hex } from './webhook.js';
+
+const AUDIT_PREFIX = 'audit:';
+const HEAD_KEY = 'audit:head';
+const SEQ_DIGITS = 12;
+const GENESIS_HASH = '0'.repeat(64);
+const MAX_APPEND_ATTEMPTS = 5;
+const MAX_EXPORT_LIMIT = 1000;
+
+// Hashed in this order; changing it invalidates every existing chain
+const HASHED_FIELDS = [
+  'seq', 'timestamp', 'requestId', 'action', 'method', 'route',
+  'actor', 'client', 'outcome', 'status', 'details', 'prevHash'
+];
+
+const requestIds = new WeakMap();
+
+/**
+ * Returns a stable id for a request: Cloudflare's ray id, or a generated one
+ * @param {Request} request - Incoming request
+ * @returns {string} - Request id
+ */
+export function getRequestId(request) {
+  let id = requestIds.get(request);
+  if (!id) {
+    id = request.headers.get('cf-ray') || crypto.randomUUID();
+    requestIds.set(request, id);
+  }
+  return id;
+}
+
+/**
+ * Maps a response status to an audit outcome
+ * @param {number} status - HTTP status
+ * @returns {string} - success, partial or failure
+ */
+export function auditOutcome(status) {
+  if (status === 207) return 'partial';
+  return status < 400 ? 'success' : 'failure';
+}
+
+function auditKey(seq) {
+  return `${AUDIT_PREFIX}${String(seq).padStart(SEQ_DIGITS, '0')}`;
+}
+
+/**
+ * Computes an entry's chained hash
+ * @param {object} entry - Audit entry (its own `hash` is ignored)
+ * @returns {Promise<string>} - Hex SHA-256
+ */
+export async function hashAuditEntry(entry) {
+  return sha256Hex(JSON.stringify(HASHED_FIELDS.map(field => entry[field] === undefined ? null : entry[field])));
+}
+
+/**
+ * Writes the next entry after `head` to KV, chaining onto any entry already
+ * stored at that sequence number
+ * @param {object} env - Environment with GREENER_KV binding
+ * @param {object} head - { seq, hash } of the last entry
+ * @param {object} fields - Entry fields
+ * @returns {Promise<object|null>} - Stored entry, or null if every sequence number tried was taken
+ */
+async function writeEntry(env, head, fields) {
+  for (let attempt = 0; attempt < MAX_APPEND_ATTEMPTS; attempt++) {
+    const seq = head.seq + 1;
+    const taken = await env.GREENER_KV.get(auditKey(seq), 'json');
+    if (taken) {
+      // Another writer appended (or the head write was lost); chain onto it
+      head = { seq: taken.seq, hash: taken.hash };
+      continue;
+    }
+
+    const entry = {
+      seq,
+      timestamp: new Date().toISOString(),
+      requestId: fields.requestId || null,
+      action: fields.action,
+      method: fields.method || null,
+      route: fields.route || null,
+      actor: fields.actor || null,
+      client: fields.client || null,
+      outcome: fields.outcome,
+      status: fields.status || null,
+      details: fields.details || null,
+      prevHash: head.hash
+    };
+    entry.hash = await hashAuditEntry(entry);
+
+    const value = JSON.stringify(entry);
+    await env.GREENER_KV.put(auditKey(seq), value, {
+      // KV caps metadata at 1024 bytes; larger entries are read back with get()
+      metadata: value.length <= 1024 ? entry : undefined
+    });
+    await env.GREENER_KV.put(HEAD_KEY, JSON.stringify({ seq, hash: entry.hash }));
+    return entry;
+  }
+
+  log.error('Audit append gave up after concurrent writers', { action: fields.action });
+  return null;
+}
+
+/**
+ * Appends an entry to the audit log
+ * @param {object} env - Environment with GREENER_KV and, optionally, AUDIT_LOG bindings
+ * @param {object} fields - { requestId, action, method, route, actor, client, outcome, status, details }
+ * @returns {Promise<object|null>} - Stored entry, or null if not recorded
+ */
+export async function appendAuditEntry(env, fields) {
+  // Soft-disable if KV not configured
+  if (!env.GREENER_KV) return null;
+
+  try {
+    if (env.AUDIT_LOG) {
+      const stub = env.AUDIT_LOG.get(env.AUDIT_LOG.idFromName('audit'));
+      const response = await stub.fetch('https://audit-log/append', {
+        method: 'POST',
+        body: JSON.stringify(fields)
+      });
+      if (!response.ok) {
+        throw new Error(`Audit log answered ${response.status}`);
+      }
+      return await response.json();
+    }
+
+    const head = (await env.GREENER_KV.get(HEAD_KEY, 'json')) || { seq: 0, hash: GENESIS_HASH };
+    return await writeEntry(env, head, fields);
+  } catch (error) {
+    log.error('Audit write failed', { action: fields.action, error });
+  }
+  return null;
+}
+
+/**
+ * Durable Object that serializes audit appends. The head lives in its storage;
+ * the first append adopts the head already in KV, so an existing chain continues.
+ */
+export class AuditLog {
+  constructor(state, env) {
+    this.state = state;
+    this.env = env;
+    // KV calls let other requests in, so appends wait for the one before them
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * POST appends one entry (body is the entry fields); GET returns the head it holds
+   * @param {Request} request - Request from appendAuditEntry or the readiness check
+   * @returns {Promise<Response>} - Stored entry, or null if not recorded
+   */
+  async fetch(request) {
+    if (request.method === 'GET') {
+      return Response.json((await this.state.storage.get('head')) || null);
+    }
+
+    const fields = await request.json();
+    const append = this.queue.then(() => this.append(fields));
+    this.queue = append.catch(() => {});
+
+    try {
+      return Response.json(await append);
+    } catch (error) {
+      log.error('Audit append failed', { action: fields.action, error });
+      return new Response('Audit append failed', { status: 500 });
+    }
+  }
+
+  async append(fields) {
+    const head = (await this.state.storage.get('head')) ||
+      (await this.env.GREENER_KV.get(HEAD_KEY, 'json')) ||
+      { seq: 0, hash: GENESIS_HASH };
+
+    const entry = await writeEntry(this.env, head, fields);
+    if (entry) {
+      await this.state.storage.put('head', { seq: entry.seq, hash: entry.hash });
+    }
+    return entry;
+  }
+}
+
+/**
+ * Walks audit entries in sequence order; metadata copies save a read per entry
+ * but are only trusted for export, verification reads the stored values
+ */
+async function forEachEntry(env, visit, { useMetadata = true } = {}) {
+  let cursor;
+
+  do {
+    const page = await env.GREENER_KV.list({ prefix: AUDIT_PREFIX, cursor });
+
+    for (const key of page.keys) {
+      if (key.name === HEAD_KEY) continue;
+      const entry = (useMetadata && key.metadata) || await env.GREENER_KV.get(key.name, 'json');
+      if (entry && (await visit(entry)) === false) return;
+    }
+
+    cursor = page.list_complete ? undefined : page.cursor;
+  } while (cursor);
+}
+
+/**
+ * Lists audit entries after a sequence number
+ * @param {object} env - Environment with GREENER_KV binding
+ * @param {object} options - { after, limit }
+ * @returns {Promise<{entries: object[], head: object|null, nextAfter: number|null}>}
+ */
+export async function listAuditEntries(env, { after = 0, limit = MAX_EXPORT_LIMIT } = {}) {
+  if (!env.GREENER_KV) return { entries: [], head: null, nextAfter: null };
+
+  const max = Math.min(limit, MAX_EXPORT_LIMIT);
+  const entries = [];
+  let more = false;
+
+  await forEachEntry(env, (entry) => {
+    if (entry.seq <= after) return true;
+    if (entries.length === max) {
+      more = true;
+      return false;
+    }
+    entries.push(entry);
+    return true;
+  });
+
+  return {
+    entries,
+    head: await env.GREENER_KV.get(HEAD_KEY, 'json'),
+    nextAfter: more ? entries[entries.length - 1].seq : null
+  };
+}
+
+/**
+ * Recomputes the chain and reports every entry that does not fit
+ * @param {object} env - Environment with GREENER_KV binding
+ * @returns {Promise<object>} - { valid, entries, head, problems: [{ seq, reason }] }
+ */
+export async function verifyAuditLog(env) {
+  if (!env.GREENER_KV) return { valid: true, entries: 0, head: null, problems: [] };
+
+  const problems = [];
+  let previous = { seq: 0, hash: GENESIS_HASH };
+  let count = 0;
+
+  await forEachEntry(env, async (entry) => {
+    count++;
+    if (entry.seq !== previous.seq + 1) {
+      problems.push({ seq: previous.seq + 1, reason: `entries ${previous.seq + 1}-${entry.seq - 1} are missing` });
+    } else if (entry.prevHash !== previous.hash) {
+      problems.push({ seq: entry.seq, reason: 'previous hash does not match the preceding entry' });
+    }
+    if ((await hashAuditEntry(entry)) !== entry.hash) {
+      problems.push({ seq: entry.seq, reason: 'entry was modified' });
+    }
+    previous = { seq: entry.seq, hash: entry.hash };
+    return true;
+  }, { useMetadata: false });
+
+  const head = await env.GREENER_KV.get(HEAD_KEY, 'json');
+  if ((head || { seq: 0 }).seq !== previous.seq || (head && head.hash !== previous.hash)) {
+    problems.push({ seq: previous.seq, reason: 'head does not match the last entry; entries may have been removed from the end' });
+  }
+
+  return { valid: problems.length === 0, entries: count, head, problems };
+}
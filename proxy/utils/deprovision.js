@@ -0,0 +1,95 @@
+/**
+ * Deprovisioning utilities for Cloudflare Workers
+ * Removes named or prefixed secrets from a target's stores
+ */
+
+import { withStores, listTargetSecrets, deleteTargetSecret } from './secretTargets.js';
+
+export const DEFAULT_SECRET_PREFIX = 'GREENER_';
+
+const SECRET_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const MAX_SECRET_NAMES = 100;
+
+/**
+ * Validates which secrets a deprovisioning request removes
+ * @param {*} secrets - Optional list of exact secret names
+ * @param {*} prefix - Optional name prefix (default GREENER_ when no names are given)
+ * @returns {{secrets: string[]|null, prefix: string|null}}
+ * @throws {Response} - 400 error if validation fails
+ */
+export function parseSecretSelector(secrets, prefix) {
+  if (secrets !== undefined && secrets !== null) {
+    if (prefix !== undefined && prefix !== null) {
+      throw new Response('Specify either secrets or prefix, not both', { status: 400 });
+    }
+    if (!Array.isArray(secrets) || secrets.length === 0 || secrets.length > MAX_SECRET_NAMES) {
+      throw new Response(`secrets must be an array of 1-${MAX_SECRET_NAMES} names`, { status: 400 });
+    }
+    for (const name of secrets) {
+      if (typeof name !== 'string' || !SECRET_NAME_PATTERN.test(name)) {
+        throw new Response(`Invalid secret name: ${String(name).slice(0, 100)}`, { status: 400 });
+      }
+    }
+    return { secrets: [...new Set(secrets.map(name => name.toUpperCase()))], prefix: null };
+  }
+
+  if (prefix === undefined || prefix === null) {
+    return { secrets: null, prefix: DEFAULT_SECRET_PREFIX };
+  }
+  // An empty prefix would match every secret in the store
+  if (typeof prefix !== 'string' || prefix.length > 100 || !SECRET_NAME_PATTERN.test(prefix)) {
+    throw new Response('prefix must be a non-empty secret name prefix', { status: 400 });
+  }
+  return { secrets: null, prefix: prefix.toUpperCase() };
+}
+
+/**
+ * Whether a secret name is selected (GitHub stores names upper-cased)
+ * @param {object} selector - Parsed selector
+ * @param {string} name - Secret name
+ * @returns {boolean}
+ */
+export function matchesSelector(selector, name) {
+  return selector.secrets
+    ? selector.secrets.includes(name)
+    : name.startsWith(selector.prefix);
+}
+
+/**
+ * Removes the selected secrets from every store of a target
+ * @param {string} token - GitHub token
+ * @param {object} options - { repo, target, stores, selector, userAgent }
+ * @returns {Promise<object>} - { repo, ok, stores: [{ store, removed, failed }] }
+ */
+export async function deprovisionTarget(token, { repo, target, stores, selector, userAgent }) {
+  const entries = [];
+
+  for (const storeTarget of withStores(target, stores)) {
+    const entry = { store: storeTarget.store, removed: [], failed: [] };
+    entries.push(entry);
+
+    let names;
+    try {
+      const existing = await listTargetSecrets(token, storeTarget, repo, userAgent);
+      names = existing.map(secret => secret.name).filter(name => matchesSelector(selector, name));
+    } catch (error) {
+      entry.failed.push({ name: null, status: error.status || null, error: error.message });
+      continue;
+    }
+
+    for (const name of names) {
+      try {
+        await deleteTargetSecret(token, storeTarget, repo, name, userAgent);
+        entry.removed.push(name);
+      } catch (error) {
+        entry.failed.push({ name, status: error.status || null, error: error.message });
+      }
+    }
+  }
+
+  return {
+    repo,
+    ok: entries.every(entry => entry.failed.length === 0),
+    stores: entries
+  };
+}
@@ -26,6 +26,11 @@ export function validateEnv(env) {
   if (env.GITHUB_PRIVATE_KEY && typeof env.GITHUB_PRIVATE_KEY !== 'string') {
     throw new Error('Server misconfiguration: GITHUB_PRIVATE_KEY must be a string');
   }
+
+  // A previous webhook secret is only honoured inside a bounded grace window
+  if (env.WEBHOOK_SECRET_PREVIOUS && Number.isNaN(Date.parse(env.WEBHOOK_SECRET_PREVIOUS_EXPIRES || ''))) {
+    throw new Error('Server misconfiguration: WEBHOOK_SECRET_PREVIOUS_EXPIRES must be an ISO 8601 date');
+  }
 }
 
 /**
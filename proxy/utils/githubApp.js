@@ -0,0 +1,190 @@
+/**
+ * GitHub App authentication for Cloudflare Workers
+ * RS256 app JWTs and cached per-installation access tokens
+ */
+
+import { githubRequest, GitHubNotFoundError } from './githubClient.js';
+
+// Refresh installation tokens this long before GitHub expires them
+const TOKEN_REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+// Per-isolate cache: installationId -> { token, expiresAt }
+const installationTokenCache = new Map();
+
+/**
+ * Encodes bytes or a string as base64url without padding
+ * @param {Uint8Array|string} input - Data to encode
+ * @returns {string} - Base64url string
+ */
+function base64url(input) {
+  const bytes = typeof input === 'string' ? new TextEncoder().encode(input) : input;
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/g, '');
+}
+
+/**
+ * Encodes a DER length prefix
+ */
+function derLength(length) {
+  if (length < 0x80) return [length];
+  const bytes = [];
+  for (let n = length; n > 0; n >>= 8) bytes.unshift(n & 0xff);
+  return [0x80 | bytes.length, ...bytes];
+}
+
+/**
+ * Wraps a PKCS#1 RSAPrivateKey in a PKCS#8 PrivateKeyInfo structure
+ * @param {Uint8Array} pkcs1 - DER-encoded RSAPrivateKey
+ * @returns {Uint8Array} - DER-encoded PrivateKeyInfo
+ */
+function pkcs1ToPkcs8(pkcs1) {
+  // INTEGER 0, SEQUENCE { OID rsaEncryption, NULL }
+  const header = [
+    0x02, 0x01, 0x00,
+    0x30, 0x0d, 0x06, 0x09, 0x2a, 0x86, 0x48, 0x86, 0xf7, 0x0d, 0x01, 0x01, 0x01, 0x05, 0x00
+  ];
+  const octetString = [0x04, ...derLength(pkcs1.length)];
+  const bodyLength = header.length + octetString.length + pkcs1.length;
+
+  return new Uint8Array([0x30, ...derLength(bodyLength), ...header, ...octetString, ...pkcs1]);
+}
+
+/**
+ * Decodes a PEM private key into PKCS#8 DER bytes
+ * @param {string} pem - PEM encoded key (PKCS#1 or PKCS#8)
+ * @returns {Uint8Array} - PKCS#8 DER bytes
+ */
+export function pemToPkcs8(pem) {
+  const normalized = pem.replace(/\\n/g, '\n');
+  const match = normalized.match(/-----BEGIN (RSA )?PRIVATE KEY-----([\s\S]+?)-----END (RSA )?PRIVATE KEY-----/);
+  if (!match) {
+    throw new Error('GITHUB_PRIVATE_KEY is not a PEM private key');
+  }
+
+  const binary = atob(match[2].replace(/\s+/g, ''));
+  const der = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) der[i] = binary.charCodeAt(i);
+
+  return match[1] ? pkcs1ToPkcs8(der) : der;
+}
+
+/**
+ * Creates a GitHub App JWT signed with RS256
+ * @param {string} appId - GitHub App ID
+ * @param {string} privateKeyPem - App private key in PEM format
+ * @param {number} nowSec - Current time in seconds
+ * @returns {Promise<string>} - Signed JWT, valid for 9 minutes
+ */
+export async function createAppJwt(appId, privateKeyPem, nowSec = Math.floor(Date.now() / 1000)) {
+  const key = await crypto.subtle.importKey(
+    'pkcs8',
+    pemToPkcs8(privateKeyPem),
+    { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+
+  // Backdate iat to tolerate clock drift; GitHub caps exp at 10 minutes
+  const header = base64url(JSON.stringify({ alg: 'RS256', typ: 'JWT' }));
+  const claims = base64url(JSON.stringify({ iat: nowSec - 60, exp: nowSec + 540, iss: String(appId) }));
+  const signingInput = `${header}.${claims}`;
+
+  const signature = await crypto.subtle.sign(
+    'RSASSA-PKCS1-v1_5',
+    key,
+    new TextEncoder().encode(signingInput)
+  );
+
+  return `${signingInput}.${base64url(new Uint8Array(signature))}`;
+}
+
+/**
+ * Returns true when GitHub App credentials are configured
+ * @param {object} env - Environment object
+ * @returns {boolean}
+ */
+export function isAppConfigured(env) {
+  return Boolean(env.GITHUB_APP_ID && env.GITHUB_PRIVATE_KEY);
+}
+
+/**
+ * Exchanges an app JWT for an installation access token, cached until shortly before expiry
+ * @param {object} env - Environment with GITHUB_APP_ID and GITHUB_PRIVATE_KEY
+ * @param {number} installationId - Installation ID
+ * @returns {Promise<string>} - Installation access token
+ */
+export async function getInstallationToken(env, installationId) {
+  const cached = installationTokenCache.get(installationId);
+  if (cached && cached.expiresAt - TOKEN_REFRESH_MARGIN_MS > Date.now()) {
+    return cached.token;
+  }
+
+  const jwt = await createAppJwt(env.GITHUB_APP_ID, env.GITHUB_PRIVATE_KEY);
+  let data;
+  try {
+    data = await githubRequest(`/app/installations/${installationId}/access_tokens`, {
+      token: jwt,
+      method: 'POST'
+    });
+  } catch (error) {
+    installationTokenCache.delete(installationId);
+    throw error;
+  }
+
+  installationTokenCache.set(installationId, {
+    token: data.token,
+    expiresAt: Date.parse(data.expires_at)
+  });
+
+  return data.token;
+}
+
+/**
+ * Resolves the token to act with: the installation's token when the app is
+ * configured and an installation is given, otherwise the static GITHUB_TOKEN
+ * @param {object} env - Environment object
+ * @param {number|null} installationId - Installation ID
+ * @returns {Promise<string>} - GitHub token
+ */
+export async function getGitHubToken(env, installationId) {
+  if (installationId && isAppConfigured(env)) {
+    return getInstallationToken(env, installationId);
+  }
+  return env.GITHUB_TOKEN;
+}
+
+/**
+ * Finds the app installation that covers a repository
+ * @param {object} env - Environment with GITHUB_APP_ID and GITHUB_PRIVATE_KEY
+ * @param {string} repository - Repository in owner/name format
+ * @returns {Promise<number|null>} - Installation ID, or null when the app is not
+ *   configured or not installed on the repository
+ */
+export async function findRepoInstallationId(env, repository) {
+  if (!isAppConfigured(env)) return null;
+
+  const jwt = await createAppJwt(env.GITHUB_APP_ID, env.GITHUB_PRIVATE_KEY);
+  try {
+    const installation = await githubRequest(`/repos/${repository}/installation`, { token: jwt });
+    return installation.id;
+  } catch (error) {
+    if (error instanceof GitHubNotFoundError) return null;
+    throw error;
+  }
+}
+
+/**
+ * Reads the account an app installation belongs to
+ * @param {object} env - Environment with GITHUB_APP_ID and GITHUB_PRIVATE_KEY
+ * @param {number} installationId - Installation ID
+ * @returns {Promise<{login: string, type: string}|null>} - Account, or null when
+ *   the app is not configured
+ */
+export async function getInstallationAccount(env, installationId) {
+  if (!isAppConfigured(env)) return null;
+
+  const jwt = await createAppJwt(env.GITHUB_APP_ID, env.GITHUB_PRIVATE_KEY);
+  const installation = await githubRequest(`/app/installations/${installationId}`, { token: jwt });
+  return { login: installation.account.login, type: installation.account.type };
+}
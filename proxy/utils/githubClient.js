@@ -0,0 +1,307 @@
+/**
+ * GitHub API client for Cloudflare Workers
+ * Shared request helper with retries, rate-limit handling, pagination and typed errors
+ */
+
+import { getLogger } from './logger.js';
+
+const GITHUB_API = 'https://api.github.com';
+const DEFAULT_USER_AGENT = 'Greener-CI-CD-Worker';
+
+const DEFAULT_RETRIES = 3;
+const BASE_BACKOFF_MS = 500;
+const MAX_BACKOFF_MS = 8000;
+// Longer waits would outlast the request; surface a rate-limit error instead
+const MAX_WAIT_MS = 30 * 1000;
+const MAX_PAGES = 100;
+
+// Per-isolate view of each token's primary rate limit: token -> { remaining, resetAt }
+const rateLimitState = new Map();
+const MAX_TRACKED_TOKENS = 1000;
+
+/**
+ * Error returned by the GitHub API
+ */
+export class GitHubApiError extends Error {
+  constructor(message, status = 502, details = {}) {
+    super(message);
+    this.name = 'GitHubApiError';
+    this.status = status;
+    this.method = details.method || null;
+    this.path = details.path || null;
+    this.githubMessage = details.githubMessage || null;
+  }
+}
+
+/**
+ * 401: the token is missing, expired or revoked
+ */
+export class GitHubAuthError extends GitHubApiError {
+  constructor(message, details) {
+    super(message, 401, details);
+    this.name = 'GitHubAuthError';
+  }
+}
+
+/**
+ * 403: the token lacks permission for the resource
+ */
+export class GitHubPermissionError extends GitHubApiError {
+  constructor(message, details) {
+    super(message, 403, details);
+    this.name = 'GitHubPermissionError';
+  }
+}
+
+/**
+ * 404: the resource does not exist or is hidden from the token
+ */
+export class GitHubNotFoundError extends GitHubApiError {
+  constructor(message, details) {
+    super(message, 404, details);
+    this.name = 'GitHubNotFoundError';
+  }
+}
+
+/**
+ * Primary or secondary rate limit that outlasted the retry budget
+ */
+export class GitHubRateLimitError extends GitHubApiError {
+  constructor(message, retryAfterSec = 60, details) {
+    super(message, 429, details);
+    this.name = 'GitHubRateLimitError';
+    this.retryAfter = retryAfterSec;
+  }
+}
+
+/**
+ * Maps a GitHub error to the status this worker responds with
+ * @param {GitHubApiError} error - Typed GitHub error
+ * @returns {number} - HTTP status
+ */
+export function githubErrorStatus(error) {
+  if (error instanceof GitHubAuthError) return 401;
+  if (error instanceof GitHubPermissionError) return 403;
+  if (error instanceof GitHubNotFoundError) return 404;
+  if (error instanceof GitHubRateLimitError) return 429;
+  // Anything else is GitHub failing, not the caller
+  return 502;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Exponential backoff with full jitter
+ */
+function backoffDelay(attempt) {
+  return Math.floor(Math.random() * Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * 2 ** attempt));
+}
+
+/**
+ * Extracts the rel="next" URL from a Link header
+ * @param {string|null} linkHeader - Link header value
+ * @returns {string|null} - Next page URL
+ */
+export function getNextPageUrl(linkHeader) {
+  if (!linkHeader) return null;
+
+  for (const part of linkHeader.split(',')) {
+    const match = part.match(/<([^>]+)>\s*;\s*rel="([^"]+)"/);
+    if (match && match[2].split(/\s+/).includes('next')) {
+      return match[1];
+    }
+  }
+  return null;
+}
+
+/**
+ * Remembers the primary rate limit reported on a response
+ */
+function trackRateLimit(token, response) {
+  const remaining = response.headers.get('x-ratelimit-remaining');
+  const reset = response.headers.get('x-ratelimit-reset');
+  if (!token || remaining === null || reset === null) return;
+
+  // Short-lived tokens (app JWTs) would otherwise accumulate for the isolate's lifetime
+  if (!rateLimitState.has(token) && rateLimitState.size >= MAX_TRACKED_TOKENS) {
+    rateLimitState.delete(rateLimitState.keys().next().value);
+  }
+  rateLimitState.set(token, { remaining: Number(remaining), resetAt: Number(reset) * 1000 });
+}
+
+/**
+ * How long to wait before retrying a rate-limited response, or null if it is not one
+ */
+function getRateLimitWait(response, githubMessage) {
+  if (response.status !== 403 && response.status !== 429) return null;
+
+  const retryAfter = response.headers.get('retry-after');
+  if (retryAfter !== null && Number.isFinite(Number(retryAfter))) {
+    return Number(retryAfter) * 1000;
+  }
+
+  if (response.headers.get('x-ratelimit-remaining') === '0') {
+    const reset = Number(response.headers.get('x-ratelimit-reset'));
+    return Number.isFinite(reset) ? Math.max(0, reset * 1000 - Date.now()) : MAX_WAIT_MS;
+  }
+
+  if (response.status === 429 || /secondary rate limit/i.test(githubMessage || '')) {
+    // GitHub asks for at least a minute when it gives no hint
+    return 60 * 1000;
+  }
+
+  return null;
+}
+
+/**
+ * Builds the typed error for a failed response
+ */
+function toError(response, githubMessage, details) {
+  const message = `GitHub API ${details.method} ${details.path} failed: ${response.status}${githubMessage ? ` ${githubMessage}` : ''}`;
+  const fullDetails = { ...details, githubMessage };
+
+  switch (response.status) {
+    case 401:
+      return new GitHubAuthError(message, fullDetails);
+    case 403:
+      return new GitHubPermissionError(message, fullDetails);
+    case 404:
+      return new GitHubNotFoundError(message, fullDetails);
+    default:
+      return new GitHubApiError(message, response.status, fullDetails);
+  }
+}
+
+/**
+ * Sends one request, retrying 5xx, network errors and rate limits
+ * @param {string} path - API path (/repos/...) or absolute URL
+ * @param {object} options - { token, method, body, userAgent, retries }
+ * @returns {Promise<Response>} - Successful response
+ * @throws {GitHubApiError} - Typed error once retries are exhausted
+ */
+async function send(path, options = {}) {
+  const method = options.method || 'GET';
+  const url = path.startsWith('https://') ? path : `${GITHUB_API}${path}`;
+  const details = { method, path: url.slice(GITHUB_API.length) || url };
+  const retries = options.retries === undefined ? DEFAULT_RETRIES : options.retries;
+
+  const headers = {
+    'Accept': 'application/vnd.github.v3+json',
+    'User-Agent': options.userAgent || DEFAULT_USER_AGENT
+  };
+  if (options.token) headers['Authorization'] = `Bearer ${options.token}`;
+  if (options.body !== undefined) headers['Content-Type'] = 'application/json';
+
+  for (let attempt = 0; ; attempt++) {
+    // Don't spend a request we already know will be rejected
+    const limit = options.token ? rateLimitState.get(options.token) : null;
+    if (limit && limit.remaining === 0 && limit.resetAt > Date.now()) {
+      const wait = limit.resetAt - Date.now();
+      if (wait > MAX_WAIT_MS || attempt > retries) {
+        throw new GitHubRateLimitError('GitHub API rate limit exhausted', Math.ceil(wait / 1000), details);
+      }
+      await sleep(wait);
+    }
+
+    let response;
+    const startedAt = Date.now();
+    try {
+      response = await fetch(url, {
+        method,
+        headers,
+        body: options.body === undefined ? undefined : JSON.stringify(options.body)
+      });
+    } catch (error) {
+      getLogger().recordGithubCall({ ...details, status: null, latencyMs: Date.now() - startedAt, attempt, error: error.message });
+      if (attempt >= retries) {
+        throw new GitHubApiError(`GitHub API ${method} ${details.path} failed: ${error.message}`, 502, details);
+      }
+      await sleep(backoffDelay(attempt));
+      continue;
+    }
+
+    getLogger().recordGithubCall({ ...details, status: response.status, latencyMs: Date.now() - startedAt, attempt });
+    trackRateLimit(options.token, response);
+
+    if (response.ok) {
+      return response;
+    }
+
+    const text = await response.text();
+    let githubMessage = null;
+    try {
+      githubMessage = JSON.parse(text).message || null;
+    } catch (error) {
+      githubMessage = text.slice(0, 200) || null;
+    }
+
+    const rateLimitWait = getRateLimitWait(response, githubMessage);
+    if (rateLimitWait !== null) {
+      if (attempt >= retries || rateLimitWait > MAX_WAIT_MS) {
+        throw new GitHubRateLimitError(
+          `GitHub API rate limited ${method} ${details.path}`,
+          Math.max(1, Math.ceil(rateLimitWait / 1000)),
+          { ...details, githubMessage }
+        );
+      }
+      await sleep(rateLimitWait + backoffDelay(0));
+      continue;
+    }
+
+    if (response.status >= 500 && attempt < retries) {
+      await sleep(backoffDelay(attempt));
+      continue;
+    }
+
+    throw toError(response, githubMessage, details);
+  }
+}
+
+/**
+ * Calls the GitHub API and parses the JSON response
+ * @param {string} path - API path (/repos/...) or absolute URL
+ * @param {object} options - { token, method, body, userAgent, retries }
+ * @returns {Promise<*>} - Parsed body, or null for empty responses
+ * @throws {GitHubApiError} - Typed error on failure
+ */
+export async function githubRequest(path, options = {}) {
+  const response = await send(path, options);
+  const text = await response.text();
+  return text ? JSON.parse(text) : null;
+}
+
+/**
+ * Calls the GitHub API and returns the response, for callers that need its headers
+ * @param {string} path - API path (/repos/...) or absolute URL
+ * @param {object} options - { token, method, body, userAgent, retries }
+ * @returns {Promise<Response>} - Successful response
+ * @throws {GitHubApiError} - Typed error on failure
+ */
+export async function githubResponse(path, options = {}) {
+  return send(path, options);
+}
+
+/**
+ * Fetches every page of a list endpoint by following Link headers
+ * @param {string} path - API path or absolute URL of the first page
+ * @param {object} options - { token, userAgent, retries, itemsKey, maxPages }
+ *   itemsKey names the array in wrapped responses (e.g. "repositories")
+ * @returns {Promise<Array>} - All items
+ * @throws {GitHubApiError} - Typed error on failure
+ */
+export async function githubPaginate(path, options = {}) {
+  const items = [];
+  const maxPages = options.maxPages || MAX_PAGES;
+  let url = path;
+
+  for (let page = 0; url && page < maxPages; page++) {
+    const response = await send(url, { ...options, method: 'GET', body: undefined });
+    const data = await response.json();
+    items.push(...(options.itemsKey ? data[options.itemsKey] || [] : data));
+    url = getNextPageUrl(response.headers.get('link'));
+  }
+
+  return items;
+}
@@ -0,0 +1,227 @@
+/**
+ * Health utilities for Cloudflare Workers
+ * Readiness checks for the worker's GitHub credentials and storage bindings
+ *
+ * `/health` only shows the worker is running. `/health/ready` also checks that
+ * GITHUB_TOKEN works and can write secrets, that KV and the Durable Objects
+ * (rate limiter, job runner, audit log and idempotency keys) answer, and that
+ * the app JWT can be minted when the app is configured. Each
+ * check reports `ok`, `warn` (working but degraded), `fail` or `skipped`, with
+ * a `message` or `error` saying why, and any `fail` makes the worker not
+ * ready. Results are cached briefly so a busy probe does not spend the token's
+ * GitHub rate limit. Anonymous callers see only each check's status; token
+ * scopes, rate limits and error messages need an authenticated caller.
+ */
+
+import { githubResponse, GitHubRateLimitError } from './githubClient.js';
+import { createAppJwt, isAppConfigured } from './githubApp.js';
+
+// Longer than this and the probe itself would time out
+const CHECK_TIMEOUT_MS = 5000;
+const READINESS_CACHE_MS = 10 * 1000;
+// Below this share of the hourly GitHub limit, provisioning runs may stall
+const LOW_RATE_LIMIT_RATIO = 0.1;
+// Classic tokens need this scope to write repository secrets
+const REQUIRED_SCOPE = 'repo';
+
+let cachedReadiness = null;
+
+/**
+ * Runs a check with a timeout and measures it
+ * @param {string} name - Check name
+ * @param {Function} check - Returns { status, ...details }
+ * @returns {Promise<object>} - { name, status, latencyMs, ...details }; errors become `fail`
+ */
+async function runCheck(name, check) {
+  const startedAt = Date.now();
+  let timer;
+  try {
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`Timed out after ${CHECK_TIMEOUT_MS}ms`)), CHECK_TIMEOUT_MS);
+    });
+    const result = await Promise.race([check(), timeout]);
+    return { name, ...result, latencyMs: Date.now() - startedAt };
+  } catch (error) {
+    return { name, status: 'fail', error: error.message, latencyMs: Date.now() - startedAt };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Checks GITHUB_TOKEN: valid, able to write secrets and not out of rate limit
+ */
+async function checkGithubToken(env) {
+  let response;
+  try {
+    // Does not count against the rate limit
+    response = await githubResponse('/rate_limit', { token: env.GITHUB_TOKEN, retries: 0 });
+  } catch (error) {
+    if (error instanceof GitHubRateLimitError) {
+      return { status: 'fail', error: `Rate limit exhausted; resets in ${error.retryAfter}s` };
+    }
+    throw error;
+  }
+  const { resources } = await response.json();
+  const core = resources.core;
+
+  // Only classic tokens report scopes; fine-grained and app tokens do not
+  const scopesHeader = response.headers.get('x-oauth-scopes');
+  const scopes = scopesHeader === null ? null : scopesHeader.split(',').map(scope => scope.trim()).filter(Boolean);
+  const expiresAt = response.headers.get('github-authentication-token-expiration');
+
+  const details = {
+    scopes,
+    rateLimit: { limit: core.limit, remaining: core.remaining, reset: core.reset },
+    ...(expiresAt && { expiresAt: new Date(expiresAt).toISOString() })
+  };
+
+  if (scopes && !scopes.includes(REQUIRED_SCOPE)) {
+    return { status: 'fail', ...details, error: `Token is missing the ${REQUIRED_SCOPE} scope` };
+  }
+  if (core.remaining === 0) {
+    return { status: 'fail', ...details, error: `Rate limit exhausted; resets at ${new Date(core.reset * 1000).toISOString()}` };
+  }
+  if (core.remaining < core.limit * LOW_RATE_LIMIT_RATIO) {
+    return { status: 'warn', ...details, message: `Only ${core.remaining} of ${core.limit} requests left` };
+  }
+  return { status: 'ok', ...details };
+}
+
+/**
+ * Checks that KV answers a read
+ */
+async function checkKv(env) {
+  if (!env.GREENER_KV) {
+    // Every KV feature soft-disables, so the worker still serves requests
+    return { status: 'warn', message: 'GREENER_KV is not bound; webhook replay protection, audit log and settings are off' };
+  }
+  await env.GREENER_KV.get('health:probe');
+  return { status: 'ok' };
+}
+
+/**
+ * Checks that the rate limiter Durable Object answers
+ */
+async function checkRateLimiter(env) {
+  if (!env.RATE_LIMITER) {
+    return { status: 'warn', message: 'RATE_LIMITER is not bound; rate limiting is off' };
+  }
+  // Takes a token from a bucket of its own, so no client is charged
+  const stub = env.RATE_LIMITER.get(env.RATE_LIMITER.idFromName('health:probe'));
+  const response = await stub.fetch('https://rate-limiter/take', {
+    method: 'POST',
+    body: JSON.stringify({ limit: 1000, windowSec: 60 })
+  });
+  if (!response.ok) {
+    throw new Error(`Rate limiter answered ${response.status}`);
+  }
+  return { status: 'ok' };
+}
+
+/**
+ * Checks that the job runner Durable Object answers
+ */
+async function checkJobRunner(env) {
+  if (!env.JOB_RUNNER) {
+    return { status: 'warn', message: 'JOB_RUNNER is not bound; /api/jobs answers 503 and webhooks provision inline' };
+  }
+  // Reads a job that is never started, so nothing runs
+  const stub = env.JOB_RUNNER.get(env.JOB_RUNNER.idFromName('health:probe'));
+  const response = await stub.fetch('https://job-runner/job');
+  if (!response.ok && response.status !== 404) {
+    throw new Error(`Job runner answered ${response.status}`);
+  }
+  return { status: 'ok' };
+}
+
+/**
+ * Checks that the audit log Durable Object answers
+ */
+async function checkAuditLog(env) {
+  if (!env.AUDIT_LOG) {
+    return { status: 'warn', message: 'AUDIT_LOG is not bound; concurrent audit appends can fork the chain' };
+  }
+  // Reads the head without appending an entry
+  const stub = env.AUDIT_LOG.get(env.AUDIT_LOG.idFromName('audit'));
+  const response = await stub.fetch('https://audit-log/head');
+  if (!response.ok) {
+    throw new Error(`Audit log answered ${response.status}`);
+  }
+  return { status: 'ok' };
+}
+
+/**
+ * Checks that the idempotency key Durable Object answers
+ */
+async function checkIdempotency(env) {
+  if (!env.IDEMPOTENCY) {
+    return { status: 'warn', message: 'IDEMPOTENCY is not bound; Idempotency-Keys are kept in KV, best-effort' };
+  }
+  // Releases a key of its own, so no caller's key is touched
+  const stub = env.IDEMPOTENCY.get(env.IDEMPOTENCY.idFromName('health:probe'));
+  const response = await stub.fetch('https://idempotency/release', { method: 'POST', body: '{}' });
+  if (!response.ok) {
+    throw new Error(`Idempotency store answered ${response.status}`);
+  }
+  return { status: 'ok' };
+}
+
+/**
+ * Checks that the app JWT can be minted and that GitHub accepts it
+ */
+async function checkAppJwt(env) {
+  if (!isAppConfigured(env)) {
+    return { status: 'skipped', message: 'GITHUB_APP_ID and GITHUB_PRIVATE_KEY are not set' };
+  }
+  const jwt = await createAppJwt(env.GITHUB_APP_ID, env.GITHUB_PRIVATE_KEY);
+  const response = await githubResponse('/app', { token: jwt, retries: 0 });
+  const app = await response.json();
+  return { status: 'ok', app: app.slug };
+}
+
+/**
+ * Runs every readiness check
+ * @param {object} env - Environment object
+ * @returns {Promise<object>} - { ready, status, checks, checkedAt }; status is ok, degraded or fail
+ */
+export async function checkReadiness(env) {
+  if (cachedReadiness && cachedReadiness.expiresAt > Date.now()) {
+    return cachedReadiness.result;
+  }
+
+  const checks = await Promise.all([
+    runCheck('github', () => checkGithubToken(env)),
+    runCheck('kv', () => checkKv(env)),
+    runCheck('rateLimiter', () => checkRateLimiter(env)),
+    runCheck('jobRunner', () => checkJobRunner(env)),
+    runCheck('auditLog', () => checkAuditLog(env)),
+    runCheck('idempotency', () => checkIdempotency(env)),
+    runCheck('appJwt', () => checkAppJwt(env))
+  ]);
+
+  const failed = checks.some(check => check.status === 'fail');
+  const result = {
+    ready: !failed,
+    status: failed ? 'fail' : checks.some(check => check.status === 'warn') ? 'degraded' : 'ok',
+    checks: Object.fromEntries(checks.map(({ name, ...check }) => [name, check])),
+    checkedAt: new Date().toISOString()
+  };
+
+  cachedReadiness = { result, expiresAt: Date.now() + READINESS_CACHE_MS };
+  return result;
+}
+
+/**
+ * Strips a readiness report down to what anonymous callers may see
+ * @param {object} readiness - From checkReadiness
+ * @returns {object} - { ready, status, checks: { name: { status } }, checkedAt }
+ */
+export function summarizeReadiness(readiness) {
+  return {
+    ready: readiness.ready,
+    status: readiness.status,
+    checks: Object.fromEntries(Object.entries(readiness.checks).map(([name, check]) => [name, { status: check.status }])),
+    checkedAt: readiness.checkedAt
+  };
+}
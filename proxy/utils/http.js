@@ -72,16 +72,26 @@ export function setCsrfCookie(headers, token) {
   );
 }
 
+/**
+ * Gets a cookie value
+ * @param {Request} req - Request object
+ * @param {string} name - Cookie name
+ * @returns {string|null} - Cookie value or null
+ */
+export function getCookie(req, name) {
+  const cookieHeader = req.headers.get('cookie') || '';
+  const cookies = cookieHeader.split(';').map(c => c.trim());
+  const match = cookies.find(c => c.startsWith(`${name}=`));
+  return match ? match.substring(name.length + 1) || null : null;
+}
+
 /**
  * Gets CSRF token from cookie
  * @param {Request} req - Request object
  * @returns {string|null} - CSRF token or null
  */
 export function getCsrfToken(req) {
-  const cookieHeader = req.headers.get('cookie') || '';
-  const cookies = cookieHeader.split(';').map(c => c.trim());
-  const csrfCookie = cookies.find(c => c.startsWith('csrf='));
-  return csrfCookie ? csrfCookie.substring(5) : null;
+  return getCookie(req, 'csrf');
 }
 
 /**
@@ -0,0 +1,202 @@
+/**
+ * Idempotency utilities for Cloudflare Workers
+ * Replays the stored response when a request is retried with the same Idempotency-Key
+ *
+ * Keys are scoped to the route and the caller (Authorization header or session cookie), and
+ * bound to a hash of the request body: reusing a key with a different body is
+ * rejected rather than replayed. A pending marker is claimed before the handler
+ * runs so a concurrent retry gets 409 instead of minting a second set of values.
+ *
+ * Claims go through the IdempotencyKeys Durable Object, one object per key,
+ * which checks and writes the marker in a single step. Without the IDEMPOTENCY
+ * binding, keys are kept in KV instead; KV reads can be stale and a read then
+ * write is not atomic, so two retries arriving together may both run. That
+ * fallback is best-effort protection against sequential retries only.
+ */
+
+import { getCookie } from './http.js';
+import { SESSION_COOKIE } from './session.js';
+import { sha256Hex } from './webhook.js';
+
+const IDEMPOTENCY_TTL_SEC = 24 * 60 * 60;
+// Bounds how long a crashed request keeps its key locked
+const PENDING_TTL_SEC = 5 * 60;
+const MAX_KEY_LENGTH = 255;
+// Nothing was written; the caller should retry with the same key
+const RETRYABLE_STATUSES = [429, 503];
+
+/**
+ * Keys kept in the key's IdempotencyKeys Durable Object
+ */
+function durableKeyStore(namespace, storeKey) {
+  const stub = namespace.get(namespace.idFromName(storeKey));
+  const call = async (action, body = {}) => {
+    const response = await stub.fetch(`https://idempotency/${action}`, {
+      method: 'POST',
+      body: JSON.stringify(body)
+    });
+    if (!response.ok) {
+      throw new Error(`Idempotency store answered ${response.status}`);
+    }
+    return response.json();
+  };
+
+  return {
+    claim: fingerprint => call('claim', { fingerprint }),
+    complete: record => call('complete', record),
+    release: () => call('release')
+  };
+}
+
+/**
+ * Best-effort keys kept in KV, for deployments without the Durable Object
+ */
+function kvKeyStore(kv, storeKey) {
+  return {
+    async claim(fingerprint) {
+      const stored = await kv.get(storeKey, 'json');
+      if (stored) return stored;
+      await kv.put(storeKey, JSON.stringify({ state: 'pending', fingerprint }), {
+        expirationTtl: PENDING_TTL_SEC
+      });
+      return null;
+    },
+    complete: record => kv.put(storeKey, JSON.stringify(record), { expirationTtl: IDEMPOTENCY_TTL_SEC }),
+    release: () => kv.delete(storeKey)
+  };
+}
+
+function idempotencyError(message, status, headers = {}) {
+  return new Response(JSON.stringify({ success: false, error: message }), {
+    status,
+    headers: { 'Content-Type': 'application/json', ...headers }
+  });
+}
+
+/**
+ * Runs a handler at most once per Idempotency-Key
+ * @param {Request} request - Incoming request
+ * @param {object} env - Environment with IDEMPOTENCY or GREENER_KV binding
+ * @param {Function} handler - async (request) => Response
+ * @returns {Promise<Response>} - Handler response, or the stored one on a retry
+ */
+export async function withIdempotency(request, env, handler) {
+  const key = request.headers.get('Idempotency-Key');
+  // Soft-disable if neither store is configured
+  if (key === null || (!env.IDEMPOTENCY && !env.GREENER_KV)) {
+    return handler(request);
+  }
+
+  if (key.length === 0 || key.length > MAX_KEY_LENGTH || !/^[\x21-\x7e]+$/.test(key)) {
+    return idempotencyError('Invalid Idempotency-Key', 400);
+  }
+
+  const path = new URL(request.url).pathname;
+  const caller = request.headers.get('Authorization') || getCookie(request, SESSION_COOKIE) || '';
+  const storeKey = `idempotency:${await sha256Hex(`${path}\n${caller}\n${key}`)}`;
+  const fingerprint = await sha256Hex(await request.clone().text());
+
+  const store = env.IDEMPOTENCY ? durableKeyStore(env.IDEMPOTENCY, storeKey) : kvKeyStore(env.GREENER_KV, storeKey);
+
+  const stored = await store.claim(fingerprint);
+  if (stored) {
+    if (stored.fingerprint !== fingerprint) {
+      return idempotencyError('Idempotency-Key was already used with a different request', 422);
+    }
+    if (stored.state === 'pending') {
+      return idempotencyError('A request with this Idempotency-Key is still in progress', 409, { 'Retry-After': '5' });
+    }
+    return new Response(stored.body, {
+      status: stored.status,
+      headers: { 'Content-Type': stored.contentType, 'Idempotent-Replayed': 'true' }
+    });
+  }
+
+  let response;
+  try {
+    response = await handler(request);
+  } catch (error) {
+    await store.release();
+    throw error;
+  }
+
+  if (RETRYABLE_STATUSES.includes(response.status)) {
+    await store.release();
+    return response;
+  }
+
+  await store.complete({
+    state: 'done',
+    fingerprint,
+    status: response.status,
+    contentType: response.headers.get('Content-Type') || 'application/json',
+    body: await response.clone().text(),
+    createdAt: new Date().toISOString()
+  });
+
+  return response;
+}
+
+/**
+ * Durable Object holding one Idempotency-Key's marker or stored response. The
+ * record is kept in memory once loaded, so a claim checks and takes it before
+ * anything else can run; an alarm removes it when it expires.
+ */
+export class IdempotencyKeys {
+  constructor(state, env) {
+    this.state = state;
+    this.env = env;
+    this.record = undefined;
+  }
+
+  /**
+   * Handles claim, complete and release; bodies are JSON
+   * @param {Request} request - Request from withIdempotency
+   * @returns {Promise<Response>} - For a claim, the existing record, or null when it was claimed
+   */
+  async fetch(request) {
+    const action = new URL(request.url).pathname.slice(1);
+    const body = await request.json();
+
+    if (this.record === undefined) {
+      // Requests arriving together share one load, so none sees the key as free
+      this.loading = this.loading || this.state.storage.get('record');
+      const stored = await this.loading;
+      if (this.record === undefined) this.record = stored || null;
+    }
+
+    const now = Date.now();
+    if (this.record && this.record.expiresAt <= now) {
+      this.record = null;
+    }
+
+    switch (action) {
+      case 'claim':
+        if (this.record) return Response.json(this.record);
+        await this.save({ state: 'pending', fingerprint: body.fingerprint, expiresAt: now + PENDING_TTL_SEC * 1000 });
+        return Response.json(null);
+      case 'complete':
+        await this.save({ ...body, state: 'done', expiresAt: now + IDEMPOTENCY_TTL_SEC * 1000 });
+        return Response.json(null);
+      case 'release':
+        this.record = null;
+        await this.state.storage.deleteAll();
+        return Response.json(null);
+      default:
+        return new Response('Not found', { status: 404 });
+    }
+  }
+
+  async save(record) {
+    this.record = record;
+    await this.state.storage.put('record', record);
+    await this.state.storage.setAlarm(record.expiresAt);
+  }
+
+  async alarm() {
+    // A later save moves the alarm, so when it fires the record has expired
+    this.record = null;
+    this.loading = null;
+    await this.state.storage.deleteAll();
+  }
+}
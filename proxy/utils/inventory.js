@@ -0,0 +1,147 @@
+/**
+ * Inventory utilities for Cloudflare Workers
+ * Per-repository report of expected, missing, extra and stale secrets, as JSON or CSV
+ */
+
+import { withStores, listTargetSecrets } from './secretTargets.js';
+import { getTemplateSecretNames } from './templates.js';
+import { DEFAULT_SECRET_PREFIX } from './deprovision.js';
+import { NEXT_SUFFIX } from './rotation.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const CSV_COLUMNS = ['repo', 'scope', 'template', 'store', 'secret', 'status', 'updated_at', 'stale', 'error'];
+
+/**
+ * Compares one store's secrets with what the template expects
+ * @param {Array<{name: string, updated_at: string}>} existing - Secrets in the store
+ * @param {object} template - Template the scope was provisioned with
+ * @param {object} options - { rotateDays, staged, now }
+ * @returns {{present: object[], missing: string[], extra: object[]}}
+ */
+export function compareSecrets(existing, template, { rotateDays, staged = false, now = Date.now() }) {
+  const expected = getTemplateSecretNames(template);
+  const rotating = getTemplateSecretNames(template, { rotatingOnly: true });
+  const byName = new Map(existing.map(secret => [secret.name, secret]));
+  const prefixes = [DEFAULT_SECRET_PREFIX, `${template.prefix || ''}${DEFAULT_SECRET_PREFIX}`];
+
+  const present = [];
+  const missing = [];
+  for (const name of expected) {
+    const secret = byName.get(name);
+    if (!secret) {
+      missing.push(name);
+      continue;
+    }
+    // Only regenerated secrets can fall behind the rotation policy
+    const age = now - Date.parse(secret.updated_at);
+    present.push({
+      name,
+      updated_at: secret.updated_at || null,
+      stale: rotating.includes(name) && age > rotateDays * DAY_MS
+    });
+  }
+
+  // Staged rotation copies are expected while a rotation is in its overlap window
+  const stagedNames = staged ? rotating.map(name => `${name}${NEXT_SUFFIX}`) : [];
+  const extra = existing
+    .filter(secret => !expected.includes(secret.name) && !stagedNames.includes(secret.name))
+    .filter(secret => prefixes.some(prefix => secret.name.startsWith(prefix)))
+    .map(secret => ({ name: secret.name, updated_at: secret.updated_at || null }));
+
+  return { present, missing, extra };
+}
+
+/**
+ * Builds the inventory of one provisioning scope
+ * @param {string|null} token - GitHub token (null in demo mode: nothing exists)
+ * @param {object} options - { repo, scope, target, stores, template, provisioned, staged, rotateDays, userAgent }
+ * @returns {Promise<object>} - { repo, scope, template, provisioned, stores: [{ store, present, missing, extra, error }] }
+ */
+export async function inventoryScope(token, options) {
+  const stores = [];
+
+  for (const storeTarget of withStores(options.target, options.stores)) {
+    let existing = [];
+    let error = null;
+    if (token) {
+      try {
+        existing = await listTargetSecrets(token, storeTarget, options.repo, options.userAgent);
+      } catch (listError) {
+        error = listError.message;
+      }
+    }
+
+    stores.push(error
+      ? { store: storeTarget.store, present: [], missing: [], extra: [], error }
+      : { store: storeTarget.store, ...compareSecrets(existing, options.template, options), error: null });
+  }
+
+  return {
+    repo: options.repo,
+    scope: options.scope,
+    template: options.template.id,
+    provisioned: options.provisioned,
+    stores
+  };
+}
+
+/**
+ * Totals across inventory entries
+ * @param {object[]} entries - Scope inventories
+ * @returns {object} - { scopes, present, missing, extra, stale, errors }
+ */
+export function summarizeInventory(entries) {
+  const summary = { scopes: entries.length, present: 0, missing: 0, extra: 0, stale: 0, errors: 0 };
+
+  for (const entry of entries) {
+    for (const store of entry.stores) {
+      summary.present += store.present.length;
+      summary.missing += store.missing.length;
+      summary.extra += store.extra.length;
+      summary.stale += store.present.filter(secret => secret.stale).length;
+      if (store.error) summary.errors++;
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Quotes a CSV field; values that spreadsheets would run as formulas are prefixed with '
+ */
+function csvField(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Flattens inventory entries into CSV, one row per secret (or per failed store)
+ * @param {object[]} entries - Scope inventories
+ * @returns {string} - CSV with a header row
+ */
+export function inventoryToCsv(entries) {
+  const rows = [CSV_COLUMNS];
+
+  for (const entry of entries) {
+    const base = [entry.repo, entry.scope, entry.template];
+    for (const store of entry.stores) {
+      if (store.error) {
+        rows.push([...base, store.store, '', 'error', '', '', store.error]);
+        continue;
+      }
+      for (const secret of store.present) {
+        rows.push([...base, store.store, secret.name, 'present', secret.updated_at, secret.stale, '']);
+      }
+      for (const name of store.missing) {
+        rows.push([...base, store.store, name, 'missing', '', '', '']);
+      }
+      for (const secret of store.extra) {
+        rows.push([...base, store.store, secret.name, 'extra', secret.updated_at, '', '']);
+      }
+    }
+  }
+
+  return rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
@@ -0,0 +1,361 @@
+/**
+ * Bulk provisioning jobs for Cloudflare Workers
+ * Durable Object-backed jobs that provision many repositories with bounded concurrency
+ *
+ * Each job lives in its own JobRunner Durable Object, which stores the job
+ * record, its repositories and one `result:{n}` key per finished repository,
+ * in completion order. A result's position is its progress event id, so
+ * clients resume by replaying from Last-Event-ID.
+ *
+ * The object runs the job from its alarm, one batch per invocation, and sets
+ * the next alarm until every repository is done. Work therefore continues
+ * without any client connected, each invocation stays inside the subrequest
+ * limit however large the job is, and alarms never overlap, so no repository
+ * is provisioned twice by competing runners. The SSE endpoint only reads
+ * progress.
+ *
+ * Batches are sized from the runner's estimate of one repository's
+ * subrequests, so a template with many secrets or stores gets smaller batches
+ * than one with a single secret.
+ */
+
+import { mapConcurrent } from './concurrency.js';
+
+export const MAX_JOB_REPOS = 5000;
+export const DEFAULT_JOB_CONCURRENCY = 4;
+export const MAX_JOB_CONCURRENCY = 10;
+
+// An alarm invocation may make 1000 subrequests; the rest is headroom for
+// installation token exchanges and the completion notification
+const BATCH_SUBREQUEST_BUDGET = 900;
+// Each repository also writes a few KV keys, which have a per-invocation limit of their own
+export const MAX_JOB_BATCH_SIZE = 100;
+// Estimate for runners that do not know their cost: a dozen secrets, one store
+export const DEFAULT_REPO_SUBREQUESTS = 36;
+const JOB_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+// Keeps each stored value far below the Durable Object value size limit
+const REPO_CHUNK_SIZE = 500;
+const FOLLOW_POLL_MS = 2000;
+// Each poll is a subrequest; after this the stream ends and EventSource reconnects
+const FOLLOW_MAX_MS = 10 * 60 * 1000;
+
+/**
+ * Returns the job's Durable Object, failing when the binding is missing
+ */
+function jobRunner(env, id) {
+  if (!env.JOB_RUNNER) {
+    throw new Response('Bulk jobs require the JOB_RUNNER binding', { status: 503 });
+  }
+  return env.JOB_RUNNER.get(env.JOB_RUNNER.idFromName(id));
+}
+
+/**
+ * Calls a job's Durable Object
+ * @returns {Promise<object|null>} - Response JSON, or null when the job is unknown
+ */
+async function callRunner(env, id, path, init) {
+  const response = await jobRunner(env, id).fetch(`https://job-runner${path}`, init);
+  if (response.status === 404) return null;
+  if (!response.ok) {
+    throw new Error(`Job runner answered ${response.status}`);
+  }
+  return response.json();
+}
+
+/**
+ * Creates a job and starts it
+ * @param {object} env - Environment with JOB_RUNNER binding
+ * @param {object} spec - { installationId, repos, templateId, target, stores, mode, concurrency, createdBy, source, action }
+ *   `action` is the policy action createdBy needs GitHub permission for on each
+ *   repository, checked as the job reaches it; omit it for jobs the worker starts itself
+ * @returns {Promise<object>} - Job record
+ * @throws {Response} - 503 if JOB_RUNNER is not bound
+ */
+export async function createJob(env, spec) {
+  const now = new Date().toISOString();
+
+  const job = {
+    id: crypto.randomUUID(),
+    status: 'pending',
+    installationId: spec.installationId,
+    templateId: spec.templateId || null,
+    target: spec.target || null,
+    stores: spec.stores || null,
+    mode: spec.mode || null,
+    concurrency: spec.concurrency || DEFAULT_JOB_CONCURRENCY,
+    createdBy: spec.createdBy || null,
+    source: spec.source || 'job',
+    action: spec.action || null,
+    total: spec.repos.length,
+    completed: 0,
+    failed: 0,
+    createdAt: now,
+    updatedAt: now,
+    finishedAt: null,
+    nextIndex: 0,
+    batch: null
+  };
+
+  await callRunner(env, job.id, '/start', {
+    method: 'POST',
+    body: JSON.stringify({ job, repos: spec.repos })
+  });
+
+  return job;
+}
+
+/**
+ * Loads a job record
+ * @param {object} env - Environment with JOB_RUNNER binding
+ * @param {string} id - Job ID
+ * @returns {Promise<object|null>} - Job record, or null if unknown or expired
+ */
+export async function getJob(env, id) {
+  return callRunner(env, id, '/job');
+}
+
+/**
+ * Loads a job and the results stored after an event id, in one consistent read
+ * @param {object} env - Environment with JOB_RUNNER binding
+ * @param {string} id - Job ID
+ * @param {number} afterId - Last event id the caller has seen
+ * @returns {Promise<{job: object, results: object[]}|null>} - null if the job is unknown
+ */
+export async function getJobProgress(env, id, afterId = 0) {
+  return callRunner(env, id, `/progress?after=${afterId}`);
+}
+
+/**
+ * Public view of a job (batch bookkeeping is internal)
+ * @param {object} job - Job record
+ * @returns {object}
+ */
+export function describeJob(job) {
+  const { nextIndex, batch, ...rest } = job;
+  return { ...rest, pending: job.total - job.completed };
+}
+
+/**
+ * Emits a job's results as they are stored, starting after `afterId`, until
+ * the job finishes, the caller goes away or the follow time runs out
+ * @param {object} env - Environment with JOB_RUNNER binding
+ * @param {string} id - Job ID
+ * @param {object} options - { afterId, emit(eventId, result, job), isOpen() }
+ * @returns {Promise<object|null>} - Last job record seen
+ */
+export async function followJob(env, id, { afterId = 0, emit, isOpen = () => true }) {
+  const stopAt = Date.now() + FOLLOW_MAX_MS;
+  let seen = afterId;
+
+  for (;;) {
+    const progress = await getJobProgress(env, id, seen);
+    if (!progress) return null;
+
+    progress.results.forEach((result, i) => emit(seen + i + 1, result, progress.job));
+    seen += progress.results.length;
+
+    if (progress.job.status === 'completed' || !isOpen() || Date.now() >= stopAt) {
+      return progress.job;
+    }
+    await new Promise(resolve => setTimeout(resolve, FOLLOW_POLL_MS));
+  }
+}
+
+/**
+ * Storage key of the result with the given event id
+ */
+function resultKey(eventId) {
+  return `result:${String(eventId).padStart(6, '0')}`;
+}
+
+/**
+ * Estimates the subrequests provisioning one repository makes: in each store,
+ * a public key fetch and a PUT per secret, plus a listing when the mode reads
+ * existing secrets; and a permission check when the job has an action
+ * @param {object} cost - { secrets, stores, listsExisting, checksPermission }
+ * @returns {number} - Subrequests per repository
+ */
+export function estimateRepoSubrequests({ secrets, stores, listsExisting = true, checksPermission = false }) {
+  return stores * (2 * secrets + (listsExisting ? 1 : 0)) + (checksPermission ? 1 : 0);
+}
+
+/**
+ * Repositories one alarm invocation provisions, so that their subrequests fit the budget
+ * @param {number} repoSubrequests - Estimated subrequests per repository
+ * @returns {number} - Batch size, between 1 and MAX_JOB_BATCH_SIZE
+ */
+export function getJobBatchSize(repoSubrequests) {
+  const size = Math.floor(BATCH_SUBREQUEST_BUDGET / Math.max(1, repoSubrequests));
+  return Math.max(1, Math.min(MAX_JOB_BATCH_SIZE, size));
+}
+
+/**
+ * Durable Object running one job. Subclasses provide provisionRepo() and,
+ * optionally, onComplete() and estimateSubrequests().
+ */
+export class JobRunner {
+  constructor(state, env) {
+    this.state = state;
+    this.env = env;
+  }
+
+  /**
+   * Provisions one repository
+   * @param {object} job - Job record
+   * @param {string} repo - Repository full name
+   * @returns {Promise<object>} - { repo, status, ... }
+   */
+  async provisionRepo(job, repo) {
+    throw new Error('JobRunner.provisionRepo is not implemented');
+  }
+
+  /**
+   * Called once, after the last repository finishes
+   * @param {object} job - Completed job record
+   * @param {object[]} results - Every result, in completion order
+   */
+  async onComplete(job, results) {}
+
+  /**
+   * Estimates the subrequests provisionRepo() makes for one repository, which sizes each batch
+   * @param {object} job - Job record
+   * @returns {number} - Subrequests per repository
+   */
+  estimateSubrequests(job) {
+    return DEFAULT_REPO_SUBREQUESTS;
+  }
+
+  /**
+   * POST /start { job, repos }, GET /job and GET /progress?after=N
+   * @param {Request} request - Request from callRunner
+   * @returns {Promise<Response>}
+   */
+  async fetch(request) {
+    const url = new URL(request.url);
+    const job = await this.state.storage.get('job');
+
+    if (request.method === 'POST' && url.pathname === '/start') {
+      if (job) {
+        return new Response('Job already started', { status: 409 });
+      }
+      const { job: created, repos } = await request.json();
+      const entries = { job: created };
+      for (let i = 0; i < repos.length; i += REPO_CHUNK_SIZE) {
+        entries[`repos:${i / REPO_CHUNK_SIZE}`] = repos.slice(i, i + REPO_CHUNK_SIZE);
+      }
+      await this.state.storage.put(entries);
+      await this.state.storage.setAlarm(Date.now());
+      return Response.json(created, { status: 201 });
+    }
+
+    if (request.method !== 'GET') {
+      return new Response('Method not allowed', { status: 405 });
+    }
+    if (!job) {
+      return new Response('Not found', { status: 404 });
+    }
+
+    switch (url.pathname) {
+      case '/job':
+        return Response.json(job);
+      case '/progress':
+        return Response.json({ job, results: await this.listResults(Number(url.searchParams.get('after')) || 0) });
+      default:
+        return new Response('Not found', { status: 404 });
+    }
+  }
+
+  /**
+   * Runs the next batch, then schedules the one after it. A completed job's
+   * alarm deletes it once it has expired.
+   */
+  async alarm() {
+    const job = await this.state.storage.get('job');
+    if (!job) return;
+
+    if (job.status === 'completed') {
+      const expiresAt = Date.parse(job.finishedAt) + JOB_TTL_MS;
+      if (Date.now() >= expiresAt) {
+        await this.state.storage.deleteAll();
+      } else {
+        // A retried alarm after onComplete failed; the job is done, so only expire it
+        await this.state.storage.setAlarm(expiresAt);
+      }
+      return;
+    }
+
+    // A batch interrupted by a crash resumes with the repositories it had not finished
+    const batch = job.batch || {
+      start: job.nextIndex,
+      end: Math.min(job.nextIndex + getJobBatchSize(this.estimateSubrequests(job)), job.total),
+      done: []
+    };
+    job.status = 'running';
+    job.batch = batch;
+
+    const repos = await this.loadRepos(batch.start, batch.end);
+    const pending = [];
+    for (let index = batch.start; index < batch.end; index++) {
+      if (!batch.done.includes(index)) pending.push(index);
+    }
+
+    await mapConcurrent(pending, job.concurrency, async (index) => {
+      const repo = repos[index - batch.start];
+      let outcome;
+      try {
+        outcome = await this.provisionRepo(job, repo);
+      } catch (error) {
+        outcome = { repo, status: 'error', error: error.message };
+      }
+
+      // Counters change synchronously, so concurrent completions get distinct event ids
+      job.completed++;
+      if (outcome.status !== 'success') job.failed++;
+      batch.done.push(index);
+      job.updatedAt = new Date().toISOString();
+
+      await this.state.storage.put({
+        [resultKey(job.completed)]: { index, ...outcome, finishedAt: job.updatedAt },
+        job
+      });
+    });
+
+    job.nextIndex = batch.end;
+    job.batch = null;
+
+    if (job.nextIndex < job.total) {
+      await this.state.storage.put('job', job);
+      await this.state.storage.setAlarm(Date.now());
+      return;
+    }
+
+    job.status = 'completed';
+    job.finishedAt = new Date().toISOString();
+    await this.state.storage.put('job', job);
+    await this.state.storage.setAlarm(Date.now() + JOB_TTL_MS);
+    await this.onComplete(job, await this.listResults(0));
+  }
+
+  /**
+   * Loads the repositories with indexes in [start, end)
+   */
+  async loadRepos(start, end) {
+    const repos = [];
+    for (let chunk = Math.floor(start / REPO_CHUNK_SIZE); chunk * REPO_CHUNK_SIZE < end; chunk++) {
+      const items = (await this.state.storage.get(`repos:${chunk}`)) || [];
+      items.forEach((repo, i) => {
+        const index = chunk * REPO_CHUNK_SIZE + i;
+        if (index >= start && index < end) repos.push(repo);
+      });
+    }
+    return repos;
+  }
+
+  /**
+   * Lists the results stored after an event id, oldest first
+   */
+  async listResults(afterId) {
+    const entries = await this.state.storage.list({ start: resultKey(afterId + 1), prefix: 'result:' });
+    return [...entries.values()];
+  }
+}
@@ -0,0 +1,214 @@
+/**
+ * Provisioning ledger for Cloudflare Workers
+ * Durable record of every provisioning attempt, backing /api/analytics
+ *
+ * Summaries are cached in KV under the current version of each installation
+ * they cover. Every ledger write gives its installation a new random version,
+ * so cached summaries are never read after the ledger changes, and the ledger
+ * is only scanned again once something was written.
+ */
+
+import { log } from './logger.js';
+import { sha256Hex } from './webhook.js';
+
+const LEDGER_PREFIX = 'ledger:';
+const VERSION_PREFIX = 'ledger-version:';
+const SUMMARY_PREFIX = 'ledger-summary:';
+const DEFAULT_RETENTION_DAYS = 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Appends a provisioning or deprovisioning attempt to the ledger.
+ * Keys sort by timestamp; the record is also stored as key metadata so
+ * analytics can be computed from list() without a get per entry.
+ * @param {object} env - Environment with GREENER_KV binding
+ * @param {object} entry - { action, repo, actor, secrets, result, installationId, templateId, target, stores, mode, source }
+ *   action is 'provision' (default) or 'deprovision'; secrets are the names written or removed
+ * @returns {Promise<object|null>} - Stored record, or null if not recorded
+ */
+export async function recordProvisioning(env, entry) {
+  // Soft-disable if KV not configured
+  if (!env.GREENER_KV) return null;
+
+  const record = {
+    action: entry.action || 'provision',
+    repo: entry.repo,
+    actor: entry.actor || 'unknown',
+    secrets: entry.secrets || [],
+    result: entry.result,
+    installationId: entry.installationId || null,
+    templateId: entry.templateId || null,
+    target: entry.target || null,
+    stores: entry.stores || null,
+    mode: entry.mode || null,
+    source: entry.source || 'api',
+    timestamp: new Date().toISOString()
+  };
+
+  const retentionDays = Number(env.LEDGER_RETENTION_DAYS) || DEFAULT_RETENTION_DAYS;
+  const value = JSON.stringify(record);
+
+  try {
+    await env.GREENER_KV.put(`${LEDGER_PREFIX}${record.timestamp}:${crypto.randomUUID()}`, value, {
+      // KV caps metadata at 1024 bytes; larger records are read back with get()
+      metadata: value.length <= 1024 ? record : undefined,
+      expirationTtl: Math.ceil(retentionDays * DAY_MS / 1000)
+    });
+    // A random version rather than a counter, so concurrent writes cannot collide
+    await env.GREENER_KV.put(`${VERSION_PREFIX}${record.installationId}`, crypto.randomUUID());
+  } catch (error) {
+    // A ledger failure must not turn a completed provisioning into an error
+    log.error('Ledger write failed', { error });
+    return null;
+  }
+
+  return record;
+}
+
+/**
+ * Lists ledger records matching the filters, oldest first
+ * @param {object} env - Environment with GREENER_KV binding
+ * @param {object} filters - { installationId, installationIds, repo, since, until } (since/until in ms)
+ * @returns {Promise<object[]>} - Matching records
+ */
+export async function listProvisioning(env, filters = {}) {
+  if (!env.GREENER_KV) return [];
+
+  const records = [];
+  let cursor;
+
+  do {
+    const page = await env.GREENER_KV.list({ prefix: LEDGER_PREFIX, cursor });
+
+    for (const key of page.keys) {
+      const record = key.metadata || await env.GREENER_KV.get(key.name, 'json');
+      if (record && matchesFilters(record, filters)) {
+        records.push(record);
+      }
+    }
+
+    cursor = page.list_complete ? undefined : page.cursor;
+  } while (cursor);
+
+  return records;
+}
+
+/**
+ * Returns the analytics summary for the filters, from the cache when the
+ * ledger has not changed since it was computed
+ * @param {object} env - Environment with GREENER_KV binding
+ * @param {object} filters - As for listProvisioning
+ * @param {number} now - Current time in ms
+ * @returns {Promise<object>} - Analytics summary
+ */
+export async function getProvisioningSummary(env, filters = {}, now = Date.now()) {
+  const installationIds = filters.installationId ? [filters.installationId] : filters.installationIds;
+
+  // Without KV or a bounded set of installations there is nothing to version the cache by
+  if (!env.GREENER_KV || !installationIds) {
+    return summarizeProvisioning(await listProvisioning(env, filters), now);
+  }
+
+  const versions = await Promise.all(
+    installationIds.map(id => env.GREENER_KV.get(`${VERSION_PREFIX}${id}`))
+  );
+  const cacheKey = `${SUMMARY_PREFIX}${await hashKey({
+    installationIds,
+    versions,
+    repo: filters.repo || null,
+    since: filters.since || null,
+    until: filters.until || null,
+    // The weekly chart moves with the date
+    day: new Date(now).toISOString().slice(0, 10)
+  })}`;
+
+  const cached = await env.GREENER_KV.get(cacheKey, 'json');
+  if (cached) return cached;
+
+  const summary = summarizeProvisioning(await listProvisioning(env, filters), now);
+  await env.GREENER_KV.put(cacheKey, JSON.stringify(summary), { expirationTtl: DAY_MS / 1000 });
+  return summary;
+}
+
+/**
+ * Hashes a cache key's parts to a fixed-length hex string
+ */
+function hashKey(parts) {
+  return sha256Hex(JSON.stringify(parts));
+}
+
+/**
+ * Checks a record against analytics filters
+ */
+function matchesFilters(record, { installationId, installationIds, repo, since, until }) {
+  const time = Date.parse(record.timestamp);
+
+  if (installationId && record.installationId !== installationId) return false;
+  if (installationIds && !installationIds.includes(record.installationId)) return false;
+  if (repo && record.repo !== repo) return false;
+  if (since && time < since) return false;
+  if (until && time > until) return false;
+
+  return true;
+}
+
+/**
+ * Computes dashboard analytics from ledger records
+ * @param {object[]} records - Ledger records, oldest first
+ * @param {number} now - Current time in ms
+ * @returns {object} - Analytics summary
+ */
+export function summarizeProvisioning(records, now = Date.now()) {
+  const repos = new Map();
+
+  for (const record of records) {
+    // Removed secrets no longer count towards a repo's configured secrets
+    if (record.action === 'deprovision') {
+      const stats = repos.get(record.repo);
+      if (stats) for (const name of record.secrets) stats.secrets.delete(name);
+      continue;
+    }
+
+    const stats = repos.get(record.repo) || {
+      name: record.repo,
+      provisions: 0,
+      failures: 0,
+      secrets: new Set(),
+      lastProvision: null
+    };
+
+    stats.provisions++;
+    if (record.result !== 'success') stats.failures++;
+    for (const name of record.secrets) stats.secrets.add(name);
+    stats.lastProvision = record.timestamp;
+
+    repos.set(record.repo, stats);
+  }
+
+  // Attempts per day for the last seven days, oldest first
+  const provisions = records.filter(record => record.action !== 'deprovision');
+  const weeklyProvisions = new Array(7).fill(0);
+  for (const record of provisions) {
+    const daysAgo = Math.floor((now - Date.parse(record.timestamp)) / DAY_MS);
+    if (daysAgo >= 0 && daysAgo < 7) weeklyProvisions[6 - daysAgo]++;
+  }
+
+  const repoStats = Array.from(repos.values()).map(stats => ({
+    name: stats.name,
+    provisions: stats.provisions,
+    failures: stats.failures,
+    secrets: stats.secrets.size,
+    lastProvision: stats.lastProvision
+  }));
+
+  return {
+    totalRepos: repoStats.length,
+    configuredRepos: repoStats.filter(stats => stats.secrets > 0).length,
+    totalSecrets: repoStats.reduce((sum, stats) => sum + stats.secrets, 0),
+    totalProvisions: provisions.length,
+    lastProvision: provisions.length > 0 ? provisions[provisions.length - 1].timestamp : null,
+    weeklyProvisions,
+    topRepos: [...repoStats].sort((a, b) => b.provisions - a.provisions).slice(0, 5),
+    repos: repoStats
+  };
+}
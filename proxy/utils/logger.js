@@ -0,0 +1,197 @@
+/**
+ * Logging utilities for Cloudflare Workers
+ * Structured JSON logs with request tracing and automatic redaction
+ *
+ * Each request runs with its own logger (request id, method, route and, once
+ * known, installation id), found through AsyncLocalStorage so utilities can log
+ * and record GitHub calls without it being passed down every call chain. When
+ * the request completes one summary line reports its status, latency and the
+ * GitHub calls it made. Log lines never contain secret values or tokens:
+ * sensitive fields are dropped by name and token-shaped strings are masked.
+ */
+
+import { AsyncLocalStorage } from 'node:async_hooks';
+
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+const DEFAULT_LOG_LEVEL = 'info';
+
+// The summary keeps the first calls; a runaway loop should not make a huge line
+const MAX_LOGGED_GITHUB_CALLS = 50;
+const MAX_DEPTH = 5;
+const MAX_ARRAY_ITEMS = 50;
+
+const REDACTED = '[REDACTED]';
+// Secret names (e.g. `secrets: ['GREENER_API_KEY']`) stay readable; their values do not
+const SENSITIVE_KEY_RE = /token|password|passphrase|authorization|cookie|private_?key|signature|credential|encrypted|(^|_)secret(_?value)?$|^values?$|^code$/i;
+const SENSITIVE_VALUE_RES = [
+  // GitHub tokens: classic, OAuth, user-to-server, installation, refresh and fine-grained
+  /\bgh[pousr]_[A-Za-z0-9]{20,}\b/g,
+  /\bgithub_pat_[A-Za-z0-9_]{20,}\b/g,
+  /\bBearer\s+[^\s"',]+/gi,
+  // JWTs (app JWTs, session-like values)
+  /\beyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]*/g,
+  /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?(-----END [A-Z ]*PRIVATE KEY-----|$)/g
+];
+
+const requestContext = new AsyncLocalStorage();
+
+/**
+ * Masks token-shaped substrings
+ * @param {string} text - Text to scrub
+ * @returns {string} - Text with tokens replaced by [REDACTED]
+ */
+function redactString(text) {
+  return SENSITIVE_VALUE_RES.reduce((result, pattern) => result.replace(pattern, REDACTED), text);
+}
+
+/**
+ * Copies a value for logging with secrets removed
+ * @param {*} value - Value to log
+ * @param {number} depth - Current nesting depth
+ * @returns {*} - JSON-safe copy with sensitive fields and token-shaped strings redacted
+ */
+export function redact(value, depth = 0) {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'string') return redactString(value);
+  if (typeof value !== 'object') return value;
+  if (depth >= MAX_DEPTH) return '[Truncated]';
+
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: redactString(value.message),
+      ...(value.status !== undefined && { status: value.status }),
+      ...(value.stack && { stack: redactString(value.stack) })
+    };
+  }
+
+  if (Array.isArray(value)) {
+    const items = value.slice(0, MAX_ARRAY_ITEMS).map(item => redact(item, depth + 1));
+    if (value.length > MAX_ARRAY_ITEMS) items.push(`[${value.length - MAX_ARRAY_ITEMS} more]`);
+    return items;
+  }
+
+  const copy = {};
+  for (const [key, item] of Object.entries(value)) {
+    copy[key] = SENSITIVE_KEY_RE.test(key) && item !== null && item !== undefined && typeof item !== 'boolean'
+      ? REDACTED
+      : redact(item, depth + 1);
+  }
+  return copy;
+}
+
+/**
+ * Returns the log level set by LOG_LEVEL, else info. Installations that turn
+ * on the debugLogging setting raise their own requests' level.
+ * @param {object} env - Environment object
+ * @returns {string} - debug, info, warn or error
+ */
+export function getLogLevel(env) {
+  return LOG_LEVELS.includes(env.LOG_LEVEL) ? env.LOG_LEVEL : DEFAULT_LOG_LEVEL;
+}
+
+/**
+ * Creates a logger
+ * @param {object} context - Fields on every line, such as { requestId, method, route }
+ * @param {string} level - Lowest level written
+ * @returns {object} - Logger with debug/info/warn/error(message, fields), set(fields),
+ *   setLevel(level), recordGithubCall(call) and githubCalls()
+ */
+export function createLogger(context = {}, level = DEFAULT_LOG_LEVEL) {
+  const fields = { ...context };
+  let minLevel = LOG_LEVELS.indexOf(level) === -1 ? LOG_LEVELS.indexOf(DEFAULT_LOG_LEVEL) : LOG_LEVELS.indexOf(level);
+  const calls = [];
+  let callCount = 0;
+
+  const write = (lineLevel, message, extra) => {
+    if (LOG_LEVELS.indexOf(lineLevel) < minLevel) return;
+
+    const base = { timestamp: new Date().toISOString(), level: lineLevel, message };
+    // Context and extras cannot overwrite the line's own fields
+    const line = JSON.stringify(redact({ ...base, ...fields, ...extra, ...base }));
+
+    if (lineLevel === 'error') console.error(line);
+    else if (lineLevel === 'warn') console.warn(line);
+    else console.log(line);
+  };
+
+  return {
+    debug: (message, extra = {}) => write('debug', message, extra),
+    info: (message, extra = {}) => write('info', message, extra),
+    warn: (message, extra = {}) => write('warn', message, extra),
+    error: (message, extra = {}) => write('error', message, extra),
+
+    /**
+     * Adds fields to every later line (e.g. installationId once it is known)
+     */
+    set(extra) {
+      Object.assign(fields, extra);
+    },
+
+    /**
+     * Changes the lowest level written for the rest of the request
+     */
+    setLevel(newLevel) {
+      if (LOG_LEVELS.includes(newLevel)) minLevel = LOG_LEVELS.indexOf(newLevel);
+    },
+
+    /**
+     * Records one GitHub API attempt: { method, path, status, latencyMs, attempt }
+     */
+    recordGithubCall(call) {
+      callCount++;
+      if (calls.length < MAX_LOGGED_GITHUB_CALLS) calls.push(call);
+      write('debug', 'GitHub call', call);
+    },
+
+    /**
+     * GitHub calls made so far, for the request summary
+     */
+    githubCalls() {
+      return { count: callCount, calls: [...calls] };
+    }
+  };
+}
+
+// Used outside a request (module setup, tests)
+const defaultLogger = createLogger();
+
+/**
+ * Runs a function with a logger as the current logger
+ * @param {object} logger - Logger from createLogger
+ * @param {Function} fn - Function to run
+ * @returns {*} - fn's result
+ */
+export function withLogger(logger, fn) {
+  return requestContext.run(logger, fn);
+}
+
+/**
+ * Returns the current request's logger
+ * @returns {object} - Logger
+ */
+export function getLogger() {
+  return requestContext.getStore() || defaultLogger;
+}
+
+/**
+ * Logs through the current request's logger
+ */
+export const log = {
+  debug: (message, extra) => getLogger().debug(message, extra),
+  info: (message, extra) => getLogger().info(message, extra),
+  warn: (message, extra) => getLogger().warn(message, extra),
+  error: (message, extra) => getLogger().error(message, extra)
+};
+
+/**
+ * Adds the request id header to a response
+ * @param {Response} response - Original response
+ * @param {string} requestId - Request id
+ * @returns {Response} - Response with X-Request-Id
+ */
+export function withRequestId(response, requestId) {
+  const newResponse = new Response(response.body, response);
+  newResponse.headers.set('X-Request-Id', requestId);
+  return newResponse;
+}
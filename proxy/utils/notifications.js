@@ -0,0 +1,471 @@
+/**
+ * Notification utilities for Cloudflare Workers
+ * Outbound Slack, Microsoft Teams and signed webhook notifications
+ *
+ * Targets come from the NOTIFICATION_TARGETS secret (JSON), since Slack and
+ * Teams webhook URLs are credentials:
+ *
+ *   [
+ *     { "type": "slack", "url": "https://hooks.slack.com/services/..." },
+ *     { "type": "teams", "url": "https://...", "events": ["provisioning.partial", "drift.detected"] },
+ *     { "type": "webhook", "url": "https://ops.example.com/greener", "secret": "..." }
+ *   ]
+ *
+ * Generic webhooks receive the notification as JSON, signed like GitHub
+ * deliveries: `X-Greener-Signature-256: sha256=<HMAC-SHA256 of the body>`.
+ * Each target is tried up to three times; a notification that still fails is
+ * kept as a dead-letter record in KV. Installations whose "Send webhook
+ * notifications" setting is off are skipped.
+ */
+
+import { hmacSha256Hex, sha256Hex } from './webhook.js';
+import { getSettings } from './settings.js';
+import { log } from './logger.js';
+
+export const NOTIFICATION_EVENTS = [
+  'provisioning.succeeded',
+  'provisioning.partial',
+  'rotation.completed',
+  'drift.detected'
+];
+
+const TARGET_TYPES = ['slack', 'teams', 'webhook'];
+
+const MAX_ATTEMPTS = 3;
+const BASE_BACKOFF_MS = 1000;
+// Deliveries run after the response; keep all attempts inside the waitUntil budget
+const ATTEMPT_TIMEOUT_MS = 5000;
+const MAX_RETRY_AFTER_MS = 5000;
+
+const DEAD_LETTER_PREFIX = 'notification-dead:';
+const DEAD_LETTER_TTL_SEC = 30 * 24 * 60 * 60;
+const DRIFT_PREFIX = 'notification-drift:';
+
+// Lines listed in chat messages; the webhook payload carries the full data
+const MAX_LISTED_ITEMS = 10;
+
+const USER_AGENT = 'Greener-CI-CD-Worker';
+
+/**
+ * Whether a URL may receive notifications: https, or http to localhost for the
+ * local receiver
+ */
+function isAllowedUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return false;
+  }
+  if (url.protocol === 'https:') return true;
+  return url.protocol === 'http:' && ['localhost', '127.0.0.1'].includes(url.hostname);
+}
+
+/**
+ * Returns the notification targets from the NOTIFICATION_TARGETS secret
+ * @param {object} env - Environment object
+ * @returns {object[]} - Targets, or [] when none are configured
+ * @throws {Error} - If the targets are invalid
+ */
+export function getNotificationTargets(env) {
+  if (!env.NOTIFICATION_TARGETS) return [];
+
+  const fail = (message) => {
+    throw new Error(`Server misconfiguration: NOTIFICATION_TARGETS ${message}`);
+  };
+
+  let targets;
+  try {
+    targets = JSON.parse(env.NOTIFICATION_TARGETS);
+  } catch (error) {
+    fail('is not valid JSON');
+  }
+  if (!Array.isArray(targets)) {
+    fail('must be an array');
+  }
+
+  targets.forEach((target, index) => {
+    if (!target || typeof target !== 'object' || !TARGET_TYPES.includes(target.type)) {
+      fail(`[${index}] needs a type of ${TARGET_TYPES.join(', ')}`);
+    }
+    if (typeof target.url !== 'string' || !isAllowedUrl(target.url)) {
+      fail(`[${index}] needs an https url`);
+    }
+    if (target.type === 'webhook' && (typeof target.secret !== 'string' || target.secret.length < 16)) {
+      fail(`[${index}] webhook targets need a secret of at least 16 characters`);
+    }
+    if (target.events !== undefined &&
+        (!Array.isArray(target.events) || !target.events.every(event => NOTIFICATION_EVENTS.includes(event)))) {
+      fail(`[${index}] events must be a subset of ${NOTIFICATION_EVENTS.join(', ')}`);
+    }
+  });
+
+  return targets;
+}
+
+/**
+ * Names a target in logs and dead letters without its URL, which is a credential
+ */
+function describeTarget(target) {
+  return { type: target.type, host: new URL(target.url).host };
+}
+
+/**
+ * Builds a notification
+ * @param {string} event - One of NOTIFICATION_EVENTS
+ * @param {object} data - Event details; installationId is lifted to the top level
+ * @returns {object} - { id, event, timestamp, installationId, title, summary, items, data }
+ */
+export function buildNotification(event, data) {
+  const { title, summary, items } = describeEvent(event, data);
+  return {
+    id: crypto.randomUUID(),
+    event,
+    timestamp: new Date().toISOString(),
+    installationId: data.installationId || null,
+    title,
+    summary,
+    items,
+    data
+  };
+}
+
+/**
+ * Human-readable title, summary and item lines for an event
+ */
+function describeEvent(event, data) {
+  const installation = data.installationId ? ` (installation ${data.installationId})` : '';
+
+  switch (event) {
+    case 'provisioning.succeeded':
+    case 'provisioning.partial': {
+      const failed = data.results.filter(result => result.status !== 'success');
+      return {
+        title: event === 'provisioning.succeeded'
+          ? `Secrets provisioned${installation}`
+          : `Provisioning partly failed${installation}`,
+        summary: `${data.results.length - failed.length} of ${data.results.length} repositories succeeded` +
+          `${data.template ? ` with template ${data.template}` : ''}${data.actor ? ` for ${data.actor}` : ''} (${data.source})`,
+        items: (failed.length > 0 ? failed : data.results)
+          .map(result => `${result.repo}: ${result.status}${result.error ? ` - ${result.error}` : ''}`)
+      };
+    }
+    case 'rotation.completed': {
+      const errors = data.results.filter(result => result.status === 'error');
+      return {
+        title: `Secrets rotated${installation}`,
+        summary: `${data.results.length - errors.length} repositories rotated or staged, ${errors.length} failed`,
+        items: data.results.map(result => `${result.repo}: ${result.status}${result.error ? ` - ${result.error}` : ''}`)
+      };
+    }
+    case 'drift.detected':
+      return {
+        title: `Secret drift detected${installation}`,
+        summary: `${data.summary.missing} missing, ${data.summary.extra} extra and ${data.summary.stale} stale secrets`,
+        items: data.repos.map(repo => `${repo.repo}: ${repo.missing} missing, ${repo.extra} extra, ${repo.stale} stale`)
+      };
+    default:
+      throw new Error(`Unknown notification event: ${event}`);
+  }
+}
+
+/**
+ * Escapes the characters Slack treats as markup in mrkdwn text
+ */
+function slackEscape(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function listedItems(notification) {
+  const items = notification.items.slice(0, MAX_LISTED_ITEMS);
+  if (notification.items.length > MAX_LISTED_ITEMS) {
+    items.push(`…and ${notification.items.length - MAX_LISTED_ITEMS} more`);
+  }
+  return items;
+}
+
+/**
+ * Slack incoming webhook payload
+ * @param {object} notification - From buildNotification
+ * @returns {object} - Slack message with Block Kit blocks
+ */
+export function toSlackPayload(notification) {
+  const items = listedItems(notification);
+  const blocks = [
+    { type: 'header', text: { type: 'plain_text', text: notification.title } },
+    { type: 'section', text: { type: 'mrkdwn', text: slackEscape(notification.summary) } }
+  ];
+  if (items.length > 0) {
+    blocks.push({ type: 'section', text: { type: 'mrkdwn', text: items.map(item => `• ${slackEscape(item)}`).join('\n') } });
+  }
+  blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: `${notification.event} · ${notification.timestamp}` }] });
+
+  // `text` is the fallback shown in notifications and by clients without blocks
+  return { text: slackEscape(`${notification.title}: ${notification.summary}`), blocks };
+}
+
+/**
+ * Microsoft Teams incoming webhook payload
+ * @param {object} notification - From buildNotification
+ * @returns {object} - Message with an Adaptive Card attachment
+ */
+export function toTeamsPayload(notification) {
+  const items = listedItems(notification);
+  const body = [
+    { type: 'TextBlock', size: 'Medium', weight: 'Bolder', text: notification.title, wrap: true },
+    { type: 'TextBlock', text: notification.summary, wrap: true }
+  ];
+  if (items.length > 0) {
+    body.push({ type: 'TextBlock', text: items.map(item => `- ${item}`).join('\r'), wrap: true });
+  }
+  body.push({
+    type: 'FactSet',
+    facts: [
+      { title: 'Event', value: notification.event },
+      { title: 'Time', value: notification.timestamp }
+    ]
+  });
+
+  return {
+    type: 'message',
+    attachments: [{
+      contentType: 'application/vnd.microsoft.card.adaptive',
+      content: {
+        $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+        type: 'AdaptiveCard',
+        version: '1.4',
+        body
+      }
+    }]
+  };
+}
+
+/**
+ * Builds the HTTP request for one target
+ * @param {object} target - Notification target
+ * @param {object} notification - From buildNotification
+ * @returns {Promise<{body: string, headers: object}>}
+ */
+export async function buildDelivery(target, notification) {
+  const headers = { 'Content-Type': 'application/json', 'User-Agent': USER_AGENT };
+
+  if (target.type === 'slack') {
+    return { body: JSON.stringify(toSlackPayload(notification)), headers };
+  }
+  if (target.type === 'teams') {
+    return { body: JSON.stringify(toTeamsPayload(notification)), headers };
+  }
+
+  const body = JSON.stringify(notification);
+  const signature = await hmacSha256Hex(target.secret, new TextEncoder().encode(body));
+  return {
+    body,
+    headers: {
+      ...headers,
+      'X-Greener-Event': notification.event,
+      // Unchanged across retries so receivers can drop duplicates
+      'X-Greener-Delivery': notification.id,
+      'X-Greener-Signature-256': `sha256=${signature}`
+    }
+  };
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Whether a failed attempt is worth retrying
+ */
+function isRetryable(status) {
+  return status === null || status === 408 || status === 429 || status >= 500;
+}
+
+/**
+ * Delivers a notification to one target, retrying network errors, 408, 429 and 5xx
+ * @param {object} target - Notification target
+ * @param {object} notification - From buildNotification
+ * @returns {Promise<object>} - { ok, attempts, status, error }
+ */
+export async function deliverNotification(target, notification) {
+  const { body, headers } = await buildDelivery(target, notification);
+  let status = null;
+  let error = null;
+
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    let retryAfterMs = null;
+    try {
+      const response = await fetch(target.url, {
+        method: 'POST',
+        headers,
+        body,
+        signal: AbortSignal.timeout(ATTEMPT_TIMEOUT_MS)
+      });
+      status = response.status;
+      if (response.ok) {
+        return { ok: true, attempts: attempt, status, error: null };
+      }
+      error = (await response.text()).slice(0, 200) || `HTTP ${status}`;
+      const retryAfter = Number(response.headers.get('retry-after'));
+      if (Number.isFinite(retryAfter) && retryAfter > 0) retryAfterMs = retryAfter * 1000;
+    } catch (fetchError) {
+      status = null;
+      error = fetchError.message;
+    }
+
+    log.warn('Notification attempt failed', { ...describeTarget(target), event: notification.event, attempt, status, error });
+    if (!isRetryable(status) || attempt === MAX_ATTEMPTS) {
+      return { ok: false, attempts: attempt, status, error };
+    }
+    await sleep(Math.min(MAX_RETRY_AFTER_MS, retryAfterMs || BASE_BACKOFF_MS * 2 ** (attempt - 1)));
+  }
+}
+
+/**
+ * Keeps a notification that could not be delivered
+ * @param {object} env - Environment with GREENER_KV binding
+ * @param {object} target - Notification target
+ * @param {object} notification - From buildNotification
+ * @param {object} result - From deliverNotification
+ * @returns {Promise<object|null>} - Stored record, or null if not recorded
+ */
+export async function recordDeadLetter(env, target, notification, result) {
+  const record = {
+    target: describeTarget(target),
+    attempts: result.attempts,
+    status: result.status,
+    error: result.error,
+    failedAt: new Date().toISOString(),
+    notification
+  };
+  log.error('Notification dead-lettered', { ...record.target, event: notification.event, status: result.status, error: result.error });
+
+  // Soft-disable if KV not configured
+  if (!env.GREENER_KV) return null;
+
+  try {
+    await env.GREENER_KV.put(`${DEAD_LETTER_PREFIX}${record.failedAt}:${notification.id}`, JSON.stringify(record), {
+      expirationTtl: DEAD_LETTER_TTL_SEC
+    });
+  } catch (error) {
+    log.error('Dead-letter write failed', { error });
+    return null;
+  }
+  return record;
+}
+
+/**
+ * Lists dead-letter records, oldest first
+ * @param {object} env - Environment with GREENER_KV binding
+ * @param {number} limit - Maximum records
+ * @returns {Promise<object[]>} - Dead-letter records with their `key`
+ */
+export async function listDeadLetters(env, limit = 100) {
+  if (!env.GREENER_KV) return [];
+
+  const records = [];
+  let cursor;
+  do {
+    const page = await env.GREENER_KV.list({ prefix: DEAD_LETTER_PREFIX, cursor });
+    for (const key of page.keys) {
+      if (records.length === limit) return records;
+      const record = await env.GREENER_KV.get(key.name, 'json');
+      if (record) records.push({ key: key.name, ...record });
+    }
+    cursor = page.list_complete ? undefined : page.cursor;
+  } while (cursor);
+
+  return records;
+}
+
+/**
+ * Sends an event to every target that subscribes to it
+ * @param {object} env - Environment object
+ * @param {string} event - One of NOTIFICATION_EVENTS
+ * @param {object} data - Event details, with installationId when there is one
+ * @returns {Promise<object[]>} - Per-target { type, host, ok, attempts, status, error }
+ */
+export async function sendNotification(env, event, data) {
+  try {
+    const targets = getNotificationTargets(env)
+      .filter(target => !target.events || target.events.includes(event));
+    if (targets.length === 0) return [];
+
+    // Without an installation (the CLI on a repository the app is not installed on) there is no setting to check
+    if (data.installationId && !(await getSettings(env, data.installationId)).webhookNotifications) {
+      return [];
+    }
+
+    const notification = buildNotification(event, data);
+    return await Promise.all(targets.map(async (target) => {
+      const result = await deliverNotification(target, notification);
+      if (!result.ok) await recordDeadLetter(env, target, notification, result);
+      return { ...describeTarget(target), ...result };
+    }));
+  } catch (error) {
+    // Notifications run after the response; a failure must not surface anywhere else
+    log.error('Notification failed', { event, error });
+    return [];
+  }
+}
+
+/**
+ * The provisioning event for a set of per-repository results
+ * @param {Array<{status: string}>} results - Per-repository results
+ * @returns {string} - provisioning.succeeded or provisioning.partial
+ */
+export function provisioningEvent(results) {
+  return results.every(result => result.status === 'success') ? 'provisioning.succeeded' : 'provisioning.partial';
+}
+
+/**
+ * Notifies about drift in an inventory, once per distinct drift state so
+ * repeated inventory requests do not repeat the notification
+ * @param {object} env - Environment object
+ * @param {number} installationId - Installation ID
+ * @param {object[]} entries - Scope inventories
+ * @param {object} summary - From summarizeInventory
+ * @returns {Promise<object[]>} - Per-target results, or [] when nothing was sent
+ */
+export async function notifyDrift(env, installationId, entries, summary) {
+  try {
+    return await sendDriftNotification(env, installationId, entries, summary);
+  } catch (error) {
+    log.error('Drift notification failed', { error });
+    return [];
+  }
+}
+
+async function sendDriftNotification(env, installationId, entries, summary) {
+  if (!env.GREENER_KV || getNotificationTargets(env).length === 0) return [];
+
+  const key = `${DRIFT_PREFIX}${installationId}`;
+  const repos = entries
+    .map(entry => ({
+      repo: entry.repo,
+      scope: entry.scope,
+      missing: entry.stores.reduce((sum, store) => sum + store.missing.length, 0),
+      extra: entry.stores.reduce((sum, store) => sum + store.extra.length, 0),
+      stale: entry.stores.reduce((sum, store) => sum + store.present.filter(secret => secret.stale).length, 0)
+    }))
+    .filter(repo => repo.missing + repo.extra + repo.stale > 0);
+
+  if (repos.length === 0) {
+    await env.GREENER_KV.delete(key);
+    return [];
+  }
+
+  const fingerprint = await sha256Hex(JSON.stringify(entries.map(entry => [
+    entry.scope,
+    entry.stores.map(store => [store.store, store.missing, store.extra.map(secret => secret.name),
+      store.present.filter(secret => secret.stale).map(secret => secret.name)])
+  ])));
+  if ((await env.GREENER_KV.get(key)) === fingerprint) return [];
+
+  await env.GREENER_KV.put(key, fingerprint);
+  return sendNotification(env, 'drift.detected', {
+    installationId,
+    summary: { missing: summary.missing, extra: summary.extra, stale: summary.stale },
+    repos
+  });
+}
@@ -0,0 +1,81 @@
+/**
+ * Provisioning plan utilities for Cloudflare Workers
+ * Dry-run reports of what provisioning would change, without writing secrets
+ */
+
+import { withStores, getTargetPublicKey, listTargetSecrets } from './secretTargets.js';
+import { selectSecrets, DEFAULT_PROVISION_MODE } from './provisionMode.js';
+
+/**
+ * Describes a failed read as a plan problem
+ */
+function toProblem(step, error) {
+  return {
+    step,
+    status: error.status || null,
+    error: error.message
+  };
+}
+
+/**
+ * Plans a single store: fetches its public key and existing secrets
+ */
+async function planStore(token, storeTarget, repoFullName, secretNames, mode, userAgent) {
+  const entry = {
+    store: storeTarget.store,
+    create: [],
+    update: [],
+    skip: [],
+    unchanged: [],
+    problems: []
+  };
+
+  try {
+    await getTargetPublicKey(token, storeTarget, repoFullName, userAgent);
+  } catch (error) {
+    entry.problems.push(toProblem('public-key', error));
+  }
+
+  let existing;
+  try {
+    existing = await listTargetSecrets(token, storeTarget, repoFullName, userAgent);
+  } catch (error) {
+    // Without the current secrets we can't say what would change
+    entry.problems.push(toProblem('list-secrets', error));
+    return entry;
+  }
+
+  const existingNames = existing.map(secret => secret.name);
+  const { write, skip } = selectSecrets(mode, secretNames, existing);
+  for (const name of write) {
+    (existingNames.includes(name) ? entry.update : entry.create).push(name);
+  }
+  entry.skip = skip;
+  // Secrets the template doesn't manage are left alone
+  entry.unchanged = existingNames.filter(name => !secretNames.includes(name));
+
+  return entry;
+}
+
+/**
+ * Builds the dry-run plan for one repository
+ * @param {string|null} token - GitHub token (null in demo mode: everything is a create)
+ * @param {object} options - { repo, target, stores, secretNames, mode, userAgent }
+ * @returns {Promise<object>} - { repo, ok, stores: [{ store, create, update, skip, unchanged, problems }] }
+ */
+export async function planProvisioning(token, { repo, target, stores, secretNames, mode, userAgent }) {
+  const entries = [];
+  mode = mode || { mode: DEFAULT_PROVISION_MODE, maxAgeDays: null };
+
+  for (const storeTarget of withStores(target, stores)) {
+    entries.push(token
+      ? await planStore(token, storeTarget, repo, secretNames, mode, userAgent)
+      : { store: storeTarget.store, create: [...secretNames], update: [], skip: [], unchanged: [], problems: [] });
+  }
+
+  return {
+    repo,
+    ok: entries.every(entry => entry.problems.length === 0),
+    stores: entries
+  };
+}
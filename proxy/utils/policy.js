@@ -0,0 +1,329 @@
+/**
+ * Access policy utilities for Cloudflare Workers
+ * Roles and per-template repository rules for who may provision what
+ *
+ * The ACCESS_POLICY variable (JSON) maps roles to GitHub users and teams, and
+ * limits templates to repository globs:
+ *
+ *   {
+ *     "roles": {
+ *       "admin": { "users": ["octocat"], "teams": ["acme/platform"] },
+ *       "provisioner": { "teams": ["acme/developers"] },
+ *       "viewer": { "users": ["*"] }
+ *     },
+ *     "templates": {
+ *       "database": { "allow": ["acme/db-*"], "deny": ["acme/db-legacy"], "role": "admin" },
+ *       "*": { "allow": ["acme/*"] }
+ *     }
+ *   }
+ *
+ * A caller has the highest role they match. Without ACCESS_POLICY every caller
+ * is an admin, and only their GitHub permission on the repository (for settings,
+ * on the installation's account) limits them.
+ */
+
+import { githubPaginate, githubRequest, GitHubNotFoundError } from './githubClient.js';
+import { log } from './logger.js';
+
+export const ROLES = ['viewer', 'provisioner', 'admin'];
+
+// GitHub repository permission levels, lowest first
+const PERMISSIONS = ['pull', 'triage', 'push', 'maintain', 'admin'];
+
+// Collaborator role names, as the permission endpoint reports them
+const ROLE_NAME_PERMISSIONS = { read: 'pull', triage: 'triage', write: 'push', maintain: 'maintain', admin: 'admin' };
+
+// Role and repository permission each action needs
+const ACTIONS = {
+  view: { role: 'viewer', permission: 'pull' },
+  plan: { role: 'viewer', permission: 'pull' },
+  provision: { role: 'provisioner', permission: 'push' },
+  // Replaces values that running services already use
+  overwrite: { role: 'admin', permission: 'push' },
+  deprovision: { role: 'admin', permission: 'admin' },
+  // An installation's settings
+  configure: { role: 'admin', permission: 'admin' }
+};
+
+const ACTION_LABELS = {
+  view: 'Viewing',
+  plan: 'Planning',
+  provision: 'Provisioning',
+  overwrite: 'Overwriting secrets',
+  deprovision: 'Removing secrets',
+  configure: 'Changing settings'
+};
+
+const REPO_GLOB_RE = /^[A-Za-z0-9._*-]+\/[A-Za-z0-9._*-]+$/;
+
+/**
+ * Validates a parsed policy
+ * @param {object} policy - Parsed ACCESS_POLICY
+ * @throws {Error} - If the policy is invalid
+ */
+function validatePolicy(policy) {
+  const fail = (message) => {
+    throw new Error(`Server misconfiguration: ACCESS_POLICY ${message}`);
+  };
+  const isStringArray = (value) => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+  if (!policy || typeof policy !== 'object' || !policy.roles || typeof policy.roles !== 'object') {
+    fail('must define a roles object');
+  }
+
+  for (const [role, members] of Object.entries(policy.roles)) {
+    if (!ROLES.includes(role)) {
+      fail(`has an unknown role: ${role}`);
+    }
+    if (!members || typeof members !== 'object' ||
+        (members.users !== undefined && !isStringArray(members.users)) ||
+        (members.teams !== undefined && !isStringArray(members.teams))) {
+      fail(`role "${role}" needs users and/or teams arrays`);
+    }
+    for (const team of members.teams || []) {
+      if (!/^[^/\s]+\/[^/\s]+$/.test(team)) {
+        fail(`role "${role}" has an invalid team (use org/team-slug): ${team}`);
+      }
+    }
+  }
+
+  for (const [templateId, rule] of Object.entries(policy.templates || {})) {
+    if (!rule || typeof rule !== 'object') {
+      fail(`template "${templateId}" must be an object`);
+    }
+    for (const list of ['allow', 'deny']) {
+      if (rule[list] === undefined) continue;
+      if (!isStringArray(rule[list]) || !rule[list].every(glob => REPO_GLOB_RE.test(glob))) {
+        fail(`template "${templateId}" ${list} must be an array of owner/repo globs`);
+      }
+    }
+    if (rule.role !== undefined && !ROLES.includes(rule.role)) {
+      fail(`template "${templateId}" has an unknown role: ${rule.role}`);
+    }
+  }
+}
+
+/**
+ * Returns the access policy from the ACCESS_POLICY JSON variable
+ * @param {object} env - Environment object
+ * @returns {object|null} - Policy, or null when none is configured
+ * @throws {Error} - If the policy is invalid
+ */
+export function getAccessPolicy(env) {
+  if (!env.ACCESS_POLICY) return null;
+
+  let policy;
+  try {
+    policy = JSON.parse(env.ACCESS_POLICY);
+  } catch (error) {
+    throw new Error('Server misconfiguration: ACCESS_POLICY is not valid JSON');
+  }
+  validatePolicy(policy);
+  return policy;
+}
+
+/**
+ * Whether resolving a caller's role needs their team memberships
+ * @param {object|null} policy - Access policy
+ * @returns {boolean}
+ */
+export function policyUsesTeams(policy) {
+  return Boolean(policy) && Object.values(policy.roles).some(members => (members.teams || []).length > 0);
+}
+
+/**
+ * Lists a user's teams as org/team-slug
+ * @param {string} token - User's GitHub token
+ * @param {string} userAgent - User-Agent for GitHub
+ * @returns {Promise<string[]>} - Teams, or [] if the token cannot read them
+ */
+export async function listUserTeams(token, userAgent) {
+  try {
+    const teams = await githubPaginate('/user/teams?per_page=100', { token, userAgent });
+    return teams.map(team => `${team.organization.login}/${team.slug}`.toLowerCase());
+  } catch (error) {
+    // Needs the read:org scope; without it only user rules can match
+    log.warn('Could not list teams', { error: error.message });
+    return [];
+  }
+}
+
+/**
+ * Resolves a caller's role
+ * @param {object|null} policy - Access policy
+ * @param {string|null} login - GitHub login
+ * @param {string[]} teams - Caller's teams as org/team-slug
+ * @returns {string|null} - Highest matching role, or null for none
+ */
+export function resolveRole(policy, login, teams = []) {
+  if (!policy) return 'admin';
+  if (!login) return null;
+
+  const user = login.toLowerCase();
+  const memberOf = new Set(teams.map(team => team.toLowerCase()));
+
+  for (const role of [...ROLES].reverse()) {
+    const members = policy.roles[role];
+    if (!members) continue;
+    if ((members.users || []).some(name => name === '*' || name.toLowerCase() === user)) return role;
+    if ((members.teams || []).some(team => memberOf.has(team.toLowerCase()))) return role;
+  }
+  return null;
+}
+
+/**
+ * Matches an owner/repo against a glob; `*` matches within one path segment
+ * @param {string} glob - Glob such as acme/api-*
+ * @param {string} repository - Repository in owner/name format
+ * @returns {boolean}
+ */
+export function matchesRepoGlob(glob, repository) {
+  const pattern = glob.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('[^/]*');
+  return new RegExp(`^${pattern}$`, 'i').test(repository);
+}
+
+/**
+ * Maps a GitHub repository `permissions` object to its highest level
+ * @param {object|null} permissions - { admin, maintain, push, triage, pull }
+ * @returns {string} - Level, or 'none'
+ */
+export function permissionLevel(permissions) {
+  if (!permissions) return 'none';
+  return [...PERMISSIONS].reverse().find(level => permissions[level] === true) || 'none';
+}
+
+/**
+ * Reads a user's permissions on a repository with a token that can see it
+ * (the installation's, when the user's own token is not at hand)
+ * @param {string} token - GitHub token
+ * @param {string} repository - Repository in owner/name format
+ * @param {string} login - GitHub login
+ * @param {string} userAgent - User-Agent for GitHub
+ * @returns {Promise<object|null>} - Repository `permissions` object, or null if the user is unknown
+ */
+export async function getCollaboratorPermissions(token, repository, login, userAgent) {
+  let data;
+  try {
+    data = await githubRequest(`/repos/${repository}/collaborators/${encodeURIComponent(login)}/permission`, { token, userAgent });
+  } catch (error) {
+    if (error instanceof GitHubNotFoundError) return null;
+    throw error;
+  }
+
+  if (data.user && data.user.permissions) return data.user.permissions;
+  const level = ROLE_NAME_PERMISSIONS[data.role_name];
+  return level ? { [level]: true } : {};
+}
+
+/**
+ * Reads a user's rights on the account an installation belongs to, in the
+ * shape of repository permissions: its owner or an organization admin has
+ * admin, any other organization member pull
+ * @param {string} token - GitHub token that can read the organization's members
+ * @param {object} account - { login, type } from the installation
+ * @param {string} login - GitHub login
+ * @param {string} userAgent - User-Agent for GitHub
+ * @returns {Promise<object>} - { admin: true }, { pull: true } or {} for no rights
+ */
+export async function getAccountPermissions(token, account, login, userAgent) {
+  if (account.type !== 'Organization') {
+    return account.login.toLowerCase() === login.toLowerCase() ? { admin: true } : {};
+  }
+
+  let membership;
+  try {
+    membership = await githubRequest(`/orgs/${account.login}/memberships/${encodeURIComponent(login)}`, { token, userAgent });
+  } catch (error) {
+    if (error instanceof GitHubNotFoundError) return {};
+    throw error;
+  }
+
+  if (membership.state !== 'active') return {};
+  return membership.role === 'admin' ? { admin: true } : { pull: true };
+}
+
+/**
+ * The policy action a provisioning request performs
+ * @param {object} mode - Parsed provisioning mode
+ * @param {boolean} dryRun - Whether nothing is written
+ * @returns {string} - plan, overwrite or provision
+ */
+export function provisioningAction(mode, dryRun = false) {
+  if (dryRun) return 'plan';
+  // Rotation replaces existing values too, just only the old ones
+  return mode.mode === 'create-only' ? 'provision' : 'overwrite';
+}
+
+/**
+ * Checks one action against the policy
+ * @param {object|null} policy - Access policy
+ * @param {object} request - { action, login, role, template, repository, permissions }
+ *   `permissions` is the caller's GitHub permissions on the repository; omit it
+ *   only for actions that are not on behalf of a user, such as webhooks
+ * @returns {string|null} - Why the action is denied, or null if it is allowed
+ */
+export function checkAccess(policy, { action, login, role, template, repository, permissions }) {
+  const required = ACTIONS[action];
+  const label = ACTION_LABELS[action];
+  const who = login || 'This caller';
+
+  if (!role) {
+    return `${who} has no role in the access policy`;
+  }
+
+  const rule = policy && template && repository
+    ? (policy.templates || {})[template] || (policy.templates || {})['*']
+    : null;
+  const requiredRole = rule && rule.role && ROLES.indexOf(rule.role) > ROLES.indexOf(required.role)
+    ? rule.role
+    : required.role;
+
+  if (ROLES.indexOf(role) < ROLES.indexOf(requiredRole)) {
+    return `${label}${template ? ` with template ${template}` : ''} requires the ${requiredRole} role; ${who} has the ${role} role`;
+  }
+
+  if (rule) {
+    const denied = (rule.deny || []).find(glob => matchesRepoGlob(glob, repository));
+    if (denied) {
+      return `Template ${template} may not be used on ${repository} (denied by ${denied})`;
+    }
+    if (rule.allow && !rule.allow.some(glob => matchesRepoGlob(glob, repository))) {
+      return `Template ${template} is not allowed on ${repository}`;
+    }
+  }
+
+  if (permissions !== undefined) {
+    return checkRepoPermission({ action, login, repository, permissions });
+  }
+
+  return null;
+}
+
+/**
+ * Checks only the caller's GitHub permission on a repository, for callers
+ * whose role and template rules were checked already
+ * @param {object} request - { action, login, repository, permissions }
+ * @returns {string|null} - Why the action is denied, or null if it is allowed
+ */
+export function checkRepoPermission({ action, login, repository, permissions }) {
+  const required = ACTIONS[action];
+  const level = permissionLevel(permissions);
+
+  if (PERMISSIONS.indexOf(level) < PERMISSIONS.indexOf(required.permission)) {
+    return `${ACTION_LABELS[action]} requires ${required.permission} permission on ${repository}; ${login || 'This caller'} has ${level}`;
+  }
+  return null;
+}
+
+/**
+ * Checks an action and throws its denial
+ * @param {object|null} policy - Access policy
+ * @param {object} request - As for checkAccess
+ * @throws {Response} - 403 with the reason if the action is denied
+ */
+export function requireAccess(policy, request) {
+  const reason = checkAccess(policy, request);
+  if (reason) {
+    throw new Response(reason, { status: 403 });
+  }
+}
@@ -0,0 +1,81 @@
+/**
+ * Provisioning mode utilities for Cloudflare Workers
+ * Decides which template secrets a provisioning run may write over existing ones
+ *
+ * - create-only (default): only secrets missing from the store are written,
+ *   so re-running provisioning never changes values services already use.
+ * - overwrite: every template secret is written with a fresh value.
+ * - rotate-if-older-than: missing secrets are written, and existing ones are
+ *   replaced once they were last updated more than `maxAgeDays` ago.
+ */
+
+export const PROVISION_MODES = ['create-only', 'overwrite', 'rotate-if-older-than'];
+export const DEFAULT_PROVISION_MODE = 'create-only';
+
+const MAX_AGE_DAYS_LIMIT = 3650;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Validates the mode fields of a provisioning request
+ * @param {*} mode - Requested mode (defaults to create-only)
+ * @param {*} maxAgeDays - Age threshold, required for rotate-if-older-than
+ * @returns {{mode: string, maxAgeDays: number|null}}
+ * @throws {Response} - 400 error if validation fails
+ */
+export function parseProvisionMode(mode, maxAgeDays) {
+  if (mode === undefined || mode === null) {
+    mode = DEFAULT_PROVISION_MODE;
+  }
+  if (!PROVISION_MODES.includes(mode)) {
+    throw new Response(`mode must be one of: ${PROVISION_MODES.join(', ')}`, { status: 400 });
+  }
+
+  if (mode !== 'rotate-if-older-than') {
+    if (maxAgeDays !== undefined && maxAgeDays !== null) {
+      throw new Response('maxAgeDays is only valid with mode rotate-if-older-than', { status: 400 });
+    }
+    return { mode, maxAgeDays: null };
+  }
+
+  if (!Number.isInteger(maxAgeDays) || maxAgeDays < 1 || maxAgeDays > MAX_AGE_DAYS_LIMIT) {
+    throw new Response(`maxAgeDays must be an integer between 1 and ${MAX_AGE_DAYS_LIMIT}`, { status: 400 });
+  }
+  return { mode, maxAgeDays };
+}
+
+/**
+ * Whether a mode needs the store's existing secrets to decide what to write
+ * @param {object} mode - Parsed mode
+ * @returns {boolean}
+ */
+export function needsExistingSecrets(mode) {
+  return mode.mode !== 'overwrite';
+}
+
+/**
+ * Splits template secrets into those to write and those to leave alone
+ * @param {object} mode - Parsed mode
+ * @param {string[]} names - Template secret names
+ * @param {Array<{name: string, updated_at: string}>} existing - Secrets already in the store
+ * @param {number} now - Current time in ms
+ * @returns {{write: string[], skip: Array<{name: string, reason: string}>}}
+ */
+export function selectSecrets(mode, names, existing, now = Date.now()) {
+  const updatedAt = new Map(existing.map(secret => [secret.name, Date.parse(secret.updated_at)]));
+  const write = [];
+  const skip = [];
+
+  for (const name of names) {
+    if (mode.mode === 'overwrite' || !updatedAt.has(name)) {
+      write.push(name);
+    } else if (mode.mode === 'create-only') {
+      skip.push({ name, reason: 'exists' });
+    } else if (now - updatedAt.get(name) > mode.maxAgeDays * DAY_MS) {
+      write.push(name);
+    } else {
+      skip.push({ name, reason: 'fresh' });
+    }
+  }
+
+  return { write, skip };
+}
@@ -1,90 +1,211 @@
 /**
  * Rate limiting utilities for Cloudflare Workers
- * KV-based fixed window rate limiter
+ * Token-bucket limiter backed by a Durable Object, with per-route policies
+ *
+ * Each bucket (route policy + client IP, or route policy + authenticated
+ * identity) lives in its own RateLimiter Durable Object. A Durable Object
+ * handles one request at a time, so taking a token is atomic and concurrent
+ * bursts cannot slip past the limit. A bucket holds `limit` tokens and refills
+ * continuously at `limit / windowSec` per second, so clients get their full
+ * allowance back gradually rather than all at once at a window boundary.
  */
 
+import { log } from './logger.js';
+import { sha256Hex } from './webhook.js';
+
 /**
  * Rate limit error class
  */
 export class RateLimitError extends Error {
-  constructor(message = 'Too Many Requests', retryAfterSec = 60) {
+  constructor(message = 'Too Many Requests', retryAfterSec = 60, info = null) {
     super(message);
     this.name = 'RateLimitError';
     this.status = 429;
     this.retryAfter = retryAfterSec;
+    this.info = info;
   }
 }
 
 /**
- * Enforces rate limiting using KV storage
- * @param {object} env - Environment with RATE_LIMIT_KV binding
- * @param {string} key - Rate limit key (e.g., IP address)
- * @param {number} limit - Maximum requests per window
- * @param {number} windowSec - Window duration in seconds
- * @returns {Promise<void>}
- * @throws {RateLimitError} - If rate limit exceeded
+ * Route policies, first match wins. `ip` and `identity` are { limit, windowSec }
+ * buckets, or null for none; identity buckets apply to authenticated callers.
+ * Limits can be overridden per policy name with the RATE_LIMITS JSON variable.
+ */
+const ROUTE_POLICIES = [
+  // Static assets and the liveness probe are never limited
+  { name: 'static', match: (path) => path === '/styles.css' || path === '/health', ip: null, identity: null },
+  // Readiness checks call GitHub; results are cached, but keep probes from hammering it
+  { name: 'health', match: (path) => path.startsWith('/health/'), ip: { limit: 30, windowSec: 60 }, identity: null },
+  // GitHub delivers webhook bursts from a small set of addresses
+  { name: 'webhook', match: (path, method) => path === '/' && method === 'POST', ip: { limit: 300, windowSec: 60 }, identity: null },
+  { name: 'login', match: (path) => ['/login', '/callback', '/logout'].includes(path), ip: { limit: 20, windowSec: 60 }, identity: null },
+  { name: 'cli', match: (path) => path === '/api/cli-provision', ip: { limit: 60, windowSec: 60 }, identity: { limit: 30, windowSec: 60 } },
+  {
+    name: 'write',
+    match: (path, method) => (path === '/api/provision' || path === '/api/jobs') && method !== 'GET',
+    ip: { limit: 30, windowSec: 60 },
+    identity: { limit: 20, windowSec: 60 }
+  },
+  { name: 'api', match: (path) => path.startsWith('/api/'), ip: { limit: 120, windowSec: 60 }, identity: { limit: 120, windowSec: 60 } },
+  { name: 'default', match: () => true, ip: { limit: 60, windowSec: 60 }, identity: null }
+];
+
+const MAX_LIMIT = 100000;
+const MAX_WINDOW_SEC = 24 * 60 * 60;
+
+function validateBucket(name, scope, bucket) {
+  if (bucket === null) return;
+  if (!bucket || typeof bucket !== 'object' ||
+      !Number.isInteger(bucket.limit) || bucket.limit < 1 || bucket.limit > MAX_LIMIT ||
+      !Number.isInteger(bucket.windowSec) || bucket.windowSec < 1 || bucket.windowSec > MAX_WINDOW_SEC) {
+    throw new Error(`Server misconfiguration: RATE_LIMITS ${name}.${scope} needs an integer limit and windowSec, or null`);
+  }
+}
+
+/**
+ * Returns the route policies with any RATE_LIMITS overrides applied
+ * @param {object} env - Environment object
+ * @returns {object[]} - Route policies
+ * @throws {Error} - If RATE_LIMITS is invalid
  */
-export async function enforceRateLimit(env, key, limit = 60, windowSec = 60) {
-  // Soft-disable if KV not configured
-  if (!env.RATE_LIMIT_KV) return;
-  
-  const bucket = Math.floor(Date.now() / 1000 / windowSec);
-  const kvKey = `rl:${key}:${bucket}`;
-  
-  const current = Number((await env.RATE_LIMIT_KV.get(kvKey)) || '0');
-  
-  if (current >= limit) {
-    throw new RateLimitError('Rate limit exceeded', windowSec);
+export function getRoutePolicies(env) {
+  if (!env.RATE_LIMITS) return ROUTE_POLICIES;
+
+  let overrides;
+  try {
+    overrides = JSON.parse(env.RATE_LIMITS);
+  } catch (error) {
+    throw new Error('Server misconfiguration: RATE_LIMITS is not valid JSON');
+  }
+
+  for (const [name, override] of Object.entries(overrides)) {
+    if (!ROUTE_POLICIES.some(policy => policy.name === name)) {
+      throw new Error(`Server misconfiguration: RATE_LIMITS has an unknown route policy: ${name}`);
+    }
+    if (!override || typeof override !== 'object') {
+      throw new Error(`Server misconfiguration: RATE_LIMITS ${name} must be an object`);
+    }
+    for (const scope of ['ip', 'identity']) {
+      if (override[scope] !== undefined) validateBucket(name, scope, override[scope]);
+    }
   }
-  
-  await env.RATE_LIMIT_KV.put(kvKey, String(current + 1), {
-    expirationTtl: windowSec
+
+  return ROUTE_POLICIES.map(policy => {
+    const override = overrides[policy.name] || {};
+    return {
+      ...policy,
+      ip: override.ip !== undefined ? override.ip : policy.ip,
+      identity: override.identity !== undefined ? override.identity : policy.identity
+    };
   });
 }
 
+/**
+ * Finds the policy for a request
+ * @param {object} env - Environment object
+ * @param {Request} req - Request object
+ * @returns {object} - Route policy
+ */
+export function getRoutePolicy(env, req) {
+  const path = new URL(req.url).pathname;
+  return getRoutePolicies(env).find(policy => policy.match(path, req.method));
+}
+
+/**
+ * Gets the client IP from Cloudflare headers
+ * @param {Request} req - Request object
+ * @returns {string|null} - Client IP
+ */
+export function getClientIp(req) {
+  return req.headers.get('cf-connecting-ip') ||
+         req.headers.get('x-forwarded-for') ||
+         req.headers.get('x-real-ip');
+}
+
 /**
  * Derives a client key from request for rate limiting
  * @param {Request} req - Request object
  * @returns {string} - Client identifier
  */
 export function getClientKey(req) {
-  // Try to get client IP from Cloudflare headers
-  const ip = req.headers.get('cf-connecting-ip') ||
-             req.headers.get('x-forwarded-for') ||
-             req.headers.get('x-real-ip');
-  
+  const url = new URL(req.url);
+  const ip = getClientIp(req);
+
   if (ip) {
-    const url = new URL(req.url);
     return `${ip}:${url.pathname}`;
   }
-  
+
   // Fallback to user agent + path
   const ua = req.headers.get('user-agent') || 'unknown';
-  const url = new URL(req.url);
   return `${ua}:${url.pathname}`;
 }
 
 /**
- * Checks remaining rate limit without incrementing
- * @param {object} env - Environment with RATE_LIMIT_KV
- * @param {string} key - Rate limit key
- * @param {number} limit - Maximum requests
- * @param {number} windowSec - Window duration
- * @returns {Promise<{remaining: number, reset: number}>}
+ * Takes a token from one bucket
  */
-export async function checkRateLimit(env, key, limit = 60, windowSec = 60) {
-  if (!env.RATE_LIMIT_KV) {
-    return { remaining: limit, reset: 0 };
+async function takeToken(env, key, bucket) {
+  const stub = env.RATE_LIMITER.get(env.RATE_LIMITER.idFromName(key));
+  const response = await stub.fetch('https://rate-limiter/take', {
+    method: 'POST',
+    body: JSON.stringify(bucket)
+  });
+  return { ...(await response.json()), limit: bucket.limit };
+}
+
+/**
+ * Takes a token from every bucket that applies to the request
+ * @param {object} env - Environment with RATE_LIMITER Durable Object binding
+ * @param {Request} req - Request object
+ * @param {string|null} identity - Authenticated caller (token or user id), hashed before use
+ * @returns {Promise<object|null>} - { allowed, limit, remaining, reset, retryAfter, scope } for
+ *   the most restrictive bucket, or null when no limit applies
+ */
+export async function checkRateLimit(env, req, identity = null) {
+  // Soft-disable if the Durable Object is not bound
+  if (!env.RATE_LIMITER) return null;
+
+  const policy = getRoutePolicy(env, req);
+  const buckets = [];
+  if (policy.ip) {
+    buckets.push({ scope: 'ip', key: `${policy.name}:ip:${getClientIp(req) || req.headers.get('user-agent') || 'unknown'}`, bucket: policy.ip });
+  }
+  if (policy.identity && identity) {
+    buckets.push({ scope: 'identity', key: `${policy.name}:id:${await sha256Hex(identity)}`, bucket: policy.identity });
+  }
+  if (buckets.length === 0) return null;
+
+  let results;
+  try {
+    results = await Promise.all(buckets.map(async ({ scope, key, bucket }) => ({
+      scope,
+      ...(await takeToken(env, key, bucket))
+    })));
+  } catch (error) {
+    // Fail open: an unavailable limiter should not take the worker down with it
+    log.error('Rate limiter unavailable', { policy: policy.name, error });
+    return null;
+  }
+
+  // Report the bucket that denied the request, or the one closest to empty
+  return results.find(result => !result.allowed) ||
+    results.reduce((lowest, result) => (result.remaining / result.limit < lowest.remaining / lowest.limit ? result : lowest));
+}
+
+/**
+ * Enforces the request's rate limits
+ * @param {object} env - Environment with RATE_LIMITER Durable Object binding
+ * @param {Request} req - Request object
+ * @param {string|null} identity - Authenticated caller, if any
+ * @returns {Promise<object|null>} - Rate limit info for the response headers
+ * @throws {RateLimitError} - If rate limit exceeded
+ */
+export async function enforceRateLimit(env, req, identity = null) {
+  const info = await checkRateLimit(env, req, identity);
+
+  if (info && !info.allowed) {
+    throw new RateLimitError('Rate limit exceeded', info.retryAfter, info);
   }
-  
-  const bucket = Math.floor(Date.now() / 1000 / windowSec);
-  const kvKey = `rl:${key}:${bucket}`;
-  
-  const current = Number((await env.RATE_LIMIT_KV.get(kvKey)) || '0');
-  const remaining = Math.max(0, limit - current);
-  const reset = (bucket + 1) * windowSec;
-  
-  return { remaining, reset };
+  return info;
 }
 
 /**
@@ -94,13 +215,68 @@ export async function checkRateLimit(env, key, limit = 60, windowSec = 60) {
  * @returns {Response} - Response with rate limit headers
  */
 export function withRateLimitHeaders(response, rateLimitInfo) {
+  if (!rateLimitInfo) return response;
+
   const newResponse = new Response(response.body, response);
-  
-  if (rateLimitInfo) {
-    newResponse.headers.set('X-RateLimit-Limit', String(rateLimitInfo.limit || 60));
-    newResponse.headers.set('X-RateLimit-Remaining', String(rateLimitInfo.remaining || 0));
-    newResponse.headers.set('X-RateLimit-Reset', String(rateLimitInfo.reset || 0));
-  }
-  
+  newResponse.headers.set('X-RateLimit-Limit', String(rateLimitInfo.limit));
+  newResponse.headers.set('X-RateLimit-Remaining', String(rateLimitInfo.remaining));
+  newResponse.headers.set('X-RateLimit-Reset', String(rateLimitInfo.reset));
+  newResponse.headers.set('X-RateLimit-Scope', rateLimitInfo.scope);
+
   return newResponse;
-}
\ No newline at end of file
+}
+
+/**
+ * Durable Object holding one token bucket
+ */
+export class RateLimiter {
+  constructor(state) {
+    this.state = state;
+    this.bucket = null;
+    this.loading = null;
+  }
+
+  /**
+   * Takes one token; body is { limit, windowSec }
+   * @param {Request} request - Request from takeToken
+   * @returns {Promise<Response>} - { allowed, remaining, reset, retryAfter }
+   */
+  async fetch(request) {
+    const { limit, windowSec } = await request.json();
+    const now = Date.now();
+    const ratePerMs = limit / (windowSec * 1000);
+
+    if (!this.bucket) {
+      // Requests arriving together share one load, so none starts from a full bucket
+      this.loading = this.loading || this.state.storage.get('bucket');
+      const stored = await this.loading;
+      this.bucket = this.bucket || stored || { tokens: limit, updatedAt: now };
+    }
+
+    // Refill for the time since the last request; a lowered limit caps the balance
+    const tokens = Math.min(limit, this.bucket.tokens + (now - this.bucket.updatedAt) * ratePerMs);
+    const allowed = tokens >= 1;
+    const remaining = allowed ? tokens - 1 : tokens;
+    this.bucket = { tokens: remaining, updatedAt: now };
+
+    const fullAt = now + Math.ceil((limit - remaining) / ratePerMs);
+    await this.state.storage.put('bucket', this.bucket);
+    // Drop the stored bucket once it has refilled; a fresh one is identical
+    await this.state.storage.setAlarm(fullAt);
+
+    return new Response(JSON.stringify({
+      allowed,
+      remaining: Math.floor(remaining),
+      reset: Math.ceil(fullAt / 1000),
+      retryAfter: allowed ? 0 : Math.ceil((1 - remaining) / ratePerMs / 1000)
+    }), {
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+
+  async alarm() {
+    this.bucket = null;
+    this.loading = null;
+    await this.state.storage.deleteAll();
+  }
+}
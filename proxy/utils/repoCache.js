@@ -0,0 +1,43 @@
+/**
+ * Repository cache utilities for Cloudflare Workers
+ * KV cache of each installation's repository list with secret status
+ */
+
+const REPO_CACHE_TTL_SEC = 300;
+
+/**
+ * Returns the cached repository list for an installation
+ * @param {object} env - Environment with GREENER_KV binding
+ * @param {number} installationId - Installation ID
+ * @returns {Promise<object[]|null>} - Cached repositories, or null on a miss
+ */
+export async function getCachedRepos(env, installationId) {
+  // Soft-disable if KV not configured
+  if (!env.GREENER_KV) return null;
+  return env.GREENER_KV.get(`repos:${installationId}`, 'json');
+}
+
+/**
+ * Caches an installation's repository list
+ * @param {object} env - Environment with GREENER_KV binding
+ * @param {number} installationId - Installation ID
+ * @param {object[]} repos - Repositories with secret status
+ * @returns {Promise<void>}
+ */
+export async function cacheRepos(env, installationId, repos) {
+  if (!env.GREENER_KV) return;
+  await env.GREENER_KV.put(`repos:${installationId}`, JSON.stringify(repos), {
+    expirationTtl: REPO_CACHE_TTL_SEC
+  });
+}
+
+/**
+ * Drops an installation's cached list after its repositories or secrets change
+ * @param {object} env - Environment with GREENER_KV binding
+ * @param {number} installationId - Installation ID
+ * @returns {Promise<void>}
+ */
+export async function invalidateRepos(env, installationId) {
+  if (!env.GREENER_KV || !installationId) return;
+  await env.GREENER_KV.delete(`repos:${installationId}`);
+}
@@ -0,0 +1,310 @@
+/**
+ * Secret rotation for Cloudflare Workers
+ * Tracks when repositories were provisioned and rotates their secrets in two phases
+ *
+ * Phase 1 (stage): new values are written as `<NAME>_NEXT` alongside the
+ * current secrets, so CI can switch over during the overlap window.
+ * Phase 2 (promote): after the window the staged values replace the current
+ * secrets and the `_NEXT` copies are deleted. GitHub never returns secret
+ * values, so staged values are kept in KV, sealed with ROTATION_KEY, until
+ * they are promoted.
+ *
+ * The rotation age is `auto_rotate_days` in .github/app-installations.json,
+ * bundled with the worker. Each cron tick examines a bounded batch of
+ * provisioning records and saves a KV cursor, so large installations are
+ * walked over several ticks instead of in one invocation.
+ */
+
+import installationsConfig from '../../.github/app-installations.json' with { type: 'json' };
+import { getTargetScope, withStores, REPOSITORY_TARGET, DEFAULT_STORES } from './secretTargets.js';
+
+const DEFAULT_ROTATE_DAYS = 30;
+const DEFAULT_OVERLAP_HOURS = 24;
+// Staging one repo costs about a dozen subrequests, so this stays well under the limit
+const DEFAULT_BATCH_SIZE = 50;
+const CURSOR_KEY = 'rotation-cursor';
+export const NEXT_SUFFIX = '_NEXT';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Reads the rotation policy: the age from app-installations.json, the
+ * overlap window and batch size from the environment
+ * @param {object} env - Environment object
+ * @param {object} config - Parsed app-installations.json
+ * @returns {{rotateDays: number, overlapHours: number, batchSize: number}}
+ */
+export function getRotationPolicy(env, config = installationsConfig) {
+  const rotateDays = Number(config && config.auto_rotate_days);
+  const overlapHours = Number(env.ROTATION_OVERLAP_HOURS);
+  const batchSize = Number(env.ROTATION_BATCH_SIZE);
+
+  return {
+    rotateDays: Number.isFinite(rotateDays) && rotateDays > 0 ? rotateDays : DEFAULT_ROTATE_DAYS,
+    overlapHours: Number.isFinite(overlapHours) && overlapHours >= 0 ? overlapHours : DEFAULT_OVERLAP_HOURS,
+    batchSize: Number.isInteger(batchSize) && batchSize > 0 ? batchSize : DEFAULT_BATCH_SIZE
+  };
+}
+
+/**
+ * Records that a repository's secrets were just provisioned
+ * @param {object} env - Environment with GREENER_KV binding
+ * @param {object} entry - { installationId, repo, templateId, target, stores }
+ * @param {number} now - Current time in ms
+ * @returns {Promise<void>}
+ */
+export async function recordProvisioned(env, { installationId, repo, templateId, target, stores }, now = Date.now()) {
+  // Soft-disable if KV not configured
+  if (!env.GREENER_KV) return;
+
+  const scope = getTargetScope(target, repo);
+  await env.GREENER_KV.put(`provisioned:${scope}`, JSON.stringify({
+    repo,
+    scope,
+    installationId,
+    templateId,
+    target: target || REPOSITORY_TARGET,
+    stores: stores || DEFAULT_STORES,
+    provisionedAt: new Date(now).toISOString(),
+    rotation: null
+  }));
+}
+
+/**
+ * Forgets a scope's provisioning record, so scheduled rotation stops writing
+ * secrets that were deprovisioned
+ * @param {object} env - Environment with GREENER_KV binding
+ * @param {object} target - Parsed target
+ * @param {string} repo - Repository the target belongs to
+ * @returns {Promise<void>}
+ */
+export async function forgetProvisioned(env, target, repo) {
+  if (!env.GREENER_KV) return;
+
+  const scope = getTargetScope(target, repo);
+  await env.GREENER_KV.delete(`provisioned:${scope}`);
+  await env.GREENER_KV.delete(`rotation:${scope}`);
+}
+
+/**
+ * Lists provisioning records, optionally only an installation's
+ * @param {object} env - Environment with GREENER_KV binding
+ * @param {number|null} installationId - Installation ID filter
+ * @returns {Promise<object[]>} - Provisioning records
+ */
+export async function listProvisioned(env, installationId = null) {
+  if (!env.GREENER_KV) return [];
+
+  const records = [];
+  let cursor;
+
+  do {
+    const page = await env.GREENER_KV.list({ prefix: 'provisioned:', cursor });
+
+    for (const key of page.keys) {
+      const record = await env.GREENER_KV.get(key.name, 'json');
+      if (record && (!installationId || record.installationId === installationId)) {
+        records.push(record);
+      }
+    }
+
+    cursor = page.list_complete ? undefined : page.cursor;
+  } while (cursor);
+
+  return records;
+}
+
+/**
+ * Returns the KV scope of a record; records written before targets existed are repo-scoped
+ */
+function recordScope(record) {
+  return record.scope || record.repo;
+}
+
+/**
+ * Writes a secret to every store the record was provisioned into
+ */
+async function setInStores(env, record, deps, name, value) {
+  for (const target of withStores(record.target || REPOSITORY_TARGET, record.stores || DEFAULT_STORES)) {
+    await deps.setRepoSecret(env, record.installationId, record.repo, name, value, target);
+  }
+}
+
+/**
+ * Deletes a secret from every store the record was provisioned into
+ */
+async function deleteFromStores(env, record, deps, name) {
+  for (const target of withStores(record.target || REPOSITORY_TARGET, record.stores || DEFAULT_STORES)) {
+    await deps.deleteRepoSecret(env, record.installationId, record.repo, name, target);
+  }
+}
+
+/**
+ * Derives the AES-GCM key used to seal staged values
+ */
+async function getStagingKey(env) {
+  const material = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(env.ROTATION_KEY));
+  return crypto.subtle.importKey('raw', material, 'AES-GCM', false, ['encrypt', 'decrypt']);
+}
+
+async function sealStaged(env, repo, values) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(repo) },
+    await getStagingKey(env),
+    new TextEncoder().encode(JSON.stringify(values))
+  );
+  return JSON.stringify({
+    iv: btoa(String.fromCharCode(...iv)),
+    data: btoa(String.fromCharCode(...new Uint8Array(ciphertext)))
+  });
+}
+
+async function openStaged(env, repo, sealed) {
+  const { iv, data } = JSON.parse(sealed);
+  const toBytes = (b64) => Uint8Array.from(atob(b64), ch => ch.charCodeAt(0));
+  const plaintext = await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: toBytes(iv), additionalData: new TextEncoder().encode(repo) },
+    await getStagingKey(env),
+    toBytes(data)
+  );
+  return JSON.parse(new TextDecoder().decode(plaintext));
+}
+
+/**
+ * Phase 1: writes new values as <NAME>_NEXT and keeps them sealed until promotion
+ */
+async function stageRotation(env, record, deps, policy, now) {
+  const scope = recordScope(record);
+  const values = deps.generateSecrets(env, record);
+
+  for (const [name, value] of Object.entries(values)) {
+    await setInStores(env, record, deps, `${name}${NEXT_SUFFIX}`, value);
+  }
+
+  const overlapMs = policy.overlapHours * HOUR_MS;
+  await env.GREENER_KV.put(`rotation:${scope}`, await sealStaged(env, scope, values), {
+    // Keep staged values a day past the window in case a cron run is missed
+    expirationTtl: Math.ceil((overlapMs + DAY_MS) / 1000)
+  });
+
+  const rotation = {
+    stagedAt: new Date(now).toISOString(),
+    promoteAfter: new Date(now + overlapMs).toISOString()
+  };
+  await env.GREENER_KV.put(`provisioned:${scope}`, JSON.stringify({ ...record, rotation }));
+
+  return { repo: record.repo, status: 'staged', secrets: Object.keys(values), promoteAfter: rotation.promoteAfter };
+}
+
+/**
+ * Phase 2: replaces the current secrets with the staged values
+ */
+async function promoteRotation(env, record, deps, now) {
+  const scope = recordScope(record);
+  const sealed = await env.GREENER_KV.get(`rotation:${scope}`);
+  if (!sealed) {
+    // Staged values expired; start over on the next run
+    await env.GREENER_KV.put(`provisioned:${scope}`, JSON.stringify({ ...record, rotation: null }));
+    return { repo: record.repo, status: 'restarted', secrets: [] };
+  }
+
+  const values = await openStaged(env, scope, sealed);
+
+  for (const [name, value] of Object.entries(values)) {
+    await setInStores(env, record, deps, name, value);
+  }
+  for (const name of Object.keys(values)) {
+    await deleteFromStores(env, record, deps, `${name}${NEXT_SUFFIX}`);
+  }
+
+  await env.GREENER_KV.delete(`rotation:${scope}`);
+  await recordProvisioned(env, record, now);
+
+  return { repo: record.repo, status: 'rotated', secrets: Object.keys(values) };
+}
+
+/**
+ * Rotates immediately when no overlap window is configured
+ */
+async function rotateInPlace(env, record, deps, now) {
+  const values = deps.generateSecrets(env, record);
+
+  for (const [name, value] of Object.entries(values)) {
+    await setInStores(env, record, deps, name, value);
+  }
+
+  await recordProvisioned(env, record, now);
+  return { repo: record.repo, status: 'rotated', secrets: Object.keys(values) };
+}
+
+/**
+ * Advances one repository through the rotation cycle
+ * @param {object} env - Environment object
+ * @param {object} record - Provisioning record from KV
+ * @param {object} deps - { generateSecrets, setRepoSecret, deleteRepoSecret }
+ * @param {object} policy - Rotation policy
+ * @param {number} now - Current time in ms
+ * @returns {Promise<object|null>} - Result, or null if nothing was due
+ */
+export async function rotateRepo(env, record, deps, policy, now = Date.now()) {
+  if (record.rotation) {
+    return Date.parse(record.rotation.promoteAfter) <= now
+      ? promoteRotation(env, record, deps, now)
+      : null;
+  }
+
+  const age = now - Date.parse(record.provisionedAt);
+  if (age < policy.rotateDays * DAY_MS) {
+    return null;
+  }
+
+  if (policy.overlapHours === 0) {
+    return rotateInPlace(env, record, deps, now);
+  }
+
+  if (!env.ROTATION_KEY) {
+    return { repo: record.repo, status: 'skipped', error: 'ROTATION_KEY is not set' };
+  }
+
+  return stageRotation(env, record, deps, policy, now);
+}
+
+/**
+ * Examines the next batch of provisioned repositories and rotates those past
+ * the rotation age. The KV cursor is saved after each batch and cleared once
+ * the walk reaches the end, so the next tick starts over.
+ * @param {object} env - Environment with GREENER_KV binding
+ * @param {object} deps - { generateSecrets, setRepoSecret, deleteRepoSecret }
+ * @param {number} now - Current time in ms
+ * @returns {Promise<object[]>} - Per-repo results for repos in the batch that were due
+ */
+export async function runRotation(env, deps, now = Date.now()) {
+  if (!env.GREENER_KV) return [];
+
+  const policy = getRotationPolicy(env);
+  const results = [];
+  const cursor = await env.GREENER_KV.get(CURSOR_KEY);
+  const page = await env.GREENER_KV.list({ prefix: 'provisioned:', cursor: cursor || undefined, limit: policy.batchSize });
+
+  for (const key of page.keys) {
+    const record = await env.GREENER_KV.get(key.name, 'json');
+    if (!record) continue;
+
+    try {
+      const result = await rotateRepo(env, record, deps, policy, now);
+      if (result) results.push({ ...result, installationId: record.installationId });
+    } catch (error) {
+      results.push({ repo: record.repo, installationId: record.installationId, status: 'error', error: error.message });
+    }
+  }
+
+  if (page.list_complete) {
+    await env.GREENER_KV.delete(CURSOR_KEY);
+  } else {
+    await env.GREENER_KV.put(CURSOR_KEY, page.cursor);
+  }
+
+  return results;
+}
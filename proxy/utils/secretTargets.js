@@ -0,0 +1,251 @@
+/**
+ * Secret target utilities for Cloudflare Workers
+ * Repository, environment and organization secret endpoints with their public keys
+ *
+ * A target says where secrets live; a store says which feature reads them
+ * (Actions, Dependabot or Codespaces). Repository and organization targets
+ * support every store; environment secrets exist only for Actions.
+ */
+
+import { encryptSecret } from './sodium.js';
+import { githubRequest, githubPaginate, GitHubNotFoundError } from './githubClient.js';
+
+const ORG_VISIBILITIES = ['all', 'private', 'selected'];
+const ORG_NAME_RE = /^[A-Za-z0-9](?:[A-Za-z0-9-]{0,38})$/;
+
+export const SECRET_STORES = ['actions', 'dependabot', 'codespaces'];
+export const DEFAULT_STORES = Object.freeze(['actions']);
+
+export const REPOSITORY_TARGET = Object.freeze({ type: 'repository' });
+
+/**
+ * Validates the `target` field of a provisioning request
+ * @param {*} value - Raw target (omitted means repository secrets)
+ * @returns {object} - { type: 'repository' }
+ *   | { type: 'environment', environment }
+ *   | { type: 'organization', org, visibility, selected_repository_ids }
+ * @throws {Response} - 400 error if validation fails
+ */
+export function parseSecretTarget(value) {
+  if (value === null || value === undefined) {
+    return REPOSITORY_TARGET;
+  }
+
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    throw new Response('target must be an object', { status: 400 });
+  }
+
+  switch (value.type) {
+    case 'repository':
+      return REPOSITORY_TARGET;
+
+    case 'environment': {
+      const environment = typeof value.environment === 'string' ? value.environment.trim() : '';
+      if (!environment || environment.length > 255) {
+        throw new Response('Missing or invalid target.environment', { status: 400 });
+      }
+      return { type: 'environment', environment };
+    }
+
+    case 'organization': {
+      const org = value.org === undefined || value.org === null ? null : value.org;
+      if (org !== null && (typeof org !== 'string' || !ORG_NAME_RE.test(org))) {
+        throw new Response('Invalid target.org', { status: 400 });
+      }
+
+      const visibility = value.visibility || 'private';
+      if (!ORG_VISIBILITIES.includes(visibility)) {
+        throw new Response(`target.visibility must be one of: ${ORG_VISIBILITIES.join(', ')}`, { status: 400 });
+      }
+
+      let selectedIds = null;
+      if (visibility === 'selected') {
+        const ids = value.selected_repository_ids;
+        if (!Array.isArray(ids) || ids.length === 0 || ids.length > 1000) {
+          throw new Response('target.selected_repository_ids is required for selected visibility', { status: 400 });
+        }
+        if (!ids.every(id => Number.isInteger(id) && id > 0)) {
+          throw new Response('Invalid target.selected_repository_ids', { status: 400 });
+        }
+        selectedIds = ids;
+      }
+
+      return { type: 'organization', org, visibility, selected_repository_ids: selectedIds };
+    }
+
+    default:
+      throw new Response('target.type must be one of: repository, environment, organization', { status: 400 });
+  }
+}
+
+/**
+ * Validates the `stores` field of a provisioning request
+ * @param {*} value - Raw store list (omitted means Actions only)
+ * @param {object} target - Parsed target
+ * @returns {string[]} - Unique store names
+ * @throws {Response} - 400 error if validation fails
+ */
+export function parseSecretStores(value, target) {
+  if (value === null || value === undefined) {
+    return [...DEFAULT_STORES];
+  }
+
+  if (!Array.isArray(value) || value.length === 0) {
+    throw new Response('stores must be a non-empty array', { status: 400 });
+  }
+
+  const stores = [];
+  for (const store of value) {
+    if (!SECRET_STORES.includes(store)) {
+      throw new Response(`stores must contain only: ${SECRET_STORES.join(', ')}`, { status: 400 });
+    }
+    if (!stores.includes(store)) stores.push(store);
+  }
+
+  if (target.type === 'environment' && stores.some(store => store !== 'actions')) {
+    throw new Response('Environment targets only support the actions store', { status: 400 });
+  }
+
+  return stores;
+}
+
+/**
+ * Resolves the organization an org target writes to (defaults to the repo owner)
+ */
+function targetOrg(target, repoFullName) {
+  return target.org || repoFullName.split('/')[0];
+}
+
+/**
+ * Returns a stable key identifying where a target's secrets live
+ * @param {object} target - Parsed target
+ * @param {string} repoFullName - Repository being provisioned
+ * @returns {string} - owner/repo, owner/repo:env:<name> or org:<org>
+ */
+export function getTargetScope(target, repoFullName) {
+  switch (target && target.type) {
+    case 'environment':
+      return `${repoFullName}:env:${target.environment}`;
+    case 'organization':
+      return `org:${targetOrg(target, repoFullName)}`;
+    default:
+      return repoFullName;
+  }
+}
+
+/**
+ * Builds the secrets collection path for a target
+ * @param {object} target - Parsed target, optionally with a `store` (default actions)
+ * @param {string} repoFullName - Repository being provisioned
+ * @returns {string} - API path (append /public-key or /{name})
+ */
+export function getSecretsPath(target, repoFullName) {
+  const store = (target && target.store) || 'actions';
+
+  switch (target && target.type) {
+    case 'environment':
+      return `/repos/${repoFullName}/environments/${encodeURIComponent(target.environment)}/secrets`;
+    case 'organization':
+      return `/orgs/${targetOrg(target, repoFullName)}/${store}/secrets`;
+    default:
+      return `/repos/${repoFullName}/${store}/secrets`;
+  }
+}
+
+/**
+ * Expands a target into one target per store
+ * @param {object} target - Parsed target
+ * @param {string[]} stores - Store names
+ * @returns {object[]} - Targets with `store` set
+ */
+export function withStores(target, stores = DEFAULT_STORES) {
+  return stores.map(store => ({ ...target, store }));
+}
+
+/**
+ * Fetches the public key secrets for a target must be sealed with
+ * @param {string} token - GitHub token
+ * @param {object} target - Parsed target
+ * @param {string} repoFullName - Repository being provisioned
+ * @param {string} userAgent - User-Agent header
+ * @returns {Promise<{key_id: string, key: string}>}
+ * @throws {GitHubApiError} - If the key cannot be fetched
+ */
+export async function getTargetPublicKey(token, target, repoFullName, userAgent) {
+  return githubRequest(`${getSecretsPath(target, repoFullName)}/public-key`, { token, userAgent });
+}
+
+/**
+ * Lists the secrets already in a target (names and timestamps; GitHub never returns values)
+ * @param {string} token - GitHub token
+ * @param {object} target - Parsed target
+ * @param {string} repoFullName - Repository being provisioned
+ * @param {string} userAgent - User-Agent header
+ * @returns {Promise<Array<{name: string, created_at: string, updated_at: string}>>}
+ * @throws {GitHubApiError} - If the secrets cannot be listed
+ */
+export async function listTargetSecrets(token, target, repoFullName, userAgent) {
+  const secrets = await githubPaginate(`${getSecretsPath(target, repoFullName)}?per_page=100`, {
+    token,
+    userAgent,
+    itemsKey: 'secrets'
+  });
+  return secrets.map(({ name, created_at, updated_at }) => ({ name, created_at, updated_at }));
+}
+
+/**
+ * Creates or updates a secret in a target
+ * @param {string} token - GitHub token
+ * @param {object} target - Parsed target
+ * @param {string} repoFullName - Repository being provisioned
+ * @param {string} secretName - Secret name
+ * @param {string} secretValue - Plaintext value
+ * @param {string} userAgent - User-Agent header
+ * @returns {Promise<void>}
+ * @throws {GitHubApiError} - If GitHub rejects the write
+ */
+export async function putTargetSecret(token, target, repoFullName, secretName, secretValue, userAgent) {
+  const keyData = await getTargetPublicKey(token, target, repoFullName, userAgent);
+
+  const body = {
+    encrypted_value: encryptSecret(secretValue, keyData.key),
+    key_id: keyData.key_id
+  };
+
+  if (target.type === 'organization') {
+    body.visibility = target.visibility;
+    if (target.selected_repository_ids) {
+      body.selected_repository_ids = target.selected_repository_ids;
+    }
+  }
+
+  await githubRequest(`${getSecretsPath(target, repoFullName)}/${secretName}`, {
+    token,
+    userAgent,
+    method: 'PUT',
+    body
+  });
+}
+
+/**
+ * Deletes a secret from a target; a missing secret counts as deleted
+ * @param {string} token - GitHub token
+ * @param {object} target - Parsed target
+ * @param {string} repoFullName - Repository being provisioned
+ * @param {string} secretName - Secret name
+ * @param {string} userAgent - User-Agent header
+ * @returns {Promise<void>}
+ * @throws {GitHubApiError} - If GitHub rejects the delete
+ */
+export async function deleteTargetSecret(token, target, repoFullName, secretName, userAgent) {
+  try {
+    await githubRequest(`${getSecretsPath(target, repoFullName)}/${secretName}`, {
+      token,
+      userAgent,
+      method: 'DELETE'
+    });
+  } catch (error) {
+    // 404 means the secret is already gone
+    if (!(error instanceof GitHubNotFoundError)) throw error;
+  }
+}
@@ -0,0 +1,280 @@
+/**
+ * Session utilities for Cloudflare Workers
+ * GitHub OAuth login and HMAC-signed session cookies
+ *
+ * The session cookie carries the user's login, the ids of the app
+ * installations their GitHub account can access and, when the access policy
+ * names teams, their team memberships. These are resolved once at login, so
+ * authorization needs no KV read or GitHub call per request. Access granted or
+ * revoked on GitHub takes effect at the next login (sessions last 8 hours).
+ * The user's OAuth token is used during the callback only and never stored.
+ */
+
+import { githubRequest, githubPaginate } from './githubClient.js';
+import { getCookie } from './http.js';
+import { getAccessPolicy, policyUsesTeams, listUserTeams } from './policy.js';
+import { getLogger } from './logger.js';
+
+export const SESSION_COOKIE = 'greener_session';
+const STATE_COOKIE = 'greener_oauth_state';
+const SESSION_TTL_SEC = 8 * 60 * 60;
+const STATE_TTL_SEC = 10 * 60;
+// Keep the cookie under the 4 KB browser limit
+const MAX_SESSION_INSTALLATIONS = 100;
+const MAX_SESSION_TEAMS = 40;
+const DEFAULT_RETURN_TO = '/configure';
+// Return paths are resolved against a placeholder origin to find where they lead
+const RETURN_TO_BASE = 'https://return-to.invalid';
+
+const GITHUB_AUTHORIZE_URL = 'https://github.com/login/oauth/authorize';
+const GITHUB_TOKEN_URL = 'https://github.com/login/oauth/access_token';
+const USER_AGENT = 'Greener-CI-CD-Worker';
+
+/**
+ * Whether GitHub login can be offered
+ * @param {object} env - Environment object
+ * @returns {boolean}
+ */
+export function isLoginConfigured(env) {
+  return Boolean(env.CLIENT_ID && env.CLIENT_SECRET && env.SESSION_SECRET);
+}
+
+function base64urlEncode(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/g, '');
+}
+
+function base64urlDecode(text) {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+function hmacKey(secret) {
+  return crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign', 'verify']
+  );
+}
+
+/**
+ * Signs a payload as `<base64url JSON>.<base64url HMAC-SHA256>`
+ * @param {string} secret - Signing secret
+ * @param {object} payload - Data to sign; `exp` (seconds) bounds its lifetime
+ * @returns {Promise<string>} - Signed value
+ */
+export async function signValue(secret, payload) {
+  const body = base64urlEncode(new TextEncoder().encode(JSON.stringify(payload)));
+  const signature = await crypto.subtle.sign('HMAC', await hmacKey(secret), new TextEncoder().encode(body));
+  return `${body}.${base64urlEncode(new Uint8Array(signature))}`;
+}
+
+/**
+ * Verifies a signed value
+ * @param {string} secret - Signing secret
+ * @param {string|null} value - Value from signValue
+ * @param {number} nowSec - Current time in seconds
+ * @returns {Promise<object|null>} - Payload, or null if tampered with or expired
+ */
+export async function verifyValue(secret, value, nowSec = Math.floor(Date.now() / 1000)) {
+  if (!value) return null;
+  const [body, signature, extra] = value.split('.');
+  if (!body || !signature || extra !== undefined) return null;
+
+  try {
+    // crypto.subtle.verify compares in constant time
+    const valid = await crypto.subtle.verify(
+      'HMAC',
+      await hmacKey(secret),
+      base64urlDecode(signature),
+      new TextEncoder().encode(body)
+    );
+    if (!valid) return null;
+
+    const payload = JSON.parse(new TextDecoder().decode(base64urlDecode(body)));
+    if (!payload || typeof payload.exp !== 'number' || payload.exp <= nowSec) return null;
+    return payload;
+  } catch (error) {
+    return null;
+  }
+}
+
+function cookie(name, value, maxAge) {
+  // Lax: the cookies must survive the top-level redirect back from github.com
+  return `${name}=${value}; Path=/; HttpOnly; Secure; SameSite=Lax; Max-Age=${maxAge}`;
+}
+
+/**
+ * Reads the session from the request cookie
+ * @param {Request} request - Incoming request
+ * @param {object} env - Environment with SESSION_SECRET
+ * @returns {Promise<object|null>} - { login, userId, installations, teams, exp }, or null if not signed in
+ */
+export async function getSession(request, env) {
+  if (!env.SESSION_SECRET) return null;
+  return verifyValue(env.SESSION_SECRET, getCookie(request, SESSION_COOKIE));
+}
+
+/**
+ * Whether the session's user can access an installation
+ * @param {object} session - Session from getSession
+ * @param {number} installationId - Installation ID
+ * @returns {boolean}
+ */
+export function canAccessInstallation(session, installationId) {
+  return session.installations.includes(installationId);
+}
+
+/**
+ * Set-Cookie value that signs the user out
+ * @returns {string}
+ */
+export function clearSessionCookie() {
+  return cookie(SESSION_COOKIE, '', 0);
+}
+
+/**
+ * Accepts only same-origin paths, so login cannot redirect off-site
+ * @param {string|null} value - Requested return path
+ * @returns {string} - Safe path (default /configure)
+ */
+export function safeReturnTo(value) {
+  // Browsers drop tabs and newlines from a Location, so `/\t/evil.com` would become `//evil.com`
+  if (typeof value !== 'string' || !value.startsWith('/') || /[\x00-\x20\x7f\\]/.test(value)) {
+    return DEFAULT_RETURN_TO;
+  }
+
+  let url;
+  try {
+    url = new URL(value, RETURN_TO_BASE);
+  } catch (error) {
+    return DEFAULT_RETURN_TO;
+  }
+  const path = url.pathname + url.search;
+  // Dot segments can resolve to a protocol-relative path (`/.//evil.com`)
+  if (url.origin !== RETURN_TO_BASE || path.startsWith('//')) {
+    return DEFAULT_RETURN_TO;
+  }
+  return path.slice(0, 512);
+}
+
+function callbackUrl(request) {
+  return `${new URL(request.url).origin}/callback`;
+}
+
+/**
+ * Starts GitHub OAuth: redirects to GitHub with a state bound to a short-lived cookie
+ * @param {Request} request - Incoming request
+ * @param {object} env - Environment with CLIENT_ID and SESSION_SECRET
+ * @param {string|null} returnTo - Path to return to after login
+ * @returns {Promise<Response>} - 302 to GitHub
+ */
+export async function beginLogin(request, env, returnTo) {
+  const state = crypto.randomUUID();
+  const signedState = await signValue(env.SESSION_SECRET, {
+    state,
+    returnTo: safeReturnTo(returnTo),
+    exp: Math.floor(Date.now() / 1000) + STATE_TTL_SEC
+  });
+
+  const authorizeUrl = new URL(GITHUB_AUTHORIZE_URL);
+  authorizeUrl.searchParams.set('client_id', env.CLIENT_ID);
+  authorizeUrl.searchParams.set('redirect_uri', callbackUrl(request));
+  authorizeUrl.searchParams.set('state', state);
+
+  const headers = new Headers({ Location: authorizeUrl.toString(), 'Cache-Control': 'no-store' });
+  headers.append('Set-Cookie', cookie(STATE_COOKIE, signedState, STATE_TTL_SEC));
+  return new Response(null, { status: 302, headers });
+}
+
+/**
+ * Whether the request carries a login started by beginLogin
+ * @param {Request} request - Incoming request
+ * @returns {boolean}
+ */
+export function hasLoginState(request) {
+  return Boolean(getCookie(request, STATE_COOKIE));
+}
+
+/**
+ * Exchanges an OAuth code for a token
+ */
+async function exchangeCode(request, env, code) {
+  const startedAt = Date.now();
+  const response = await fetch(GITHUB_TOKEN_URL, {
+    method: 'POST',
+    headers: {
+      'Accept': 'application/json',
+      'Content-Type': 'application/json',
+      'User-Agent': USER_AGENT
+    },
+    body: JSON.stringify({
+      client_id: env.CLIENT_ID,
+      client_secret: env.CLIENT_SECRET,
+      code,
+      redirect_uri: callbackUrl(request)
+    })
+  });
+
+  getLogger().recordGithubCall({
+    method: 'POST',
+    path: new URL(GITHUB_TOKEN_URL).pathname,
+    status: response.status,
+    latencyMs: Date.now() - startedAt,
+    attempt: 0
+  });
+
+  const data = await response.json().catch(() => ({}));
+  // GitHub reports a bad or expired code as 200 with an `error` field
+  if (!response.ok || !data.access_token) {
+    throw new Response(`GitHub login failed: ${data.error_description || data.error || `HTTP ${response.status}`}`, {
+      status: 401
+    });
+  }
+  return data.access_token;
+}
+
+/**
+ * Completes GitHub OAuth: checks the state, exchanges the code and signs the user in
+ * @param {Request} request - Callback request with `code` and `state`
+ * @param {object} env - Environment with CLIENT_ID, CLIENT_SECRET and SESSION_SECRET
+ * @returns {Promise<Response>} - 302 to the page the login started from, with the session cookie
+ * @throws {Response} - 400 if the state does not match, 401 if GitHub rejects the code
+ */
+export async function completeLogin(request, env) {
+  const params = new URL(request.url).searchParams;
+  const code = params.get('code');
+  const pending = await verifyValue(env.SESSION_SECRET, getCookie(request, STATE_COOKIE));
+
+  // The state ties the callback to a login this browser started (login CSRF)
+  if (!code || !pending || params.get('state') !== pending.state) {
+    throw new Response('Login expired or was not started here; please sign in again', { status: 400 });
+  }
+
+  const token = await exchangeCode(request, env, code);
+  const user = await githubRequest('/user', { token, userAgent: USER_AGENT });
+  const installations = await githubPaginate('/user/installations?per_page=100', {
+    token,
+    userAgent: USER_AGENT,
+    itemsKey: 'installations'
+  });
+  const teams = policyUsesTeams(getAccessPolicy(env)) ? await listUserTeams(token, USER_AGENT) : [];
+
+  const session = await signValue(env.SESSION_SECRET, {
+    login: user.login,
+    userId: user.id,
+    installations: installations.slice(0, MAX_SESSION_INSTALLATIONS).map(installation => installation.id),
+    teams: teams.slice(0, MAX_SESSION_TEAMS),
+    exp: Math.floor(Date.now() / 1000) + SESSION_TTL_SEC
+  });
+
+  const headers = new Headers({ Location: pending.returnTo, 'Cache-Control': 'no-store' });
+  headers.append('Set-Cookie', cookie(SESSION_COOKIE, session, SESSION_TTL_SEC));
+  headers.append('Set-Cookie', cookie(STATE_COOKIE, '', 0));
+  return new Response(null, { status: 302, headers });
+}
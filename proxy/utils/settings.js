@@ -0,0 +1,114 @@
+/**
+ * Settings utilities for Cloudflare Workers
+ * Per-installation settings behind the /admin control panel
+ *
+ * Settings are stored as `settings:{installationId}`. Fields that were never
+ * saved fall back to defaults, so adding a setting needs no migration:
+ * auto-provisioning defaults to the AUTO_PROVISION variable, notifications
+ * are on and debug logging is off.
+ */
+
+import { getEnvVar } from './env.js';
+import { parseOptionalBoolean } from './validation.js';
+
+const SETTINGS_PREFIX = 'settings:';
+
+export const SETTINGS_FIELDS = ['autoProvision', 'webhookNotifications', 'debugLogging'];
+
+function settingsKey(installationId) {
+  return `${SETTINGS_PREFIX}${installationId}`;
+}
+
+/**
+ * Settings for an installation that has saved none
+ * @param {object} env - Environment object
+ * @returns {object} - { autoProvision, webhookNotifications, debugLogging }
+ */
+export function getDefaultSettings(env) {
+  return {
+    autoProvision: getEnvVar(env, 'AUTO_PROVISION', 'false') === 'true',
+    webhookNotifications: true,
+    debugLogging: false
+  };
+}
+
+/**
+ * Reads an installation's settings
+ * @param {object} env - Environment with GREENER_KV binding
+ * @param {number} installationId - Installation ID
+ * @returns {Promise<object>} - { settings, updatedAt, updatedBy }; defaults if none are saved
+ */
+export async function getSettingsRecord(env, installationId) {
+  const defaults = getDefaultSettings(env);
+  // Soft-disable if KV not configured
+  if (!env.GREENER_KV) return { settings: defaults, updatedAt: null, updatedBy: null };
+
+  const stored = await env.GREENER_KV.get(settingsKey(installationId), 'json');
+  if (!stored) return { settings: defaults, updatedAt: null, updatedBy: null };
+
+  const settings = { ...defaults };
+  for (const field of SETTINGS_FIELDS) {
+    if (typeof stored.settings[field] === 'boolean') settings[field] = stored.settings[field];
+  }
+  return { settings, updatedAt: stored.updatedAt || null, updatedBy: stored.updatedBy || null };
+}
+
+/**
+ * Reads an installation's settings
+ * @param {object} env - Environment with GREENER_KV binding
+ * @param {number} installationId - Installation ID
+ * @returns {Promise<object>} - { autoProvision, webhookNotifications, debugLogging }
+ */
+export async function getSettings(env, installationId) {
+  return (await getSettingsRecord(env, installationId)).settings;
+}
+
+/**
+ * Validates a settings update; only the fields given are changed
+ * @param {*} payload - Parsed request body
+ * @returns {object} - Fields to change
+ * @throws {Response} - 400 for unknown fields, non-boolean values or an empty update
+ */
+export function parseSettingsUpdate(payload) {
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    throw new Response('Settings must be a JSON object', { status: 400 });
+  }
+
+  const unknown = Object.keys(payload).filter(field => !SETTINGS_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    throw new Response(`Unknown settings: ${unknown.join(', ')}`, { status: 400 });
+  }
+
+  const update = {};
+  for (const field of SETTINGS_FIELDS) {
+    if (payload[field] !== undefined) update[field] = parseOptionalBoolean(payload[field], field);
+  }
+  if (Object.keys(update).length === 0) {
+    throw new Response(`Provide at least one of: ${SETTINGS_FIELDS.join(', ')}`, { status: 400 });
+  }
+  return update;
+}
+
+/**
+ * Saves changes to an installation's settings
+ * @param {object} env - Environment with GREENER_KV binding
+ * @param {number} installationId - Installation ID
+ * @param {object} update - Fields to change, from parseSettingsUpdate
+ * @param {string|null} actor - Login of the user making the change
+ * @returns {Promise<object>} - { settings, updatedAt, updatedBy } after the change
+ * @throws {Error} - If KV is not configured
+ */
+export async function saveSettings(env, installationId, update, actor) {
+  if (!env.GREENER_KV) {
+    throw new Error('Server misconfiguration: GREENER_KV is required to save settings');
+  }
+
+  const current = await getSettingsRecord(env, installationId);
+  const record = {
+    settings: { ...current.settings, ...update },
+    updatedAt: new Date().toISOString(),
+    updatedBy: actor || null
+  };
+  await env.GREENER_KV.put(settingsKey(installationId), JSON.stringify(record));
+  return record;
+}
@@ -0,0 +1,467 @@
+/**
+ * Sealed box encryption for Cloudflare Workers
+ * Pure JS libsodium crypto_box_seal (X25519 + XSalsa20-Poly1305) for GitHub secrets
+ */
+
+const SEAL_NONCE_BYTES = 24;
+const BOX_MAC_BYTES = 16;
+const KEY_BYTES = 32;
+
+// "expand 32-byte k"
+const SIGMA = new Uint32Array([0x61707865, 0x3320646e, 0x79622d32, 0x6b206574]);
+
+/* ------------------------------------------------------------------ */
+/* Field arithmetic mod 2^255 - 19 (16 limbs of 16 bits, per TweetNaCl) */
+/* ------------------------------------------------------------------ */
+
+function gf(init) {
+  const r = new Float64Array(16);
+  if (init) {
+    for (let i = 0; i < init.length; i++) r[i] = init[i];
+  }
+  return r;
+}
+
+const _121665 = gf([0xdb41, 1]);
+
+function car25519(o) {
+  let c = 1;
+  for (let i = 0; i < 16; i++) {
+    const v = o[i] + c + 65535;
+    c = Math.floor(v / 65536);
+    o[i] = v - c * 65536;
+  }
+  o[0] += c - 1 + 37 * (c - 1);
+}
+
+function sel25519(p, q, b) {
+  const c = ~(b - 1);
+  for (let i = 0; i < 16; i++) {
+    const t = c & (p[i] ^ q[i]);
+    p[i] ^= t;
+    q[i] ^= t;
+  }
+}
+
+function pack25519(o, n) {
+  const m = gf();
+  const t = gf(n);
+  car25519(t);
+  car25519(t);
+  car25519(t);
+  for (let j = 0; j < 2; j++) {
+    m[0] = t[0] - 0xffed;
+    for (let i = 1; i < 15; i++) {
+      m[i] = t[i] - 0xffff - ((m[i - 1] >> 16) & 1);
+      m[i - 1] &= 0xffff;
+    }
+    m[15] = t[15] - 0x7fff - ((m[14] >> 16) & 1);
+    const b = (m[15] >> 16) & 1;
+    m[14] &= 0xffff;
+    sel25519(t, m, 1 - b);
+  }
+  for (let i = 0; i < 16; i++) {
+    o[2 * i] = t[i] & 0xff;
+    o[2 * i + 1] = t[i] >> 8;
+  }
+}
+
+function unpack25519(o, n) {
+  for (let i = 0; i < 16; i++) o[i] = n[2 * i] + (n[2 * i + 1] << 8);
+  o[15] &= 0x7fff;
+}
+
+function add(o, a, b) {
+  for (let i = 0; i < 16; i++) o[i] = a[i] + b[i];
+}
+
+function sub(o, a, b) {
+  for (let i = 0; i < 16; i++) o[i] = a[i] - b[i];
+}
+
+function mul(o, a, b) {
+  const t = new Float64Array(31);
+  for (let i = 0; i < 16; i++) {
+    for (let j = 0; j < 16; j++) t[i + j] += a[i] * b[j];
+  }
+  for (let i = 0; i < 15; i++) t[i] += 38 * t[i + 16];
+  for (let i = 0; i < 16; i++) o[i] = t[i];
+  car25519(o);
+  car25519(o);
+}
+
+function square(o, a) {
+  mul(o, a, a);
+}
+
+function inv25519(o, i) {
+  const c = gf(i);
+  for (let a = 253; a >= 0; a--) {
+    square(c, c);
+    if (a !== 2 && a !== 4) mul(c, c, i);
+  }
+  for (let a = 0; a < 16; a++) o[a] = c[a];
+}
+
+/**
+ * X25519 scalar multiplication (Montgomery ladder)
+ * @param {Uint8Array} n - 32-byte scalar
+ * @param {Uint8Array} p - 32-byte u-coordinate
+ * @returns {Uint8Array} - 32-byte result
+ */
+export function scalarMult(n, p) {
+  const z = new Uint8Array(n.subarray(0, 32));
+  z[31] = (z[31] & 127) | 64;
+  z[0] &= 248;
+
+  const x = gf();
+  unpack25519(x, p);
+
+  const a = gf([1]);
+  const b = gf(x);
+  const c = gf();
+  const d = gf([1]);
+  const e = gf();
+  const f = gf();
+
+  for (let i = 254; i >= 0; --i) {
+    const r = (z[i >>> 3] >>> (i & 7)) & 1;
+    sel25519(a, b, r);
+    sel25519(c, d, r);
+    add(e, a, c);
+    sub(a, a, c);
+    add(c, b, d);
+    sub(b, b, d);
+    square(d, e);
+    square(f, a);
+    mul(a, c, a);
+    mul(c, b, e);
+    add(e, a, c);
+    sub(a, a, c);
+    square(b, a);
+    sub(c, d, f);
+    mul(a, c, _121665);
+    add(a, a, d);
+    mul(c, c, a);
+    mul(a, d, f);
+    mul(d, b, x);
+    square(b, e);
+    sel25519(a, b, r);
+    sel25519(c, d, r);
+  }
+
+  inv25519(c, c);
+  mul(a, a, c);
+
+  const q = new Uint8Array(32);
+  pack25519(q, a);
+  return q;
+}
+
+/**
+ * Derives the X25519 public key for a secret key
+ * @param {Uint8Array} secretKey - 32-byte secret key
+ * @returns {Uint8Array} - 32-byte public key
+ */
+export function scalarMultBase(secretKey) {
+  const base = new Uint8Array(32);
+  base[0] = 9;
+  return scalarMult(secretKey, base);
+}
+
+/* ------------------------------------------------------------------ */
+/* Salsa20 / HSalsa20 / XSalsa20                                        */
+/* ------------------------------------------------------------------ */
+
+function rotl(v, c) {
+  return (v << c) | (v >>> (32 - c));
+}
+
+function readU32(bytes, offset) {
+  return (bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16) | (bytes[offset + 3] << 24)) >>> 0;
+}
+
+function writeU32(bytes, offset, value) {
+  bytes[offset] = value & 0xff;
+  bytes[offset + 1] = (value >>> 8) & 0xff;
+  bytes[offset + 2] = (value >>> 16) & 0xff;
+  bytes[offset + 3] = (value >>> 24) & 0xff;
+}
+
+function quarterRound(x, a, b, c, d) {
+  x[b] ^= rotl(x[a] + x[d], 7);
+  x[c] ^= rotl(x[b] + x[a], 9);
+  x[d] ^= rotl(x[c] + x[b], 13);
+  x[a] ^= rotl(x[d] + x[c], 18);
+}
+
+function salsaState(input, key) {
+  const s = new Uint32Array(16);
+  s[0] = SIGMA[0];
+  s[5] = SIGMA[1];
+  s[10] = SIGMA[2];
+  s[15] = SIGMA[3];
+  for (let i = 0; i < 4; i++) {
+    s[1 + i] = readU32(key, 4 * i);
+    s[11 + i] = readU32(key, 16 + 4 * i);
+    s[6 + i] = readU32(input, 4 * i);
+  }
+  return s;
+}
+
+function salsaRounds(s) {
+  const x = new Uint32Array(s);
+  for (let i = 0; i < 20; i += 2) {
+    quarterRound(x, 0, 4, 8, 12);
+    quarterRound(x, 5, 9, 13, 1);
+    quarterRound(x, 10, 14, 2, 6);
+    quarterRound(x, 15, 3, 7, 11);
+    quarterRound(x, 0, 1, 2, 3);
+    quarterRound(x, 5, 6, 7, 4);
+    quarterRound(x, 10, 11, 8, 9);
+    quarterRound(x, 15, 12, 13, 14);
+  }
+  return x;
+}
+
+/**
+ * HSalsa20 core: derives a 32-byte subkey from a key and 16-byte input
+ */
+function hsalsa20(input, key) {
+  const x = salsaRounds(salsaState(input, key));
+  const out = new Uint8Array(32);
+  [0, 5, 10, 15, 6, 7, 8, 9].forEach((idx, i) => writeU32(out, 4 * i, x[idx]));
+  return out;
+}
+
+/**
+ * Generates `length` bytes of XSalsa20 keystream
+ */
+function xsalsa20Stream(key, nonce, length) {
+  const subKey = hsalsa20(nonce.subarray(0, 16), key);
+  const input = new Uint8Array(16);
+  input.set(nonce.subarray(16, 24));
+
+  const out = new Uint8Array(length);
+  for (let pos = 0, counter = 0; pos < length; pos += 64, counter++) {
+    writeU32(input, 8, counter);
+    writeU32(input, 12, Math.floor(counter / 0x100000000));
+
+    const s = salsaState(input, subKey);
+    const x = salsaRounds(s);
+    const block = new Uint8Array(64);
+    for (let i = 0; i < 16; i++) writeU32(block, 4 * i, (x[i] + s[i]) >>> 0);
+    out.set(block.subarray(0, Math.min(64, length - pos)), pos);
+  }
+  return out;
+}
+
+/* ------------------------------------------------------------------ */
+/* Poly1305                                                             */
+/* ------------------------------------------------------------------ */
+
+function bytesToBigIntLE(bytes) {
+  let n = 0n;
+  for (let i = bytes.length - 1; i >= 0; i--) n = (n << 8n) | BigInt(bytes[i]);
+  return n;
+}
+
+function bigIntToBytesLE(n, length) {
+  const out = new Uint8Array(length);
+  for (let i = 0; i < length; i++) {
+    out[i] = Number(n & 0xffn);
+    n >>= 8n;
+  }
+  return out;
+}
+
+const POLY1305_P = (1n << 130n) - 5n;
+const POLY1305_R_CLAMP = 0x0ffffffc0ffffffc0ffffffc0fffffffn;
+
+/**
+ * Computes a Poly1305 one-time authenticator
+ */
+function poly1305(message, key) {
+  const r = bytesToBigIntLE(key.subarray(0, 16)) & POLY1305_R_CLAMP;
+  const s = bytesToBigIntLE(key.subarray(16, 32));
+
+  let acc = 0n;
+  for (let i = 0; i < message.length; i += 16) {
+    const chunk = message.subarray(i, i + 16);
+    const n = bytesToBigIntLE(chunk) + (1n << BigInt(8 * chunk.length));
+    acc = ((acc + n) * r) % POLY1305_P;
+  }
+
+  return bigIntToBytesLE((acc + s) & ((1n << 128n) - 1n), 16);
+}
+
+/* ------------------------------------------------------------------ */
+/* BLAKE2b (unkeyed, used to derive the sealed box nonce)              */
+/* ------------------------------------------------------------------ */
+
+const U64_MASK = (1n << 64n) - 1n;
+
+const BLAKE2B_IV = [
+  0x6a09e667f3bcc908n, 0xbb67ae8584caa73bn, 0x3c6ef372fe94f82bn, 0xa54ff53a5f1d36f1n,
+  0x510e527fade682d1n, 0x9b05688c2b3e6c1fn, 0x1f83d9abfb41bd6bn, 0x5be0cd19137e2179n,
+];
+
+const BLAKE2B_SIGMA = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15],
+  [14, 10, 4, 8, 9, 15, 13, 6, 1, 12, 0, 2, 11, 7, 5, 3],
+  [11, 8, 12, 0, 5, 2, 15, 13, 10, 14, 3, 6, 7, 1, 9, 4],
+  [7, 9, 3, 1, 13, 12, 11, 14, 2, 6, 5, 10, 4, 0, 15, 8],
+  [9, 0, 5, 7, 2, 4, 10, 15, 14, 1, 11, 12, 6, 8, 3, 13],
+  [2, 12, 6, 10, 0, 11, 8, 3, 4, 13, 7, 5, 15, 14, 1, 9],
+  [12, 5, 1, 15, 14, 13, 4, 10, 0, 7, 6, 3, 9, 2, 8, 11],
+  [13, 11, 7, 14, 12, 1, 3, 9, 5, 0, 15, 4, 8, 6, 2, 10],
+  [6, 15, 14, 9, 11, 3, 0, 8, 12, 2, 13, 7, 1, 4, 10, 5],
+  [10, 2, 8, 4, 7, 6, 1, 5, 15, 11, 9, 14, 3, 12, 13, 0],
+];
+
+function rotr64(v, c) {
+  return ((v >> c) | (v << (64n - c))) & U64_MASK;
+}
+
+function blake2bMix(v, a, b, c, d, x, y) {
+  v[a] = (v[a] + v[b] + x) & U64_MASK;
+  v[d] = rotr64(v[d] ^ v[a], 32n);
+  v[c] = (v[c] + v[d]) & U64_MASK;
+  v[b] = rotr64(v[b] ^ v[c], 24n);
+  v[a] = (v[a] + v[b] + y) & U64_MASK;
+  v[d] = rotr64(v[d] ^ v[a], 16n);
+  v[c] = (v[c] + v[d]) & U64_MASK;
+  v[b] = rotr64(v[b] ^ v[c], 63n);
+}
+
+function blake2bCompress(h, block, counter, last) {
+  const m = [];
+  for (let i = 0; i < 16; i++) m.push(bytesToBigIntLE(block.subarray(8 * i, 8 * i + 8)));
+
+  const v = [...h, ...BLAKE2B_IV];
+  v[12] ^= BigInt(counter);
+  if (last) v[14] ^= U64_MASK;
+
+  for (let round = 0; round < 12; round++) {
+    const s = BLAKE2B_SIGMA[round % 10];
+    blake2bMix(v, 0, 4, 8, 12, m[s[0]], m[s[1]]);
+    blake2bMix(v, 1, 5, 9, 13, m[s[2]], m[s[3]]);
+    blake2bMix(v, 2, 6, 10, 14, m[s[4]], m[s[5]]);
+    blake2bMix(v, 3, 7, 11, 15, m[s[6]], m[s[7]]);
+    blake2bMix(v, 0, 5, 10, 15, m[s[8]], m[s[9]]);
+    blake2bMix(v, 1, 6, 11, 12, m[s[10]], m[s[11]]);
+    blake2bMix(v, 2, 7, 8, 13, m[s[12]], m[s[13]]);
+    blake2bMix(v, 3, 4, 9, 14, m[s[14]], m[s[15]]);
+  }
+
+  for (let i = 0; i < 8; i++) h[i] ^= v[i] ^ v[i + 8];
+}
+
+/**
+ * Computes an unkeyed BLAKE2b digest
+ * @param {Uint8Array} input - Data to hash
+ * @param {number} outLen - Digest length in bytes (1-64)
+ * @returns {Uint8Array} - Digest
+ */
+export function blake2b(input, outLen = 64) {
+  const h = [...BLAKE2B_IV];
+  h[0] ^= 0x01010000n ^ BigInt(outLen);
+
+  let offset = 0;
+  while (input.length - offset > 128) {
+    offset += 128;
+    blake2bCompress(h, input.subarray(offset - 128, offset), offset, false);
+  }
+
+  const lastBlock = new Uint8Array(128);
+  lastBlock.set(input.subarray(offset));
+  blake2bCompress(h, lastBlock, input.length, true);
+
+  const out = new Uint8Array(64);
+  h.forEach((word, i) => out.set(bigIntToBytesLE(word, 8), 8 * i));
+  return out.slice(0, outLen);
+}
+
+/* ------------------------------------------------------------------ */
+/* crypto_box_seal                                                      */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Encrypts a message with XSalsa20-Poly1305 (crypto_secretbox_easy layout: mac || ciphertext)
+ */
+function secretbox(message, nonce, key) {
+  const stream = xsalsa20Stream(key, nonce, KEY_BYTES + message.length);
+  const ciphertext = new Uint8Array(message.length);
+  for (let i = 0; i < message.length; i++) ciphertext[i] = message[i] ^ stream[KEY_BYTES + i];
+
+  const out = new Uint8Array(BOX_MAC_BYTES + message.length);
+  out.set(poly1305(ciphertext, stream.subarray(0, KEY_BYTES)));
+  out.set(ciphertext, BOX_MAC_BYTES);
+  return out;
+}
+
+/**
+ * Encrypts a message for a recipient's X25519 public key (libsodium crypto_box_seal)
+ * @param {Uint8Array} message - Plaintext bytes
+ * @param {Uint8Array} publicKey - 32-byte recipient public key
+ * @param {Uint8Array} ephemeralSecretKey - Optional 32-byte ephemeral key (random if omitted)
+ * @returns {Uint8Array} - Sealed box: ephemeral public key || mac || ciphertext
+ */
+export function sealBox(message, publicKey, ephemeralSecretKey = null) {
+  if (!(publicKey instanceof Uint8Array) || publicKey.length !== KEY_BYTES) {
+    throw new Error('Invalid public key: expected 32 bytes');
+  }
+  if (ephemeralSecretKey && (!(ephemeralSecretKey instanceof Uint8Array) || ephemeralSecretKey.length !== KEY_BYTES)) {
+    throw new Error('Invalid ephemeral key: expected 32 bytes');
+  }
+
+  const esk = ephemeralSecretKey || crypto.getRandomValues(new Uint8Array(KEY_BYTES));
+  const epk = scalarMultBase(esk);
+
+  const nonceInput = new Uint8Array(2 * KEY_BYTES);
+  nonceInput.set(epk);
+  nonceInput.set(publicKey, KEY_BYTES);
+  const nonce = blake2b(nonceInput, SEAL_NONCE_BYTES);
+
+  const shared = scalarMult(esk, publicKey);
+  const boxKey = hsalsa20(new Uint8Array(16), shared);
+
+  const sealed = new Uint8Array(KEY_BYTES + BOX_MAC_BYTES + message.length);
+  sealed.set(epk);
+  sealed.set(secretbox(message, nonce, boxKey), KEY_BYTES);
+  return sealed;
+}
+
+/**
+ * Decodes standard base64 into bytes
+ * @param {string} value - Base64 string
+ * @returns {Uint8Array} - Decoded bytes
+ */
+export function base64ToBytes(value) {
+  const binary = atob(value);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+/**
+ * Encodes bytes as standard base64
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} - Base64 string
+ */
+export function bytesToBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
+  return btoa(binary);
+}
+
+/**
+ * Encrypts a secret value for the GitHub secrets API
+ * @param {string} secretValue - Plaintext secret
+ * @param {string} publicKey - Base64 `key` from a secrets/public-key endpoint
+ * @returns {string} - Base64 sealed box for `encrypted_value`
+ */
+export function encryptSecret(secretValue, publicKey) {
+  const message = new TextEncoder().encode(String(secretValue));
+  return bytesToBase64(sealBox(message, base64ToBytes(publicKey)));
+}
@@ -0,0 +1,210 @@
+/**
+ * Secret templates for Cloudflare Workers
+ * Declarative definitions of which secrets to provision and how to generate them
+ */
+
+const ALPHABETS = {
+  // Lowercase letters and digits avoid confusion when secrets are copied by hand
+  'lower-alnum': 'abcdefghijklmnopqrstuvwxyz0123456789',
+  'alnum': 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789',
+  'hex': '0123456789abcdef',
+  'password': 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789!#$%&*+-=?@^_~'
+};
+
+const SECRET_NAME_RE = /^[A-Z_][A-Z0-9_]*$/;
+const MAX_SECRET_LENGTH = 1024;
+
+export const DEFAULT_TEMPLATE_ID = 'default';
+
+/**
+ * Built-in templates. `context` secrets take their value from the provisioning
+ * context (appId, installationId); `random` secrets are regenerated on rotation.
+ */
+const BUILTIN_TEMPLATES = {
+  default: {
+    description: 'Standard Greener CI/CD secrets',
+    prefix: '',
+    secrets: [
+      { name: 'GREENER_CI_KEY', type: 'random', length: 32, alphabet: 'lower-alnum' },
+      { name: 'GREENER_CI_SECRET', type: 'random', length: 64, alphabet: 'lower-alnum' },
+      { name: 'GREENER_API_TOKEN', type: 'random', length: 32, alphabet: 'lower-alnum' },
+      { name: 'GREENER_APP_ID', type: 'context', value: 'appId' },
+      { name: 'GREENER_INSTALLATION_ID', type: 'context', value: 'installationId' }
+    ]
+  },
+  'api-token': {
+    description: 'API token only',
+    prefix: '',
+    secrets: [
+      { name: 'GREENER_API_TOKEN', type: 'random', length: 32, alphabet: 'lower-alnum' }
+    ]
+  },
+  database: {
+    description: 'Database password with symbols',
+    prefix: '',
+    secrets: [
+      { name: 'GREENER_DB_PASSWORD', type: 'random', length: 32, alphabet: 'password' }
+    ]
+  },
+  staging: {
+    description: 'Standard secrets with a STAGING_ prefix',
+    prefix: 'STAGING_',
+    secrets: [
+      { name: 'GREENER_CI_KEY', type: 'random', length: 32, alphabet: 'lower-alnum' },
+      { name: 'GREENER_CI_SECRET', type: 'random', length: 64, alphabet: 'lower-alnum' },
+      { name: 'GREENER_API_TOKEN', type: 'random', length: 32, alphabet: 'lower-alnum' }
+    ]
+  }
+};
+
+/**
+ * Generates a cryptographically secure random string.
+ * Uses rejection sampling so every character of the alphabet is equally likely.
+ * @param {number} length - Number of characters
+ * @param {string} alphabet - Characters to draw from (2-256 chars)
+ * @returns {string} - Random string
+ */
+export function generateSecret(length, alphabet = ALPHABETS['lower-alnum']) {
+  const limit = 256 - (256 % alphabet.length);
+  let out = '';
+
+  while (out.length < length) {
+    const bytes = crypto.getRandomValues(new Uint8Array(length * 2));
+    for (const byte of bytes) {
+      if (byte < limit) out += alphabet[byte % alphabet.length];
+      if (out.length === length) break;
+    }
+  }
+
+  return out;
+}
+
+/**
+ * Validates a template definition
+ * @param {string} id - Template ID
+ * @param {object} template - Template definition
+ * @throws {Error} - If the template is invalid
+ */
+function validateTemplate(id, template) {
+  const fail = (message) => {
+    throw new Error(`Server misconfiguration: template "${id}" ${message}`);
+  };
+
+  if (!template || typeof template !== 'object' || !Array.isArray(template.secrets) || template.secrets.length === 0) {
+    fail('must define a non-empty secrets array');
+  }
+
+  const prefix = template.prefix || '';
+  if (prefix && !SECRET_NAME_RE.test(prefix)) {
+    fail('has an invalid prefix');
+  }
+
+  for (const secret of template.secrets) {
+    const fullName = `${prefix}${secret.name}`;
+    if (typeof secret.name !== 'string' || !SECRET_NAME_RE.test(fullName) || fullName.startsWith('GITHUB_')) {
+      fail(`has an invalid secret name: ${secret.name}`);
+    }
+
+    if (secret.type === 'random') {
+      if (!Number.isInteger(secret.length) || secret.length < 1 || secret.length > MAX_SECRET_LENGTH) {
+        fail(`has an invalid length for ${secret.name}`);
+      }
+      const alphabet = ALPHABETS[secret.alphabet] || secret.alphabet;
+      if (secret.alphabet !== undefined && (typeof alphabet !== 'string' || alphabet.length < 2 || alphabet.length > 256)) {
+        fail(`has an invalid alphabet for ${secret.name}`);
+      }
+    } else if (secret.type === 'static') {
+      if (typeof secret.value !== 'string') {
+        fail(`needs a string value for ${secret.name}`);
+      }
+    } else if (secret.type === 'context') {
+      if (!['appId', 'installationId'].includes(secret.value)) {
+        fail(`has an unknown context value for ${secret.name}`);
+      }
+    } else {
+      fail(`has an unknown type for ${secret.name}`);
+    }
+  }
+}
+
+/**
+ * Returns all templates: built-ins plus any from the SECRET_TEMPLATES JSON variable
+ * @param {object} env - Environment object
+ * @returns {object} - Templates keyed by ID
+ */
+export function getTemplates(env) {
+  const templates = { ...BUILTIN_TEMPLATES };
+
+  if (env.SECRET_TEMPLATES) {
+    let custom;
+    try {
+      custom = JSON.parse(env.SECRET_TEMPLATES);
+    } catch (error) {
+      throw new Error('Server misconfiguration: SECRET_TEMPLATES is not valid JSON');
+    }
+
+    for (const [id, template] of Object.entries(custom)) {
+      validateTemplate(id, template);
+      templates[id] = template;
+    }
+  }
+
+  return templates;
+}
+
+/**
+ * Resolves a template by ID
+ * @param {object} env - Environment object
+ * @param {string|null} id - Template ID (defaults to "default")
+ * @returns {object} - Template with its ID
+ * @throws {Response} - 400 if the template does not exist
+ */
+export function getTemplate(env, id) {
+  const templateId = id || DEFAULT_TEMPLATE_ID;
+  const template = getTemplates(env)[templateId];
+
+  if (!template) {
+    throw new Response(`Unknown template: ${templateId}`, { status: 400 });
+  }
+
+  return { id: templateId, ...template };
+}
+
+/**
+ * Lists the full secret names a template provisions
+ * @param {object} template - Template
+ * @param {object} options - { rotatingOnly: only secrets regenerated on rotation }
+ * @returns {string[]} - Prefixed secret names
+ */
+export function getTemplateSecretNames(template, options = {}) {
+  return template.secrets
+    .filter(secret => !options.rotatingOnly || secret.type === 'random')
+    .map(secret => `${template.prefix || ''}${secret.name}`);
+}
+
+/**
+ * Generates the secret values for a template
+ * @param {object} template - Template
+ * @param {object} context - { appId, installationId }
+ * @param {object} options - { rotatingOnly: only secrets regenerated on rotation }
+ * @returns {object} - Secret values keyed by prefixed name
+ */
+export function renderTemplate(template, context = {}, options = {}) {
+  const secrets = {};
+
+  for (const secret of template.secrets) {
+    if (options.rotatingOnly && secret.type !== 'random') continue;
+
+    const name = `${template.prefix || ''}${secret.name}`;
+
+    if (secret.type === 'random') {
+      secrets[name] = generateSecret(secret.length, ALPHABETS[secret.alphabet || 'lower-alnum'] || secret.alphabet);
+    } else if (secret.type === 'static') {
+      secrets[name] = secret.value;
+    } else {
+      secrets[name] = String(context[secret.value]);
+    }
+  }
+
+  return secrets;
+}
@@ -53,6 +53,41 @@ export function parsePositiveInt(value, name, min = 1, max = Number.MAX_SAFE_INT
   return n;
 }
 
+/**
+ * Validates and parses an optional date (ISO 8601)
+ * @param {*} value - Value to validate
+ * @param {string} name - Parameter name for error messages
+ * @returns {number|null} - Milliseconds since epoch or null
+ * @throws {Response} - 400 error if validation fails
+ */
+export function parseOptionalDate(value, name) {
+  const str = parseOptionalString(value, name, 64);
+  if (str === null) return null;
+
+  const ms = Date.parse(str);
+  if (Number.isNaN(ms)) {
+    throw new Response(`Invalid ${name}`, { status: 400 });
+  }
+  return ms;
+}
+
+/**
+ * Validates an optional boolean
+ * @param {*} value - Value to validate
+ * @param {string} name - Parameter name for error messages
+ * @returns {boolean} - Validated boolean (false when omitted)
+ * @throws {Response} - 400 error if validation fails
+ */
+export function parseOptionalBoolean(value, name) {
+  if (value === null || value === undefined) {
+    return false;
+  }
+  if (typeof value !== 'boolean') {
+    throw new Response(`${name} must be a boolean`, { status: 400 });
+  }
+  return value;
+}
+
 /**
  * Reads and validates JSON from request body
  * @param {Request} req - Request object
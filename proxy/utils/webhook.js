@@ -0,0 +1,228 @@
+/**
+ * Webhook security utilities for Cloudflare Workers
+ * HMAC-SHA256 verification of GitHub webhook deliveries
+ *
+ * Also home to the SHA-256 hex digest the other modules use for keys and fingerprints.
+ */
+
+const SIGNATURE_PREFIX = 'sha256=';
+
+/**
+ * Compares two strings in constant time
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {boolean} - True if equal
+ */
+export function timingSafeEqual(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) {
+    return false;
+  }
+
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return diff === 0;
+}
+
+/**
+ * Computes a hex-encoded HMAC-SHA256
+ * @param {string} secret - HMAC key
+ * @param {Uint8Array} payload - Raw payload bytes
+ * @returns {Promise<string>} - Lowercase hex digest
+ */
+export async function hmacSha256Hex(secret, payload) {
+  const key = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+  const mac = new Uint8Array(await crypto.subtle.sign('HMAC', key, payload));
+  return Array.from(mac, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Computes a hex-encoded SHA-256 digest
+ * @param {string} value - Text to hash, UTF-8 encoded
+ * @returns {Promise<string>} - Lowercase hex digest
+ */
+export async function sha256Hex(value) {
+  const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(value)));
+  return Array.from(digest, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Returns the webhook secrets currently accepted.
+ * During a rotation the previous secret stays valid until
+ * WEBHOOK_SECRET_PREVIOUS_EXPIRES (ISO 8601) has passed.
+ * @param {object} env - Environment object
+ * @param {number} now - Current time in ms
+ * @returns {string[]} - Accepted secrets, current first
+ */
+export function getWebhookSecrets(env, now = Date.now()) {
+  const secrets = [];
+
+  if (env.WEBHOOK_SECRET) {
+    secrets.push(env.WEBHOOK_SECRET);
+  }
+
+  if (env.WEBHOOK_SECRET_PREVIOUS) {
+    const expiresAt = Date.parse(env.WEBHOOK_SECRET_PREVIOUS_EXPIRES || '');
+    if (!Number.isNaN(expiresAt) && now < expiresAt) {
+      secrets.push(env.WEBHOOK_SECRET_PREVIOUS);
+    }
+  }
+
+  return secrets;
+}
+
+/**
+ * Verifies an X-Hub-Signature-256 header against the raw body
+ * @param {Uint8Array} payload - Raw request body
+ * @param {string|null} signatureHeader - X-Hub-Signature-256 value
+ * @param {string[]} secrets - Accepted webhook secrets
+ * @returns {Promise<boolean>} - True if any secret matches
+ */
+export async function verifyWebhookSignature(payload, signatureHeader, secrets) {
+  if (!signatureHeader || !signatureHeader.startsWith(SIGNATURE_PREFIX)) {
+    return false;
+  }
+
+  const provided = signatureHeader.slice(SIGNATURE_PREFIX.length).toLowerCase();
+  let matched = false;
+
+  // Check every secret so timing does not reveal which one matched
+  for (const secret of secrets) {
+    const expected = await hmacSha256Hex(secret, payload);
+    if (timingSafeEqual(expected, provided)) {
+      matched = true;
+    }
+  }
+
+  return matched;
+}
+
+// GitHub only allows redelivering deliveries from the past three days
+const DEFAULT_MAX_DELIVERY_AGE_SEC = 3 * 24 * 60 * 60;
+
+/**
+ * Returns the configured replay window in seconds
+ * @param {object} env - Environment object
+ * @returns {number} - Maximum accepted delivery age
+ */
+export function getMaxDeliveryAge(env) {
+  const configured = Number(env.WEBHOOK_MAX_AGE_SECONDS);
+  return Number.isInteger(configured) && configured > 0 ? configured : DEFAULT_MAX_DELIVERY_AGE_SEC;
+}
+
+/**
+ * Parses a GitHub timestamp (ISO 8601 string or unix seconds)
+ */
+function parseGitHubTime(value) {
+  if (typeof value === 'number') return value * 1000;
+  if (typeof value === 'string') {
+    const ms = Date.parse(value);
+    return Number.isNaN(ms) ? null : ms;
+  }
+  return null;
+}
+
+// Event/action pairs whose payload says when the event happened. Other
+// payloads only carry resource timestamps (a ping's hook.created_at, an
+// installation's or repository's updated_at), which can be far older than a
+// fresh delivery about them.
+const EVENT_TIME_FIELDS = {
+  'installation.created': payload => payload.installation && payload.installation.created_at,
+  'repository.created': payload => payload.repository && payload.repository.created_at
+};
+
+/**
+ * Finds when the event happened, using only fields inside the signed payload.
+ * Delivery headers carry no timestamp and are not covered by the signature.
+ * @param {string} event - X-GitHub-Event value
+ * @param {object} payload - Parsed webhook body
+ * @returns {number|null} - Event time in ms, or null if the payload does not say
+ */
+export function getEventTimestamp(event, payload) {
+  const field = EVENT_TIME_FIELDS[`${event}.${payload.action}`];
+  return field ? parseGitHubTime(field(payload)) : null;
+}
+
+/**
+ * Returns true when a delivery that dates its event is older than the replay
+ * window, or is missing the signed timestamp it should carry. Other deliveries
+ * rely on delivery GUID deduplication alone.
+ * @param {object} env - Environment object
+ * @param {string} event - X-GitHub-Event value
+ * @param {object} payload - Parsed webhook body
+ * @param {number} now - Current time in ms
+ * @returns {boolean}
+ */
+export function isStaleDelivery(env, event, payload, now = Date.now()) {
+  if (!EVENT_TIME_FIELDS[`${event}.${payload.action}`]) return false;
+
+  const eventTime = getEventTimestamp(event, payload);
+  if (eventTime === null) return true;
+  return now - eventTime > getMaxDeliveryAge(env) * 1000;
+}
+
+/**
+ * Checks whether a delivery GUID was already processed
+ * @param {object} env - Environment with GREENER_KV binding
+ * @param {string} deliveryId - X-GitHub-Delivery value
+ * @returns {Promise<boolean>}
+ */
+export async function isDuplicateDelivery(env, deliveryId) {
+  // Soft-disable if KV not configured
+  if (!env.GREENER_KV) return false;
+  return (await env.GREENER_KV.get(`delivery:${deliveryId}`)) !== null;
+}
+
+// A delivery still pending after this long is assumed lost and may be redelivered
+const PENDING_DELIVERY_TTL_SEC = 5 * 60;
+
+/**
+ * Marks a delivery GUID as being processed, before its handler runs, so a
+ * redelivery that arrives meanwhile is treated as a duplicate
+ * @param {object} env - Environment with GREENER_KV binding
+ * @param {string} deliveryId - X-GitHub-Delivery value
+ * @param {string} event - X-GitHub-Event value
+ * @returns {Promise<void>}
+ */
+export async function markDeliveryPending(env, deliveryId, event) {
+  if (!env.GREENER_KV) return;
+  await env.GREENER_KV.put(
+    `delivery:${deliveryId}`,
+    JSON.stringify({ event, status: 'pending', receivedAt: new Date().toISOString() }),
+    { expirationTtl: PENDING_DELIVERY_TTL_SEC }
+  );
+}
+
+/**
+ * Forgets a delivery whose handler failed, so GitHub's redelivery runs it again
+ * @param {object} env - Environment with GREENER_KV binding
+ * @param {string} deliveryId - X-GitHub-Delivery value
+ * @returns {Promise<void>}
+ */
+export async function releaseDelivery(env, deliveryId) {
+  if (!env.GREENER_KV) return;
+  await env.GREENER_KV.delete(`delivery:${deliveryId}`);
+}
+
+/**
+ * Records a processed delivery GUID for the length of the replay window
+ * @param {object} env - Environment with GREENER_KV binding
+ * @param {string} deliveryId - X-GitHub-Delivery value
+ * @param {string} event - X-GitHub-Event value
+ * @returns {Promise<void>}
+ */
+export async function recordDelivery(env, deliveryId, event) {
+  if (!env.GREENER_KV) return;
+  await env.GREENER_KV.put(
+    `delivery:${deliveryId}`,
+    JSON.stringify({ event, status: 'processed', processedAt: new Date().toISOString() }),
+    { expirationTtl: getMaxDeliveryAge(env) }
+  );
+}
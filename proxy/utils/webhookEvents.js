@@ -0,0 +1,179 @@
+/**
+ * Webhook event dispatch for Cloudflare Workers
+ * Routes verified GitHub App events to handlers that return structured results
+ */
+
+/**
+ * Maps repository objects from an event payload to full names
+ * @param {Array<object>} repositories - Repository objects
+ * @returns {string[]} - owner/name list
+ */
+function repoNames(repositories) {
+  return (repositories || [])
+    .map(repo => repo && repo.full_name)
+    .filter(name => typeof name === 'string' && name.length > 0);
+}
+
+/**
+ * Builds the base result shared by every handler
+ */
+function baseResult(event, payload) {
+  return {
+    event,
+    action: payload.action || null,
+    installationId: payload.installation ? payload.installation.id : null,
+    handled: true
+  };
+}
+
+/**
+ * Provisions newly added repositories when auto-provisioning is enabled
+ * @param {object} result - Result being built
+ * @param {string[]} repos - Repositories to provision
+ * @param {object} context - Dispatcher context
+ * @param {object} payload - Webhook payload (for the acting user)
+ * @returns {Promise<object>} - Result with provisioning outcome
+ */
+async function autoProvision(result, repos, context, payload) {
+  if (!result.installationId) {
+    return { ...result, repos, provisioned: [], skipped: 'missing installation id' };
+  }
+
+  if (repos.length === 0) {
+    return { ...result, repos, provisioned: [], skipped: 'no repositories' };
+  }
+
+  const enabled = await context.isAutoProvisionEnabled(result.installationId);
+  if (!enabled) {
+    return { ...result, repos, provisioned: [], skipped: 'auto-provision disabled' };
+  }
+
+  const options = {
+    actor: payload.sender ? payload.sender.login : null,
+    source: 'webhook'
+  };
+
+  // A bulk job runs the repositories in batches, past this invocation's limits
+  if (context.startJob) {
+    const job = await context.startJob(result.installationId, repos, options);
+    return { ...result, repos, provisioned: [], jobId: job.id };
+  }
+
+  const provisioned = await context.provisionSecrets(context.env, result.installationId, repos, options);
+  return { ...result, repos, provisioned };
+}
+
+/**
+ * Removes Greener secrets from repositories that left the installation
+ * @param {object} result - Result being built
+ * @param {string[]} repos - Repositories to clean up
+ * @param {object} context - Dispatcher context
+ * @param {object} payload - Webhook payload (for the acting user)
+ * @returns {Promise<object>} - Result with cleanup outcome
+ */
+async function autoDeprovision(result, repos, context, payload) {
+  if (!result.installationId) {
+    return { ...result, repos, deprovisioned: [], skipped: 'missing installation id' };
+  }
+
+  const enabled = await context.isAutoDeprovisionEnabled(result.installationId);
+  if (!enabled) {
+    return { ...result, repos, deprovisioned: [], skipped: 'auto-deprovision disabled' };
+  }
+
+  const deprovisioned = await context.cleanupRepos(context.env, result.installationId, repos, {
+    actor: payload.sender ? payload.sender.login : null
+  });
+  return { ...result, repos, deprovisioned };
+}
+
+/**
+ * ping: sent once when the webhook is configured
+ */
+async function handlePing(payload) {
+  return {
+    ...baseResult('ping', payload),
+    hookId: payload.hook_id || null,
+    zen: payload.zen || null
+  };
+}
+
+/**
+ * installation: the app was installed, removed, suspended or changed
+ */
+async function handleInstallation(payload, context) {
+  const result = baseResult('installation', payload);
+
+  if (payload.action === 'created') {
+    return autoProvision(result, repoNames(payload.repositories), context, payload);
+  }
+
+  // GitHub has revoked the app's access by now, so its secrets cannot be
+  // removed; stop rotating them instead
+  if (payload.action === 'deleted') {
+    const forgotten = result.installationId ? await context.forgetInstallation(context.env, result.installationId) : 0;
+    return { ...result, repos: repoNames(payload.repositories), deprovisioned: [], forgotten };
+  }
+
+  return { ...result, repos: [] };
+}
+
+/**
+ * installation_repositories: repositories were added to or removed from an installation
+ */
+async function handleInstallationRepositories(payload, context) {
+  const result = baseResult('installation_repositories', payload);
+
+  if (payload.action === 'added') {
+    return autoProvision(result, repoNames(payload.repositories_added), context, payload);
+  }
+
+  if (payload.action === 'removed') {
+    return autoDeprovision(result, repoNames(payload.repositories_removed), context, payload);
+  }
+
+  return { ...result, repos: [] };
+}
+
+/**
+ * repository: only `created` is acted on; other actions are acknowledged
+ */
+async function handleRepository(payload, context) {
+  const result = baseResult('repository', payload);
+
+  if (payload.action !== 'created') {
+    return { ...result, handled: false, reason: `unsupported action: ${payload.action}` };
+  }
+
+  return autoProvision(result, repoNames([payload.repository]), context, payload);
+}
+
+const EVENT_HANDLERS = {
+  ping: handlePing,
+  installation: handleInstallation,
+  installation_repositories: handleInstallationRepositories,
+  repository: handleRepository
+};
+
+/**
+ * Dispatches a verified webhook event to its handler
+ * @param {string} event - X-GitHub-Event value
+ * @param {object} payload - Parsed webhook body
+ * @param {object} context - { env, provisionSecrets, startJob, isAutoProvisionEnabled, cleanupRepos,
+ *   isAutoDeprovisionEnabled, forgetInstallation }
+ *   startJob(installationId, repos, options) is optional; when set, provisioning runs as a bulk job
+ * @returns {Promise<object>} - Structured handler result
+ */
+export async function dispatchWebhookEvent(event, payload, context) {
+  const handler = EVENT_HANDLERS[event];
+
+  if (!handler) {
+    return {
+      ...baseResult(event, payload),
+      handled: false,
+      reason: `unsupported event: ${event}`
+    };
+  }
+
+  return handler(payload, context);
+}
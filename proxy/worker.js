@@ -6,68 +6,298 @@
 // Import security utilities
 import { escapeHtml, safeHtml, raw } from './utils/sanitize.js';
 import { getEnv, getEnvVar } from './utils/env.js';
-import { parseRequiredString, parseOptionalString, parsePositiveInt, readJson, parseStringArray } from './utils/validation.js';
+import { parseRequiredString, parseOptionalString, parsePositiveInt, parseOptionalDate, parseOptionalBoolean, readJson, parseStringArray } from './utils/validation.js';
 import { makeNonce, securityHeaders } from './utils/csp.js';
-import { enforceRateLimit, getClientKey, RateLimitError } from './utils/rateLimit.js';
-import { setCsrfCookie, getCsrfToken, requireCsrf, cachedGet } from './utils/http.js';
+import { enforceRateLimit, withRateLimitHeaders, getClientKey, RateLimitError } from './utils/rateLimit.js';
+import { setCsrfCookie, requireCsrf, cachedGet } from './utils/http.js';
 import { getSharedStyles } from './utils/styles.js';
+import {
+  getWebhookSecrets,
+  verifyWebhookSignature,
+  isStaleDelivery,
+  isDuplicateDelivery,
+  markDeliveryPending,
+  releaseDelivery,
+  recordDelivery,
+  timingSafeEqual
+} from './utils/webhook.js';
+import { dispatchWebhookEvent } from './utils/webhookEvents.js';
+import { getGitHubToken, isAppConfigured, findRepoInstallationId, getInstallationAccount } from './utils/githubApp.js';
+import { githubRequest, githubPaginate, githubErrorStatus, GitHubApiError, GitHubAuthError, GitHubNotFoundError, GitHubRateLimitError } from './utils/githubClient.js';
+import { recordProvisioned, forgetProvisioned, listProvisioned, runRotation, getRotationPolicy, NEXT_SUFFIX } from './utils/rotation.js';
+import { recordProvisioning, getProvisioningSummary } from './utils/ledger.js';
+import { getTemplate, renderTemplate, getTemplateSecretNames } from './utils/templates.js';
+import { planProvisioning } from './utils/plan.js';
+import { getCachedRepos, cacheRepos, invalidateRepos } from './utils/repoCache.js';
+import { mapConcurrent } from './utils/concurrency.js';
+import { createJob, getJob, getJobProgress, followJob, describeJob, JobRunner, estimateRepoSubrequests, MAX_JOB_REPOS, DEFAULT_JOB_CONCURRENCY, MAX_JOB_CONCURRENCY } from './utils/jobs.js';
+import { parseSecretTarget, parseSecretStores, withStores, getTargetScope, listTargetSecrets, putTargetSecret, deleteTargetSecret, REPOSITORY_TARGET, DEFAULT_STORES } from './utils/secretTargets.js';
+import { parseProvisionMode, needsExistingSecrets, selectSecrets } from './utils/provisionMode.js';
+import { withIdempotency } from './utils/idempotency.js';
+import { parseSecretSelector, deprovisionTarget, DEFAULT_SECRET_PREFIX } from './utils/deprovision.js';
+import { inventoryScope, summarizeInventory, inventoryToCsv } from './utils/inventory.js';
+import { appendAuditEntry, listAuditEntries, verifyAuditLog, getRequestId, auditOutcome } from './utils/audit.js';
+import { getAccessPolicy, policyUsesTeams, listUserTeams, resolveRole, checkAccess, checkRepoPermission, requireAccess, provisioningAction, getCollaboratorPermissions, getAccountPermissions } from './utils/policy.js';
+import { isLoginConfigured, getSession, canAccessInstallation, beginLogin, completeLogin, hasLoginState, clearSessionCookie } from './utils/session.js';
+import { createLogger, withLogger, getLogger, log, getLogLevel, withRequestId } from './utils/logger.js';
+import { getSettings, getSettingsRecord, getDefaultSettings, parseSettingsUpdate, saveSettings, SETTINGS_FIELDS } from './utils/settings.js';
+import { sendNotification, provisioningEvent, notifyDrift } from './utils/notifications.js';
+import { checkReadiness, summarizeReadiness } from './utils/health.js';
+
+// Per-repository GitHub reads in flight at once (secret checks, dry-run plans)
+const SECRET_CHECK_CONCURRENCY = 8;
+
+// Most repositories one /api/provision request handles; larger selections go to /api/jobs
+const MAX_PROVISION_REPOS = 100;
+
+// Durable Object classes must be exported from the main module
+export { RateLimiter } from './utils/rateLimit.js';
+export { AuditLog } from './utils/audit.js';
+export { IdempotencyKeys } from './utils/idempotency.js';
 
-// Main fetch handler for Cloudflare Workers
+/**
+ * Durable Object running one bulk provisioning job (see utils/jobs.js)
+ */
+export class ProvisioningJobRunner extends JobRunner {
+  async alarm() {
+    const logger = createLogger({ requestId: crypto.randomUUID(), route: 'job' }, getLogLevel(this.env));
+    return withLogger(logger, () => super.alarm());
+  }
+
+  async provisionRepo(job, repo) {
+    if (job.action) {
+      // Role and template rules were checked when the job was created
+      const env = getEnv(this.env);
+      const token = await getGitHubToken(env, job.installationId);
+      const permissions = await getCollaboratorPermissions(token, repo, job.createdBy, 'Greener-CI-CD-Worker');
+      const denial = checkRepoPermission({ action: job.action, login: job.createdBy, repository: repo, permissions });
+      if (denial) {
+        return { repo, status: 'error', error: denial };
+      }
+    }
+
+    const [result] = await provisionSecrets(getEnv(this.env), job.installationId, [repo], {
+      templateId: job.templateId,
+      target: job.target,
+      stores: job.stores,
+      mode: job.mode,
+      actor: job.createdBy,
+      source: job.source
+    });
+    return result;
+  }
+
+  estimateSubrequests(job) {
+    let template;
+    try {
+      template = getTemplate(getEnv(this.env), job.templateId);
+    } catch (error) {
+      // Every repository fails on an unknown template; the default estimate stands in
+      return super.estimateSubrequests(job);
+    }
+    return estimateRepoSubrequests({
+      secrets: getTemplateSecretNames(template).length,
+      stores: (job.stores || DEFAULT_STORES).length,
+      listsExisting: needsExistingSecrets(job.mode || parseProvisionMode()),
+      checksPermission: Boolean(job.action)
+    });
+  }
+
+  async onComplete(job, results) {
+    log.info('Job completed', { jobId: job.id, total: job.total, failed: job.failed });
+    await sendNotification(this.env, provisioningEvent(results), {
+      installationId: job.installationId,
+      source: job.source,
+      actor: job.createdBy || null,
+      template: job.templateId || null,
+      jobId: job.id,
+      results: summarizeResults(results)
+    });
+  }
+}
+
+// Main fetch and Cron Trigger handlers for Cloudflare Workers
 export default {
   async fetch(request, env, ctx) {
     return handleRequest(request, env, ctx);
+  },
+
+  async scheduled(event, env, ctx) {
+    const logger = createLogger({ requestId: crypto.randomUUID(), route: 'cron', cron: event.cron }, getLogLevel(env));
+    ctx.waitUntil(withLogger(logger, () => handleScheduledRotation(env)));
   }
 };
 
+/**
+ * Rotate secrets that have passed the rotation age
+ */
+async function handleScheduledRotation(env) {
+  try {
+    const validatedEnv = getEnv(env);
+    const results = await runRotation(validatedEnv, {
+      generateSecrets: generateRotatedSecrets,
+      setRepoSecret,
+      deleteRepoSecret
+    });
+    log.info('Rotation run complete', { repositories: results.length, github: getLogger().githubCalls() });
+    await notifyRotation(validatedEnv, results);
+  } catch (error) {
+    log.error('Rotation error', { error });
+  }
+}
+
+/**
+ * Per-repository outcomes for a provisioning notification
+ */
+function summarizeResults(results) {
+  return results.map(result => ({ repo: result.repo, status: result.status, error: result.error || null }));
+}
+
+/**
+ * Send one rotation notification per installation whose secrets changed or failed
+ */
+async function notifyRotation(env, results) {
+  const byInstallation = new Map();
+  for (const result of results.filter(r => r.status !== 'skipped')) {
+    const group = byInstallation.get(result.installationId) || [];
+    group.push({ repo: result.repo, status: result.status, error: result.error || null });
+    byInstallation.set(result.installationId, group);
+  }
+
+  for (const [installationId, group] of byInstallation) {
+    await sendNotification(env, 'rotation.completed', { installationId, results: group });
+  }
+}
+
 /**
  * Main request handler with security enhancements
  */
 async function handleRequest(request, env, ctx) {
   const url = new URL(request.url);
+  const requestId = getRequestId(request);
+  const startedAt = Date.now();
+  const logger = createLogger({ requestId, method: request.method, route: url.pathname }, getLogLevel(env));
+
+  return withLogger(logger, async () => {
+    let rateLimit = null;
+    let response;
+
+    try {
+      // Validate environment variables
+      const validatedEnv = getEnv(env);
+      
+      // Apply this route's rate limits, per IP and per authenticated caller
+      rateLimit = await enforceRateLimit(validatedEnv, request, await getRateLimitIdentity(request, validatedEnv));
+      
+      // Await so errors thrown by async handlers reach handleError
+      response = withRateLimitHeaders(await routeRequest(request, url, validatedEnv, ctx), rateLimit);
+    } catch (error) {
+      response = withRateLimitHeaders(handleError(error), error instanceof RateLimitError ? error.info : rateLimit);
+    }
+
+    logger[response.status >= 500 ? 'error' : 'info']('Request completed', {
+      status: response.status,
+      latencyMs: Date.now() - startedAt,
+      github: logger.githubCalls()
+    });
+    return withRequestId(response, requestId);
+  });
+}
+
+/**
+ * The caller a request is authenticated as, for per-identity rate limits:
+ * the bearer token (CLI, audit export) or the dashboard session's user
+ */
+async function getRateLimitIdentity(request, env) {
+  const authHeader = request.headers.get('Authorization');
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    return `token:${authHeader.slice(7)}`;
+  }
+  const session = await getSession(request, env);
+  return session ? `user:${session.userId}` : null;
+}
+
+/**
+ * Route handling with security
+ */
+async function routeRequest(request, url, validatedEnv, ctx) {
   const path = url.pathname;
 
-  try {
-    // Validate environment variables
-    const validatedEnv = getEnv(env);
-    
-    // Apply rate limiting
-    const clientKey = getClientKey(request);
-    await enforceRateLimit(validatedEnv, clientKey, 60, 60);
-    
-    // Route handling with security
-    switch (path) {
-      case '/':
-        return request.method === 'POST' 
-          ? handleWebhook(request, validatedEnv) 
-          : cachedGet(request, 300, () => handleHome(validatedEnv));
-      case '/health':
-        return handleHealth();
-      case '/configure':
-        return handleConfigure(url.searchParams, validatedEnv);
-      case '/admin':
-        return handleAdmin(url.searchParams, validatedEnv);
-      case '/callback':
-        return handleCallback(url.searchParams, request, validatedEnv);
-      case '/api/provision':
-        requireCsrf(request);
-        return request.method === 'POST'
-          ? handleProvision(request, validatedEnv)
-          : methodNotAllowed();
-      case '/api/cli-provision':
-        return request.method === 'POST'
-          ? handleCliProvision(request, validatedEnv)
-          : methodNotAllowed();
-      case '/api/analytics':
-        return handleAnalytics(url.searchParams, validatedEnv);
-      case '/api/repos':
-        return handleGetRepos(url.searchParams, validatedEnv);
-      case '/styles.css':
-        return handleStyles();
-      default:
-        return notFound();
+  switch (path) {
+    case '/':
+      return request.method === 'POST' 
+        ? handleWebhook(request, validatedEnv, ctx) 
+        : cachedGet(request, 300, () => handleHome(validatedEnv));
+    case '/health':
+      return handleHealth();
+    case '/health/ready':
+      return handleReadiness(request, validatedEnv);
+    case '/configure':
+      return handleConfigure(request, url.searchParams, validatedEnv);
+    case '/admin':
+      return handleAdmin(request, url.searchParams, validatedEnv);
+    case '/login':
+      return handleLogin(request, url.searchParams, validatedEnv);
+    case '/logout':
+      return handleLogout();
+    case '/callback':
+      return handleCallback(url.searchParams, request, validatedEnv);
+    case '/api/provision':
+      requireCsrf(request);
+      if (request.method === 'DELETE') {
+        return audited(request, validatedEnv, 'deprovision', () => handleDeprovision(request, validatedEnv));
+      }
+      return request.method === 'POST'
+        ? audited(request, validatedEnv, 'provision',
+          () => withIdempotency(request, validatedEnv, req => handleProvision(req, validatedEnv, ctx)))
+        : methodNotAllowed();
+    case '/api/cli-provision':
+      if (request.method === 'DELETE') {
+        return audited(request, validatedEnv, 'cli-deprovision', () => handleCliDeprovision(request, validatedEnv));
+      }
+      return request.method === 'POST'
+        ? audited(request, validatedEnv, 'cli-provision',
+          () => withIdempotency(request, validatedEnv, req => handleCliProvision(req, validatedEnv, ctx)))
+        : methodNotAllowed();
+    case '/api/jobs':
+      requireCsrf(request);
+      return request.method === 'POST'
+        ? audited(request, validatedEnv, 'job-create',
+          () => withIdempotency(request, validatedEnv, req => handleCreateJob(req, validatedEnv)))
+        : methodNotAllowed();
+    case '/api/audit':
+      return request.method === 'GET'
+        ? handleAuditExport(request, url.searchParams, validatedEnv)
+        : methodNotAllowed();
+    case '/api/audit/verify':
+      return request.method === 'GET'
+        ? handleAuditVerify(request, validatedEnv)
+        : methodNotAllowed();
+    case '/api/settings':
+      requireCsrf(request);
+      if (request.method === 'PUT') {
+        return audited(request, validatedEnv, 'settings-update', () => handleSettings(request, url.searchParams, validatedEnv));
+      }
+      return request.method === 'GET'
+        ? handleSettings(request, url.searchParams, validatedEnv)
+        : methodNotAllowed();
+    case '/api/analytics':
+      return handleAnalytics(request, url.searchParams, validatedEnv);
+    case '/api/repos':
+      return handleGetRepos(request, url.searchParams, validatedEnv);
+    case '/api/inventory':
+      return handleInventory(request, url.searchParams, validatedEnv, ctx);
+    case '/styles.css':
+      return handleStyles();
+    default: {
+      const jobMatch = path.match(/^\/api\/jobs\/([0-9a-f-]{36})(\/events)?$/);
+      if (jobMatch && request.method === 'GET') {
+        return jobMatch[2]
+          ? handleJobEvents(request, jobMatch[1], validatedEnv)
+          : handleGetJob(request, jobMatch[1], validatedEnv);
+      }
+      return notFound();
     }
-  } catch (error) {
-    return handleError(error);
   }
 }
 
@@ -87,8 +317,17 @@ function handleError(error) {
   if (error instanceof Response) {
     return error;
   }
+
+  // Handle GitHub API errors that escaped a handler
+  if (error instanceof GitHubApiError) {
+    log.error('GitHub API error', { error });
+    return new Response(error.message, {
+      status: githubErrorStatus(error),
+      headers: error instanceof GitHubRateLimitError ? { 'Retry-After': String(error.retryAfter) } : {}
+    });
+  }
   
-  console.error('Worker error:', error);
+  log.error('Worker error', { error });
   return serverError(error.message);
 }
 
@@ -138,30 +377,147 @@ function buildSecurePage(title, content, nonce) {
 }
 
 /**
- * Handle GitHub webhooks with validation
+ * Handle GitHub webhooks with signature verification
  */
-async function handleWebhook(request, env) {
+async function handleWebhook(request, env, ctx) {
   const event = request.headers.get('X-GitHub-Event');
   
   if (!event) {
     return new Response('Missing event header', { status: 400 });
   }
 
-  // TODO: Verify webhook signature
+  const secrets = getWebhookSecrets(env);
+  if (secrets.length === 0) {
+    log.error('Webhook rejected: WEBHOOK_SECRET is not set');
+    return serverError('webhook secret not configured');
+  }
+
+  const deliveryId = request.headers.get('X-GitHub-Delivery');
+  if (!deliveryId) {
+    return new Response('Missing delivery header', { status: 400 });
+  }
+
   const signature = request.headers.get('X-Hub-Signature-256');
+  if (!signature) {
+    return new Response('Missing signature', { status: 401 });
+  }
+
+  // Verify against the raw bytes before anything parses the body
+  const body = new Uint8Array(await request.arrayBuffer());
+  if (!(await verifyWebhookSignature(body, signature, secrets))) {
+    return new Response('Invalid signature', { status: 401 });
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(new TextDecoder().decode(body));
+  } catch (error) {
+    return new Response('Invalid JSON', { status: 400 });
+  }
+
+  if (!payload || typeof payload !== 'object') {
+    return new Response('Invalid payload', { status: 400 });
+  }
+
+  if (isStaleDelivery(env, event, payload)) {
+    return new Response('Delivery too old or missing a signed timestamp', { status: 400 });
+  }
+
+  // Redeliveries and replays of a processed GUID are acknowledged but not re-run
+  if (await isDuplicateDelivery(env, deliveryId)) {
+    return new Response(JSON.stringify({
+      success: true,
+      event: event,
+      duplicate: true,
+      timestamp: new Date().toISOString()
+    }), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
   
-  console.log(`Webhook received: ${event}`);
+  if (payload.installation && payload.installation.id) {
+    await traceInstallation(env, payload.installation.id);
+  }
+  log.info('Webhook received', { event, action: payload.action || null, deliveryId });
+
+  // Claimed before the handler runs, so a redelivery arriving meanwhile is a duplicate
+  await markDeliveryPending(env, deliveryId, event);
+
+  // GitHub gives up on a delivery after 10 seconds, so acknowledge first and
+  // provision in the background
+  ctx.waitUntil(processWebhookEvent(request, env, event, payload, deliveryId));
 
   return new Response(JSON.stringify({
     success: true,
     event: event,
+    action: payload.action || null,
+    deliveryId,
+    accepted: true,
     timestamp: new Date().toISOString()
   }), {
-    status: 200,
+    status: 202,
     headers: { 'Content-Type': 'application/json' }
   });
 }
 
+/**
+ * Runs a verified webhook event after the delivery was acknowledged
+ * @param {Request} request - Webhook request (for audit fields)
+ * @param {object} env - Environment object
+ * @param {string} event - X-GitHub-Event value
+ * @param {object} payload - Parsed webhook body
+ * @param {string} deliveryId - X-GitHub-Delivery value
+ * @returns {Promise<object|null>} - Handler result, or null if it failed
+ */
+async function processWebhookEvent(request, env, event, payload, deliveryId) {
+  let result;
+  try {
+    result = await dispatchWebhookEvent(event, payload, {
+      env,
+      provisionSecrets,
+      startJob: env.JOB_RUNNER
+        ? (installationId, repos, options) => createJob(env, {
+          installationId,
+          repos,
+          createdBy: options.actor,
+          source: options.source
+        })
+        : null,
+      isAutoProvisionEnabled: async (installationId) => (await getSettings(env, installationId)).autoProvision,
+      cleanupRepos,
+      isAutoDeprovisionEnabled: async () => getEnvVar(env, 'AUTO_DEPROVISION', 'true') === 'true',
+      forgetInstallation
+    });
+
+    // Repositories may have been added or removed
+    if (event === 'installation' || event === 'installation_repositories') {
+      await invalidateRepos(env, result.installationId);
+    }
+
+    await auditWebhookActions(request, env, event, payload, deliveryId, result);
+
+    if (Array.isArray(result.provisioned) && result.provisioned.length > 0) {
+      await sendNotification(env, provisioningEvent(result.provisioned), {
+        installationId: result.installationId,
+        source: 'webhook',
+        actor: (payload.sender && payload.sender.login) || null,
+        template: null,
+        results: summarizeResults(result.provisioned)
+      });
+    }
+  } catch (error) {
+    // The delivery was already acknowledged; GitHub's redeliver button retries it
+    log.error('Webhook processing failed', { event, deliveryId, error });
+    await releaseDelivery(env, deliveryId);
+    return null;
+  }
+
+  await recordDelivery(env, deliveryId, event);
+  log.info('Webhook processed', { event, deliveryId, handled: result.handled });
+  return result;
+}
+
 /**
  * Handle home page
  */
@@ -227,7 +583,7 @@ async function handleHome(env) {
 /**
  * Handle configuration page with input validation
  */
-async function handleConfigure(params, env) {
+async function handleConfigure(request, params, env) {
   const installationIdStr = params.get('installation_id');
   const isDemo = params.get('demo') === 'true';
   
@@ -235,11 +591,12 @@ async function handleConfigure(params, env) {
   let installationId = null;
   if (!isDemo && installationIdStr) {
     installationId = parsePositiveInt(installationIdStr, 'installation_id');
+    await requireInstallationAccess(request, env, installationId, { page: true });
   }
 
   const repos = isDemo ? getDemoRepos() : await getInstallationRepos(env, installationId);
   const nonce = makeNonce();
-  const csrfToken = getCsrfToken || crypto.randomUUID();
+  const csrfToken = crypto.randomUUID();
 
   // Build repo list with proper escaping
   const repoListHtml = repos.map(repo => {
@@ -300,6 +657,11 @@ async function handleConfigure(params, env) {
         ${raw(repoListHtml)}
       </div>
 
+      <p class="page-description" id="jobHint" hidden>
+        More than ${MAX_PROVISION_REPOS} repositories are selected, so they will be provisioned by a background job.
+        It keeps running if you leave this page; progress is shown here while it stays open.
+      </p>
+
       <div class="action-section">
         <button class="btn btn-primary" id="saveBtn" disabled>
           Save configuration
@@ -337,10 +699,13 @@ async function handleConfigure(params, env) {
       // Selection handling
       const checkboxes = document.querySelectorAll('.repo-checkbox');
       const saveBtn = document.getElementById('saveBtn');
+      const jobHint = document.getElementById('jobHint');
+      const maxProvisionRepos = ${MAX_PROVISION_REPOS};
       
       function updateSaveButton() {
         const checkedCount = document.querySelectorAll('.repo-checkbox:checked').length;
         saveBtn.disabled = checkedCount === 0;
+        jobHint.hidden = checkedCount <= maxProvisionRepos;
       }
 
       checkboxes.forEach(checkbox => {
@@ -369,7 +734,7 @@ async function handleConfigure(params, env) {
         saveBtn.innerHTML = '<span class="loading-spinner"></span> Provisioning...';
 
         try {
-          ${isDemo ? safeHtml`
+          ${raw(isDemo ? safeHtml`
             // Demo mode simulation
             await new Promise(resolve => setTimeout(resolve, 2000));
             showToast('Demo: Secrets would be provisioned to ' + selectedRepos.length + ' repositories', 'success');
@@ -379,6 +744,11 @@ async function handleConfigure(params, env) {
               saveBtn.disabled = false;
             }, 3000);
           ` : safeHtml`
+            if (selectedRepos.length > maxProvisionRepos) {
+              await runJob(selectedRepos);
+              return;
+            }
+
             const response = await fetch('/api/provision', {
               method: 'POST',
               headers: { 
@@ -386,7 +756,7 @@ async function handleConfigure(params, env) {
                 'X-CSRF-Token': csrfToken
               },
               body: JSON.stringify({
-                installation_id: ${installationId},
+                installation_id: ${raw(JSON.stringify(installationId))},
                 repos: selectedRepos
               })
             });
@@ -400,7 +770,7 @@ async function handleConfigure(params, env) {
             } else {
               throw new Error(result.error || 'Provisioning failed');
             }
-          `}
+          `)}
         } catch (error) {
           showToast('Error: ' + error.message, 'error');
           saveBtn.innerHTML = 'Save configuration';
@@ -408,6 +778,46 @@ async function handleConfigure(params, env) {
         }
       });
 
+      // Large selections run as a bulk job; the button follows its progress
+      async function runJob(repos) {
+        const response = await fetch('/api/jobs', {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'X-CSRF-Token': csrfToken
+          },
+          body: JSON.stringify({
+            installation_id: ${raw(JSON.stringify(installationId))},
+            repos
+          })
+        });
+
+        const result = await response.json();
+        if (!result.success) {
+          throw new Error(result.error || 'Could not start the provisioning job');
+        }
+
+        saveBtn.innerHTML = '<span class="loading-spinner"></span> Provisioning 0 / ' + repos.length;
+        const events = new EventSource(result.events);
+
+        events.addEventListener('progress', (event) => {
+          const progress = JSON.parse(event.data);
+          saveBtn.innerHTML = '<span class="loading-spinner"></span> Provisioning ' + progress.completed + ' / ' + progress.total;
+        });
+
+        events.addEventListener('done', (event) => {
+          events.close();
+          const job = JSON.parse(event.data);
+          if (job.failed === 0) {
+            showToast('Successfully provisioned secrets to ' + job.total + ' repositories', 'success');
+          } else {
+            showToast(job.failed + ' of ' + job.total + ' repositories failed; see /api/jobs/' + job.id, 'error');
+          }
+          saveBtn.innerHTML = '✓ Saved';
+          setTimeout(() => location.reload(), 2000);
+        });
+      }
+
       function showToast(message, type) {
         const toast = document.getElementById('toast');
         toast.className = 'toast toast-' + type;
@@ -433,16 +843,30 @@ async function handleConfigure(params, env) {
 /**
  * Handle admin page
  */
-async function handleAdmin(params, env) {
+async function handleAdmin(request, params, env) {
   const installationIdStr = params.get('installation_id');
   let installationId = null;
   
   if (installationIdStr) {
     installationId = parsePositiveInt(installationIdStr, 'installation_id');
   }
+  const session = await requireInstallationAccess(request, env, installationId, { page: true });
   
-  const analytics = await getAnalytics(env, installationId);
+  const analytics = await getAnalytics(env, installationId, { installationIds: session.installations });
+  // Settings belong to an installation; without one the switches are read-only defaults
+  const settings = installationId ? await getSettings(env, installationId) : getDefaultSettings(env);
+  let configureDenial = null;
+  if (installationId) {
+    try {
+      configureDenial = await checkConfigureAccess(env, session, installationId);
+    } catch (error) {
+      log.warn('Could not check settings access', { error });
+      configureDenial = 'Could not check your rights on this installation; try again later';
+    }
+  }
+  const editable = Boolean(installationId) && !configureDenial;
   const nonce = makeNonce();
+  const csrfToken = crypto.randomUUID();
 
   const content = safeHtml`
     <div class="header">
@@ -480,25 +904,27 @@ async function handleAdmin(params, env) {
 
       <div class="control-panel">
         <h2 class="control-title">Application Controls</h2>
+        ${installationId ? '' : safeHtml`<p class="page-description">Open this page from an installation to change its settings.</p>`}
+        ${configureDenial ? safeHtml`<p class="page-description">${configureDenial}</p>` : ''}
         <div class="control-group">
           <div class="control-item">
             <span class="control-label">Auto-provision new repositories</span>
             <label class="switch">
-              <input type="checkbox" id="autoProvision">
+              <input type="checkbox" id="autoProvision" ${settings.autoProvision ? 'checked' : ''} ${editable ? '' : 'disabled'}>
               <span class="slider"></span>
             </label>
           </div>
           <div class="control-item">
             <span class="control-label">Send webhook notifications</span>
             <label class="switch">
-              <input type="checkbox" id="webhookNotifications" checked>
+              <input type="checkbox" id="webhookNotifications" ${settings.webhookNotifications ? 'checked' : ''} ${editable ? '' : 'disabled'}>
               <span class="slider"></span>
             </label>
           </div>
           <div class="control-item">
             <span class="control-label">Enable debug logging</span>
             <label class="switch">
-              <input type="checkbox" id="debugLogging">
+              <input type="checkbox" id="debugLogging" ${settings.debugLogging ? 'checked' : ''} ${editable ? '' : 'disabled'}>
               <span class="slider"></span>
             </label>
           </div>
@@ -516,59 +942,131 @@ async function handleAdmin(params, env) {
     </div>
 
     <script nonce="${nonce}">
+      const csrfToken = '${csrfToken}';
+
       // Handle refresh
       document.getElementById('refreshBtn').addEventListener('click', () => {
         location.reload();
       });
 
-      // Handle switches
+      // Each switch saves its setting for this installation
       const switches = document.querySelectorAll('input[type="checkbox"]');
       switches.forEach(sw => {
-        sw.addEventListener('change', (e) => {
-          // In production, save these preferences to KV storage
+        sw.addEventListener('change', async () => {
+          sw.disabled = true;
+          try {
+            const response = await fetch('/api/settings?installation_id=${installationId || ''}', {
+              method: 'PUT',
+              headers: {
+                'Content-Type': 'application/json',
+                'X-CSRF-Token': csrfToken
+              },
+              body: JSON.stringify({ [sw.id]: sw.checked })
+            });
+            const result = await response.json();
+            if (!result.success) throw new Error(result.error || 'Saving failed');
+            sw.checked = result.settings[sw.id];
+          } catch (error) {
+            sw.checked = !sw.checked;
+            alert('Could not save the setting: ' + error.message);
+          } finally {
+            sw.disabled = false;
+          }
         });
       });
     </script>
   `;
   
-  return buildSecurePage('Admin - Greener CI/CD', content, nonce);
+  const response = buildSecurePage('Admin - Greener CI/CD', content, nonce);
+  setCsrfCookie(response.headers, csrfToken);
+  
+  return response;
+}
+
+/**
+ * Handle login: starts GitHub OAuth, returning to `return_to` afterwards
+ */
+async function handleLogin(request, params, env) {
+  requireLoginConfigured(env);
+  return beginLogin(request, env, params.get('return_to'));
+}
+
+/**
+ * Handle logout: drops the session cookie
+ */
+function handleLogout() {
+  return new Response(null, {
+    status: 302,
+    headers: { Location: '/', 'Set-Cookie': clearSessionCookie(), 'Cache-Control': 'no-store' }
+  });
 }
 
 /**
- * Handle OAuth callback with validation
+ * Handle OAuth callback: completes the code exchange and signs the user in.
+ * GitHub also sends users here after installing the app; without a login this
+ * browser started, that visit begins one that returns to the installation.
  */
 async function handleCallback(params, request, env) {
-  try {
-    const installationIdStr = params.get('installation_id');
-    
-    if (!installationIdStr) {
-      return new Response('Missing installation_id', { status: 400 });
-    }
-    
-    const installationId = parsePositiveInt(installationIdStr, 'installation_id');
-    const url = new URL(request.url);
-    const baseUrl = `${url.protocol}//${url.host}`;
-    const redirectUrl = `${baseUrl}/configure?installation_id=${installationId}`;
+  requireLoginConfigured(env);
 
-    return Response.redirect(redirectUrl, 302);
-  } catch (error) {
-    console.error('Callback error:', error);
-    return serverError(error.message);
+  const installationIdStr = params.get('installation_id');
+  const installationId = installationIdStr ? parsePositiveInt(installationIdStr, 'installation_id') : null;
+
+  if (!params.get('code') || !hasLoginState(request)) {
+    if (!installationId) {
+      return new Response('Missing code', { status: 400 });
+    }
+    return beginLogin(request, env, `/configure?installation_id=${installationId}`);
   }
+
+  return completeLogin(request, env);
 }
 
 /**
  * Handle secret provisioning API with validation
  */
-async function handleProvision(request, env) {
+async function handleProvision(request, env, ctx) {
   try {
     const payload = await readJson(request);
     
     const installationId = parsePositiveInt(payload.installation_id, 'installation_id');
-    const repos = parseStringArray(payload.repos, 'repos', 100);
+    const session = await requireInstallationAccess(request, env, installationId);
+    if (Array.isArray(payload.repos) && payload.repos.length > MAX_PROVISION_REPOS) {
+      throw new Response(`More than ${MAX_PROVISION_REPOS} repositories: use POST /api/jobs`, { status: 413 });
+    }
+    const repos = parseStringArray(payload.repos, 'repos', MAX_PROVISION_REPOS);
+    const templateId = parseOptionalString(payload.template, 'template', 64);
+    const target = parseSecretTarget(payload.target);
+    const stores = parseSecretStores(payload.stores, target);
+    const mode = parseProvisionMode(payload.mode, payload.maxAgeDays);
+    const dryRun = parseOptionalBoolean(payload.dryRun, 'dryRun');
+    await requireInstallationRepos(env, installationId, repos);
+    await requireRepoPolicy(env, session, installationId, repos, {
+      action: provisioningAction(mode, dryRun),
+      template: getTemplate(env, templateId).id
+    });
+
+    if (dryRun) {
+      const plans = await planSecrets(env, installationId, repos, { templateId, target, stores, mode });
+      return new Response(JSON.stringify({
+        success: plans.every(plan => plan.ok),
+        dryRun: true,
+        plans,
+        timestamp: new Date().toISOString()
+      }), {
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
 
-    const results = await provisionSecrets(env, installationId, repos);
+    const results = await provisionSecrets(env, installationId, repos, { templateId, target, stores, mode });
     const success = results.every(r => r.status === 'success');
+    ctx.waitUntil(sendNotification(env, provisioningEvent(results), {
+      installationId,
+      source: 'dashboard',
+      actor: session.login,
+      template: getTemplate(env, templateId).id,
+      results: summarizeResults(results)
+    }));
 
     return new Response(JSON.stringify({
       success,
@@ -579,114 +1077,149 @@ async function handleProvision(request, env) {
       headers: { 'Content-Type': 'application/json' }
     });
   } catch (error) {
-    return new Response(JSON.stringify({
-      success: false,
-      error: error.message
-    }), {
-      status: error instanceof Response ? error.status : 500,
-      headers: { 'Content-Type': 'application/json' }
-    });
+    return apiError(error);
   }
 }
 
 /**
  * Handle CLI provision API with user GitHub token authentication
  */
-async function handleCliProvision(request, env) {
+async function handleCliProvision(request, env, ctx) {
   try {
-    // Extract GitHub token from Authorization header
-    const authHeader = request.headers.get('Authorization');
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return new Response(JSON.stringify({
-        success: false,
-        error: 'Authorization header with Bearer token required'
-      }), {
-        status: 401,
-        headers: { 'Content-Type': 'application/json' }
-      });
-    }
-
-    const userToken = authHeader.slice(7); // Remove 'Bearer ' prefix
+    const userToken = getBearerToken(request);
     const payload = await readJson(request);
 
     // Parse and validate the repository
-    const repository = parseRequiredString(payload.repository, 'repository', 100);
+    const repository = parseRepository(payload.repository);
+    const template = getTemplate(env, parseOptionalString(payload.template, 'template', 64));
+    const target = parseSecretTarget(payload.target);
+    const stores = parseSecretStores(payload.stores, target);
+    const mode = parseProvisionMode(payload.mode, payload.maxAgeDays);
+    const dryRun = parseOptionalBoolean(payload.dryRun, 'dryRun');
+
+    const repoData = await verifyRepoAccess(userToken, repository);
+    const actor = await requireCliPolicy(env, userToken, repoData, {
+      action: provisioningAction(mode, dryRun),
+      template: template.id,
+      repository
+    });
+
+    // Report what would change without writing anything
+    if (dryRun) {
+      const plan = await planProvisioning(userToken, {
+        repo: repository,
+        target,
+        stores,
+        secretNames: getTemplateSecretNames(template),
+        mode,
+        userAgent: 'Greener-CI-CD-CLI'
+      });
 
-    // Validate repository format (owner/name)
-    if (!/^[a-zA-Z0-9._-]+\/[a-zA-Z0-9._-]+$/.test(repository)) {
       return new Response(JSON.stringify({
-        success: false,
-        error: 'Repository must be in owner/name format'
+        success: plan.ok,
+        dryRun: true,
+        repository,
+        template: template.id,
+        target,
+        stores,
+        mode: mode.mode,
+        plan: plan.stores,
+        timestamp: new Date().toISOString()
       }), {
-        status: 400,
         headers: { 'Content-Type': 'application/json' }
       });
     }
 
-    // Verify user has access to the repository
-    const repoResponse = await fetch(`https://api.github.com/repos/${repository}`, {
-      headers: {
-        'Authorization': `Bearer ${userToken}`,
-        'Accept': 'application/vnd.github.v3+json',
-        'User-Agent': 'Greener-CI-CD-CLI'
-      }
+    // Generate secrets for the repository from the requested template
+    const secrets = renderTemplate(template, {
+      appId: 'cli-generated',
+      installationId: 'user-provisioned'
     });
 
-    if (!repoResponse.ok) {
-      if (repoResponse.status === 401) {
-        return new Response(JSON.stringify({
-          success: false,
-          error: 'Invalid GitHub token'
-        }), {
-          status: 401,
-          headers: { 'Content-Type': 'application/json' }
-        });
-      } else if (repoResponse.status === 404) {
-        return new Response(JSON.stringify({
-          success: false,
-          error: `Repository not found or no access: ${repository}`
-        }), {
-          status: 404,
-          headers: { 'Content-Type': 'application/json' }
-        });
-      } else {
-        return new Response(JSON.stringify({
-          success: false,
-          error: `Failed to verify repository access: ${repoResponse.status}`
-        }), {
-          status: repoResponse.status,
-          headers: { 'Content-Type': 'application/json' }
-        });
+    // Create or update secrets in every requested store using user's token,
+    // leaving existing ones alone unless the mode replaces them
+    const secretResults = [];
+    const skipped = [];
+    for (const storeTarget of withStores(target, stores)) {
+      let toWrite = Object.keys(secrets);
+      if (needsExistingSecrets(mode)) {
+        try {
+          const existing = await listTargetSecrets(userToken, storeTarget, repository, 'Greener-CI-CD-CLI');
+          const selection = selectSecrets(mode, toWrite, existing);
+          toWrite = selection.write;
+          skipped.push(...selection.skip.map(skip => ({ ...skip, store: storeTarget.store })));
+        } catch (error) {
+          // Without the listing, writing could overwrite secrets in use
+          for (const secretName of toWrite) {
+            secretResults.push({ name: secretName, store: storeTarget.store, status: 'failed', error: error.message });
+          }
+          continue;
+        }
       }
-    }
 
-    // Generate secrets for the repository
-    const secrets = await generateSecretsForRepo(repository);
-
-    // Create or update secrets using user's token
-    const secretResults = [];
-    for (const [secretName, secretValue] of Object.entries(secrets)) {
-      try {
-        const result = await createSecret(repository, secretName, secretValue, userToken);
-        secretResults.push({
-          name: secretName,
-          status: result ? 'success' : 'failed'
-        });
-      } catch (error) {
-        secretResults.push({
-          name: secretName,
-          status: 'failed',
-          error: error.message
-        });
+      for (const secretName of toWrite) {
+        const secretValue = secrets[secretName];
+        try {
+          await putTargetSecret(userToken, storeTarget, repository, secretName, secretValue, 'Greener-CI-CD-CLI');
+          secretResults.push({
+            name: secretName,
+            store: storeTarget.store,
+            status: 'success'
+          });
+        } catch (error) {
+          secretResults.push({
+            name: secretName,
+            store: storeTarget.store,
+            status: 'failed',
+            error: error.message
+          });
+        }
       }
     }
 
     const success = secretResults.every(r => r.status === 'success');
+    const provisioned = secretResults
+      .filter(r => r.status === 'success')
+      .map(r => ({ name: r.name, store: r.store }));
+    const status = success ? 'success' : (provisioned.length > 0 ? 'partial' : 'error');
+    const installationId = await findCliInstallationId(env, repository);
+
+    await recordProvisioning(env, {
+      repo: repository,
+      actor,
+      secrets: [...new Set(provisioned.map(r => r.name))],
+      result: status,
+      installationId,
+      templateId: template.id,
+      target,
+      stores,
+      mode: mode.mode,
+      source: 'cli'
+    });
+
+    const failedSecrets = secretResults.filter(r => r.status === 'failed');
+    const results = [{
+      repo: repository,
+      status,
+      error: failedSecrets.length > 0 ? `${failedSecrets.length} secrets failed` : null
+    }];
+    ctx.waitUntil(sendNotification(env, provisioningEvent(results), {
+      installationId,
+      source: 'cli',
+      actor,
+      template: template.id,
+      results
+    }));
 
     return new Response(JSON.stringify({
       success,
       repository,
-      secrets: secretResults.filter(r => r.status === 'success').map(r => r.name),
+      template: template.id,
+      target,
+      stores,
+      mode: mode.mode,
+      secrets: provisioned,
+      skipped,
       failed: secretResults.filter(r => r.status === 'failed'),
       timestamp: new Date().toISOString()
     }), {
@@ -695,67 +1228,494 @@ async function handleCliProvision(request, env) {
     });
 
   } catch (error) {
+    return apiError(error);
+  }
+}
+
+/**
+ * Handle secret deprovisioning API: removes named or prefixed secrets as the installation
+ */
+async function handleDeprovision(request, env) {
+  try {
+    const payload = await readJson(request);
+
+    const installationId = parsePositiveInt(payload.installation_id, 'installation_id');
+    const session = await requireInstallationAccess(request, env, installationId);
+    const repos = parseStringArray(payload.repos, 'repos', MAX_PROVISION_REPOS);
+    const target = parseSecretTarget(payload.target);
+    const stores = parseSecretStores(payload.stores, target);
+    const selector = parseSecretSelector(payload.secrets, payload.prefix);
+    await requireInstallationRepos(env, installationId, repos);
+    await requireRepoPolicy(env, session, installationId, repos, { action: 'deprovision' });
+
+    const results = await deprovisionSecrets(env, installationId, repos, { target, stores, selector });
+    const success = results.every(r => r.ok);
+
     return new Response(JSON.stringify({
-      success: false,
-      error: error.message
+      success,
+      results,
+      timestamp: new Date().toISOString()
     }), {
-      status: error instanceof Response ? error.status : 500,
+      status: success ? 200 : 207,
       headers: { 'Content-Type': 'application/json' }
     });
+  } catch (error) {
+    return apiError(error);
   }
 }
 
 /**
- * Handle analytics API
+ * Find the app installation a CLI caller's repository belongs to, so CLI runs
+ * count in that installation's analytics and notifications
+ * @returns {Promise<number|null>} - null when the app is not installed there
  */
-async function handleAnalytics(params, env) {
-  const installationIdStr = params.get('installation_id');
-  let installationId = null;
-  
-  if (installationIdStr) {
-    installationId = parsePositiveInt(installationIdStr, 'installation_id');
+async function findCliInstallationId(env, repository) {
+  try {
+    return await findRepoInstallationId(env, repository);
+  } catch (error) {
+    log.warn('Could not resolve the installation of a CLI repository', { repository, error });
+    return null;
   }
-  
-  const analytics = await getAnalytics(env, installationId);
-
-  return new Response(JSON.stringify(analytics), {
-    headers: { 'Content-Type': 'application/json' }
-  });
 }
 
 /**
- * Handle repository list API with validation
+ * Handle CLI deprovision API with user GitHub token authentication
  */
-async function handleGetRepos(params, env) {
-  const installationIdStr = params.get('installation_id');
-  let installationId = null;
-  
-  if (installationIdStr) {
-    installationId = parsePositiveInt(installationIdStr, 'installation_id');
-  }
-  
-  const repos = await getInstallationRepos(env, installationId);
+async function handleCliDeprovision(request, env) {
+  try {
+    const userToken = getBearerToken(request);
+    const payload = await readJson(request);
 
-  return new Response(JSON.stringify(repos), {
-    headers: { 'Content-Type': 'application/json' }
-  });
-}
+    const repository = parseRepository(payload.repository);
+    const target = parseSecretTarget(payload.target);
+    const stores = parseSecretStores(payload.stores, target);
+    const selector = parseSecretSelector(payload.secrets, payload.prefix);
 
-/**
- * Handle health check endpoint
- */
-function handleHealth() {
-  return new Response(JSON.stringify({
-    status: 'ok',
-    timestamp: new Date().toISOString(),
-    worker: 'greener-cicd',
-    version: '1.0.0'
-  }), {
+    const repoData = await verifyRepoAccess(userToken, repository);
+    const actor = await requireCliPolicy(env, userToken, repoData, { action: 'deprovision', repository });
+
+    const result = await deprovisionTarget(userToken, {
+      repo: repository,
+      target,
+      stores,
+      selector,
+      userAgent: 'Greener-CI-CD-CLI'
+    });
+    const installationId = await findCliInstallationId(env, repository);
+    await recordDeprovisioned(env, result, { installationId, target, stores, actor, source: 'cli' });
+
+    return new Response(JSON.stringify({
+      success: result.ok,
+      repository,
+      target,
+      stores,
+      removed: result.stores.flatMap(entry => entry.removed.map(name => ({ name, store: entry.store }))),
+      failed: result.stores.flatMap(entry => entry.failed.map(failure => ({ ...failure, store: entry.store }))),
+      timestamp: new Date().toISOString()
+    }), {
+      status: result.ok ? 200 : 207,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  } catch (error) {
+    return apiError(error);
+  }
+}
+
+/**
+ * Handle bulk provisioning job creation; the job starts right away in its Durable Object
+ */
+async function handleCreateJob(request, env) {
+  try {
+    const payload = await readJson(request, 1024 * 1024);
+
+    const installationId = parsePositiveInt(payload.installation_id, 'installation_id');
+    const session = await requireInstallationAccess(request, env, installationId);
+    const repos = [...new Set(parseStringArray(payload.repos, 'repos', MAX_JOB_REPOS))];
+    if (repos.length === 0) {
+      throw new Response('repos must not be empty', { status: 400 });
+    }
+
+    const template = getTemplate(env, parseOptionalString(payload.template, 'template', 64));
+    const target = parseSecretTarget(payload.target);
+    if (target.type === 'organization') {
+      // Every repo would overwrite the same org secret; use /api/provision instead
+      throw new Response('Bulk jobs do not support organization targets', { status: 400 });
+    }
+    const stores = parseSecretStores(payload.stores, target);
+    const mode = parseProvisionMode(payload.mode, payload.maxAgeDays);
+    await requireInstallationRepos(env, installationId, repos);
+    // Up to MAX_JOB_REPOS permission lookups would not fit in this request; the job checks each repository
+    await requireRepoPolicy(env, session, installationId, repos, { action: provisioningAction(mode), template: template.id }, {
+      lookupPermissions: false
+    });
+    const concurrency = payload.concurrency === undefined
+      ? DEFAULT_JOB_CONCURRENCY
+      : parsePositiveInt(payload.concurrency, 'concurrency', 1, MAX_JOB_CONCURRENCY);
+
+    const job = await createJob(env, {
+      installationId,
+      repos,
+      templateId: template.id,
+      target,
+      stores,
+      mode,
+      concurrency,
+      createdBy: session.login,
+      action: provisioningAction(mode)
+    });
+
+    return new Response(JSON.stringify({
+      success: true,
+      job: describeJob(job),
+      events: `/api/jobs/${job.id}/events`
+    }), {
+      status: 202,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  } catch (error) {
+    return apiError(error);
+  }
+}
+
+/**
+ * Handle job status API
+ */
+async function handleGetJob(request, jobId, env) {
+  const progress = await getJobProgress(env, jobId);
+  if (!progress) {
+    return notFound();
+  }
+  await requireInstallationAccess(request, env, progress.job.installationId);
+
+  return new Response(JSON.stringify({
+    job: describeJob(progress.job),
+    results: progress.results
+  }), {
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
+
+/**
+ * Handle job progress stream (Server-Sent Events).
+ * The job runs in its Durable Object whether or not anyone is watching; the
+ * stream only reports progress, and reconnecting with Last-Event-ID resumes
+ * where it left off.
+ */
+async function handleJobEvents(request, jobId, env) {
+  const job = await getJob(env, jobId);
+  if (!job) {
+    return notFound();
+  }
+  await requireInstallationAccess(request, env, job.installationId);
+
+  const afterId = parsePositiveInt(
+    request.headers.get('Last-Event-ID') || new URL(request.url).searchParams.get('after') || '0',
+    'Last-Event-ID',
+    0,
+    job.total
+  );
+
+  const { readable, writable } = new TransformStream();
+  const writer = writable.getWriter();
+  const encoder = new TextEncoder();
+  let connected = true;
+
+  const send = (chunk) => {
+    if (!connected) return;
+    writer.write(encoder.encode(chunk)).catch(() => { connected = false; });
+  };
+
+  // Not passed to waitUntil: following stops when the client goes away
+  followJob(env, jobId, {
+    afterId,
+    emit: (eventId, result, current) => send(
+      `id: ${eventId}\nevent: progress\ndata: ${JSON.stringify({ ...result, completed: eventId, total: current.total })}\n\n`
+    ),
+    isOpen: () => connected
+  })
+    .then(final => {
+      // Otherwise the follow time ran out; EventSource reconnects and resumes
+      if (final && final.status === 'completed') {
+        send(`event: done\ndata: ${JSON.stringify(describeJob(final))}\n\n`);
+      }
+    })
+    .catch(error => send(`event: error\ndata: ${JSON.stringify({ error: error.message })}\n\n`))
+    .finally(() => writer.close().catch(() => {}));
+
+  return new Response(readable, {
+    headers: {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-store'
+    }
+  });
+}
+
+/**
+ * Handle audit log export: entries after `after`, oldest first
+ */
+async function handleAuditExport(request, params, env) {
+  requireAuditToken(request, env);
+
+  const after = params.get('after') ? parsePositiveInt(params.get('after'), 'after', 0) : 0;
+  const limit = params.get('limit') ? parsePositiveInt(params.get('limit'), 'limit', 1, 1000) : 1000;
+  const page = await listAuditEntries(env, { after, limit });
+
+  return new Response(JSON.stringify(page), {
+    headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' }
+  });
+}
+
+/**
+ * Handle audit log verification: recomputes the hash chain
+ */
+async function handleAuditVerify(request, env) {
+  requireAuditToken(request, env);
+
+  const report = await verifyAuditLog(env);
+  return new Response(JSON.stringify(report), {
+    status: report.valid ? 200 : 409,
+    headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' }
+  });
+}
+
+/**
+ * Whether a readiness caller may see check details: a dashboard session, or the audit token
+ */
+async function canSeeReadinessDetails(request, env) {
+  const authHeader = request.headers.get('Authorization') || '';
+  if (env.AUDIT_TOKEN && timingSafeEqual(authHeader, `Bearer ${env.AUDIT_TOKEN}`)) {
+    return true;
+  }
+  return isLoginConfigured(env) && (await getSession(request, env)) !== null;
+}
+
+/**
+ * Audit routes require `Authorization: Bearer <AUDIT_TOKEN>`
+ */
+function requireAuditToken(request, env) {
+  if (!env.AUDIT_TOKEN) {
+    throw new Response('Audit export is not configured (set AUDIT_TOKEN)', { status: 503 });
+  }
+  const authHeader = request.headers.get('Authorization') || '';
+  if (!timingSafeEqual(authHeader, `Bearer ${env.AUDIT_TOKEN}`)) {
+    throw new Response('Unauthorized', { status: 401 });
+  }
+}
+
+/**
+ * Handle secret inventory API: expected, missing, extra and stale secrets per scope
+ */
+async function handleInventory(request, params, env, ctx) {
+  const installationId = parsePositiveInt(params.get('installation_id'), 'installation_id');
+  await requireInstallationAccess(request, env, installationId);
+  const format = params.get('format') || 'json';
+  if (format !== 'json' && format !== 'csv') {
+    throw new Response('format must be json or csv', { status: 400 });
+  }
+  // Template assumed for repositories with no provisioning record
+  const fallbackTemplate = getTemplate(env, parseOptionalString(params.get('template'), 'template', 64));
+
+  const repos = await getInstallationRepos(env, installationId, { refresh: params.get('refresh') === 'true' });
+  const records = await listProvisioned(env, installationId);
+  const scopes = getRepoScopes(records, repos.map(repo => repo.full_name), true);
+  const { rotateDays } = getRotationPolicy(env);
+  // In demo mode there is nothing to list; every expected secret is missing
+  const token = env.GITHUB_TOKEN ? await getGitHubToken(env, installationId) : null;
+
+  const entries = await mapConcurrent(scopes, SECRET_CHECK_CONCURRENCY, record => {
+    const target = record.target || REPOSITORY_TARGET;
+    return inventoryScope(token, {
+      repo: record.repo,
+      scope: getTargetScope(target, record.repo),
+      target,
+      stores: record.stores || DEFAULT_STORES,
+      template: getRecordTemplate(env, record.templateId, fallbackTemplate),
+      provisioned: record.recorded !== false,
+      staged: Boolean(record.rotation),
+      rotateDays,
+      userAgent: 'Greener-CI-CD-Worker'
+    });
+  });
+  const generatedAt = new Date().toISOString();
+  const summary = summarizeInventory(entries);
+  ctx.waitUntil(notifyDrift(env, installationId, entries, summary));
+
+  if (format === 'csv') {
+    return new Response(inventoryToCsv(entries), {
+      headers: {
+        'Content-Type': 'text/csv; charset=utf-8',
+        'Content-Disposition': `attachment; filename="greener-inventory-${installationId}-${generatedAt.slice(0, 10)}.csv"`,
+        'Cache-Control': 'no-store'
+      }
+    });
+  }
+
+  return new Response(JSON.stringify({
+    installationId,
+    generatedAt,
+    policy: { rotateDays },
+    summary,
+    scopes: entries
+  }), {
+    headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' }
+  });
+}
+
+/**
+ * The template a scope was provisioned with; falls back when none was recorded
+ * or it has since been removed from SECRET_TEMPLATES
+ */
+function getRecordTemplate(env, templateId, fallback) {
+  if (!templateId) return fallback;
+  try {
+    return getTemplate(env, templateId);
+  } catch (error) {
+    return fallback;
+  }
+}
+
+/**
+ * Handle analytics API
+ */
+async function handleAnalytics(request, params, env) {
+  const installationIdStr = params.get('installation_id');
+  let installationId = null;
+  
+  if (installationIdStr) {
+    installationId = parsePositiveInt(installationIdStr, 'installation_id');
+  }
+  const session = await requireInstallationAccess(request, env, installationId);
+  
+  const filters = {
+    // Without an installation_id: every installation the user can access
+    installationIds: session.installations,
+    repo: parseOptionalString(params.get('repo'), 'repo', 100),
+    since: parseOptionalDate(params.get('since'), 'since'),
+    until: parseOptionalDate(params.get('until'), 'until')
+  };
+
+  if (filters.since && filters.until && filters.since > filters.until) {
+    throw new Response('since must be before until', { status: 400 });
+  }
+  
+  const analytics = await getAnalytics(env, installationId, filters);
+
+  return new Response(JSON.stringify(analytics), {
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
+
+/**
+ * Handle repository list API with validation
+ */
+async function handleGetRepos(request, params, env) {
+  const installationIdStr = params.get('installation_id');
+  let installationId = null;
+  
+  if (installationIdStr) {
+    installationId = parsePositiveInt(installationIdStr, 'installation_id');
+    await requireInstallationAccess(request, env, installationId);
+  }
+
+  const search = parseOptionalString(params.get('search'), 'search', 100);
+  const limit = params.get('limit') ? parsePositiveInt(params.get('limit'), 'limit', 1, 100) : 50;
+  // Cursors are offsets into the (filtered) list; reuse them with the same search
+  const offset = params.get('cursor') ? parsePositiveInt(params.get('cursor'), 'cursor', 0) : 0;
+  
+  let repos = await getInstallationRepos(env, installationId, { refresh: params.get('refresh') === 'true' });
+
+  if (search) {
+    const needle = search.toLowerCase();
+    repos = repos.filter(repo =>
+      repo.full_name.toLowerCase().includes(needle) ||
+      (repo.description || '').toLowerCase().includes(needle)
+    );
+  }
+
+  const nextOffset = offset + limit;
+
+  return new Response(JSON.stringify({
+    repos: repos.slice(offset, nextOffset),
+    total: repos.length,
+    nextCursor: nextOffset < repos.length ? String(nextOffset) : null
+  }), {
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
+
+/**
+ * Handle settings API: GET an installation's settings, PUT changes to them
+ * (admin role, and admin of the installation's account)
+ */
+async function handleSettings(request, params, env) {
+  try {
+    const installationId = parsePositiveInt(params.get('installation_id'), 'installation_id');
+    const session = await requireInstallationAccess(request, env, installationId);
+
+    let record;
+    if (request.method === 'PUT') {
+      const denial = await checkConfigureAccess(env, session, installationId);
+      if (denial) {
+        throw new Response(denial, { status: 403 });
+      }
+      const update = parseSettingsUpdate(await readJson(request));
+      record = await saveSettings(env, installationId, update, session.login);
+      log.info('Settings changed', { changes: update, login: session.login });
+    } else {
+      record = await getSettingsRecord(env, installationId);
+    }
+
+    return new Response(JSON.stringify({
+      success: true,
+      installation_id: installationId,
+      ...record,
+      timestamp: new Date().toISOString()
+    }), {
+      headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' }
+    });
+  } catch (error) {
+    return apiError(error);
+  }
+}
+
+/**
+ * Handle health check endpoint
+ */
+function handleHealth() {
+  return new Response(JSON.stringify({
+    status: 'ok',
+    timestamp: new Date().toISOString(),
+    worker: 'greener-cicd',
+    version: '1.0.0'
+  }), {
     status: 200,
     headers: { 'Content-Type': 'application/json' }
   });
 }
 
+/**
+ * Handle readiness probe: 200 when every dependency check passes, else 503.
+ * Check details are only shown to a signed-in user or the audit token.
+ */
+async function handleReadiness(request, env) {
+  const readiness = await checkReadiness(env);
+  if (!readiness.ready) {
+    log.warn('Readiness check failed', {
+      failed: Object.keys(readiness.checks).filter(name => readiness.checks[name].status === 'fail')
+    });
+  }
+
+  const detailed = await canSeeReadinessDetails(request, env);
+  return new Response(JSON.stringify({
+    ...(detailed ? readiness : summarizeReadiness(readiness)),
+    timestamp: new Date().toISOString(),
+    worker: 'greener-cicd',
+    version: '1.0.0'
+  }), {
+    status: readiness.ready ? 200 : 503,
+    headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' }
+  });
+}
 
 /**
  * Get demo repositories for testing
@@ -794,223 +1754,616 @@ function getDemoRepos() {
 }
 
 /**
- * Get analytics data with proper error handling
+ * Get analytics computed from the provisioning ledger
  */
-async function getAnalytics(env, installationId) {
-  // In production, fetch real data from GitHub API
-  return {
-    totalRepos: 12,
-    configuredRepos: 7,
-    totalSecrets: 35,
-    lastProvision: '2 hours ago',
-    weeklyProvisions: [3, 5, 2, 7, 4, 8, 6],
-    topRepos: [
-      { name: 'user/api-service', secrets: 5 },
-      { name: 'user/web-app', secrets: 5 },
-      { name: 'user/mobile-app', secrets: 5 }
-    ]
-  };
+async function getAnalytics(env, installationId, filters = {}) {
+  return getProvisioningSummary(env, { ...filters, installationId });
 }
 
 /**
- * Get repositories for installation with proper escaping
+ * Get repositories for installation, acting as the installation when the app is configured.
+ * The combined list (every page, with secret status) is cached per installation.
  */
-async function getInstallationRepos(env, installationId) {
+async function getInstallationRepos(env, installationId, options = {}) {
   if (!installationId || !env.GITHUB_TOKEN) {
     return getDemoRepos();
   }
 
-  try {
-    const response = await fetch(`https://api.github.com/user/installations/${installationId}/repositories?per_page=100`, {
-      headers: {
-        'Authorization': `Bearer ${env.GITHUB_TOKEN}`,
-        'Accept': 'application/vnd.github.v3+json',
-        'User-Agent': 'Greener-CI-CD-Worker'
-      }
-    });
-
-    if (!response.ok) {
-      throw new Error(`GitHub API error: ${response.status}`);
-    }
+  if (!options.refresh) {
+    const cached = await getCachedRepos(env, installationId);
+    if (cached) return cached;
+  }
 
-    const data = await response.json();
+  try {
+    const repositories = await listInstallationRepositories(env, installationId);
     
     // Don't escape here - escape at render time
-    const reposWithStatus = await Promise.all(
-      data.repositories.map(async (repo) => {
-        const hasSecrets = await checkGreenerSecrets(env, repo.full_name);
-        return {
-          full_name: repo.full_name,
-          name: repo.name,
-          description: repo.description,
-          private: repo.private,
-          hasSecrets: hasSecrets
-        };
-      })
-    );
+    const reposWithStatus = await mapConcurrent(repositories, SECRET_CHECK_CONCURRENCY, async (repo) => {
+      const hasSecrets = await checkGreenerSecrets(env, installationId, repo.full_name);
+      return {
+        full_name: repo.full_name,
+        name: repo.name,
+        description: repo.description,
+        private: repo.private,
+        hasSecrets: hasSecrets
+      };
+    });
 
+    await cacheRepos(env, installationId, reposWithStatus);
     return reposWithStatus;
   } catch (error) {
-    console.error('Error getting repos:', error);
+    log.error('Error getting repos', { error });
     return getDemoRepos();
   }
 }
 
 /**
- * Check if repo has Greener secrets
+ * List the repositories an installation can access, straight from GitHub
  */
-async function checkGreenerSecrets(env, repoFullName) {
-  try {
-    const response = await fetch(`https://api.github.com/repos/${repoFullName}/actions/secrets`, {
-      headers: {
-        'Authorization': `Bearer ${env.GITHUB_TOKEN}`,
-        'Accept': 'application/vnd.github.v3+json',
-        'User-Agent': 'Greener-CI-CD-Worker'
-      }
-    });
+async function listInstallationRepositories(env, installationId) {
+  const token = await getGitHubToken(env, installationId);
+  const reposPath = isAppConfigured(env)
+    ? '/installation/repositories?per_page=100'
+    : `/user/installations/${installationId}/repositories?per_page=100`;
 
-    if (!response.ok) return false;
+  return githubPaginate(reposPath, { token, itemsKey: 'repositories' });
+}
 
-    const data = await response.json();
-    return data.secrets.some(secret => secret.name.startsWith('GREENER_'));
+/**
+ * Check if repo has Greener secrets
+ */
+async function checkGreenerSecrets(env, installationId, repoFullName) {
+  try {
+    const secrets = await listRepoSecrets(env, installationId, repoFullName, withStores(REPOSITORY_TARGET)[0]);
+    return secrets.some(secret => secret.name.startsWith('GREENER_'));
   } catch (error) {
     return false;
   }
 }
 
 /**
- * Provision secrets to repositories
+ * Provision secrets to repositories, recording each attempt in the ledger.
+ * Existing secrets are kept unless the provisioning mode replaces them.
  */
-async function provisionSecrets(env, installationId, repos) {
+async function provisionSecrets(env, installationId, repos, options = {}) {
+  const template = getTemplate(env, options.templateId);
+  const target = options.target || REPOSITORY_TARGET;
+  const stores = options.stores || DEFAULT_STORES;
+  const mode = options.mode || parseProvisionMode();
+  const context = { appId: getEnvVar(env, 'GITHUB_APP_ID', 'demo'), installationId };
+  // Organization secrets are shared, so every repo must see the same values
+  const sharedSecrets = target.type === 'organization' ? renderTemplate(template, context) : null;
   const results = [];
 
   for (const repoFullName of repos) {
+    const written = [];
+    const skipped = [];
+
     try {
-      const secrets = {
-        GREENER_CI_KEY: generateSecret(32),
-        GREENER_CI_SECRET: generateSecret(64),
-        GREENER_API_TOKEN: generateSecret(32),
-        GREENER_APP_ID: getEnvVar(env, 'GITHUB_APP_ID', 'demo'),
-        GREENER_INSTALLATION_ID: String(installationId)
-      };
+      const secrets = sharedSecrets || renderTemplate(template, context);
+
+      for (const storeTarget of withStores(target, stores)) {
+        let toWrite = Object.keys(secrets);
+        if (needsExistingSecrets(mode)) {
+          const existing = await listRepoSecrets(env, installationId, repoFullName, storeTarget);
+          const selection = selectSecrets(mode, toWrite, existing);
+          toWrite = selection.write;
+          skipped.push(...selection.skip.map(skip => ({ ...skip, store: storeTarget.store })));
+        }
 
-      for (const [name, value] of Object.entries(secrets)) {
-        await setRepoSecret(env, repoFullName, name, value);
+        for (const name of toWrite) {
+          await setRepoSecret(env, installationId, repoFullName, name, secrets[name], storeTarget);
+          if (!written.includes(name)) written.push(name);
+        }
       }
 
-      results.push({ repo: repoFullName, status: 'success' });
+      // Only new values restart the rotation clock
+      if (written.length > 0) {
+        await recordProvisioned(env, { installationId, repo: repoFullName, templateId: template.id, target, stores });
+      }
+      results.push({ repo: repoFullName, status: 'success', secrets: [...written], skipped });
     } catch (error) {
       results.push({ repo: repoFullName, status: 'error', error: error.message });
     }
+
+    await recordProvisioning(env, {
+      repo: repoFullName,
+      actor: options.actor,
+      secrets: written,
+      result: results[results.length - 1].status,
+      installationId,
+      templateId: template.id,
+      target,
+      stores,
+      mode: mode.mode,
+      source: options.source || 'api'
+    });
+  }
+
+  // Secret status shown on /configure and /api/repos has changed
+  await invalidateRepos(env, installationId);
+
+  return results;
+}
+
+/**
+ * Deprovision secrets from repositories as the installation, recording each attempt in the ledger
+ */
+async function deprovisionSecrets(env, installationId, repos, options = {}) {
+  const target = options.target || REPOSITORY_TARGET;
+  const stores = options.stores || DEFAULT_STORES;
+  const results = [];
+
+  for (const repo of repos) {
+    let result;
+    try {
+      // In demo mode there is nothing to remove
+      result = env.GITHUB_TOKEN
+        ? await deprovisionTarget(await getGitHubToken(env, installationId), {
+          repo,
+          target,
+          stores,
+          selector: options.selector,
+          userAgent: 'Greener-CI-CD-Worker'
+        })
+        : { repo, ok: true, stores: [] };
+    } catch (error) {
+      log.warn('Deprovisioning failed', { repo, installationId, error });
+      result = { repo, ok: false, error: error.message, stores: [] };
+    }
+
+    await recordDeprovisioned(env, result, {
+      installationId,
+      target,
+      stores,
+      actor: options.actor,
+      source: options.source || 'api',
+      forget: options.forget
+    });
+    results.push(result);
+  }
+
+  // Secret status shown on /configure and /api/repos has changed
+  await invalidateRepos(env, installationId);
+
+  return results;
+}
+
+/**
+ * Ledger and rotation bookkeeping after a deprovisioning attempt.
+ * Rotation stops for the scope once its secrets are gone, or always with `forget`.
+ */
+async function recordDeprovisioned(env, result, { installationId, target, stores, actor, source, forget }) {
+  const removed = [...new Set(result.stores.flatMap(entry => entry.removed))];
+
+  await recordProvisioning(env, {
+    action: 'deprovision',
+    repo: result.repo,
+    actor,
+    secrets: removed,
+    result: result.ok ? 'success' : (removed.length > 0 ? 'partial' : 'error'),
+    installationId,
+    target,
+    stores,
+    source
+  });
+
+  if (result.ok || forget) {
+    await forgetProvisioned(env, target, result.repo);
+  }
+}
+
+/**
+ * Clean up repositories that left an installation, using what was provisioned
+ * to each (falling back to GREENER_* repository secrets when nothing was recorded).
+ * The attempt is recorded and rotation for those scopes stops even if a delete fails.
+ */
+async function cleanupRepos(env, installationId, repos, options = {}) {
+  const records = await listProvisioned(env, installationId);
+  const cleanups = getRepoScopes(records, repos);
+
+  const results = [];
+  for (const record of cleanups) {
+    const [result] = await deprovisionSecrets(env, installationId, [record.repo], {
+      target: record.target || REPOSITORY_TARGET,
+      stores: record.stores || DEFAULT_STORES,
+      selector: getCleanupSelector(env, record.templateId),
+      actor: options.actor,
+      source: 'webhook',
+      forget: true
+    });
+    results.push(result);
   }
 
   return results;
 }
 
 /**
- * Set repository secret with proper encryption
+ * Stop rotating everything an uninstalled installation provisioned; its
+ * secrets are left in place, since GitHub no longer lets the app remove them
+ * @returns {Promise<number>} - Records dropped
+ */
+async function forgetInstallation(env, installationId) {
+  const records = await listProvisioned(env, installationId);
+  for (const record of records) {
+    await forgetProvisioned(env, record.target || REPOSITORY_TARGET, record.repo);
+  }
+  return records.length;
+}
+
+/**
+ * The provisioning records of each repository's scopes, or a repository-secrets
+ * stand-in for repositories with nothing recorded; organization scopes on request
+ */
+function getRepoScopes(records, repos, includeOrganization = false) {
+  const scopes = [];
+
+  for (const repo of repos) {
+    const scoped = records.filter(record => record.repo === repo && (record.target || REPOSITORY_TARGET).type !== 'organization');
+    scopes.push(...(scoped.length > 0
+      ? scoped
+      : [{ repo, target: REPOSITORY_TARGET, stores: DEFAULT_STORES, templateId: null, rotation: null, recorded: false }]));
+  }
+  if (includeOrganization) {
+    scopes.push(...records.filter(record => record.target && record.target.type === 'organization'));
+  }
+
+  return scopes;
+}
+
+/**
+ * Secrets a cleanup removes: the template's secrets and their staged rotation copies
+ */
+function getCleanupSelector(env, templateId) {
+  const template = getRecordTemplate(env, templateId, null);
+  if (!template) {
+    return { secrets: null, prefix: DEFAULT_SECRET_PREFIX };
+  }
+  const names = getTemplateSecretNames(template);
+  return { secrets: names.flatMap(name => [name, `${name}${NEXT_SUFFIX}`]), prefix: null };
+}
+
+/**
+ * Plan provisioning for repositories without writing anything
  */
-async function setRepoSecret(env, repoFullName, secretName, secretValue) {
+async function planSecrets(env, installationId, repos, options = {}) {
+  const template = getTemplate(env, options.templateId);
+  // In demo mode there is nothing to inspect; every secret would be created
+  const token = env.GITHUB_TOKEN ? await getGitHubToken(env, installationId) : null;
+
+  return mapConcurrent(repos, SECRET_CHECK_CONCURRENCY, repo => planProvisioning(token, {
+    repo,
+    target: options.target || REPOSITORY_TARGET,
+    stores: options.stores || DEFAULT_STORES,
+    secretNames: getTemplateSecretNames(template),
+    mode: options.mode,
+    userAgent: 'Greener-CI-CD-Worker'
+  }));
+}
+
+/**
+ * List the secrets already in a target as the installation
+ */
+async function listRepoSecrets(env, installationId, repoFullName, target) {
+  // In demo mode there is nothing to list
+  if (!env.GITHUB_TOKEN) {
+    return [];
+  }
+
+  const token = await getGitHubToken(env, installationId);
+  return listTargetSecrets(token, target, repoFullName, 'Greener-CI-CD-Worker');
+}
+
+/**
+ * Set a secret as the installation, in the repository or the given target
+ */
+async function setRepoSecret(env, installationId, repoFullName, secretName, secretValue, target = REPOSITORY_TARGET) {
   // In demo mode, skip actual API calls
   if (!env.GITHUB_TOKEN) {
     return Promise.resolve();
   }
 
-  const keyResponse = await fetch(`https://api.github.com/repos/${repoFullName}/actions/secrets/public-key`, {
-    headers: {
-      'Authorization': `Bearer ${env.GITHUB_TOKEN}`,
-      'Accept': 'application/vnd.github.v3+json',
-      'User-Agent': 'Greener-CI-CD-Worker'
+  const token = await getGitHubToken(env, installationId);
+  await putTargetSecret(token, target, repoFullName, secretName, secretValue, 'Greener-CI-CD-Worker');
+}
+
+/**
+ * Delete a secret as the installation, from the repository or the given target
+ */
+async function deleteRepoSecret(env, installationId, repoFullName, secretName, target = REPOSITORY_TARGET) {
+  // In demo mode, skip actual API calls
+  if (!env.GITHUB_TOKEN) {
+    return Promise.resolve();
+  }
+
+  const token = await getGitHubToken(env, installationId);
+  await deleteTargetSecret(token, target, repoFullName, secretName, 'Greener-CI-CD-Worker');
+}
+
+/**
+ * Generate the template's random secrets that are replaced on rotation
+ */
+function generateRotatedSecrets(env, record) {
+  return renderTemplate(getTemplate(env, record.templateId), {}, { rotatingOnly: true });
+}
+
+/**
+ * Run a state-changing handler and append who did what, from where, to the audit log
+ */
+async function audited(request, env, action, handler) {
+  // Read before the handler consumes the body
+  const body = request.clone();
+  let response;
+  try {
+    response = await handler();
+  } catch (error) {
+    await recordAudit(request, env, action, body, error instanceof Response ? error : serverError(error.message));
+    throw error;
+  }
+  await recordAudit(request, env, action, body, response);
+  return response;
+}
+
+async function recordAudit(request, env, action, body, response) {
+  // Some routes name the installation in the query string rather than the body
+  const queryInstallationId = new URL(request.url).searchParams.get('installation_id');
+  await appendAuditEntry(env, {
+    requestId: getRequestId(request),
+    action,
+    method: request.method,
+    route: new URL(request.url).pathname,
+    actor: await getAuditActor(request, env),
+    client: getClientKey(request),
+    outcome: auditOutcome(response.status),
+    status: response.status,
+    details: {
+      ...(queryInstallationId && { installation_id: queryInstallationId }),
+      ...(await getAuditDetails(body)),
+      replayed: response.headers.get('Idempotent-Replayed') === 'true' || undefined
     }
   });
+}
 
-  if (!keyResponse.ok) {
-    throw new Error(`Failed to get public key: ${keyResponse.status}`);
+/**
+ * The login behind a request: bearer token (CLI) or session cookie (dashboard)
+ */
+async function getAuditActor(request, env) {
+  const authHeader = request.headers.get('Authorization');
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    return getTokenLogin(authHeader.slice(7));
   }
+  const session = await getSession(request, env);
+  return session ? session.login : null;
+}
 
-  const keyData = await keyResponse.json();
-  // TODO: Properly encrypt secret using sodium
-  const encryptedValue = btoa(secretValue);
+/**
+ * What a request asked for; only identifiers, never secret values
+ */
+async function getAuditDetails(body) {
+  let payload;
+  try {
+    payload = await body.json();
+  } catch (error) {
+    return {};
+  }
+  if (!payload || typeof payload !== 'object') return {};
 
-  const secretResponse = await fetch(`https://api.github.com/repos/${repoFullName}/actions/secrets/${secretName}`, {
-    method: 'PUT',
-    headers: {
-      'Authorization': `Bearer ${env.GITHUB_TOKEN}`,
-      'Accept': 'application/vnd.github.v3+json',
-      'User-Agent': 'Greener-CI-CD-Worker',
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify({
-      encrypted_value: encryptedValue,
-      key_id: keyData.key_id
-    })
+  const details = {};
+  for (const field of ['installation_id', 'repository', 'template', 'target', 'stores', 'mode', 'dryRun', 'prefix', 'level', ...SETTINGS_FIELDS]) {
+    if (payload[field] !== undefined) details[field] = payload[field];
+  }
+  if (Array.isArray(payload.repos)) details.repos = payload.repos.slice(0, 100);
+  if (Array.isArray(payload.secrets)) details.secrets = payload.secrets.slice(0, 100);
+  return details;
+}
+
+/**
+ * Audit what a webhook delivery changed; deliveries that only acknowledge are skipped
+ */
+async function auditWebhookActions(request, env, event, payload, deliveryId, result) {
+  const outcomes = result.jobId ? [] : result.provisioned || result.deprovisioned;
+  if (!result.jobId && (!Array.isArray(outcomes) || outcomes.length === 0)) return;
+
+  // A started job counts as success here; its per-repo results are in the job and the ledger
+  const failed = outcomes.filter(outcome => outcome.status ? outcome.status !== 'success' : !outcome.ok).length;
+  await appendAuditEntry(env, {
+    requestId: getRequestId(request),
+    action: `webhook.${event}.${payload.action || 'none'}`,
+    method: request.method,
+    route: new URL(request.url).pathname,
+    actor: payload.sender ? payload.sender.login : null,
+    client: getClientKey(request),
+    outcome: failed === 0 ? 'success' : (failed < outcomes.length ? 'partial' : 'failure'),
+    status: 200,
+    details: { deliveryId, installationId: result.installationId, repos: result.repos, jobId: result.jobId || null }
   });
+}
 
-  if (!secretResponse.ok) {
-    throw new Error(`Failed to set secret: ${secretResponse.status}`);
+/**
+ * Require a signed-in user who can access the installation (any of theirs when null).
+ * Pages redirect to login; APIs get 401.
+ */
+async function requireInstallationAccess(request, env, installationId, { page = false } = {}) {
+  requireLoginConfigured(env);
+
+  const session = await getSession(request, env);
+  if (!session) {
+    if (page) {
+      const url = new URL(request.url);
+      throw new Response(null, {
+        status: 302,
+        headers: { Location: `/login?return_to=${encodeURIComponent(url.pathname + url.search)}` }
+      });
+    }
+    throw new Response('Sign in with GitHub required', { status: 401 });
   }
+
+  if (installationId !== null && !canAccessInstallation(session, installationId)) {
+    // Installations granted since login are picked up by signing in again
+    throw new Response(`No access to installation ${installationId}`, { status: 403 });
+  }
+  if (installationId !== null) {
+    await traceInstallation(env, installationId);
+  }
+
+  const policy = getAccessPolicy(env);
+  requireAccess(policy, { action: 'view', login: session.login, role: resolveRole(policy, session.login, session.teams) });
+  return session;
 }
 
 /**
- * Generate cryptographically secure random secret
+ * Tag the request's logs with an installation, at debug level if its settings turn that on
  */
-function generateSecret(length) {
-  const array = new Uint8Array(length);
-  crypto.getRandomValues(array);
-  // Use only lowercase letters and digits to avoid confusion
-  const chars = 'abcdefghijklmnopqrstuvwxyz0123456789';
-  return Array.from(array, byte => chars[byte % chars.length]).join('');
+async function traceInstallation(env, installationId) {
+  const logger = getLogger();
+  logger.set({ installationId });
+  if ((await getSettings(env, installationId)).debugLogging) {
+    logger.setLevel('debug');
+  }
+}
+
+/**
+ * Apply the access policy to every repository of a dashboard request. The
+ * installation writes the secrets, so the signed-in user's own permission on
+ * each repository is read from GitHub and must allow the action as well.
+ */
+async function requireRepoPolicy(env, session, installationId, repos, access, { lookupPermissions = true } = {}) {
+  const policy = getAccessPolicy(env);
+  const role = resolveRole(policy, session.login, session.teams);
+  const check = (repository, permissions) => checkAccess(policy, { ...access, login: session.login, role, repository, permissions });
+
+  // Roles and template rules need no GitHub calls, so they are checked first
+  let denials = [...new Set(repos.map(repository => check(repository)).filter(Boolean))];
+
+  if (denials.length === 0 && lookupPermissions) {
+    const token = await getGitHubToken(env, installationId);
+    const checked = await mapConcurrent(repos, SECRET_CHECK_CONCURRENCY, async (repository) =>
+      check(repository, await getCollaboratorPermissions(token, repository, session.login, 'Greener-CI-CD-Worker')));
+    denials = [...new Set(checked.filter(Boolean))];
+  }
+
+  if (denials.length > 0) {
+    const more = denials.length > 10 ? `; and ${denials.length - 10} more` : '';
+    throw new Response(denials.slice(0, 10).join('; ') + more, { status: 403 });
+  }
 }
 
 /**
- * Generate secrets for a specific repository
+ * Apply the access policy to changing an installation's settings. These switch
+ * provisioning on or off for every repository, so besides the role the user
+ * must administer the account the app is installed on.
+ * @returns {Promise<string|null>} - Why it is denied, or null if it is allowed
  */
-async function generateSecretsForRepo(repoFullName) {
-  return {
-    GREENER_CI_KEY: generateSecret(32),
-    GREENER_CI_SECRET: generateSecret(64),
-    GREENER_API_TOKEN: generateSecret(32),
-    GREENER_APP_ID: 'cli-generated',
-    GREENER_INSTALLATION_ID: 'user-provisioned'
+async function checkConfigureAccess(env, session, installationId) {
+  const policy = getAccessPolicy(env);
+  const access = { action: 'configure', login: session.login, role: resolveRole(policy, session.login, session.teams) };
+  const denial = checkAccess(policy, access);
+  if (denial) return denial;
+
+  const account = await getInstallationAccount(env, installationId);
+  if (!account) {
+    return 'Changing settings needs the GitHub App (GITHUB_APP_ID and GITHUB_PRIVATE_KEY) to look up who administers the installation';
+  }
+  const token = await getGitHubToken(env, installationId);
+  const permissions = await getAccountPermissions(token, account, session.login, 'Greener-CI-CD-Worker');
+  return checkAccess(policy, { ...access, repository: account.login, permissions });
+}
+
+/**
+ * Require every repository to belong to the installation. The cached list is
+ * checked first; a repository missing from it is looked up in a fresh list, so
+ * one added since the cache was filled is still accepted.
+ */
+async function requireInstallationRepos(env, installationId, repos) {
+  const missingFrom = (list) => {
+    const names = new Set(list.map(repo => repo.full_name.toLowerCase()));
+    return repos.filter(repo => !names.has(repo.toLowerCase()));
   };
+
+  let missing = missingFrom((await getCachedRepos(env, installationId)) || []);
+  if (missing.length > 0) {
+    missing = missingFrom(await listInstallationRepositories(env, installationId));
+  }
+
+  if (missing.length > 0) {
+    const more = missing.length > 10 ? ` and ${missing.length - 10} more` : '';
+    throw new Response(`Not in installation ${installationId}: ${missing.slice(0, 10).join(', ')}${more}`, { status: 403 });
+  }
 }
 
 /**
- * Create a secret in a repository using user token
+ * Apply the access policy to a CLI caller, whose own token acts on the repository;
+ * returns the caller's login
  */
-async function createSecret(repoFullName, secretName, secretValue, userToken) {
-  // Get public key for encryption
-  const keyResponse = await fetch(`https://api.github.com/repos/${repoFullName}/actions/secrets/public-key`, {
-    headers: {
-      'Authorization': `Bearer ${userToken}`,
-      'Accept': 'application/vnd.github.v3+json',
-      'User-Agent': 'Greener-CI-CD-CLI'
-    }
+async function requireCliPolicy(env, userToken, repoData, access) {
+  const policy = getAccessPolicy(env);
+  const login = await getTokenLogin(userToken);
+  const teams = policyUsesTeams(policy) ? await listUserTeams(userToken, 'Greener-CI-CD-CLI') : [];
+
+  requireAccess(policy, {
+    ...access,
+    login,
+    role: resolveRole(policy, login, teams),
+    permissions: repoData.permissions || null
   });
+  return login;
+}
 
-  if (!keyResponse.ok) {
-    throw new Error(`Failed to get public key: ${keyResponse.status}`);
+function requireLoginConfigured(env) {
+  if (!isLoginConfigured(env)) {
+    throw new Response('GitHub login is not configured (set CLIENT_ID, CLIENT_SECRET and SESSION_SECRET)', { status: 503 });
   }
+}
 
-  const keyData = await keyResponse.json();
-  // TODO: Properly encrypt secret using sodium
-  const encryptedValue = btoa(secretValue);
+/**
+ * Extract the user's GitHub token from the Authorization header
+ */
+function getBearerToken(request) {
+  const authHeader = request.headers.get('Authorization');
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    throw new Response('Authorization header with Bearer token required', { status: 401 });
+  }
+  return authHeader.slice(7); // Remove 'Bearer ' prefix
+}
 
-  const secretResponse = await fetch(`https://api.github.com/repos/${repoFullName}/actions/secrets/${secretName}`, {
-    method: 'PUT',
-    headers: {
-      'Authorization': `Bearer ${userToken}`,
-      'Accept': 'application/vnd.github.v3+json',
-      'User-Agent': 'Greener-CI-CD-CLI',
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify({
-      encrypted_value: encryptedValue,
-      key_id: keyData.key_id
-    })
-  });
+/**
+ * Validate a repository in owner/name format
+ */
+function parseRepository(value) {
+  const repository = parseRequiredString(value, 'repository', 100);
+  if (!/^[a-zA-Z0-9._-]+\/[a-zA-Z0-9._-]+$/.test(repository)) {
+    throw new Response('Repository must be in owner/name format', { status: 400 });
+  }
+  return repository;
+}
 
-  return secretResponse.ok;
+/**
+ * Verify the user's token can see the repository; returns it with the user's `permissions`
+ */
+async function verifyRepoAccess(userToken, repository) {
+  try {
+    return await githubRequest(`/repos/${repository}`, { token: userToken, userAgent: 'Greener-CI-CD-CLI' });
+  } catch (error) {
+    if (error instanceof GitHubAuthError) {
+      throw new Response('Invalid GitHub token', { status: 401 });
+    }
+    if (error instanceof GitHubNotFoundError) {
+      throw new Response(`Repository not found or no access: ${repository}`, { status: 404 });
+    }
+    throw error;
+  }
+}
+
+/**
+ * Resolve the login that owns a GitHub token
+ */
+async function getTokenLogin(token) {
+  try {
+    const data = await githubRequest('/user', { token, userAgent: 'Greener-CI-CD-CLI' });
+    return data.login || null;
+  } catch (error) {
+    return null;
+  }
 }
 
 /**
@@ -1026,4 +2379,25 @@ function methodNotAllowed() {
 
 function serverError(message) {
   return new Response(`Server error: ${message}`, { status: 500 });
+}
+
+/**
+ * JSON error for API handlers; validation errors arrive as Response objects
+ */
+async function apiError(error) {
+  const isResponse = error instanceof Response;
+  const headers = { 'Content-Type': 'application/json' };
+  let status = 500;
+
+  if (isResponse) {
+    status = error.status;
+  } else if (error instanceof GitHubApiError) {
+    status = githubErrorStatus(error);
+    if (error instanceof GitHubRateLimitError) headers['Retry-After'] = String(error.retryAfter);
+  }
+
+  return new Response(JSON.stringify({
+    success: false,
+    error: isResponse ? await error.text() : error.message
+  }), { status, headers });
 }
\ No newline at end of file